@@ -0,0 +1,16 @@
+-- Full-text search index over pages, news and scholarships.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per searchable document. Rows are written by src/lib/search.ts
+-- (called from updatePage and the other write helpers) and seeded by
+-- scripts/migrate-to-d1.mjs. `title` and `body` are plain text — HTML is
+-- stripped before insert so snippets never cut through a tag.
+
+CREATE VIRTUAL TABLE search_index USING fts5(
+  kind UNINDEXED,                        -- page | news | scholarship
+  ref  UNINDEXED,                        -- slug in the source table
+  url  UNINDEXED,                        -- public URL the result links to
+  title,
+  body,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
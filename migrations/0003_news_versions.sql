@@ -0,0 +1,23 @@
+-- Version history for news articles, mirroring page_versions.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- Each row is a snapshot of the article as it was *before* a write, so
+-- reverting to a version restores exactly what the editor saw then.
+-- `author` is who made the edit (same meaning as page_versions.author);
+-- the article's own byline is snapshotted as `article_author`.
+
+CREATE TABLE news_versions (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug           TEXT NOT NULL,
+  title          TEXT,
+  date           TEXT,
+  article_author TEXT,
+  category       TEXT,
+  featured_image TEXT,
+  body           TEXT,
+  excerpt        TEXT,
+  author         TEXT,                   -- 'admin' | 'bot' | 'migration'
+  created_at     INTEGER NOT NULL
+);
+
+CREATE INDEX idx_news_versions_slug ON news_versions(slug, created_at DESC);
@@ -0,0 +1,21 @@
+-- Version history for scholarships, mirroring page_versions / news_versions.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- Each row is a snapshot of the scholarship as it was *before* a write.
+-- The structured columns keep the same JSON encoding as `scholarships`.
+
+CREATE TABLE scholarship_versions (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug         TEXT NOT NULL,
+  name         TEXT,
+  description  TEXT,
+  eligibility  TEXT,                     -- JSON string[]
+  amount       TEXT,
+  renewable    TEXT,                     -- JSON { isRenewable: bool, details: string }
+  deadline     TEXT,
+  requirements TEXT,                     -- JSON string[]
+  author       TEXT,                     -- 'admin' | 'bot' | 'migration'
+  created_at   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_scholarship_versions_slug ON scholarship_versions(slug, created_at DESC);
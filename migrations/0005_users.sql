@@ -0,0 +1,37 @@
+-- Per-user admin accounts, replacing the single shared ADMIN_PASSWORD_HASH.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- Roles, least to most privileged (see src/lib/roles.ts):
+--   viewer     read-only access to the admin
+--   editor     create and edit pages, news and scholarships; use the chatbot
+--   publisher  editor + delete content (and publish, once that exists)
+--   owner      publisher + manage users
+--
+-- Accounts are created by an owner as an invite: the row has no password
+-- until the invitee opens the one-time link and sets one. A password reset
+-- works the same way. `session_version` is embedded in session tokens;
+-- bumping it (disable, reset) signs that user out everywhere.
+
+CREATE TABLE users (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  email              TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  name               TEXT,
+  role               TEXT NOT NULL,      -- 'viewer' | 'editor' | 'publisher' | 'owner'
+  password_hash      TEXT,               -- base64 PBKDF2-SHA256; null until the invite is accepted
+  password_salt      TEXT,
+  invite_token_hash  TEXT,               -- SHA-256 of the outstanding invite / reset token
+  invite_expires_at  INTEGER,
+  session_version    INTEGER NOT NULL DEFAULT 1,
+  disabled_at        INTEGER,
+  last_login_at      INTEGER,
+  updated_at         INTEGER NOT NULL,
+  created_at         INTEGER NOT NULL
+);
+
+CREATE INDEX idx_users_invite ON users(invite_token_hash);
+
+-- Version rows record who made the edit. `author` keeps its meaning
+-- ('admin' | 'bot' | 'migration'); bot edits carry the user who asked.
+ALTER TABLE page_versions ADD COLUMN user_id INTEGER;
+ALTER TABLE news_versions ADD COLUMN user_id INTEGER;
+ALTER TABLE scholarship_versions ADD COLUMN user_id INTEGER;
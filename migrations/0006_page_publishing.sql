@@ -0,0 +1,39 @@
+-- Draft / scheduled / published workflow for pages.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- `pages` is now the working copy: the admin editor and the chatbot read and
+-- write it, and every write still snapshots into page_versions. The public
+-- site is built from `page_published`, which only changes when someone
+-- publishes (or a scheduled publish comes due; see src/worker.ts). Publishing
+-- copies the pages row across as-is.
+--
+-- A page's status is derived, not stored (see pageStatus() in src/lib/d1.ts):
+--   scheduled  pages.publish_at is set
+--   published  page_published.source_updated_at = pages.updated_at
+--   draft      never published, or edited since it was
+
+CREATE TABLE page_published (
+  slug               TEXT PRIMARY KEY,
+  path               TEXT NOT NULL,
+  type               TEXT NOT NULL,
+  template           TEXT NOT NULL,
+  title              TEXT NOT NULL,
+  subtitle           TEXT,
+  meta               TEXT,
+  legacy_body        TEXT,
+  sections           TEXT NOT NULL,
+  source_updated_at  INTEGER NOT NULL,   -- pages.updated_at of the draft that was published
+  published_at       INTEGER NOT NULL,
+  published_by       INTEGER             -- users.id; null for the backfill below
+);
+
+ALTER TABLE pages ADD COLUMN publish_at INTEGER;   -- scheduled publish time (ms); null = not scheduled
+ALTER TABLE pages ADD COLUMN publish_by INTEGER;   -- users.id of whoever scheduled it
+
+CREATE INDEX idx_pages_publish_at ON pages(publish_at) WHERE publish_at IS NOT NULL;
+
+-- Everything that was live before this migration stays live.
+INSERT INTO page_published (slug, path, type, template, title, subtitle, meta, legacy_body, sections, source_updated_at, published_at)
+SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, updated_at
+FROM pages
+WHERE deleted_at IS NULL;
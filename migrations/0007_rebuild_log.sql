@@ -0,0 +1,12 @@
+-- Rebuild trigger (src/lib/rebuild.ts) starts writing to rebuild_log.
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- Statuses are now requested | triggered | succeeded | failed. A succeeded or
+-- failed row closes the triggered row named by trigger_id. `slug` holds the
+-- public path that changed (null on triggered / outcome rows).
+
+ALTER TABLE rebuild_log ADD COLUMN trigger_id INTEGER;   -- rebuild_log.id of the triggered row
+ALTER TABLE rebuild_log ADD COLUMN user_id INTEGER;      -- users.id of whoever made the change / pressed Rebuild
+
+CREATE INDEX idx_rebuild_log_status ON rebuild_log(status, id);
+CREATE INDEX idx_rebuild_log_trigger ON rebuild_log(trigger_id) WHERE trigger_id IS NOT NULL;
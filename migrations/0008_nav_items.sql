@@ -0,0 +1,30 @@
+-- Site navigation (src/lib/nav.ts, /api/nav, /cpadmin/nav).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per node of the header menus. Top-level rows (parent_id NULL) are
+-- the `item`s of a menu; their children are the mega-panel's featured box,
+-- cards, boxes, link groups and call to action, and groups and featured
+-- boxes hold links. dump-d1 rebuilds src/data/nav.json from this table.
+--
+-- Start it from the current nav.json with `npm run seed-nav`.
+
+CREATE TABLE nav_items (
+  id             INTEGER PRIMARY KEY,
+  parent_id      INTEGER REFERENCES nav_items(id) ON DELETE CASCADE,
+  menu           TEXT NOT NULL,                 -- utility | audiences | main
+  kind           TEXT NOT NULL,                 -- item | featured | card | box | group | cta | link
+  position       INTEGER NOT NULL,              -- order among siblings, from 0
+  label          TEXT NOT NULL DEFAULT '',      -- link text, card / box title, group heading
+  href           TEXT,
+  description    TEXT,                          -- featured, card, box
+  image          TEXT,                          -- featured, card, box
+  badge          TEXT,                          -- link
+  highlight      INTEGER NOT NULL DEFAULT 0,    -- link
+  external       INTEGER NOT NULL DEFAULT 0,    -- item, link
+  layout         TEXT,                          -- item: featured-events | two-boxes | cards
+  cards_heading  TEXT,                          -- item
+  updated_at     INTEGER NOT NULL,
+  user_id        INTEGER                        -- users.id of whoever last saved the menus
+);
+
+CREATE INDEX idx_nav_items_parent ON nav_items(menu, parent_id, position);
@@ -0,0 +1,23 @@
+-- URL redirects (src/lib/redirects.ts, /api/redirects, /cpadmin/redirects).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- The Worker answers a request whose path matches `source` with a redirect
+-- before it looks for a page, and dump-d1 exports the same rules to
+-- public/_redirects. Publishing a page under a new path adds a rule from the
+-- old one (auto = 1).
+
+CREATE TABLE redirects (
+  id           INTEGER PRIMARY KEY,
+  source       TEXT NOT NULL UNIQUE,          -- '/old/path', or '/old/*' for everything under /old
+  target       TEXT NOT NULL,                 -- '/new/path', '/new/:splat', or an https:// URL
+  status       INTEGER NOT NULL DEFAULT 301,  -- 301 (moved) | 302 (temporary)
+  note         TEXT,
+  auto         INTEGER NOT NULL DEFAULT 0,    -- 1 = added when a page's path changed
+  hits         INTEGER NOT NULL DEFAULT 0,
+  last_hit_at  INTEGER,
+  created_at   INTEGER NOT NULL,
+  updated_at   INTEGER NOT NULL,
+  user_id      INTEGER                        -- users.id of whoever last changed it
+);
+
+CREATE INDEX idx_redirects_target ON redirects(target);
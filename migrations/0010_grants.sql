@@ -0,0 +1,40 @@
+-- Grants awarded to nonprofits (src/lib/grants.ts, /api/grants, /cpadmin/grants).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per award. dump-d1 exports them to src/data/grants.json for
+-- /grants (the past-recipients directory) and /grants/<slug>.
+-- grant_versions mirrors scholarship_versions: each row is a snapshot of
+-- the grant as it was *before* a write.
+
+CREATE TABLE grants (
+  slug         TEXT PRIMARY KEY,
+  program      TEXT NOT NULL,                 -- 'Competitive Grants', 'Jelley Family Foundation', ...
+  recipient    TEXT NOT NULL,                 -- the nonprofit awarded the grant
+  amount       INTEGER,                       -- whole dollars; NULL when not disclosed
+  year         INTEGER NOT NULL,              -- year awarded
+  focus_area   TEXT,                          -- 'Education', 'Health', ...
+  county       TEXT,                          -- 'Jackson County', ...
+  description  TEXT,                          -- HTML: what the grant funds
+  deleted_at   INTEGER,
+  updated_at   INTEGER NOT NULL,
+  created_at   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_grants_year ON grants(year DESC, recipient) WHERE deleted_at IS NULL;
+
+CREATE TABLE grant_versions (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug         TEXT NOT NULL,
+  program      TEXT,
+  recipient    TEXT,
+  amount       INTEGER,
+  year         INTEGER,
+  focus_area   TEXT,
+  county       TEXT,
+  description  TEXT,
+  author       TEXT,                          -- 'admin' | 'bot' | 'migration'
+  user_id      INTEGER,                       -- users.id of whoever made the edit
+  created_at   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_grant_versions_slug ON grant_versions(slug, created_at DESC);
@@ -0,0 +1,47 @@
+-- Staff and board members (src/lib/people.ts, /api/people, /cpadmin/people).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per person. dump-d1 exports them to src/data/people.json, which
+-- the `people-grid` section and the /people/<slug> bio pages read.
+-- `group_name` is the heading a person is listed under ('Staff',
+-- 'Board of Directors', ...) and `position` their order within it.
+-- person_versions mirrors grant_versions, minus `position`: reordering a
+-- group isn't versioned.
+
+CREATE TABLE people (
+  slug         TEXT PRIMARY KEY,
+  name         TEXT NOT NULL,
+  title        TEXT,                          -- job title, board office or affiliation
+  group_name   TEXT NOT NULL,
+  bio          TEXT,                          -- HTML
+  photo        TEXT,                          -- image URL (/media/... upload or imported URL)
+  email        TEXT,
+  phone        TEXT,
+  position     INTEGER NOT NULL DEFAULT 0,
+  term_start   TEXT,                          -- YYYY-MM-DD; NULL for staff
+  term_end     TEXT,                          -- YYYY-MM-DD
+  deleted_at   INTEGER,
+  updated_at   INTEGER NOT NULL,
+  created_at   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_people_group ON people(group_name, position) WHERE deleted_at IS NULL;
+
+CREATE TABLE person_versions (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug         TEXT NOT NULL,
+  name         TEXT,
+  title        TEXT,
+  group_name   TEXT,
+  bio          TEXT,
+  photo        TEXT,
+  email        TEXT,
+  phone        TEXT,
+  term_start   TEXT,
+  term_end     TEXT,
+  author       TEXT,                          -- 'admin' | 'bot' | 'migration'
+  user_id      INTEGER,                       -- users.id of whoever made the edit
+  created_at   INTEGER NOT NULL
+);
+
+CREATE INDEX idx_person_versions_slug ON person_versions(slug, created_at DESC);
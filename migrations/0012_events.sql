@@ -0,0 +1,52 @@
+-- Events calendar (src/lib/events.ts, /api/events, /cpadmin/events).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per event. dump-d1 exports them to src/data/events.json for
+-- /events, /events/<slug>, /events.ics and the `upcoming-events` section.
+-- Dates and times are wall-clock in the foundation's time zone
+-- (America/Chicago, src/lib/event-calendar.ts); an event without a
+-- start_time is all-day. event_versions mirrors grant_versions: each row is
+-- a snapshot of the event as it was *before* a write.
+
+CREATE TABLE events (
+  slug              TEXT PRIMARY KEY,
+  title             TEXT NOT NULL,
+  start_date        TEXT NOT NULL,            -- YYYY-MM-DD
+  start_time        TEXT,                     -- HH:MM; NULL for an all-day event
+  end_date          TEXT,                     -- YYYY-MM-DD; NULL when it ends the day it starts
+  end_time          TEXT,                     -- HH:MM
+  venue             TEXT,                     -- 'Adventure Oasis', 'Online', ...
+  address           TEXT,                     -- street address for maps and calendars
+  registration_url  TEXT,
+  category          TEXT,                     -- 'Fundraiser', 'Deadline', 'Workshop', ...
+  image             TEXT,                     -- image URL (/media/... upload or imported URL)
+  summary           TEXT,                     -- one or two plain-text sentences for cards and feeds
+  description       TEXT,                     -- HTML
+  deleted_at        INTEGER,
+  updated_at        INTEGER NOT NULL,
+  created_at        INTEGER NOT NULL
+);
+
+CREATE INDEX idx_events_start ON events(start_date) WHERE deleted_at IS NULL;
+
+CREATE TABLE event_versions (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug              TEXT NOT NULL,
+  title             TEXT,
+  start_date        TEXT,
+  start_time        TEXT,
+  end_date          TEXT,
+  end_time          TEXT,
+  venue             TEXT,
+  address           TEXT,
+  registration_url  TEXT,
+  category          TEXT,
+  image             TEXT,
+  summary           TEXT,
+  description       TEXT,
+  author            TEXT,                     -- 'admin' | 'bot' | 'migration'
+  user_id           INTEGER,                  -- users.id of whoever made the edit
+  created_at        INTEGER NOT NULL
+);
+
+CREATE INDEX idx_event_versions_slug ON event_versions(slug, created_at DESC);
@@ -0,0 +1,37 @@
+-- Gala sponsorship and ticket orders (src/lib/gala-orders.ts, /api/checkout,
+-- /api/gala-orders, /cpadmin/gala-orders).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per order placed from a `pricing-tiers` card that has `order` set.
+-- The tier's title and price are copied in when the order is placed, so
+-- later edits to the page don't change what someone bought. A row starts
+-- `pending` when the buyer is sent to the payment provider and becomes
+-- `paid` when the provider confirms it (src/lib/payments.ts); staff can
+-- also mark an order paid (a cheque) or cancelled. Amounts are in cents.
+
+CREATE TABLE gala_orders (
+  id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+  reference             TEXT NOT NULL UNIQUE,     -- 'G-7K3M9QXA': shown to the buyer and in emails
+  page_path             TEXT NOT NULL,            -- page the order form was on, e.g. '/gala/sponsorship'
+  tier                  TEXT NOT NULL,            -- the tier's title, e.g. 'Leadership Sponsor'
+  unit_amount           INTEGER NOT NULL,         -- cents
+  quantity              INTEGER NOT NULL,
+  total_amount          INTEGER NOT NULL,         -- cents; unit_amount * quantity
+  name                  TEXT NOT NULL,
+  email                 TEXT NOT NULL,
+  phone                 TEXT,
+  organization          TEXT,
+  recognition_name      TEXT,                     -- how a sponsor is listed in the program
+  guest_names           TEXT,                     -- free text, one guest per line
+  notes                 TEXT,                     -- buyer's notes (dietary needs, seating)
+  status                TEXT NOT NULL DEFAULT 'pending',  -- 'pending' | 'paid' | 'cancelled'
+  provider              TEXT NOT NULL,            -- 'stripe' | 'fake' | 'manual'
+  provider_ref          TEXT,                     -- the provider's checkout / payment id
+  paid_at               INTEGER,
+  confirmation_sent_at  INTEGER,
+  updated_at            INTEGER NOT NULL,
+  created_at            INTEGER NOT NULL
+);
+
+CREATE INDEX idx_gala_orders_created ON gala_orders(created_at DESC);
+CREATE INDEX idx_gala_orders_provider_ref ON gala_orders(provider_ref);
@@ -0,0 +1,39 @@
+-- Named funds donors can give to (src/lib/funds.ts, /api/funds, /cpadmin/funds).
+-- Applies to the `thcf-content` D1 database (binding: thcf_content).
+--
+-- One row per fund. dump-d1 exports them to src/data/funds.json for /funds
+-- (the fund directory), /funds/<slug> and the `fund-spotlight` section.
+-- /funds/<slug>/give reads `donate_url` live, so a fund's giving-form link
+-- can change without breaking the address printed on a brochure.
+-- fund_versions mirrors grant_versions.
+
+CREATE TABLE funds (
+  slug              TEXT PRIMARY KEY,
+  name              TEXT NOT NULL,
+  type              TEXT NOT NULL,                 -- 'Donor Advised Fund', 'Scholarship Fund', ...
+  focus_area        TEXT,                          -- 'Education', 'Animal Welfare', ...
+  description       TEXT,                          -- HTML: who set it up and what it supports
+  established_year  INTEGER,
+  donate_url        TEXT,                          -- the fund's page on the giving form; NULL = the general form
+  deleted_at        INTEGER,
+  updated_at        INTEGER NOT NULL,
+  created_at        INTEGER NOT NULL
+);
+
+CREATE INDEX idx_funds_name ON funds(name) WHERE deleted_at IS NULL;
+
+CREATE TABLE fund_versions (
+  id                INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug              TEXT NOT NULL,
+  name              TEXT,
+  type              TEXT,
+  focus_area        TEXT,
+  description       TEXT,
+  established_year  INTEGER,
+  donate_url        TEXT,
+  author            TEXT,                          -- 'admin' | 'bot' | 'migration'
+  user_id           INTEGER,                       -- users.id of whoever made the edit
+  created_at        INTEGER NOT NULL
+);
+
+CREATE INDEX idx_fund_versions_slug ON fund_versions(slug, created_at DESC);
@@ -31,6 +31,21 @@
   const templateDescription = document.getElementById('template-description');
   const sectionsHint = document.getElementById('sections-hint');
   const saveStatus = document.getElementById('save-status');
+  const imageFieldsList = document.getElementById('image-fields');
+  const a11ySummary = document.getElementById('a11y-summary');
+  const a11yList = document.getElementById('a11y-issues');
+
+  const seoDescription = document.getElementById('seo-description');
+  const seoCanonical = document.getElementById('seo-canonical');
+  const seoNoindex = document.getElementById('seo-noindex');
+  const seoImageThumb = document.getElementById('seo-image-thumb');
+  const seoImageLabel = document.getElementById('seo-image-label');
+  const seoImageClear = document.getElementById('seo-image-clear');
+  const seoImageAlt = document.getElementById('seo-image-alt');
+  const seoImageAltLabel = document.getElementById('seo-image-alt-label');
+  const seoTwitterCard = document.getElementById('seo-twitter-card');
+  const seoWarningsList = document.getElementById('seo-warnings');
+  const socialCard = document.getElementById('social-card');
 
   const chatFeed = document.getElementById('chat-feed');
   const chatEmpty = document.getElementById('chat-empty');
@@ -41,6 +56,35 @@
   const previewSummary = document.getElementById('preview-summary');
   const versionsList = document.getElementById('versions-list');
 
+  const publishChip = document.getElementById('publish-chip');
+  const publishDetail = document.getElementById('publish-detail');
+  const publishNowBtn = document.getElementById('publish-now');
+  const publishCancelBtn = document.getElementById('publish-cancel');
+  const publishScheduleForm = document.getElementById('publish-schedule');
+  const publishAtInput = document.getElementById('publish-at');
+  const publishStatus = document.getElementById('publish-status');
+
+  const pageCard = document.getElementById('page-card');
+  const moveForm = document.getElementById('move-form');
+  const moveSlugInput = document.getElementById('move-slug');
+  const deletePageBtn = document.getElementById('delete-page');
+  const pageStatus = document.getElementById('page-status');
+
+  const diffView = document.getElementById('diff-view');
+  const diffTitle = document.getElementById('diff-title');
+  const diffSummary = document.getElementById('diff-summary');
+  const diffFromLabel = document.getElementById('diff-from-label');
+  const diffToLabel = document.getElementById('diff-to-label');
+  const diffBody = document.getElementById('diff-body');
+  const diffRevertBtn = document.getElementById('diff-revert');
+  let diffVersionId = null;
+
+  const sharePreviewBtn = document.getElementById('share-preview');
+  const sharePreviewBox = document.getElementById('share-preview-box');
+  const sharePreviewLabel = document.getElementById('share-preview-label');
+  const sharePreviewUrl = document.getElementById('share-preview-url');
+  const sharePreviewStatus = document.getElementById('share-preview-status');
+
   // ---------- Helpers -------------------------------------------------------
   function fmtDate(ms) {
     return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
@@ -136,6 +180,20 @@
         label = (s.items?.length ?? 0) + ' panels'; break;
       case 'image-fade':
         label = s.title; break;
+      case 'people-grid':
+        label = (s.title || '(no title)') + ' · ' + (s.group || '(no group)');
+        badge = 'People';
+        break;
+      case 'upcoming-events':
+        label = (s.title || '(no title)') + ' · next ' + (s.limit ?? 3) + (s.category ? ' ' + s.category : '');
+        badge = 'Events';
+        break;
+      case 'fund-spotlight':
+        label = (s.title || '(no title)') + ' · ' + (s.funds?.length
+          ? s.funds.length + ' chosen'
+          : [s.type, s.focusArea].filter(Boolean).join(', ') || 'any ' + (s.limit ?? 3));
+        badge = 'Funds';
+        break;
       case 'sidebar-layout':
         label = (s.sidebar?.length ?? 0) + ' sidebar cards · ' + (s.main?.length ?? 0) + ' main sections';
         badge = s.sidebarPosition || 'right';
@@ -158,16 +216,333 @@
         + '<strong>' + fmtDate(v.createdAt) + '</strong>'
         + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
         + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const actions = document.createElement('div');
+      actions.className = 'version-list__actions';
+      const share = document.createElement('button');
+      share.type = 'button';
+      share.className = 'admin-btn admin-btn--ghost';
+      share.textContent = 'Preview';
+      share.title = 'Create a shareable preview link for this version';
+      share.onclick = () => sharePreview(v.id, 'Preview link for the version saved ' + fmtDate(v.createdAt));
       const btn = document.createElement('button');
       btn.type = 'button';
       btn.className = 'admin-btn admin-btn--ghost';
-      btn.textContent = 'Revert to this';
-      btn.onclick = () => revertTo(v.id);
-      li.appendChild(btn);
+      btn.textContent = 'Compare…';
+      btn.title = 'Compare with the current draft before reverting';
+      btn.onclick = () => showDiff(v);
+      actions.append(share, btn);
+      li.appendChild(actions);
       versionsList.appendChild(li);
     }
   }
 
+  const PUBLISH_CHIP = { draft: 'chip--warning', scheduled: 'chip', published: 'chip--success' };
+
+  function renderPublishState() {
+    if (!page) return;
+    publishChip.className = 'chip ' + PUBLISH_CHIP[page.status];
+    publishChip.textContent = page.status;
+    let detail;
+    if (page.status === 'scheduled') {
+      detail = 'Publishes ' + fmtDate(page.publishAt);
+    } else if (page.status === 'published') {
+      detail = 'Published ' + fmtDate(page.publishedAt);
+    } else {
+      detail = page.publishedAt
+        ? 'Unpublished changes since ' + fmtDate(page.publishedAt)
+        : 'Never published';
+    }
+    publishDetail.textContent = detail;
+    publishCancelBtn.hidden = page.status !== 'scheduled';
+    publishNowBtn.disabled = page.status === 'published';
+  }
+
+  function setPublishStatus(text, color) {
+    publishStatus.textContent = text;
+    publishStatus.style.color = color;
+  }
+
+  async function sendPublish(method, body) {
+    const res = await fetch('/api/pages/' + slugPath + '/publish', {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return false; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setPublishStatus('Failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return false;
+    }
+    return true;
+  }
+
+  publishNowBtn.addEventListener('click', async () => {
+    if (!confirm('Publish the current draft of ' + page.path + '? It goes live on the next site rebuild.')) return;
+    setPublishStatus('Publishing…', 'var(--text-dim)');
+    if (await sendPublish('POST', {})) {
+      setPublishStatus('Published.', 'var(--success)');
+      await reload();
+    }
+  });
+
+  publishScheduleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    // datetime-local has no zone; Date parses it as the browser's local time.
+    const at = new Date(publishAtInput.value);
+    if (Number.isNaN(at.getTime())) return;
+    setPublishStatus('Scheduling…', 'var(--text-dim)');
+    if (await sendPublish('POST', { publishAt: at.toISOString() })) {
+      setPublishStatus('Scheduled.', 'var(--success)');
+      publishAtInput.value = '';
+      await reload();
+    }
+  });
+
+  publishCancelBtn.addEventListener('click', async () => {
+    setPublishStatus('Cancelling…', 'var(--text-dim)');
+    if (await sendPublish('DELETE')) {
+      setPublishStatus('Schedule cancelled.', 'var(--success)');
+      await reload();
+    }
+  });
+
+  // ---------- Move / delete -------------------------------------------------
+  // Both leave this editor: a moved page lives under a new slug, a deleted
+  // one no longer loads. The homepage can do neither, so the card stays hidden.
+  function setPageStatus(text, color) {
+    pageStatus.textContent = text;
+    pageStatus.style.color = color;
+  }
+
+  moveForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newSlug = moveSlugInput.value.trim().replace(/^\/+|\/+$/g, '');
+    if (!newSlug) return;
+    if (!confirm('Move ' + page.path + ' to /' + newSlug + '? Links to it in other pages and the menus are updated, and the old address redirects if the page was published.')) return;
+    setPageStatus('Moving…', 'var(--text-dim)');
+    const res = await fetch('/api/pages/' + slugPath + '/move', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ slug: newSlug }),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setPageStatus('Move failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    alert(
+      'Moved to ' + payload.path + '. Updated links in ' + payload.rewrittenPages.length + ' page(s) and ' +
+      payload.rewrittenNavItems + ' menu item(s).' +
+      (payload.redirected ? ' ' + page.path + ' now redirects there.' : '')
+    );
+    location.replace('/cpadmin/editor?slug=' + encodeURIComponent(payload.slug));
+  });
+
+  deletePageBtn.addEventListener('click', async () => {
+    if (!confirm('Delete “' + page.title + '”? It disappears from the site on the next rebuild. It can be restored, and version history is kept.')) return;
+    const res = await fetch('/api/pages/' + slugPath, { method: 'DELETE' });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      setPageStatus('Delete failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    location.href = '/cpadmin/';
+  });
+
+  // ---------- Version compare ---------------------------------------------
+  // Side-by-side diff of a version against the current draft, from
+  // GET /api/pages/:slug/versions/:id/diff/current. Reverting happens from here.
+  const DIFF_CHIP = { added: 'chip--success', removed: 'chip--danger', changed: 'chip--warning', unchanged: 'chip--muted' };
+  const DIFF_CONTEXT = 80; // chars of unchanged text kept around each edit
+
+  async function showDiff(v) {
+    diffVersionId = v.id;
+    diffTitle.textContent = 'Version from ' + fmtDate(v.createdAt) + ' → current draft';
+    diffSummary.textContent = 'Loading…';
+    diffFromLabel.textContent = 'Version · ' + fmtDate(v.createdAt) + (v.userName ? ' · ' + v.userName : '');
+    diffToLabel.textContent = 'Current draft';
+    diffBody.innerHTML = '';
+    diffView.hidden = false;
+    diffView.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    const res = await fetch('/api/pages/' + slugPath + '/versions/' + v.id + '/diff/current');
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      diffSummary.textContent = 'Could not load diff: ' + (payload.error ?? res.status);
+      return;
+    }
+    renderDiff(payload.diff);
+  }
+
+  function renderDiff(diff) {
+    const { summary } = diff;
+    const parts = [];
+    if (diff.fields.length) parts.push(diff.fields.length + ' page field' + (diff.fields.length === 1 ? '' : 's') + ' changed');
+    for (const key of ['changed', 'added', 'removed', 'moved']) {
+      if (summary[key]) parts.push(summary[key] + ' section' + (summary[key] === 1 ? '' : 's') + ' ' + key);
+    }
+    diffSummary.textContent = parts.length ? parts.join(' · ') : 'No differences.';
+
+    diffBody.innerHTML = '';
+    if (diff.fields.length) {
+      diffBody.appendChild(diffRow('changed', 'Page', 'Page', diff.fields));
+    }
+    for (const s of diff.sections) {
+      const fromLabel = s.before ? (s.fromIndex + 1) + '. ' + s.kind : null;
+      const toLabel = s.after ? (s.toIndex + 1) + '. ' + s.kind : null;
+      const row = diffRow(s.status, fromLabel, toLabel, s.changes, s.moved);
+      if (s.status !== 'changed') {
+        // No field list: show what the section is on each side instead.
+        const cols = document.createElement('div');
+        cols.className = 'diff-cols';
+        for (const side of [s.before, s.after]) {
+          const cell = document.createElement('div');
+          cell.className = 'admin-dim';
+          cell.style.fontSize = '.8rem';
+          cell.textContent = side ? summariseSection(side).label || '' : '';
+          cols.appendChild(cell);
+        }
+        row.appendChild(cols);
+      }
+      diffBody.appendChild(row);
+    }
+  }
+
+  function diffRow(status, fromLabel, toLabel, changes, moved) {
+    const row = document.createElement('div');
+    row.className = 'diff-row diff-row--' + status;
+    const head = document.createElement('div');
+    head.className = 'diff-cols';
+    [fromLabel, toLabel].forEach((label, i) => {
+      const cell = document.createElement('div');
+      cell.className = 'diff-row__title';
+      if (label) {
+        const strong = document.createElement('strong');
+        strong.textContent = label;
+        cell.appendChild(strong);
+      } else {
+        const empty = document.createElement('span');
+        empty.className = 'diff-row__empty';
+        empty.textContent = status === 'added' ? 'not in this version' : 'not in the draft';
+        cell.appendChild(empty);
+      }
+      if (i === 1) {
+        const chip = document.createElement('span');
+        chip.className = 'chip ' + DIFF_CHIP[status];
+        chip.textContent = moved ? status + ' · moved' : status;
+        cell.appendChild(chip);
+      }
+      head.appendChild(cell);
+    });
+    row.appendChild(head);
+
+    for (const change of changes) {
+      const wrap = document.createElement('div');
+      wrap.className = 'diff-change';
+      const path = document.createElement('div');
+      path.className = 'diff-change__path';
+      path.textContent = change.path;
+      const cols = document.createElement('div');
+      cols.className = 'diff-cols';
+      cols.append(
+        diffValue(change.text, 'delete', change.from),
+        diffValue(change.text, 'insert', change.to)
+      );
+      wrap.append(path, cols);
+      row.appendChild(wrap);
+    }
+    return row;
+  }
+
+  // One side of a field change. With a word diff, that side shows the shared
+  // text plus its own deletions (left) or insertions (right).
+  function diffValue(ops, ownOp, value) {
+    const pre = document.createElement('pre');
+    pre.className = 'diff-change__value';
+    if (!ops) {
+      pre.textContent = value === null ? '—' : typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      return pre;
+    }
+    ops.forEach((op, i) => {
+      if (op.op === 'equal') {
+        pre.appendChild(diffGap(op.text, i === 0, i === ops.length - 1));
+      } else if (op.op === ownOp) {
+        const mark = document.createElement(op.op === 'delete' ? 'del' : 'ins');
+        mark.textContent = op.text;
+        pre.appendChild(mark);
+      }
+    });
+    return pre;
+  }
+
+  // Unchanged text, trimmed to DIFF_CONTEXT chars next to each edit.
+  function diffGap(text, isFirst, isLast) {
+    const keepBefore = isFirst ? 0 : DIFF_CONTEXT;
+    const keepAfter = isLast ? 0 : DIFF_CONTEXT;
+    if (text.length <= keepBefore + keepAfter + 20) return document.createTextNode(text);
+    const frag = document.createDocumentFragment();
+    frag.appendChild(document.createTextNode(text.slice(0, keepBefore)));
+    const gap = document.createElement('span');
+    gap.className = 'diff-gap';
+    gap.textContent = ' … ';
+    frag.appendChild(gap);
+    frag.appendChild(document.createTextNode(text.slice(text.length - keepAfter)));
+    return frag;
+  }
+
+  document.getElementById('diff-close').addEventListener('click', () => {
+    diffView.hidden = true;
+    diffVersionId = null;
+  });
+
+  diffRevertBtn.addEventListener('click', async () => {
+    if (diffVersionId === null) return;
+    if (await revertTo(diffVersionId)) {
+      diffView.hidden = true;
+      diffVersionId = null;
+    }
+  });
+
+  // ---------- Preview links -----------------------------------------------
+  // versionId null = the live draft (the link follows later edits).
+  async function sharePreview(versionId, label) {
+    sharePreviewStatus.textContent = 'Creating link…';
+    sharePreviewStatus.style.color = 'var(--text-dim)';
+    const res = await fetch('/api/pages/' + slugPath + '/preview', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(versionId === null ? {} : { versionId }),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      sharePreviewStatus.textContent = 'Failed: ' + (payload.error ?? res.status);
+      sharePreviewStatus.style.color = 'var(--danger)';
+      return;
+    }
+    sharePreviewLabel.textContent = label;
+    sharePreviewUrl.value = payload.url;
+    sharePreviewBox.hidden = false;
+    sharePreviewStatus.textContent = 'Expires ' + fmtDate(payload.expiresAt) + '.';
+    sharePreviewStatus.style.color = 'var(--text-dim)';
+    sharePreviewBox.scrollIntoView({ block: 'nearest' });
+    sharePreviewUrl.focus();
+    sharePreviewUrl.select();
+  }
+
+  sharePreviewBtn.addEventListener('click', () => sharePreview(null, 'Preview link for the current draft'));
+
   function renderEmpty() {
     if (!page) return;
     const suggestions = suggestedPrompts(page.template);
@@ -267,9 +642,9 @@
       } else {
         templates = [
           { id: 'legacy', label: 'Legacy (WordPress content)', description: 'Raw HTML from scraped content.', preferredSections: ['legacy-html'] },
-          { id: 'pillar', label: 'Pillar page', description: 'Long-form content with alternating splits.', preferredSections: ['page-banner','split','stat-grid','icon-cards','story-spotlight','bordered-cards','cta-band'] },
+          { id: 'pillar', label: 'Pillar page', description: 'Long-form content with alternating splits.', preferredSections: ['page-banner','split','stat-grid','icon-cards','story-spotlight','bordered-cards','people-grid','fund-spotlight','cta-band'] },
           { id: 'program', label: 'Program page', description: 'Program page with sticky sidebar.', preferredSections: ['page-banner','sidebar-layout','highlight-box','feature-grid','timeline','testimonials','steps-numbered','cta-band'] },
-          { id: 'landing', label: 'Landing page', description: 'Campaign page with hero + pricing.', preferredSections: ['hero-banner','stat-grid','split','pricing-tiers','story-spotlight','details-grid','faq-accordion','cta-band'] },
+          { id: 'landing', label: 'Landing page', description: 'Campaign page with hero + pricing.', preferredSections: ['hero-banner','stat-grid','split','pricing-tiers','story-spotlight','details-grid','faq-accordion','upcoming-events','cta-band'] },
           { id: 'image-sections', label: 'Image-driven page', description: 'Image-heavy patterns.', preferredSections: ['hero-banner','image-split','image-quote','floating-cards','dual-panels','image-fade','image-mosaic','stat-grid','cta-band'] },
         ];
       }
@@ -286,9 +661,15 @@
       inputSubtitle.value = page.subtitle ?? '';
       renderTemplateOptions();
       renderTemplateInfo();
+      renderSeo();
       inputSections.value = JSON.stringify(page.sections, null, 2);
+      renderImageFields();
       inputLegacyBody.value = page.legacyBody ?? '';
+      scheduleAudit();
       renderPreviewSummary();
+      renderPublishState();
+      pageCard.hidden = slug === '';
+      moveSlugInput.value = slug;
       renderVersions(versions);
       renderEmpty();
     } catch (err) {
@@ -297,7 +678,280 @@
     }
   }
 
-  inputTemplate.addEventListener('change', renderTemplateInfo);
+  inputTemplate.addEventListener('change', () => {
+    renderTemplateInfo();
+    scheduleAudit();
+  });
+
+  // ---------- Images --------------------------------------------------------
+  // Any object with a `src` in the sections JSON is an image field
+  // (imageSchema in src/lib/sections.ts: { src, alt, caption? }).
+  function findImageFields(value, path = [], out = []) {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => findImageFields(v, [...path, i], out));
+    } else if (value && typeof value === 'object') {
+      if (typeof value.src === 'string' && path.length > 1) out.push({ path, image: value });
+      else for (const [k, v] of Object.entries(value)) findImageFields(v, [...path, k], out);
+    }
+    return out;
+  }
+
+  function imageFieldLabel(sections, path) {
+    const parts = [(path[0] + 1) + '. ' + (sections[path[0]]?.kind || '?')];
+    for (let i = 1; i < path.length; i++) {
+      const key = path[i];
+      if (typeof key === 'number') parts[parts.length - 1] += ' ' + (key + 1);
+      else parts.push(key);
+    }
+    return parts.join(' › ');
+  }
+
+  function renderImageFields() {
+    imageFieldsList.innerHTML = '';
+    let sections;
+    try {
+      sections = JSON.parse(inputSections.value);
+      if (!Array.isArray(sections)) throw new Error('not an array');
+    } catch {
+      imageFieldsList.innerHTML = '<li class="admin-dim">Fix the sections JSON to edit images.</li>';
+      return;
+    }
+    const fields = findImageFields(sections);
+    if (fields.length === 0) {
+      imageFieldsList.innerHTML = '<li class="admin-dim">No image fields in these sections.</li>';
+      return;
+    }
+    for (const { path, image } of fields) {
+      const li = document.createElement('li');
+      li.className = 'image-field';
+      li.innerHTML =
+        '<div class="image-field__thumb"></div>' +
+        '<div class="image-field__text"><strong></strong><span class="admin-dim"></span></div>' +
+        '<button type="button" class="admin-btn admin-btn--ghost">Choose…</button>';
+      if (image.src) {
+        const img = document.createElement('img');
+        img.src = image.src;
+        img.alt = '';
+        li.firstElementChild.appendChild(img);
+      }
+      li.querySelector('strong').textContent = imageFieldLabel(sections, path);
+      li.querySelector('span').textContent = image.src
+        ? (image.alt ? '“' + image.alt + '”' : 'No alt text') + ' · ' + image.src
+        : 'Empty — choose an image';
+      li.querySelector('button').addEventListener('click', () => chooseImage(path));
+      imageFieldsList.appendChild(li);
+    }
+  }
+
+  async function chooseImage(path) {
+    const asset = await window.cpMedia.pick();
+    if (!asset) return;
+    // Re-read the JSON: it may have been edited while the picker was open.
+    let sections;
+    try {
+      sections = JSON.parse(inputSections.value);
+    } catch (err) {
+      saveStatus.textContent = 'Invalid JSON: ' + err.message;
+      saveStatus.style.color = 'var(--danger)';
+      return;
+    }
+    const image = path.reduce((obj, key) => (obj == null ? obj : obj[key]), sections);
+    if (!image || typeof image !== 'object') return;
+    image.src = asset.url;
+    if (!image.alt && asset.alt) image.alt = asset.alt;
+    inputSections.value = JSON.stringify(sections, null, 2);
+    renderImageFields();
+    scheduleAudit();
+    saveStatus.textContent = 'Image set. Save to keep it.';
+    saveStatus.style.color = 'var(--text-dim)';
+  }
+
+  let imageFieldsTimer = null;
+  inputSections.addEventListener('input', () => {
+    clearTimeout(imageFieldsTimer);
+    imageFieldsTimer = setTimeout(renderImageFields, 400);
+    scheduleAudit();
+  });
+
+  // ---------- Search & social -----------------------------------------------
+  // page.meta, validated by src/lib/seo.ts and rendered by Layout.astro. The
+  // warnings use the lengths search results and social cards show before
+  // cutting text off; the server only enforces hard maximums.
+  const SITE_NAME = 'Truman Heartland Community Foundation';
+  const DEFAULT_DESCRIPTION = 'Truman Heartland Community Foundation connects donors with community needs in Eastern Jackson County and Western Missouri.';
+  const SEO_TITLE_MAX = 60;
+  const SEO_DESCRIPTION_MIN = 50;
+  const SEO_DESCRIPTION_MAX = 160;
+  let seoImage = null; // { src, alt } from the media library
+
+  function renderSeo() {
+    const meta = page.meta || {};
+    seoDescription.value = meta.description || '';
+    seoCanonical.value = meta.canonical || '';
+    seoNoindex.checked = meta.noindex === true;
+    seoImage = meta.ogImage ? { src: meta.ogImage.src, alt: meta.ogImage.alt || '' } : null;
+    seoImageAlt.value = seoImage ? seoImage.alt : '';
+    seoTwitterCard.value = meta.twitterCard || '';
+    renderSeoPreview();
+  }
+
+  /** The meta to save, or null when nothing is set. */
+  function readSeo() {
+    const meta = {};
+    if (seoDescription.value.trim()) meta.description = seoDescription.value.trim();
+    if (seoCanonical.value.trim()) meta.canonical = seoCanonical.value.trim();
+    if (seoNoindex.checked) meta.noindex = true;
+    if (seoImage) meta.ogImage = { src: seoImage.src, alt: seoImageAlt.value.trim() };
+    if (seoTwitterCard.value) meta.twitterCard = seoTwitterCard.value;
+    return Object.keys(meta).length ? meta : null;
+  }
+
+  function seoWarnings(meta, title) {
+    const out = [];
+    const description = meta.description || '';
+    if (title.length > SEO_TITLE_MAX) {
+      out.push(['title', 'The title is ' + title.length + ' characters. Search results show about ' + SEO_TITLE_MAX + ', before the site name.']);
+    }
+    if (!description) {
+      out.push(['description', 'No meta description, so the site-wide one is used. Write one that sums up this page.']);
+    } else if (description.length < SEO_DESCRIPTION_MIN) {
+      out.push(['description', 'The description is only ' + description.length + ' characters. Aim for ' + SEO_DESCRIPTION_MIN + '–' + SEO_DESCRIPTION_MAX + '.']);
+    } else if (description.length > SEO_DESCRIPTION_MAX) {
+      out.push(['description', 'The description is ' + description.length + ' characters. Search results cut it off after about ' + SEO_DESCRIPTION_MAX + '.']);
+    }
+    if (meta.noindex) out.push(['noindex', 'Search engines are asked not to list this page.']);
+    if (meta.canonical) out.push(['canonical', 'Search engines will treat ' + meta.canonical + ' as the main copy of this page.']);
+    if (meta.ogImage && !meta.ogImage.alt) out.push(['image', 'The social image has no alt text.']);
+    if (!meta.ogImage && meta.twitterCard === 'summary_large_image') {
+      out.push(['image', 'A large-image card needs a social image.']);
+    }
+    return out;
+  }
+
+  function renderSeoPreview() {
+    if (!page) return;
+    const meta = readSeo() || {};
+    const title = inputTitle.value.trim();
+
+    seoImageThumb.innerHTML = '';
+    if (seoImage) {
+      const img = document.createElement('img');
+      img.src = seoImage.src;
+      img.alt = '';
+      seoImageThumb.appendChild(img);
+    }
+    seoImageLabel.textContent = seoImage ? seoImage.src : 'None — cards show text only';
+    seoImageClear.hidden = !seoImage;
+    seoImageAltLabel.hidden = !seoImage;
+
+    seoWarningsList.innerHTML = '';
+    for (const [rule, message] of seoWarnings(meta, title)) {
+      const li = document.createElement('li');
+      li.className = 'a11y-issue';
+      li.innerHTML = '<span class="chip chip--warning"></span><span class="a11y-issue__message"></span>';
+      li.querySelector('.chip').textContent = rule;
+      li.querySelector('.a11y-issue__message').textContent = message;
+      seoWarningsList.appendChild(li);
+    }
+
+    const card = meta.twitterCard || (seoImage ? 'summary_large_image' : 'summary');
+    socialCard.classList.toggle('social-card--large', card === 'summary_large_image');
+    const image = socialCard.querySelector('.social-card__image');
+    image.style.backgroundImage = seoImage ? 'url("' + encodeURI(seoImage.src) + '")' : '';
+    document.getElementById('social-card-title').textContent = title + ' | ' + SITE_NAME;
+    document.getElementById('social-card-description').textContent = meta.description || DEFAULT_DESCRIPTION;
+  }
+
+  document.getElementById('seo-image-choose').addEventListener('click', async () => {
+    const asset = await window.cpMedia.pick();
+    if (!asset) return;
+    seoImage = { src: asset.url, alt: asset.alt || '' };
+    if (!seoImageAlt.value.trim()) seoImageAlt.value = seoImage.alt;
+    renderSeoPreview();
+    saveStatus.textContent = 'Social image set. Save to keep it.';
+    saveStatus.style.color = 'var(--text-dim)';
+  });
+
+  seoImageClear.addEventListener('click', () => {
+    seoImage = null;
+    seoImageAlt.value = '';
+    renderSeoPreview();
+  });
+
+  for (const el of [seoDescription, seoCanonical, seoImageAlt, inputTitle]) el.addEventListener('input', renderSeoPreview);
+  for (const el of [seoNoindex, seoTwitterCard]) el.addEventListener('change', renderSeoPreview);
+
+  // ---------- Accessibility -------------------------------------------------
+  // Lints the unsaved content (POST /api/audit/a11y, src/lib/a11y-audit.ts).
+  let auditTimer = null;
+  let auditSeq = 0;
+
+  function scheduleAudit() {
+    clearTimeout(auditTimer);
+    auditTimer = setTimeout(runAudit, 800);
+  }
+
+  async function runAudit() {
+    let sections;
+    try {
+      sections = JSON.parse(inputSections.value);
+      if (!Array.isArray(sections)) throw new Error('not an array');
+    } catch {
+      a11ySummary.textContent = 'Fix the sections JSON to check accessibility.';
+      a11yList.innerHTML = '';
+      return;
+    }
+    // Only the latest request renders; typing can overtake a slow response.
+    const seq = ++auditSeq;
+    try {
+      const res = await fetch('/api/audit/a11y', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          path: page?.path ?? '',
+          template: inputTemplate.value,
+          sections,
+          legacyBody: inputLegacyBody.value,
+        }),
+      });
+      const payload = await res.json().catch(() => ({}));
+      if (seq !== auditSeq) return;
+      if (!res.ok) throw new Error(payload.error ?? String(res.status));
+      renderAudit(payload.issues, sections);
+    } catch (err) {
+      if (seq === auditSeq) a11ySummary.textContent = 'Check failed: ' + err.message;
+    }
+  }
+
+  function renderAudit(issues, sections) {
+    a11yList.innerHTML = '';
+    const errors = issues.filter((i) => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+    a11ySummary.textContent = issues.length === 0
+      ? 'No problems found.'
+      : [
+          errors ? errors + ' error' + (errors === 1 ? '' : 's') : '',
+          warnings ? warnings + ' warning' + (warnings === 1 ? '' : 's') : '',
+        ].filter(Boolean).join(', ');
+    for (const issue of issues) {
+      const li = document.createElement('li');
+      li.className = 'a11y-issue';
+      li.innerHTML =
+        '<span class="chip"></span>' +
+        '<span class="a11y-issue__where"></span>' +
+        '<span class="a11y-issue__message"></span>';
+      const chip = li.querySelector('.chip');
+      chip.classList.add(issue.severity === 'error' ? 'chip--danger' : 'chip--warning');
+      chip.textContent = issue.rule;
+      li.querySelector('.a11y-issue__where').textContent = issue.section === null
+        ? 'Legacy HTML body'
+        : (issue.section + 1) + '. ' + (sections[issue.section]?.kind || '?') + (issue.field ? ' › ' + issue.field : '');
+      li.querySelector('.a11y-issue__message').textContent = issue.message;
+      a11yList.appendChild(li);
+    }
+  }
+
+  inputLegacyBody.addEventListener('input', scheduleAudit);
 
   // ---------- Save ----------------------------------------------------------
   document.getElementById('edit-form').addEventListener('submit', async (e) => {
@@ -317,6 +971,7 @@
       title: inputTitle.value,
       subtitle: inputSubtitle.value || null,
       template: inputTemplate.value,
+      meta: readSeo(),
       sections,
       legacyBody: inputLegacyBody.value,
     };
@@ -347,11 +1002,15 @@
       inputSubtitle.value = page.subtitle ?? '';
       renderTemplateOptions();
       renderTemplateInfo();
+      renderSeo();
       inputSections.value = JSON.stringify(page.sections, null, 2);
+      renderImageFields();
       inputLegacyBody.value = page.legacyBody ?? '';
+      scheduleAudit();
       titleEl.textContent = page.title;
       templateChipEl.textContent = page.template;
       renderPreviewSummary();
+      renderPublishState();
     }
     if (versionsRes.ok) {
       const { versions } = await versionsRes.json();
@@ -360,7 +1019,7 @@
   }
 
   async function revertTo(versionId) {
-    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return false;
     const res = await fetch('/api/pages/' + slugPath + '/revert', {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
@@ -369,9 +1028,10 @@
     if (!res.ok) {
       const payload = await res.json().catch(() => ({}));
       alert('Revert failed: ' + (payload.error ?? res.status));
-      return;
+      return false;
     }
     await reload();
+    return true;
   }
 
   // ---------- Chat ----------------------------------------------------------
@@ -387,29 +1047,41 @@
     chatFeed.scrollTop = chatFeed.scrollHeight;
   }
 
-  function appendAssistant({ text, activity, proposals }) {
+  const READ_ONLY_TOOLS = ['get_page', 'list_pages', 'list_templates', 'describe_images'];
+
+  // An assistant bubble that fills in as the turn streams: text, then one
+  // activity line per tool call, then Apply / Undo buttons once it's done.
+  function startAssistant() {
     if (chatEmpty && chatEmpty.parentNode) chatEmpty.remove();
     const wrap = document.createElement('div');
     wrap.className = 'chat-msg chat-msg--assistant';
     const bubble = document.createElement('div');
     bubble.className = 'chat-msg__bubble';
-
     const textEl = document.createElement('div');
-    if (text) textEl.textContent = text;
-    if (textEl.textContent) bubble.appendChild(textEl);
-
-    if (activity && activity.length > 0) {
-      const ul = document.createElement('ul');
-      ul.className = 'chat-msg__activity';
-      for (const a of activity) {
-        const li = document.createElement('li');
-        li.className = 'status-' + a.status;
-        li.textContent = a.detail ? a.label + ' — ' + a.detail : a.label;
-        ul.appendChild(li);
-      }
-      bubble.appendChild(ul);
+    textEl.className = 'chat-msg__text';
+    const ul = document.createElement('ul');
+    ul.className = 'chat-msg__activity';
+    bubble.append(textEl, ul);
+    wrap.appendChild(bubble);
+    chatFeed.appendChild(wrap);
+    chatFeed.scrollTop = chatFeed.scrollHeight;
+    return { bubble, textEl, ul, items: new Map() };
+  }
+
+  function setActivity(view, toolUseId, { label, detail, status }) {
+    let li = view.items.get(toolUseId);
+    if (!li) {
+      li = document.createElement('li');
+      view.items.set(toolUseId, li);
+      view.ul.appendChild(li);
     }
+    li.className = 'status-' + status;
+    li.textContent = detail ? label + ' — ' + detail : label;
+    chatFeed.scrollTop = chatFeed.scrollHeight;
+  }
 
+  function finishAssistant(view, { activity, proposals }) {
+    const { bubble } = view;
     const actions = document.createElement('div');
     actions.className = 'chat-msg__actions';
     if (proposals && proposals.length > 0) {
@@ -419,6 +1091,7 @@
         summary.style.fontSize = '.85rem';
         summary.textContent = p.summary;
         bubble.appendChild(summary);
+        if (p.kind === 'describe-images') bubble.appendChild(renderImageDescriptions(p.images));
         const apply = document.createElement('button');
         apply.type = 'button';
         apply.className = 'apply';
@@ -451,10 +1124,7 @@
         actions.append(apply, cancel);
       }
     }
-    const hasCommittedWrite = (activity || []).some((a) =>
-      a.status === 'ok' && !['get_page', 'list_pages', 'list_templates'].includes(a.label)
-    );
-    if (hasCommittedWrite) {
+    if (hasCommittedWrite(activity)) {
       const undo = document.createElement('button');
       undo.type = 'button';
       undo.className = 'danger';
@@ -482,51 +1152,151 @@
       actions.appendChild(undo);
     }
     if (actions.childElementCount > 0) bubble.appendChild(actions);
-
-    wrap.appendChild(bubble);
-    chatFeed.appendChild(wrap);
     chatFeed.scrollTop = chatFeed.scrollHeight;
   }
 
+  function appendAssistant({ text, activity, proposals }) {
+    const view = startAssistant();
+    view.textEl.textContent = text || '';
+    for (const a of activity || []) setActivity(view, a.toolUseId, a);
+    finishAssistant(view, { activity, proposals });
+  }
+
+  // The alt text (and caption) a describe_images proposal would set, per image.
+  function renderImageDescriptions(images) {
+    const list = document.createElement('ul');
+    list.className = 'chat-msg__images';
+    for (const d of images || []) {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'admin-dim';
+      label.textContent = d.label;
+      const alt = document.createElement('div');
+      alt.textContent = d.alt ? 'Alt: ' + d.alt : 'Alt: (empty, decorative)';
+      li.append(label, alt);
+      if (d.caption) {
+        const caption = document.createElement('div');
+        caption.textContent = 'Caption: ' + d.caption;
+        li.appendChild(caption);
+      }
+      list.appendChild(li);
+    }
+    return list;
+  }
+
+  function hasCommittedWrite(activity) {
+    return (activity || []).some((a) => a.status === 'ok' && !READ_ONLY_TOOLS.includes(a.label));
+  }
+
+  // Read a text/event-stream response body, calling onEvent(type, data) per event.
+  async function readEvents(res, onEvent) {
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        let type = 'message';
+        let data = '';
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('event: ')) type = line.slice(7);
+          else if (line.startsWith('data: ')) data += line.slice(6);
+        }
+        onEvent(type, data ? JSON.parse(data) : {});
+      }
+    }
+  }
+
+  let chatAbort = null;
+
   async function sendMessage(text) {
     appendUser(text);
     chatHistory.push({ role: 'user', content: text });
-    chatSend.disabled = true;
+    chatAbort = new AbortController();
     chatInput.disabled = true;
-    chatSend.textContent = 'Thinking…';
+    chatInput.value = '';
+    chatSend.textContent = 'Stop';
+
+    const view = startAssistant();
+    view.bubble.classList.add('is-streaming');
+    const activity = [];
+    const proposals = [];
+    let shown = '';       // all text streamed this turn
+    let unrecorded = '';  // text not yet covered by a `messages` event
+    let failed = null;
+    const showText = (delta) => {
+      shown += delta;
+      unrecorded += delta;
+      view.textEl.textContent = shown;
+      chatFeed.scrollTop = chatFeed.scrollHeight;
+    };
+
     try {
       const res = await fetch('/api/chat', {
         method: 'POST',
-        headers: { 'content-type': 'application/json' },
+        headers: { 'content-type': 'application/json', accept: 'text/event-stream' },
         body: JSON.stringify({ slug, messages: chatHistory }),
+        signal: chatAbort.signal,
       });
-      const payload = await res.json();
       if (!res.ok) {
-        appendAssistant({ text: 'Error: ' + (payload.error ?? res.status), activity: [], proposals: [] });
-        return;
-      }
-      for (const m of payload.messages) chatHistory.push(m);
-      const finalAssistant = [...payload.messages].reverse().find((m) => m.role === 'assistant');
-      const finalText = finalAssistant && Array.isArray(finalAssistant.content)
-        ? finalAssistant.content.filter((b) => b.type === 'text').map((b) => b.text).join('\n')
-        : '';
-      appendAssistant({ text: finalText, activity: payload.activity, proposals: payload.proposals });
-      if ((payload.activity || []).some((a) => a.status === 'ok' && !['get_page','list_pages','list_templates'].includes(a.label))) {
-        await reload();
+        const payload = await res.json().catch(() => ({}));
+        failed = 'Error: ' + (payload.error ?? res.status);
+      } else {
+        await readEvents(res, (type, data) => {
+          if (type === 'text') {
+            // Separate text from successive model calls.
+            if (shown && !unrecorded) showText('\n\n');
+            showText(data.delta);
+          } else if (type === 'tool_start') {
+            setActivity(view, data.toolUseId, { label: data.name + '…', status: 'running' });
+          } else if (type === 'activity') {
+            activity.push(data.activity);
+            setActivity(view, data.activity.toolUseId, data.activity);
+          } else if (type === 'proposal') {
+            proposals.push(data.proposal);
+          } else if (type === 'messages') {
+            for (const m of data.messages) chatHistory.push(m);
+            unrecorded = '';
+          } else if (type === 'error') {
+            failed = 'Error: ' + data.error;
+          }
+        });
       }
     } catch (err) {
-      appendAssistant({ text: 'Network error: ' + (err.message || err), activity: [], proposals: [] });
-    } finally {
-      chatSend.disabled = false;
-      chatInput.disabled = false;
-      chatSend.textContent = 'Send';
-      chatInput.value = '';
-      chatInput.focus();
+      if (err.name !== 'AbortError') failed = 'Network error: ' + (err.message || err);
+    }
+
+    if (chatAbort.signal.aborted) {
+      // Keep user/assistant turns alternating: close the turn with whatever
+      // text the editor saw before stopping.
+      chatHistory.push({ role: 'assistant', content: [{ type: 'text', text: unrecorded.trim() || '(stopped)' }] });
+      showText((shown ? '\n\n' : '') + '(Stopped.)');
+    } else if (failed) {
+      showText((shown ? '\n\n' : '') + failed);
     }
+    // Tools still running show as stopped rather than spinning forever.
+    for (const li of view.ul.querySelectorAll('.status-running')) li.className = 'status-error';
+    view.bubble.classList.remove('is-streaming');
+    finishAssistant(view, { activity, proposals });
+
+    chatAbort = null;
+    chatInput.disabled = false;
+    chatSend.textContent = 'Send';
+    chatInput.focus();
+    if (hasCommittedWrite(activity)) await reload();
   }
 
   chatForm.addEventListener('submit', (e) => {
     e.preventDefault();
+    // While a turn is streaming the Send button is a Stop button.
+    if (chatAbort) {
+      chatAbort.abort();
+      return;
+    }
     const text = chatInput.value.trim();
     if (!text) return;
     void sendMessage(text);
@@ -0,0 +1,270 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're creating an event; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // ---------- State ---------------------------------------------------------
+  let event = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('event-heading');
+  const pathEl = document.getElementById('event-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputTitle = document.getElementById('input-title');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputSummary = document.getElementById('input-summary');
+  const inputCategory = document.getElementById('input-category');
+  const inputDescription = document.getElementById('input-description');
+  const inputStartDate = document.getElementById('input-start-date');
+  const inputStartTime = document.getElementById('input-start-time');
+  const inputEndDate = document.getElementById('input-end-date');
+  const inputEndTime = document.getElementById('input-end-time');
+  const inputVenue = document.getElementById('input-venue');
+  const inputAddress = document.getElementById('input-address');
+  const inputRegistrationUrl = document.getElementById('input-registration-url');
+  const inputImage = document.getElementById('input-image');
+  const imagePreview = document.getElementById('image-preview');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/events/' + (inputSlug.value || '…');
+  }
+
+  function suggestSlug() {
+    if (event || slugTouched) return;
+    inputSlug.value = slugify(inputTitle.value);
+    renderSlugPreview();
+  }
+
+  function renderImagePreview() {
+    const src = inputImage.value.trim();
+    if (!src) { imagePreview.hidden = true; imagePreview.removeAttribute('src'); return; }
+    imagePreview.src = src;
+    imagePreview.hidden = false;
+  }
+
+  /** Fill the category datalist with the categories already in use. */
+  async function loadCategories() {
+    const res = await fetch('/api/events');
+    if (!res.ok) return;
+    const { events } = await res.json();
+    const list = document.getElementById('category-options');
+    list.innerHTML = '';
+    for (const c of [...new Set(events.map((e) => e.category).filter(Boolean))].sort()) list.appendChild(new Option(c));
+  }
+
+  // ---------- Render --------------------------------------------------------
+  function renderEvent() {
+    headingEl.textContent = event.title;
+    pathEl.textContent = '/events/' + event.slug;
+    viewLive.href = '/events/' + event.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+
+    inputTitle.value = event.title;
+    inputSlug.value = event.slug;
+    inputSummary.value = event.summary ?? '';
+    inputCategory.value = event.category ?? '';
+    inputDescription.value = event.description ?? '';
+    inputStartDate.value = event.startDate;
+    inputStartTime.value = event.startTime ?? '';
+    inputEndDate.value = event.endDate ?? '';
+    inputEndTime.value = event.endTime ?? '';
+    inputVenue.value = event.venue ?? '';
+    inputAddress.value = event.address ?? '';
+    inputRegistrationUrl.value = event.registrationUrl ?? '';
+    inputImage.value = event.image ?? '';
+    renderImagePreview();
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    void loadCategories();
+    try {
+      if (!slug) {
+        headingEl.textContent = 'New event';
+        pathEl.textContent = '/events/…';
+        renderSlugPreview();
+        inputTitle.focus();
+        return;
+      }
+
+      const [eventRes, versionsRes] = await Promise.all([
+        fetch('/api/events/' + slugPath()),
+        fetch('/api/events/' + slugPath() + '/versions'),
+      ]);
+      if (eventRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (eventRes.status === 404) { headingEl.textContent = 'Event not found'; return; }
+      if (!eventRes.ok) {
+        headingEl.textContent = 'Error loading event (status ' + eventRes.status + ')';
+        return;
+      }
+      event = (await eventRes.json()).event;
+      renderEvent();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading event';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [eventRes, versionsRes] = await Promise.all([
+      fetch('/api/events/' + slugPath()),
+      fetch('/api/events/' + slugPath() + '/versions'),
+    ]);
+    if (eventRes.ok) {
+      event = (await eventRes.json()).event;
+      renderEvent();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputTitle.addEventListener('input', suggestSlug);
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+  inputImage.addEventListener('change', renderImagePreview);
+  imagePreview.addEventListener('error', () => { imagePreview.hidden = true; });
+
+  document.getElementById('choose-image').addEventListener('click', async () => {
+    const asset = await window.cpMedia.pick();
+    if (!asset) return;
+    inputImage.value = asset.url;
+    renderImagePreview();
+    setStatus('Image chosen. Save to keep it.', 'var(--text-dim)');
+  });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      title: inputTitle.value,
+      summary: inputSummary.value,
+      category: inputCategory.value,
+      description: inputDescription.value,
+      startDate: inputStartDate.value,
+      startTime: inputStartTime.value,
+      endDate: inputEndDate.value,
+      endTime: inputEndTime.value,
+      venue: inputVenue.value,
+      address: inputAddress.value,
+      registrationUrl: inputRegistrationUrl.value,
+      image: inputImage.value,
+    };
+    const creating = !event;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/events' : '/api/events/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/event-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!event) return;
+    if (!confirm('Delete “' + event.title + '”? It disappears from the site and the calendar feed on the next rebuild. Version history is kept.')) return;
+    const res = await fetch('/api/events/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/events';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/events/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
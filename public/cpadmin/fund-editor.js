@@ -0,0 +1,251 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're creating a fund; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // The foundation's usual fund types, offered alongside any already in use.
+  const STANDARD_TYPES = [
+    'Designated Fund',
+    'Donor Advised Fund',
+    'Field of Interest Fund',
+    'Scholarship Fund',
+    'Agency Endowment Fund',
+    'Unrestricted Fund',
+  ];
+
+  // ---------- State ---------------------------------------------------------
+  let fund = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('fund-heading');
+  const pathEl = document.getElementById('fund-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputName = document.getElementById('input-name');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputType = document.getElementById('input-type');
+  const inputEstablishedYear = document.getElementById('input-established-year');
+  const inputDonateUrl = document.getElementById('input-donate-url');
+  const giveHint = document.getElementById('give-hint');
+  const givePath = document.getElementById('give-path');
+  const inputFocusArea = document.getElementById('input-focus-area');
+  const inputDescription = document.getElementById('input-description');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/funds/' + (inputSlug.value || '…');
+  }
+
+  function suggestSlug() {
+    if (fund || slugTouched) return;
+    inputSlug.value = slugify(inputName.value);
+    renderSlugPreview();
+  }
+
+  /** Fill the datalists with the spellings already in use. */
+  async function loadSuggestions() {
+    const res = await fetch('/api/funds');
+    if (!res.ok) return;
+    const { types, focusAreas } = await res.json();
+    const fill = (id, values) => {
+      const list = document.getElementById(id);
+      list.innerHTML = '';
+      for (const v of [...new Set(values.filter(Boolean))].sort()) list.appendChild(new Option(v));
+    };
+    fill('type-options', [...STANDARD_TYPES, ...types]);
+    fill('focus-area-options', focusAreas);
+  }
+
+  // ---------- Render --------------------------------------------------------
+  function renderFund() {
+    headingEl.textContent = fund.name;
+    pathEl.textContent = '/funds/' + fund.slug;
+    viewLive.href = '/funds/' + fund.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+    givePath.textContent = location.origin + '/funds/' + fund.slug + '/give';
+    giveHint.hidden = false;
+
+    inputName.value = fund.name;
+    inputSlug.value = fund.slug;
+    inputType.value = fund.type;
+    inputEstablishedYear.value = fund.establishedYear ?? '';
+    inputDonateUrl.value = fund.donateUrl ?? '';
+    inputFocusArea.value = fund.focusArea ?? '';
+    inputDescription.value = fund.description ?? '';
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    void loadSuggestions();
+    try {
+      if (!slug) {
+        headingEl.textContent = 'New fund';
+        pathEl.textContent = '/funds/…';
+        renderSlugPreview();
+        inputName.focus();
+        return;
+      }
+
+      const [fundRes, versionsRes] = await Promise.all([
+        fetch('/api/funds/' + slugPath()),
+        fetch('/api/funds/' + slugPath() + '/versions'),
+      ]);
+      if (fundRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (fundRes.status === 404) { headingEl.textContent = 'Fund not found'; return; }
+      if (!fundRes.ok) {
+        headingEl.textContent = 'Error loading fund (status ' + fundRes.status + ')';
+        return;
+      }
+      fund = (await fundRes.json()).fund;
+      renderFund();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading fund';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [fundRes, versionsRes] = await Promise.all([
+      fetch('/api/funds/' + slugPath()),
+      fetch('/api/funds/' + slugPath() + '/versions'),
+    ]);
+    if (fundRes.ok) {
+      fund = (await fundRes.json()).fund;
+      renderFund();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputName.addEventListener('input', suggestSlug);
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      name: inputName.value,
+      type: inputType.value,
+      focusArea: inputFocusArea.value,
+      establishedYear: inputEstablishedYear.value === '' ? null : Number(inputEstablishedYear.value),
+      donateUrl: inputDonateUrl.value,
+      description: inputDescription.value,
+    };
+    const creating = !fund;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/funds' : '/api/funds/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/fund-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!fund) return;
+    if (!confirm('Delete “' + fund.name + '”? It disappears from the directory on the next rebuild and its giving link forwards to /funds. Version history is kept.')) return;
+    const res = await fetch('/api/funds/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/funds';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/funds/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
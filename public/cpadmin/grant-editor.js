@@ -0,0 +1,244 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're creating a grant; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // ---------- State ---------------------------------------------------------
+  let grant = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('grant-heading');
+  const pathEl = document.getElementById('grant-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputRecipient = document.getElementById('input-recipient');
+  const inputYear = document.getElementById('input-year');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputProgram = document.getElementById('input-program');
+  const inputAmount = document.getElementById('input-amount');
+  const inputFocusArea = document.getElementById('input-focus-area');
+  const inputCounty = document.getElementById('input-county');
+  const inputDescription = document.getElementById('input-description');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/grants/' + (inputSlug.value || '…');
+  }
+
+  // The same recipient is often funded year after year, so the year leads the slug.
+  function suggestSlug() {
+    if (grant || slugTouched) return;
+    inputSlug.value = slugify([inputYear.value, inputRecipient.value].filter(Boolean).join(' '));
+    renderSlugPreview();
+  }
+
+  /** Fill the datalists with the spellings already in use. */
+  async function loadSuggestions() {
+    const res = await fetch('/api/grants');
+    if (!res.ok) return;
+    const { grants } = await res.json();
+    const fill = (id, values) => {
+      const list = document.getElementById(id);
+      list.innerHTML = '';
+      for (const v of [...new Set(values.filter(Boolean))].sort()) list.appendChild(new Option(v));
+    };
+    fill('program-options', grants.map((g) => g.program));
+    fill('focus-area-options', grants.map((g) => g.focusArea));
+    fill('county-options', grants.map((g) => g.county));
+  }
+
+  // ---------- Render --------------------------------------------------------
+  function renderGrant() {
+    headingEl.textContent = grant.recipient + ' (' + grant.year + ')';
+    pathEl.textContent = '/grants/' + grant.slug;
+    viewLive.href = '/grants/' + grant.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+
+    inputRecipient.value = grant.recipient;
+    inputYear.value = grant.year;
+    inputSlug.value = grant.slug;
+    inputProgram.value = grant.program;
+    inputAmount.value = grant.amount ?? '';
+    inputFocusArea.value = grant.focusArea ?? '';
+    inputCounty.value = grant.county ?? '';
+    inputDescription.value = grant.description ?? '';
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    void loadSuggestions();
+    try {
+      if (!slug) {
+        headingEl.textContent = 'New grant';
+        pathEl.textContent = '/grants/…';
+        inputYear.value = new Date().getFullYear();
+        suggestSlug();
+        inputRecipient.focus();
+        return;
+      }
+
+      const [grantRes, versionsRes] = await Promise.all([
+        fetch('/api/grants/' + slugPath()),
+        fetch('/api/grants/' + slugPath() + '/versions'),
+      ]);
+      if (grantRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (grantRes.status === 404) { headingEl.textContent = 'Grant not found'; return; }
+      if (!grantRes.ok) {
+        headingEl.textContent = 'Error loading grant (status ' + grantRes.status + ')';
+        return;
+      }
+      grant = (await grantRes.json()).grant;
+      renderGrant();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading grant';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [grantRes, versionsRes] = await Promise.all([
+      fetch('/api/grants/' + slugPath()),
+      fetch('/api/grants/' + slugPath() + '/versions'),
+    ]);
+    if (grantRes.ok) {
+      grant = (await grantRes.json()).grant;
+      renderGrant();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputRecipient.addEventListener('input', suggestSlug);
+  inputYear.addEventListener('input', suggestSlug);
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      recipient: inputRecipient.value,
+      year: Number(inputYear.value),
+      program: inputProgram.value,
+      amount: inputAmount.value === '' ? null : Number(inputAmount.value),
+      focusArea: inputFocusArea.value,
+      county: inputCounty.value,
+      description: inputDescription.value,
+    };
+    const creating = !grant;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/grants' : '/api/grants/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/grant-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!grant) return;
+    if (!confirm('Delete the ' + grant.year + ' grant to “' + grant.recipient + '”? It disappears from the directory on the next rebuild. Version history is kept.')) return;
+    const res = await fetch('/api/grants/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/grants';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/grants/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
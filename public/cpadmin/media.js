@@ -0,0 +1,140 @@
+// Shared media library client: used by /cpadmin/media and by the image
+// picker in the page editor. Exposes window.cpMedia.
+(() => {
+  async function api(url, init) {
+    const res = await fetch(url, init);
+    if (res.status === 401) {
+      location.href = '/cpadmin/login';
+      throw new Error('signed out');
+    }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(payload.error ?? String(res.status));
+    return payload;
+  }
+
+  function list({ search = '', limit = 60, offset = 0 } = {}) {
+    const qs = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+    if (search) qs.set('search', search);
+    return api('/api/assets?' + qs);
+  }
+
+  /** Upload files one at a time; resolves to the created (or existing) assets. */
+  async function upload(files, alt) {
+    const assets = [];
+    for (const file of files) {
+      const form = new FormData();
+      form.append('file', file);
+      if (alt) form.append('alt', alt);
+      const { asset } = await api('/api/assets', { method: 'POST', body: form });
+      assets.push(asset);
+    }
+    return assets;
+  }
+
+  function formatSize(bytes) {
+    if (bytes == null) return '';
+    return bytes < 1024 * 1024 ? Math.round(bytes / 1024) + ' KB' : (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  function filename(asset) {
+    return asset.r2Key.split('/').pop();
+  }
+
+  /** A thumbnail tile: image, file name, dimensions and size. */
+  function tile(asset) {
+    const el = document.createElement('div');
+    el.className = 'media-tile';
+    el.innerHTML =
+      '<div class="media-tile__thumb"><img loading="lazy" alt=""></div>' +
+      '<div class="media-tile__name"></div>' +
+      '<div class="media-tile__meta admin-dim"></div>';
+    const img = el.querySelector('img');
+    img.src = asset.url;
+    img.alt = asset.alt || '';
+    el.querySelector('.media-tile__name').textContent = filename(asset);
+    el.querySelector('.media-tile__name').title = asset.r2Key;
+    const dims = asset.width && asset.height ? asset.width + '×' + asset.height : '';
+    el.querySelector('.media-tile__meta').textContent = [dims, formatSize(asset.sizeBytes)].filter(Boolean).join(' · ');
+    return el;
+  }
+
+  // ---------- Picker ------------------------------------------------------
+  let dialog = null;
+
+  function buildDialog() {
+    dialog = document.createElement('dialog');
+    dialog.className = 'media-picker';
+    dialog.innerHTML =
+      '<div class="media-picker__head">' +
+      '  <h2>Choose an image</h2>' +
+      '  <form class="admin-search" data-role="search"><input type="search" placeholder="Search alt text or file name…"></form>' +
+      '  <label class="admin-btn admin-btn--ghost media-picker__upload">Upload…<input type="file" accept="image/*" hidden></label>' +
+      '  <button type="button" class="admin-btn admin-btn--ghost" data-role="close">Cancel</button>' +
+      '</div>' +
+      '<p class="admin-dim" data-role="status"></p>' +
+      '<div class="media-grid" data-role="grid"></div>';
+    document.body.appendChild(dialog);
+    dialog.querySelector('[data-role="close"]').addEventListener('click', () => dialog.close(''));
+    return dialog;
+  }
+
+  /**
+   * Open the picker. Resolves to the chosen asset, or null if cancelled.
+   * Uploading from the picker picks the uploaded image.
+   */
+  function pick() {
+    const dlg = dialog || buildDialog();
+    const grid = dlg.querySelector('[data-role="grid"]');
+    const status = dlg.querySelector('[data-role="status"]');
+    const searchForm = dlg.querySelector('[data-role="search"]');
+    const searchInput = searchForm.querySelector('input');
+    const fileInput = dlg.querySelector('input[type="file"]');
+    let chosen = null;
+
+    async function load() {
+      status.textContent = 'Loading…';
+      try {
+        const { assets, total } = await list({ search: searchInput.value.trim() });
+        grid.innerHTML = '';
+        for (const asset of assets) {
+          const el = tile(asset);
+          el.tabIndex = 0;
+          el.classList.add('media-tile--pickable');
+          const choose = () => { chosen = asset; dlg.close('picked'); };
+          el.addEventListener('click', choose);
+          el.addEventListener('keydown', (e) => { if (e.key === 'Enter') choose(); });
+          grid.appendChild(el);
+        }
+        status.textContent = total === 0
+          ? 'No images yet. Upload one to get started.'
+          : total > assets.length ? 'Showing ' + assets.length + ' of ' + total + '. Search to narrow it down.' : '';
+      } catch (err) {
+        status.textContent = 'Error: ' + err.message;
+      }
+    }
+
+    searchForm.onsubmit = (e) => { e.preventDefault(); void load(); };
+    fileInput.onchange = async () => {
+      if (!fileInput.files.length) return;
+      status.textContent = 'Uploading…';
+      try {
+        const [asset] = await upload([fileInput.files[0]]);
+        chosen = asset;
+        dlg.close('picked');
+      } catch (err) {
+        status.textContent = 'Upload failed: ' + err.message;
+      } finally {
+        fileInput.value = '';
+      }
+    };
+
+    return new Promise((resolve) => {
+      dlg.addEventListener('close', () => resolve(dlg.returnValue === 'picked' ? chosen : null), { once: true });
+      dlg.returnValue = '';
+      dlg.showModal();
+      void load();
+    });
+  }
+
+  window.cpMedia = { api, list, upload, tile, pick, formatSize, filename };
+})();
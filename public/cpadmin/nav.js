@@ -0,0 +1,380 @@
+// /cpadmin/nav: edit the header menus (src/lib/nav.ts) as a tree. Changes
+// stay in the page until Save, which PUTs every menu to /api/nav.
+(() => {
+  const MENUS = ['utility', 'audiences', 'main'];
+  const KIND_LABELS = {
+    item: 'Item', featured: 'Featured box', card: 'Card', box: 'Box', group: 'Group', cta: 'Button', link: 'Link',
+  };
+  // Which fields the form shows per kind.
+  const FIELDS = {
+    item: ['href', 'layout', 'cardsHeading', 'external'],
+    featured: ['href', 'description', 'image'],
+    card: ['href', 'description', 'image'],
+    box: ['href', 'description', 'image'],
+    group: [],
+    cta: ['href'],
+    link: ['href', 'badge', 'highlight', 'external'],
+  };
+
+  let menus = { utility: [], audiences: [], main: [] };
+  let rules = { children: {}, layouts: [] };
+  let broken = new Set();
+  let selected = null;
+  let dragged = null;
+  let dirty = false;
+
+  const sub = document.getElementById('sub');
+  const saveBtn = document.getElementById('save-btn');
+  const saveStatus = document.getElementById('save-status');
+  const brokenCard = document.getElementById('broken-card');
+  const brokenList = document.getElementById('broken-list');
+  const nodeHeading = document.getElementById('node-heading');
+  const nodeEmpty = document.getElementById('node-empty');
+  const form = document.getElementById('node-form');
+  const addChildren = document.getElementById('add-children');
+
+  async function api(url, init) {
+    const res = await fetch(url, init);
+    if (res.status === 401) {
+      location.href = '/cpadmin/login';
+      throw new Error('signed out');
+    }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(payload.error ?? String(res.status));
+      err.payload = payload;
+      throw err;
+    }
+    return payload;
+  }
+
+  function newNode(kind) {
+    return {
+      kind, label: '', href: null, description: null, image: null, badge: null,
+      highlight: false, external: false, layout: null, cardsHeading: null, children: [],
+    };
+  }
+
+  // ---------- Tree helpers ------------------------------------------------
+
+  /** { list, index, parent, menu } for a node, parent null at the top level. */
+  function locate(node) {
+    for (const menu of MENUS) {
+      const found = search(menus[menu], null, menu);
+      if (found) return found;
+    }
+    return null;
+    function search(list, parent, menu) {
+      const index = list.indexOf(node);
+      if (index !== -1) return { list, index, parent, menu };
+      for (const child of list) {
+        const found = search(child.children, child, menu);
+        if (found) return found;
+      }
+      return null;
+    }
+  }
+
+  function contains(ancestor, node) {
+    return ancestor === node || ancestor.children.some((c) => contains(c, node));
+  }
+
+  /** Whether `node` may sit in `list` (whose owner is `parent`, or a menu's top level). */
+  function fits(node, parent, menu) {
+    if (parent === null) return node.kind === 'item' && (menu !== 'utility' || node.children.length === 0);
+    if (menu === 'utility') return false;
+    if (!(rules.children[parent.kind] || []).includes(node.kind)) return false;
+    if ((node.kind === 'featured' || node.kind === 'cta') && parent.children.some((c) => c !== node && c.kind === node.kind)) return false;
+    return true;
+  }
+
+  function markDirty() {
+    dirty = true;
+    saveBtn.disabled = false;
+    saveStatus.textContent = 'Unsaved changes';
+    saveStatus.style.color = '';
+  }
+
+  // ---------- Rendering ---------------------------------------------------
+
+  function render() {
+    for (const menu of MENUS) {
+      const root = document.querySelector(`.nav-tree[data-menu="${menu}"]`);
+      root.replaceChildren(...menus[menu].map((n) => renderNode(n, menu)));
+      if (menus[menu].length === 0) root.innerHTML = '<li class="admin-dim">Empty.</li>';
+    }
+    renderForm();
+  }
+
+  function renderNode(node, menu) {
+    const li = document.createElement('li');
+    li.className = 'nav-node';
+    const row = document.createElement('div');
+    row.className = 'nav-node__row' + (node === selected ? ' is-selected' : '');
+    row.draggable = true;
+    row.tabIndex = 0;
+
+    const handle = document.createElement('span');
+    handle.className = 'nav-node__handle';
+    handle.textContent = '⋮⋮';
+    handle.setAttribute('aria-hidden', 'true');
+    const kind = document.createElement('span');
+    kind.className = 'chip chip--muted';
+    kind.textContent = KIND_LABELS[node.kind] || node.kind;
+    const label = document.createElement('span');
+    label.className = 'nav-node__label';
+    label.textContent = node.label || (node.kind === 'group' ? '(no heading)' : '(no label)');
+    row.append(handle, kind, label);
+    if (node.href) {
+      const href = document.createElement('span');
+      href.className = 'nav-node__href admin-dim';
+      href.textContent = node.href;
+      row.appendChild(href);
+    }
+    if (node.href && broken.has(node.href)) {
+      const warn = document.createElement('span');
+      warn.className = 'chip chip--danger';
+      warn.textContent = 'broken link';
+      row.appendChild(warn);
+    }
+
+    row.addEventListener('click', () => { selected = node; render(); });
+    row.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); selected = node; render(); }
+    });
+    row.addEventListener('dragstart', (e) => {
+      dragged = node;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', node.label);
+    });
+    row.addEventListener('dragend', () => { dragged = null; clearDropMarks(); });
+    row.addEventListener('dragover', (e) => {
+      const where = dropPosition(e, row, node, menu);
+      if (!where) return;
+      e.preventDefault();
+      clearDropMarks();
+      row.classList.add('drop-' + where);
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-before', 'drop-after', 'drop-inside'));
+    row.addEventListener('drop', (e) => {
+      const where = dropPosition(e, row, node, menu);
+      if (!where) return;
+      e.preventDefault();
+      moveNode(dragged, node, where);
+    });
+
+    li.appendChild(row);
+    if (node.children.length > 0) {
+      const ul = document.createElement('ul');
+      ul.className = 'nav-tree';
+      ul.append(...node.children.map((c) => renderNode(c, menu)));
+      li.appendChild(ul);
+    }
+    return li;
+  }
+
+  /** 'before' | 'after' | 'inside' for a drop on `target`'s row, or null if the dragged node can't go there. */
+  function dropPosition(e, row, target, menu) {
+    if (!dragged || contains(dragged, target)) return null;
+    const rect = row.getBoundingClientRect();
+    const y = (e.clientY - rect.top) / rect.height;
+    const at = locate(target);
+    const canInside = fits(dragged, target, menu);
+    const canBeside = fits(dragged, at.parent, menu);
+    if (canInside && (!canBeside || (y > 0.25 && y < 0.75))) return 'inside';
+    if (canBeside) return y < 0.5 ? 'before' : 'after';
+    return null;
+  }
+
+  function clearDropMarks() {
+    document.querySelectorAll('.drop-before, .drop-after, .drop-inside')
+      .forEach((el) => el.classList.remove('drop-before', 'drop-after', 'drop-inside'));
+  }
+
+  function moveNode(node, target, where) {
+    const from = locate(node);
+    from.list.splice(from.index, 1);
+    if (where === 'inside') {
+      target.children.push(node);
+    } else {
+      const to = locate(target);
+      to.list.splice(to.index + (where === 'after' ? 1 : 0), 0, node);
+    }
+    selected = node;
+    markDirty();
+    render();
+  }
+
+  // ---------- Form --------------------------------------------------------
+
+  function renderForm() {
+    if (!selected || !locate(selected)) {
+      selected = null;
+      form.hidden = true;
+      nodeEmpty.hidden = false;
+      nodeHeading.textContent = 'Edit';
+      return;
+    }
+    const node = selected;
+    const { menu, list, index } = locate(node);
+    form.hidden = false;
+    nodeEmpty.hidden = true;
+    nodeHeading.textContent = 'Edit ' + (KIND_LABELS[node.kind] || node.kind).toLowerCase();
+
+    const shown = new Set(FIELDS[node.kind] || []);
+    // Utility links have no panel, and only they and links use `external`.
+    if (menu === 'utility') { shown.delete('layout'); shown.delete('cardsHeading'); }
+    else if (node.kind === 'item') shown.delete('external');
+    form.querySelectorAll('[data-for]').forEach((el) => { el.hidden = !shown.has(el.dataset.for); });
+
+    form.elements.label.value = node.label;
+    form.elements.href.value = node.href ?? '';
+    form.elements.description.value = node.description ?? '';
+    form.elements.image.value = node.image ?? '';
+    form.elements.layout.value = node.layout ?? '';
+    form.elements.cardsHeading.value = node.cardsHeading ?? '';
+    form.elements.badge.value = node.badge ?? '';
+    form.elements.highlight.checked = node.highlight;
+    form.elements.external.checked = node.external;
+
+    addChildren.replaceChildren();
+    if (menu !== 'utility') {
+      for (const kind of rules.children[node.kind] || []) {
+        if (!fits(newNode(kind), node, menu)) continue;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'admin-btn admin-btn--ghost';
+        btn.textContent = 'Add ' + KIND_LABELS[kind].toLowerCase();
+        btn.addEventListener('click', () => {
+          const child = newNode(kind);
+          node.children.push(child);
+          selected = child;
+          markDirty();
+          render();
+          form.elements.label.focus();
+        });
+        addChildren.appendChild(btn);
+      }
+    }
+    document.getElementById('move-up').disabled = index === 0;
+    document.getElementById('move-down').disabled = index === list.length - 1;
+  }
+
+  form.addEventListener('input', (e) => {
+    if (!selected) return;
+    const el = e.target;
+    const name = el.name;
+    if (el.type === 'checkbox') selected[name] = el.checked;
+    else if (name === 'label') selected.label = el.value;
+    else selected[name] = el.value.trim() === '' ? null : el.value;
+    markDirty();
+    // Re-render the tree only: re-rendering the form would move the caret.
+    const keep = selected;
+    for (const menu of MENUS) {
+      const root = document.querySelector(`.nav-tree[data-menu="${menu}"]`);
+      root.replaceChildren(...menus[menu].map((n) => renderNode(n, menu)));
+    }
+    selected = keep;
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  document.getElementById('choose-image').addEventListener('click', async () => {
+    const asset = await window.cpMedia.pick();
+    if (!asset || !selected) return;
+    selected.image = asset.url;
+    form.elements.image.value = asset.url;
+    markDirty();
+  });
+
+  function shift(delta) {
+    const { list, index } = locate(selected);
+    const to = index + delta;
+    if (to < 0 || to >= list.length) return;
+    list.splice(index, 1);
+    list.splice(to, 0, selected);
+    markDirty();
+    render();
+  }
+  document.getElementById('move-up').addEventListener('click', () => shift(-1));
+  document.getElementById('move-down').addEventListener('click', () => shift(1));
+
+  document.getElementById('delete-node').addEventListener('click', () => {
+    const count = selected.children.length;
+    if (count > 0 && !confirm(`Delete "${selected.label || KIND_LABELS[selected.kind]}" and the ${count} entries inside it?`)) return;
+    const { list, index } = locate(selected);
+    list.splice(index, 1);
+    selected = null;
+    markDirty();
+    render();
+  });
+
+  document.querySelectorAll('[data-add-item]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const node = newNode('item');
+      menus[btn.dataset.addItem].push(node);
+      selected = node;
+      markDirty();
+      render();
+      form.elements.label.focus();
+    });
+  });
+
+  // ---------- Load / save -------------------------------------------------
+
+  function renderBroken(links) {
+    broken = new Set(links.map((b) => b.href));
+    brokenCard.hidden = links.length === 0;
+    brokenList.replaceChildren(...links.map((b) => {
+      const li = document.createElement('li');
+      li.className = 'a11y-issue';
+      li.innerHTML = '<span class="a11y-issue__where"></span> <span class="a11y-issue__message"></span>';
+      li.querySelector('.a11y-issue__where').textContent = b.trail;
+      li.querySelector('.a11y-issue__message').textContent = b.href;
+      return li;
+    }));
+  }
+
+  async function load() {
+    const data = await api('/api/nav');
+    menus = data.menus;
+    rules = data.rules;
+    renderBroken(data.brokenLinks);
+    dirty = false;
+    saveBtn.disabled = true;
+    const count = MENUS.reduce((n, m) => n + menus[m].length, 0);
+    sub.textContent = count === 0
+      ? 'No menus yet. Run `npm run seed-nav` to import the current ones.'
+      : 'Last saved ' + (data.updatedAt ? new Date(data.updatedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+    render();
+  }
+
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    saveStatus.textContent = 'Saving…';
+    saveStatus.style.color = '';
+    try {
+      await api('/api/nav', {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ menus }),
+      });
+      selected = null;
+      await load();
+      saveStatus.textContent = 'Saved. The site updates at the next rebuild.';
+      saveStatus.style.color = 'var(--success)';
+    } catch (err) {
+      if (err.payload?.brokenLinks) { renderBroken(err.payload.brokenLinks); render(); }
+      saveBtn.disabled = false;
+      saveStatus.textContent = 'Save failed: ' + err.message;
+      saveStatus.style.color = 'var(--danger)';
+    }
+  });
+
+  window.addEventListener('beforeunload', (e) => {
+    if (dirty) e.preventDefault();
+  });
+
+  load().catch((err) => {
+    sub.textContent = 'Failed to load: ' + err.message;
+  });
+})();
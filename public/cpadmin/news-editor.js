@@ -0,0 +1,259 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're writing a new article; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // ---------- State ---------------------------------------------------------
+  let article = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('article-heading');
+  const pathEl = document.getElementById('article-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputTitle = document.getElementById('input-title');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputExcerpt = document.getElementById('input-excerpt');
+  const inputBody = document.getElementById('input-body');
+  const inputDate = document.getElementById('input-date');
+  const inputAuthor = document.getElementById('input-author');
+  const inputCategory = document.getElementById('input-category');
+  const categoryOptions = document.getElementById('category-options');
+  const inputFeaturedImage = document.getElementById('input-featured-image');
+  const imagePreview = document.getElementById('featured-image-preview');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  // Stored dates look like "February 04, 2026"; <input type="date"> wants
+  // YYYY-MM-DD. The API converts back on save.
+  function toIsoDate(stored) {
+    if (!stored) return '';
+    const t = new Date(stored);
+    if (Number.isNaN(t.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return t.getFullYear() + '-' + pad(t.getMonth() + 1) + '-' + pad(t.getDate());
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderImagePreview() {
+    const src = inputFeaturedImage.value.trim();
+    if (!src) { imagePreview.hidden = true; imagePreview.removeAttribute('src'); return; }
+    imagePreview.src = src;
+    imagePreview.hidden = false;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/news/' + (inputSlug.value || '…');
+  }
+
+  function renderCategories(categories) {
+    categoryOptions.innerHTML = '';
+    for (const c of categories) {
+      const opt = document.createElement('option');
+      opt.value = c;
+      categoryOptions.appendChild(opt);
+    }
+  }
+
+  function renderArticle() {
+    headingEl.textContent = article.title;
+    pathEl.textContent = '/news/' + article.slug;
+    viewLive.href = '/news/' + article.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+
+    inputTitle.value = article.title;
+    inputSlug.value = article.slug;
+    inputExcerpt.value = article.excerpt ?? '';
+    inputBody.value = article.body ?? '';
+    inputDate.value = toIsoDate(article.date);
+    inputAuthor.value = article.author ?? '';
+    inputCategory.value = article.category ?? '';
+    inputFeaturedImage.value = article.featuredImage ?? '';
+    renderImagePreview();
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    try {
+      // The list route also carries the category vocabulary for the datalist.
+      const listRes = await fetch('/api/news');
+      if (listRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (listRes.ok) renderCategories((await listRes.json()).categories ?? []);
+
+      if (!slug) {
+        headingEl.textContent = 'New article';
+        pathEl.textContent = '/news/…';
+        inputDate.value = toIsoDate(Date.now());
+        renderSlugPreview();
+        inputTitle.focus();
+        return;
+      }
+
+      const [articleRes, versionsRes] = await Promise.all([
+        fetch('/api/news/' + slugPath()),
+        fetch('/api/news/' + slugPath() + '/versions'),
+      ]);
+      if (articleRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (articleRes.status === 404) { headingEl.textContent = 'Article not found'; return; }
+      if (!articleRes.ok) {
+        headingEl.textContent = 'Error loading article (status ' + articleRes.status + ')';
+        return;
+      }
+      article = (await articleRes.json()).article;
+      renderArticle();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading article';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [articleRes, versionsRes] = await Promise.all([
+      fetch('/api/news/' + slugPath()),
+      fetch('/api/news/' + slugPath() + '/versions'),
+    ]);
+    if (articleRes.ok) {
+      article = (await articleRes.json()).article;
+      renderArticle();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputTitle.addEventListener('input', () => {
+    if (article || slugTouched) return;
+    inputSlug.value = slugify(inputTitle.value);
+    renderSlugPreview();
+  });
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+  inputFeaturedImage.addEventListener('change', renderImagePreview);
+  imagePreview.addEventListener('error', () => { imagePreview.hidden = true; });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      title: inputTitle.value,
+      date: inputDate.value || null,
+      author: inputAuthor.value,
+      category: inputCategory.value,
+      featuredImage: inputFeaturedImage.value,
+      excerpt: inputExcerpt.value,
+      body: inputBody.value,
+    };
+    const creating = !article;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/news' : '/api/news/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/news-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!article) return;
+    if (!confirm('Delete “' + article.title + '”? It disappears from the site on the next rebuild. Version history is kept.')) return;
+    const res = await fetch('/api/news/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/news';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/news/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
@@ -0,0 +1,262 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're creating a person; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // ---------- State ---------------------------------------------------------
+  let person = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('person-heading');
+  const pathEl = document.getElementById('person-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputName = document.getElementById('input-name');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputTitle = document.getElementById('input-title');
+  const inputGroup = document.getElementById('input-group');
+  const inputBio = document.getElementById('input-bio');
+  const inputPhoto = document.getElementById('input-photo');
+  const photoPreview = document.getElementById('photo-preview');
+  const inputEmail = document.getElementById('input-email');
+  const inputPhone = document.getElementById('input-phone');
+  const inputTermStart = document.getElementById('input-term-start');
+  const inputTermEnd = document.getElementById('input-term-end');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/people/' + (inputSlug.value || '…');
+  }
+
+  function suggestSlug() {
+    if (person || slugTouched) return;
+    inputSlug.value = slugify(inputName.value);
+    renderSlugPreview();
+  }
+
+  function renderPhotoPreview() {
+    const src = inputPhoto.value.trim();
+    if (!src) { photoPreview.hidden = true; photoPreview.removeAttribute('src'); return; }
+    photoPreview.src = src;
+    photoPreview.hidden = false;
+  }
+
+  /** Fill the group datalist with the groups already in use. */
+  async function loadGroups() {
+    const res = await fetch('/api/people');
+    if (!res.ok) return;
+    const { people } = await res.json();
+    const list = document.getElementById('group-options');
+    list.innerHTML = '';
+    for (const g of [...new Set(people.map((p) => p.group))].sort()) list.appendChild(new Option(g));
+  }
+
+  // ---------- Render --------------------------------------------------------
+  function renderPerson() {
+    headingEl.textContent = person.name;
+    pathEl.textContent = '/people/' + person.slug;
+    viewLive.href = '/people/' + person.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+
+    inputName.value = person.name;
+    inputSlug.value = person.slug;
+    inputTitle.value = person.title ?? '';
+    inputGroup.value = person.group;
+    inputBio.value = person.bio ?? '';
+    inputPhoto.value = person.photo ?? '';
+    inputEmail.value = person.email ?? '';
+    inputPhone.value = person.phone ?? '';
+    inputTermStart.value = person.termStart ?? '';
+    inputTermEnd.value = person.termEnd ?? '';
+    renderPhotoPreview();
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    void loadGroups();
+    try {
+      if (!slug) {
+        headingEl.textContent = 'New person';
+        pathEl.textContent = '/people/…';
+        inputGroup.value = params.get('group') ?? '';
+        renderSlugPreview();
+        inputName.focus();
+        return;
+      }
+
+      const [personRes, versionsRes] = await Promise.all([
+        fetch('/api/people/' + slugPath()),
+        fetch('/api/people/' + slugPath() + '/versions'),
+      ]);
+      if (personRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (personRes.status === 404) { headingEl.textContent = 'Person not found'; return; }
+      if (!personRes.ok) {
+        headingEl.textContent = 'Error loading person (status ' + personRes.status + ')';
+        return;
+      }
+      person = (await personRes.json()).person;
+      renderPerson();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading person';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [personRes, versionsRes] = await Promise.all([
+      fetch('/api/people/' + slugPath()),
+      fetch('/api/people/' + slugPath() + '/versions'),
+    ]);
+    if (personRes.ok) {
+      person = (await personRes.json()).person;
+      renderPerson();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputName.addEventListener('input', suggestSlug);
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+  inputPhoto.addEventListener('change', renderPhotoPreview);
+  photoPreview.addEventListener('error', () => { photoPreview.hidden = true; });
+
+  document.getElementById('choose-photo').addEventListener('click', async () => {
+    const asset = await window.cpMedia.pick();
+    if (!asset) return;
+    inputPhoto.value = asset.url;
+    renderPhotoPreview();
+    setStatus('Photo chosen. Save to keep it.', 'var(--text-dim)');
+  });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      name: inputName.value,
+      title: inputTitle.value,
+      group: inputGroup.value,
+      bio: inputBio.value,
+      photo: inputPhoto.value,
+      email: inputEmail.value,
+      phone: inputPhone.value,
+      termStart: inputTermStart.value,
+      termEnd: inputTermEnd.value,
+    };
+    const creating = !person;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/people' : '/api/people/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/person-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!person) return;
+    if (!confirm('Delete “' + person.name + '”? They disappear from the site on the next rebuild. Version history is kept.')) return;
+    const res = await fetch('/api/people/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/people';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/people/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
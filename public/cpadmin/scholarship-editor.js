@@ -0,0 +1,281 @@
+(() => {
+  const params = new URLSearchParams(location.search);
+  // No ?slug= means we're creating a scholarship; the slug is fixed once saved.
+  let slug = params.get('slug') ?? '';
+  const slugPath = () => encodeURIComponent(slug);
+
+  // ---------- State ---------------------------------------------------------
+  let scholarship = null;
+  let slugTouched = false;
+
+  // ---------- DOM refs ------------------------------------------------------
+  const headingEl = document.getElementById('scholarship-heading');
+  const pathEl = document.getElementById('scholarship-path');
+  const viewLive = document.getElementById('view-live');
+
+  const inputName = document.getElementById('input-name');
+  const inputSlug = document.getElementById('input-slug');
+  const slugLabel = document.getElementById('slug-label');
+  const slugHint = document.getElementById('slug-hint');
+  const slugPreview = document.getElementById('slug-preview');
+  const inputAmount = document.getElementById('input-amount');
+  const inputDeadline = document.getElementById('input-deadline');
+  const inputDescription = document.getElementById('input-description');
+  const inputRenewable = document.getElementById('input-renewable');
+  const inputRenewableDetails = document.getElementById('input-renewable-details');
+  const eligibilityList = document.getElementById('eligibility-list');
+  const requirementsList = document.getElementById('requirements-list');
+  const saveStatus = document.getElementById('save-status');
+  const deleteBtn = document.getElementById('delete-btn');
+
+  const versionsCard = document.getElementById('versions-card');
+  const versionsList = document.getElementById('versions-list');
+
+  // ---------- Helpers -------------------------------------------------------
+  function fmtDate(ms) {
+    return new Date(ms).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  function slugify(s) {
+    return s
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80)
+      .replace(/-+$/, '');
+  }
+
+  function setStatus(text, color) {
+    saveStatus.textContent = text;
+    saveStatus.style.color = color;
+  }
+
+  function renderSlugPreview() {
+    slugPreview.textContent = '/scholarships/' + (inputSlug.value || '…');
+  }
+
+  // ---------- Repeatable lists ----------------------------------------------
+  // Each row is a textarea plus move/remove buttons. The list's value is read
+  // back from the DOM on save, so rows never need their own state.
+  function addListRow(listEl, value) {
+    const li = document.createElement('li');
+    const input = document.createElement('textarea');
+    input.rows = 2;
+    input.value = value ?? '';
+    li.appendChild(input);
+
+    const actions = document.createElement('div');
+    actions.className = 'list-editor__actions';
+    const buttons = [
+      { label: '↑', title: 'Move up', onClick: () => li.previousElementSibling && listEl.insertBefore(li, li.previousElementSibling) },
+      { label: '↓', title: 'Move down', onClick: () => li.nextElementSibling && listEl.insertBefore(li.nextElementSibling, li) },
+      { label: '✕', title: 'Remove', onClick: () => li.remove() },
+    ];
+    for (const b of buttons) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = b.label;
+      btn.title = b.title;
+      btn.setAttribute('aria-label', b.title);
+      btn.onclick = b.onClick;
+      actions.appendChild(btn);
+    }
+    li.appendChild(actions);
+    listEl.appendChild(li);
+    return input;
+  }
+
+  function setListValues(listEl, values) {
+    listEl.innerHTML = '';
+    for (const v of values) addListRow(listEl, v);
+    if (values.length === 0) addListRow(listEl, '');
+  }
+
+  function readListValues(listEl) {
+    return Array.from(listEl.querySelectorAll('textarea'))
+      .map((t) => t.value.trim())
+      .filter(Boolean);
+  }
+
+  document.getElementById('eligibility-add').addEventListener('click', () => {
+    addListRow(eligibilityList, '').focus();
+  });
+  document.getElementById('requirements-add').addEventListener('click', () => {
+    addListRow(requirementsList, '').focus();
+  });
+
+  // ---------- Render --------------------------------------------------------
+  function renderScholarship() {
+    headingEl.textContent = scholarship.name;
+    pathEl.textContent = '/scholarships/' + scholarship.slug;
+    viewLive.href = '/scholarships/' + scholarship.slug;
+    viewLive.hidden = false;
+    deleteBtn.hidden = false;
+    slugLabel.hidden = true;
+    slugHint.hidden = true;
+    versionsCard.hidden = false;
+
+    inputName.value = scholarship.name;
+    inputSlug.value = scholarship.slug;
+    inputAmount.value = scholarship.amount ?? '';
+    inputDeadline.value = scholarship.deadline ?? '';
+    inputDescription.value = scholarship.description ?? '';
+    inputRenewable.checked = Boolean(scholarship.renewable?.isRenewable);
+    inputRenewableDetails.value = scholarship.renewable?.details ?? '';
+    setListValues(eligibilityList, scholarship.eligibility ?? []);
+    setListValues(requirementsList, scholarship.requirements ?? []);
+  }
+
+  function renderVersions(versions) {
+    versionsList.innerHTML = '';
+    if (!versions || versions.length === 0) {
+      versionsList.innerHTML = '<li><span class="admin-dim">No edits yet.</span></li>';
+      return;
+    }
+    for (const v of versions) {
+      const li = document.createElement('li');
+      li.innerHTML = '<div>'
+        + '<strong>' + fmtDate(v.createdAt) + '</strong>'
+        + '<span class="chip chip--muted" style="margin-left:.5rem;">' + (v.author || 'unknown') + '</span>'
+        + '</div>';
+      if (v.userName) {
+        const who = document.createElement('span');
+        who.className = 'admin-dim';
+        who.style.marginLeft = '.5rem';
+        who.textContent = v.userName;
+        li.firstChild.appendChild(who);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'admin-btn admin-btn--ghost';
+      btn.textContent = 'Revert to this';
+      btn.onclick = () => revertTo(v.id);
+      li.appendChild(btn);
+      versionsList.appendChild(li);
+    }
+  }
+
+  // ---------- Data load -----------------------------------------------------
+  async function load() {
+    try {
+      if (!slug) {
+        headingEl.textContent = 'New scholarship';
+        pathEl.textContent = '/scholarships/…';
+        setListValues(eligibilityList, []);
+        setListValues(requirementsList, []);
+        renderSlugPreview();
+        inputName.focus();
+        return;
+      }
+
+      const [scholarshipRes, versionsRes] = await Promise.all([
+        fetch('/api/scholarships/' + slugPath()),
+        fetch('/api/scholarships/' + slugPath() + '/versions'),
+      ]);
+      if (scholarshipRes.status === 401) { location.href = '/cpadmin/login'; return; }
+      if (scholarshipRes.status === 404) { headingEl.textContent = 'Scholarship not found'; return; }
+      if (!scholarshipRes.ok) {
+        headingEl.textContent = 'Error loading scholarship (status ' + scholarshipRes.status + ')';
+        return;
+      }
+      scholarship = (await scholarshipRes.json()).scholarship;
+      renderScholarship();
+      renderVersions(versionsRes.ok ? (await versionsRes.json()).versions : []);
+    } catch (err) {
+      headingEl.textContent = 'Error loading scholarship';
+      console.error(err);
+    }
+  }
+
+  async function reload() {
+    const [scholarshipRes, versionsRes] = await Promise.all([
+      fetch('/api/scholarships/' + slugPath()),
+      fetch('/api/scholarships/' + slugPath() + '/versions'),
+    ]);
+    if (scholarshipRes.ok) {
+      scholarship = (await scholarshipRes.json()).scholarship;
+      renderScholarship();
+    }
+    if (versionsRes.ok) renderVersions((await versionsRes.json()).versions);
+  }
+
+  inputName.addEventListener('input', () => {
+    if (scholarship || slugTouched) return;
+    inputSlug.value = slugify(inputName.value);
+    renderSlugPreview();
+  });
+  inputSlug.addEventListener('input', () => {
+    slugTouched = inputSlug.value !== '';
+    renderSlugPreview();
+  });
+
+  // ---------- Save ----------------------------------------------------------
+  document.getElementById('edit-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    setStatus('Saving…', 'var(--text-dim)');
+    const body = {
+      name: inputName.value,
+      amount: inputAmount.value,
+      deadline: inputDeadline.value,
+      description: inputDescription.value,
+      eligibility: readListValues(eligibilityList),
+      requirements: readListValues(requirementsList),
+      renewable: {
+        isRenewable: inputRenewable.checked,
+        details: inputRenewableDetails.value,
+      },
+    };
+    const creating = !scholarship;
+    if (creating) body.slug = inputSlug.value.trim();
+
+    const res = await fetch(creating ? '/api/scholarships' : '/api/scholarships/' + slugPath(), {
+      method: creating ? 'POST' : 'PUT',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (res.status === 401) { location.href = '/cpadmin/login'; return; }
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      setStatus('Save failed: ' + (payload.error ?? res.status), 'var(--danger)');
+      return;
+    }
+    setStatus(creating ? 'Created.' : 'Saved.', 'var(--success)');
+    if (creating) {
+      slug = payload.slug;
+      history.replaceState(null, '', '/cpadmin/scholarship-editor?slug=' + encodeURIComponent(slug));
+    }
+    await reload();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!scholarship) return;
+    if (!confirm('Delete “' + scholarship.name + '”? It disappears from the directory on the next rebuild. Version history is kept.')) return;
+    const res = await fetch('/api/scholarships/' + slugPath(), { method: 'DELETE' });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Delete failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    location.href = '/cpadmin/scholarships';
+  });
+
+  async function revertTo(versionId) {
+    if (!confirm('Revert to version ' + versionId + '? This creates a new version entry.')) return;
+    const res = await fetch('/api/scholarships/' + slugPath() + '/revert', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ versionId }),
+    });
+    if (!res.ok) {
+      const payload = await res.json().catch(() => ({}));
+      alert('Revert failed: ' + (payload.error ?? res.status));
+      return;
+    }
+    await reload();
+  }
+
+  void load();
+})();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * check-links.mjs
+ *
+ * Command-line version of GET /api/audit/links (src/lib/link-audit.ts): lists
+ * internal links that resolve to no page, article, scholarship, grant, bio,
+ * event, fund or upload, and pages nothing links to. With --external it also
+ * requests every off-site URL, which the endpoint can't do from inside the
+ * Worker.
+ *
+ * Exits 1 when there are broken links (or failed external ones), so it can
+ * gate a build. Orphan pages are reported but don't fail the run.
+ *
+ * Usage: npm run check-links -- [--local | --remote] [--external] [--external-via=<origin>] [--json]
+ *   --local           (default) read .wrangler/state/v3/d1
+ *   --remote          read the production D1
+ *   --external        HEAD-check external links too
+ *   --external-via    send those requests to a stub server instead, as
+ *                     <origin>/<host><path> (e.g. http://localhost:8789 from
+ *                     `npm run link-stub -- --serve`)
+ *   --json            print the report as JSON instead of text
+ */
+
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'url';
+import { LINK_AUDIT_QUERIES, auditLinks, checkExternalLinks } from '../src/lib/link-audit.ts';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const DB_NAME = 'thcf-content';
+const REMOTE = process.argv.includes('--remote');
+const JSON_OUT = process.argv.includes('--json');
+const VIA = process.argv.find((a) => a.startsWith('--external-via='))?.slice('--external-via='.length);
+const EXTERNAL = VIA !== undefined || process.argv.includes('--external');
+
+/** Run a SELECT via wrangler, through a tmp file so multi-MB results aren't truncated (see dump-d1). */
+function runSelect(sql) {
+  const tmp = path.join(os.tmpdir(), `check-links-${process.pid}-${Date.now()}.json`);
+  const cmd = `npx wrangler d1 execute ${DB_NAME} ${REMOTE ? '--remote' : '--local'} --json --command=${JSON.stringify(sql)} > ${JSON.stringify(tmp)}`;
+  const res = spawnSync('sh', ['-c', cmd], { cwd: ROOT, stdio: ['ignore', 'ignore', 'inherit'] });
+  const raw = fs.existsSync(tmp) ? fs.readFileSync(tmp, 'utf-8') : '';
+  fs.removeSync(tmp);
+  if (res.status !== 0) throw new Error(`wrangler query failed (exit ${res.status})`);
+  const parsed = JSON.parse(raw.slice(raw.indexOf('[')));
+  return parsed[0].results;
+}
+
+async function main() {
+  const rows = {};
+  for (const [key, sql] of Object.entries(LINK_AUDIT_QUERIES)) rows[key] = runSelect(sql);
+  const report = auditLinks(rows);
+
+  let failedExternal = [];
+  if (EXTERNAL) {
+    const checks = await checkExternalLinks(report.external.map((e) => e.url), { via: VIA });
+    const usedOn = new Map(report.external.map((e) => [e.url, e.usedOn]));
+    failedExternal = checks.filter((c) => !c.ok).map((c) => ({ ...c, usedOn: usedOn.get(c.url) }));
+  }
+
+  if (JSON_OUT) {
+    console.log(JSON.stringify(EXTERNAL ? { ...report, failedExternal } : report, null, 2));
+  } else {
+    const { totals } = report;
+    console.log(`=== Link check (${REMOTE ? 'remote' : 'local'}) ===`);
+    console.log(`${totals.sources} sources, ${totals.internal} internal links, ${totals.external} external URLs\n`);
+
+    console.log(`Broken links: ${totals.broken}`);
+    for (const b of report.broken) {
+      console.log(`  ${b.path}  (${b.type}: ${b.title})`);
+      for (const l of b.links) console.log(`    ${l.href}    ${l.field}`);
+    }
+
+    console.log(`\nOrphan pages: ${totals.orphans}`);
+    for (const o of report.orphans) console.log(`  ${o.path}  ${o.title}`);
+
+    if (EXTERNAL) {
+      console.log(`\nFailed external links: ${failedExternal.length}${VIA ? ` (via ${VIA})` : ''}`);
+      for (const f of failedExternal) {
+        console.log(`  ${f.url}  ${f.status ?? f.error}`);
+        console.log(`    on ${f.usedOn.join(', ')}`);
+      }
+    }
+  }
+
+  if (report.totals.broken > 0 || failedExternal.length > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * create-user.mjs
+ *
+ * Create (or recover) an admin owner account directly in D1. Everyone else
+ * is invited from /cpadmin/users; this is for bootstrapping the first owner
+ * and for getting back in if every owner is locked out. If the email already
+ * exists, its password is replaced, it is re-enabled and made an owner, and
+ * its existing sessions are revoked.
+ *
+ * Also prints a fresh ADMIN_SESSION_SECRET in case one isn't set yet.
+ *
+ * Usage:
+ *   node scripts/create-user.mjs <email> '<password>' [--name "Full Name"] [--local | --remote]
+ *   --local   (default) apply to .wrangler/state/v3/d1
+ *   --remote  apply to the production D1
+ */
+
+import crypto from 'node:crypto';
+import path from 'path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const DB_NAME = 'thcf-content';
+const REMOTE = process.argv.includes('--remote');
+const MIN_PASSWORD_LENGTH = 10; // keep in sync with src/lib/users.ts
+
+const args = process.argv.slice(2);
+const nameIdx = args.indexOf('--name');
+const name = nameIdx >= 0 ? args[nameIdx + 1] : null;
+const positional = args.filter((a, i) => !a.startsWith('--') && (nameIdx < 0 || i !== nameIdx + 1));
+const [rawEmail, password] = positional;
+
+if (!rawEmail || !password) {
+  console.error('Usage: node scripts/create-user.mjs <email> "<password>" [--name "Full Name"] [--local | --remote]');
+  process.exit(1);
+}
+const email = rawEmail.trim().toLowerCase();
+if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+  console.error(`Invalid email address: ${rawEmail}`);
+  process.exit(1);
+}
+if (password.length < MIN_PASSWORD_LENGTH) {
+  console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  process.exit(1);
+}
+
+// Same parameters as src/lib/auth.ts (PBKDF2-SHA256, 100k iterations, 32 bytes).
+const salt = crypto.randomBytes(16);
+const hash = crypto.pbkdf2Sync(password, salt, 100_000, 32, 'sha256');
+
+function sqlString(v) {
+  if (v === null || v === undefined) return 'NULL';
+  return `'${String(v).replace(/'/g, "''")}'`;
+}
+
+const now = Date.now();
+const sql =
+  'INSERT INTO users (email, name, role, password_hash, password_salt, updated_at, created_at) VALUES (' +
+  [sqlString(email), sqlString(name), "'owner'", sqlString(hash.toString('base64')), sqlString(salt.toString('base64')), now, now].join(', ') +
+  ') ON CONFLICT(email) DO UPDATE SET ' +
+  "role = 'owner', password_hash = excluded.password_hash, password_salt = excluded.password_salt, " +
+  'name = COALESCE(excluded.name, users.name), invite_token_hash = NULL, invite_expires_at = NULL, ' +
+  'disabled_at = NULL, session_version = users.session_version + 1, updated_at = excluded.updated_at;';
+
+const wranglerArgs = ['wrangler', 'd1', 'execute', DB_NAME, REMOTE ? '--remote' : '--local', '--command', sql];
+console.log(`creating owner ${email} in ${REMOTE ? 'remote' : 'local'} D1`);
+const res = spawnSync('npx', wranglerArgs, { cwd: ROOT, stdio: 'inherit' });
+if (res.status !== 0) {
+  console.error(`wrangler failed (exit ${res.status})`);
+  process.exit(1);
+}
+
+console.log('');
+console.log(`Owner ${email} is ready. Sign in at /cpadmin/login.`);
+console.log('');
+console.log('If ADMIN_SESSION_SECRET is not set yet, use this one:');
+console.log(crypto.randomBytes(32).toString('base64'));
+console.log('  production: npx wrangler secret put ADMIN_SESSION_SECRET');
+console.log('  local dev:  add ADMIN_SESSION_SECRET="<secret>" to .dev.vars');
+console.log('');
@@ -7,15 +7,25 @@
  * so that `astro build` (running in plain Node) can render from it. D1 remains
  * the source of truth; these JSON files are a build cache.
  *
- * Usage:  node scripts/dump-d1.mjs
+ * Usage:  npm run dump-d1   (tsx, for the shared src/lib/nav.ts and redirects.ts)
  *
  * Output:
  *   src/data/pages.json         — [{ slug, path, type, template, title, subtitle, meta, body (legacy_body), sections }]
  *   src/data/news.json          — [{ slug, title, date, author, category, featuredImage, body, excerpt }]
  *   src/data/scholarships.json  — [{ slug, name, description, eligibility[], amount, renewable{}, deadline, requirements[] }]
+ *   src/data/grants.json        — [{ slug, program, recipient, amount, year, focusArea, county, description }]
+ *   src/data/people.json        — [{ slug, name, title, group, bio, photo, email, phone, position, termStart, termEnd }]
+ *   src/data/events.json        — [{ slug, title, startDate, startTime, endDate, endTime, venue, address, registrationUrl, category, image, summary, description, updatedAt }]
+ *   src/data/funds.json         — [{ slug, name, type, focusArea, description, establishedYear, donateUrl }]
+ *   src/data/assets.json        — [{ id, width, height, mimeType }] for srcset (src/lib/images.ts)
+ *   src/data/nav.json           — { utility, audiences, main } header menus from nav_items (src/lib/nav.ts)
+ *   public/_redirects           — the redirects table in Cloudflare's format (src/lib/redirects.ts)
  *
  * The output shapes match the current JSON files the Astro pages already
  * consume, with one addition: pages now include a pre-parsed `sections` array.
+ *
+ * Pages come from `page_published`, not the `pages` draft rows, so edits
+ * nobody has published yet never reach the static build.
  */
 
 import fs from 'fs-extra';
@@ -23,6 +33,8 @@ import os from 'node:os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawnSync } from 'node:child_process';
+import { STATIC_PATHS, findBrokenNavLinks, navTreeFromRows, navTreeToJson } from '../src/lib/nav.ts';
+import { toRedirectsFile } from '../src/lib/redirects.ts';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -65,7 +77,7 @@ function parseJson(value, fallback) {
 
 async function dumpPages() {
   const rows = runSelect(
-    'SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections FROM pages WHERE deleted_at IS NULL;'
+    'SELECT pub.slug, pub.path, pub.type, pub.template, pub.title, pub.subtitle, pub.meta, pub.legacy_body, pub.sections FROM page_published pub JOIN pages p ON p.slug = pub.slug WHERE p.deleted_at IS NULL;'
   );
   const pages = rows.map((r) => ({
     slug: r.slug || '',
@@ -128,6 +140,161 @@ async function dumpScholarships() {
   return scholarships.length;
 }
 
+async function dumpGrants() {
+  const rows = runSelect(
+    'SELECT slug, program, recipient, amount, year, focus_area, county, description FROM grants WHERE deleted_at IS NULL;'
+  );
+  const grants = rows.map((r) => ({
+    slug: r.slug,
+    program: r.program,
+    recipient: r.recipient,
+    amount: r.amount ?? null,
+    year: r.year,
+    focusArea: r.focus_area || '',
+    county: r.county || '',
+    description: r.description || '',
+  }));
+  // Newest first, then by recipient: the order /grants lists them in.
+  grants.sort((a, b) => b.year - a.year || a.recipient.localeCompare(b.recipient));
+  await fs.writeJson(path.join(DATA, 'grants.json'), grants, { spaces: 2 });
+  return grants.length;
+}
+
+async function dumpPeople() {
+  const rows = runSelect(
+    'SELECT slug, name, title, group_name, bio, photo, email, phone, position, term_start, term_end FROM people WHERE deleted_at IS NULL;'
+  );
+  const people = rows.map((r) => ({
+    slug: r.slug,
+    name: r.name,
+    title: r.title ?? null,
+    group: r.group_name,
+    bio: r.bio ?? null,
+    photo: r.photo ?? null,
+    email: r.email ?? null,
+    phone: r.phone ?? null,
+    position: r.position,
+    termStart: r.term_start ?? null,
+    termEnd: r.term_end ?? null,
+  }));
+  // By group, then the order set in /cpadmin/people (src/lib/people-directory.ts relies on it).
+  people.sort((a, b) => a.group.localeCompare(b.group) || a.position - b.position || a.name.localeCompare(b.name));
+  await fs.writeJson(path.join(DATA, 'people.json'), people, { spaces: 2 });
+  return people.length;
+}
+
+async function dumpEvents() {
+  const rows = runSelect(
+    'SELECT slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, updated_at FROM events WHERE deleted_at IS NULL;'
+  );
+  const events = rows.map((r) => ({
+    slug: r.slug,
+    title: r.title,
+    startDate: r.start_date,
+    startTime: r.start_time ?? null,
+    endDate: r.end_date ?? null,
+    endTime: r.end_time ?? null,
+    venue: r.venue ?? null,
+    address: r.address ?? null,
+    registrationUrl: r.registration_url ?? null,
+    category: r.category ?? null,
+    image: r.image ?? null,
+    summary: r.summary ?? null,
+    description: r.description ?? null,
+    updatedAt: r.updated_at,
+  }));
+  // Soonest first; all-day events before timed ones on the same day.
+  // src/lib/event-directory.ts relies on it.
+  events.sort(
+    (a, b) =>
+      a.startDate.localeCompare(b.startDate) ||
+      (a.startTime ?? '').localeCompare(b.startTime ?? '') ||
+      a.title.localeCompare(b.title)
+  );
+  await fs.writeJson(path.join(DATA, 'events.json'), events, { spaces: 2 });
+  return events.length;
+}
+
+async function dumpFunds() {
+  const rows = runSelect(
+    'SELECT slug, name, type, focus_area, description, established_year, donate_url FROM funds WHERE deleted_at IS NULL;'
+  );
+  const funds = rows.map((r) => ({
+    slug: r.slug,
+    name: r.name,
+    type: r.type,
+    focusArea: r.focus_area ?? null,
+    description: r.description ?? null,
+    establishedYear: r.established_year ?? null,
+    donateUrl: r.donate_url ?? null,
+  }));
+  // By name: the order /funds lists them in. src/lib/fund-directory.ts relies on it.
+  funds.sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+  await fs.writeJson(path.join(DATA, 'funds.json'), funds, { spaces: 2 });
+  return funds.length;
+}
+
+async function dumpAssets() {
+  // Only what imageAttrs() needs to build srcset/sizes; not the whole row.
+  const rows = runSelect('SELECT id, width, height, mime_type FROM assets ORDER BY id;');
+  const assets = rows.map((r) => ({
+    id: r.id,
+    width: r.width ?? null,
+    height: r.height ?? null,
+    mimeType: r.mime_type ?? null,
+  }));
+  await fs.writeJson(path.join(DATA, 'assets.json'), assets, { spaces: 2 });
+  return assets.length;
+}
+
+async function dumpNav() {
+  const rows = runSelect(
+    'SELECT id, parent_id, menu, kind, position, label, href, description, image, badge, highlight, external, layout, cards_heading, updated_at, user_id FROM nav_items;'
+  );
+  // Until `npm run seed-nav` has filled the table, the checked-in nav.json stays.
+  if (rows.length === 0) return null;
+  const tree = navTreeFromRows(rows);
+
+  // /api/nav refuses broken links when the menus are saved, but a page can be
+  // deleted or unpublished afterwards. Check against what this build renders.
+  const [pages, news, scholarships, grants, people, events, funds] = await Promise.all(
+    ['pages.json', 'news.json', 'scholarships.json', 'grants.json', 'people.json', 'events.json', 'funds.json'].map((f) =>
+      fs.readJson(path.join(DATA, f))
+    )
+  );
+  const paths = new Set([
+    ...STATIC_PATHS,
+    ...pages.map((p) => p.path),
+    ...news.map((n) => `/news/${n.slug}`),
+    ...scholarships.map((s) => `/scholarships/${s.slug}`),
+    ...grants.map((g) => `/grants/${g.slug}`),
+    ...people.map((p) => `/people/${p.slug}`),
+    ...events.map((e) => `/events/${e.slug}`),
+    ...funds.flatMap((f) => [`/funds/${f.slug}`, `/funds/${f.slug}/give`]),
+  ]);
+  const broken = findBrokenNavLinks(tree, paths);
+
+  await fs.writeJson(path.join(DATA, 'nav.json'), navTreeToJson(tree), { spaces: 2 });
+  return { count: rows.length, broken };
+}
+
+// Cloudflare's limits for a _redirects file.
+const MAX_STATIC_REDIRECTS = 2000;
+const MAX_DYNAMIC_REDIRECTS = 100;
+
+async function dumpRedirects() {
+  const rules = runSelect('SELECT source, target, status FROM redirects;');
+  const file = toRedirectsFile(rules);
+  await fs.writeFile(path.join(ROOT, 'public', '_redirects'), file);
+  // The Worker serves every rule from D1 regardless; only the export is capped.
+  const lines = file.split('\n').filter((l) => l && !l.startsWith('#'));
+  const dynamic = lines.filter((l) => l.includes('*')).length;
+  const warnings = [];
+  if (dynamic > MAX_DYNAMIC_REDIRECTS) warnings.push(`${dynamic} wildcard rules; Cloudflare reads the first ${MAX_DYNAMIC_REDIRECTS}`);
+  if (lines.length - dynamic > MAX_STATIC_REDIRECTS) warnings.push(`${lines.length - dynamic} exact rules; Cloudflare reads the first ${MAX_STATIC_REDIRECTS}`);
+  return { count: rules.length, warnings };
+}
+
 async function main() {
   console.log('=== Dump D1 → src/data ===');
   console.log(`Source:  ${DB_NAME} (remote)`);
@@ -140,6 +307,26 @@ async function main() {
   console.log(`  news.json          ${news} rows`);
   const scholarships = await dumpScholarships();
   console.log(`  scholarships.json  ${scholarships} rows`);
+  const grants = await dumpGrants();
+  console.log(`  grants.json        ${grants} rows`);
+  const people = await dumpPeople();
+  console.log(`  people.json        ${people} rows`);
+  const events = await dumpEvents();
+  console.log(`  events.json        ${events} rows`);
+  const funds = await dumpFunds();
+  console.log(`  funds.json         ${funds} rows`);
+  const assets = await dumpAssets();
+  console.log(`  assets.json        ${assets} rows`);
+  const nav = await dumpNav();
+  if (nav) {
+    console.log(`  nav.json           ${nav.count} rows`);
+    for (const b of nav.broken) console.warn(`    WARNING: nav link ${b.trail} → ${b.href} isn't a published page`);
+  } else {
+    console.log('  nav.json           nav_items is empty; kept the existing file (npm run seed-nav)');
+  }
+  const redirects = await dumpRedirects();
+  console.log(`  _redirects         ${redirects.count} rules`);
+  for (const w of redirects.warnings) console.warn(`    WARNING: ${w}`);
 
   console.log('\nDone.');
 }
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * link-stub.mjs
+ *
+ * A stand-in for the internet when checking external links. It answers
+ * requests the way checkExternalLinks() (src/lib/link-audit.ts) sends them
+ * with `via`, as /<host><path>, and picks the response from the path:
+ *
+ *   /<host>/status/<code>    that status (e.g. /example.org/status/404)
+ *   /<host>/no-head          405 to HEAD, 200 to GET
+ *   /<host>/redirect/<code>  301 to /<host>/status/<code>
+ *   /<host>/slow             never answers
+ *   anything else            200
+ *
+ * By default it checks checkExternalLinks() against itself (ok, 404,
+ * HEAD refused → GET, redirects, timeout) and exits 1 on any mismatch. With
+ * --serve it keeps running for `npm run check-links -- --external-via=...`.
+ *
+ * Usage: npm run link-stub -- [--serve[=<port>]]
+ *   --serve     stay up on <port> (default 8789) until Ctrl-C
+ */
+
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkExternalLinks } from '../src/lib/link-audit.ts';
+
+const SERVE = process.argv.find((a) => a === '--serve' || a.startsWith('--serve='));
+const PORT = SERVE?.includes('=') ? Number(SERVE.slice('--serve='.length)) : 8789;
+
+function handle(req, res) {
+  const { pathname } = new URL(req.url, 'http://stub');
+  const [host = '', ...rest] = pathname.slice(1).split('/');
+  const route = rest.join('/');
+
+  let m;
+  if (route === 'slow') return; // left open; the caller's timeout ends it
+  if (route === 'no-head') {
+    res.writeHead(req.method === 'HEAD' ? 405 : 200).end();
+  } else if ((m = /^status\/(\d{3})$/.exec(route))) {
+    res.writeHead(Number(m[1])).end();
+  } else if ((m = /^redirect\/(\d{3})$/.exec(route))) {
+    res.writeHead(301, { location: `/${host}/status/${m[1]}` }).end();
+  } else {
+    res.writeHead(200).end();
+  }
+}
+
+/** Start the stub on `port` (0 = any free port) and resolve with its origin. */
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+async function selfCheck(origin) {
+  const cases = [
+    { url: 'https://example.org/about', ok: true, status: 200 },
+    { url: 'https://example.org/status/404', ok: false, status: 404 },
+    { url: 'https://example.org/status/500?x=1', ok: false, status: 500 },
+    { url: 'https://example.org/no-head', ok: true, status: 200 },
+    { url: 'https://example.org/redirect/200', ok: true, status: 200 },
+    { url: 'https://example.org/redirect/410', ok: false, status: 410 },
+    { url: 'https://slow.example.org/slow', ok: false, status: null },
+  ];
+  const checks = await checkExternalLinks(
+    cases.map((c) => c.url),
+    { via: origin, concurrency: 3, timeoutMs: 1000 }
+  );
+
+  let failed = 0;
+  checks.forEach((check, i) => {
+    const want = cases[i];
+    try {
+      assert.equal(check.url, want.url);
+      assert.equal(check.ok, want.ok);
+      assert.equal(check.status, want.status);
+      if (want.status === null) assert.ok(check.error, 'expected an error message');
+      console.log(`  ok    ${want.url}`);
+    } catch (err) {
+      failed++;
+      console.log(`  FAIL  ${want.url}: ${err.message.split('\n')[0]} (got ${JSON.stringify(check)})`);
+    }
+  });
+  return failed;
+}
+
+async function main() {
+  const server = http.createServer(handle);
+  if (SERVE) {
+    const origin = await listen(server, PORT);
+    console.log(`Link stub on ${origin}; run: npm run check-links -- --external-via=${origin}`);
+    return;
+  }
+
+  const origin = await listen(server, 0);
+  console.log(`=== checkExternalLinks against ${origin} ===`);
+  try {
+    const failed = await selfCheck(origin);
+    console.log(failed ? `\n${failed} failed` : '\nAll passed');
+    process.exitCode = failed ? 1 : 0;
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
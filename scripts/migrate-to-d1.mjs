@@ -3,15 +3,41 @@
 /**
  * migrate-to-d1.mjs
  *
- * One-time migration: reads src/data/{pages,news,scholarships}.json,
+ * One-time migration: reads src/data/{pages,news,scholarships,grants}.json,
+ * plus the people on the scraped /about/staff and /about/board pages,
  * parses pages through content-parser's segment(), and writes batched
  * INSERT statements into migrations/_seed_*.sql files. Then applies
  * them to the remote D1 database via `wrangler d1 execute --remote`.
  *
- * Usage:  node scripts/migrate-to-d1.mjs [--skip-apply]
+ * Imported pages are published straight away (a page_published row per
+ * page), so the first dump-d1 exports them.
+ *
+ * Also writes one search_index row per page / article / scholarship / grant /
+ * person / event / fund
+ * (migrations/0002_search_index.sql) using the same text extraction the
+ * Worker uses in src/lib/search.ts.
+ *
+ * Usage:  node scripts/migrate-to-d1.mjs [--skip-apply] [--search-only] [--grants-only] [--people-only] [--events-only] [--funds-only]
  *
  * --skip-apply: generate the seed SQL but don't run wrangler. Lets you
  * inspect the output before hitting D1.
+ * --search-only: rebuild only the search index (clears it first). Run after
+ * `npm run dump-d1` to backfill an already-migrated database.
+ * --grants-only: insert only grants.json (and its search rows), for a
+ * database migrated before the grants table existed. `npm run migrate-grants`.
+ * --people-only: likewise for the people table (`npm run migrate-people`).
+ * People come from src/data/people.json once dump-d1 has written any, and
+ * are otherwise parsed out of the staff and board pages in pages.json.
+ * --events-only: likewise for the events table (`npm run migrate-events`),
+ * from events.json or else the scraped calendar and /events/<slug> pages.
+ * --funds-only: likewise for the funds table (`npm run migrate-funds`), from
+ * funds.json or else the giving-form links in pages.json (the old site had
+ * no fund list; see scripts/utils/fund-links.mjs).
+ *
+ * The old calendar pages (/events, /about/events-calendar and its /p2) and
+ * each converted /events/<slug> page are replaced by the events routes, so
+ * a full migration skips them and --events-only moves them to the trash.
+ * Either way /about/events-calendar/* redirects to /events.
  */
 
 import fs from 'fs-extra';
@@ -19,6 +45,18 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawnSync } from 'node:child_process';
 import { segment } from '../src/lib/content-parser.ts';
+import {
+  eventSearchDoc,
+  fundSearchDoc,
+  grantSearchDoc,
+  newsSearchDoc,
+  pageSearchDoc,
+  personSearchDoc,
+  scholarshipSearchDoc,
+} from '../src/lib/search.ts';
+import { EVENT_LISTING_PAGES, eventsFromPages } from './utils/event-listing.mjs';
+import { fundsFromPages } from './utils/fund-links.mjs';
+import { peopleFromListing } from './utils/people-listing.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -28,6 +66,16 @@ const OUT = path.join(ROOT, 'migrations');
 const DB_NAME = 'thcf-content';
 const BATCH_SIZE = 50;   // statements per file; D1 handles ~100 easily, 50 leaves headroom
 const SKIP_APPLY = process.argv.includes('--skip-apply');
+const SEARCH_ONLY = process.argv.includes('--search-only');
+const GRANTS_ONLY = process.argv.includes('--grants-only');
+const PEOPLE_ONLY = process.argv.includes('--people-only');
+const EVENTS_ONLY = process.argv.includes('--events-only');
+const FUNDS_ONLY = process.argv.includes('--funds-only');
+// Any of these skips the content types that were already migrated.
+const ONE_TABLE = GRANTS_ONLY || PEOPLE_ONLY || EVENTS_ONLY || FUNDS_ONLY;
+
+// Scraped listing pages people are parsed from when there's no people.json yet.
+const PEOPLE_PAGES = ['/about/staff', '/about/board'];
 
 // ---------------------------------------------------------------------------
 // SQL helpers
@@ -56,22 +104,29 @@ function slugFromPath(p) {
   return (p || '/').replace(/^\//, '');
 }
 
-function buildPageInsert(page) {
+function parsePageSections(page) {
   const body = page.body || '';
-  let sections;
   try {
-    sections = segment(body, { hoistLead: true });
+    return segment(body, { hoistLead: true });
   } catch (err) {
     console.warn(`  ! parser failed on ${page.path}: ${err.message} — storing as single legacy-html section`);
-    sections = [{ kind: 'legacy-html', html: body }];
+    return [{ kind: 'legacy-html', html: body }];
   }
+}
 
+function buildPageInsert(page, sections) {
+  const body = page.body || '';
   const slug = slugFromPath(page.path);
   const created = now();
 
   return `INSERT INTO pages (slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, created_at) VALUES (${sqlStr(slug)}, ${sqlStr(page.path || '/')}, ${sqlStr(page.type || 'page')}, 'legacy', ${sqlStr(page.title || '')}, NULL, NULL, ${sqlStr(body)}, ${sqlStr(JSON.stringify(sections))}, ${sqlNum(created)}, ${sqlNum(created)});`;
 }
 
+// Publish the row just inserted: copy it into page_published as-is.
+function buildPagePublish(slug) {
+  return `INSERT INTO page_published (slug, path, type, template, title, subtitle, meta, legacy_body, sections, source_updated_at, published_at) SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, updated_at FROM pages WHERE slug = ${sqlStr(slug)};`;
+}
+
 function buildNewsInsert(article) {
   const created = now();
   return `INSERT INTO news (slug, title, date, author, category, featured_image, body, excerpt, updated_at, created_at) VALUES (${sqlStr(article.slug)}, ${sqlStr(article.title || '')}, ${sqlStr(article.date || null)}, ${sqlStr(article.author || null)}, ${sqlStr(article.category || null)}, ${sqlStr(article.featuredImage || null)}, ${sqlStr(article.body || '')}, ${sqlStr(article.excerpt || null)}, ${sqlNum(created)}, ${sqlNum(created)});`;
@@ -82,6 +137,42 @@ function buildScholarshipInsert(s) {
   return `INSERT INTO scholarships (slug, name, description, eligibility, amount, renewable, deadline, requirements, updated_at, created_at) VALUES (${sqlStr(s.slug)}, ${sqlStr(s.name || '')}, ${sqlStr(s.description || null)}, ${sqlStr(JSON.stringify(s.eligibility || []))}, ${sqlStr(s.amount || null)}, ${sqlStr(JSON.stringify(s.renewable || { isRenewable: false, details: '' }))}, ${sqlStr(s.deadline || null)}, ${sqlStr(JSON.stringify(s.requirements || []))}, ${sqlNum(created)}, ${sqlNum(created)});`;
 }
 
+function buildGrantInsert(g) {
+  const created = now();
+  return `INSERT INTO grants (slug, program, recipient, amount, year, focus_area, county, description, updated_at, created_at) VALUES (${sqlStr(g.slug)}, ${sqlStr(g.program || '')}, ${sqlStr(g.recipient || '')}, ${sqlNum(g.amount ?? null)}, ${sqlNum(g.year)}, ${sqlStr(g.focusArea || null)}, ${sqlStr(g.county || null)}, ${sqlStr(g.description || null)}, ${sqlNum(created)}, ${sqlNum(created)});`;
+}
+
+function buildPersonInsert(p) {
+  const created = now();
+  return `INSERT INTO people (slug, name, title, group_name, bio, photo, email, phone, position, term_start, term_end, updated_at, created_at) VALUES (${sqlStr(p.slug)}, ${sqlStr(p.name)}, ${sqlStr(p.title || null)}, ${sqlStr(p.group)}, ${sqlStr(p.bio || null)}, ${sqlStr(p.photo || null)}, ${sqlStr(p.email || null)}, ${sqlStr(p.phone || null)}, ${sqlNum(p.position ?? 0)}, ${sqlStr(p.termStart || null)}, ${sqlStr(p.termEnd || null)}, ${sqlNum(created)}, ${sqlNum(created)});`;
+}
+
+function buildEventInsert(e) {
+  const created = now();
+  return `INSERT INTO events (slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, updated_at, created_at) VALUES (${sqlStr(e.slug)}, ${sqlStr(e.title)}, ${sqlStr(e.startDate)}, ${sqlStr(e.startTime || null)}, ${sqlStr(e.endDate || null)}, ${sqlStr(e.endTime || null)}, ${sqlStr(e.venue || null)}, ${sqlStr(e.address || null)}, ${sqlStr(e.registrationUrl || null)}, ${sqlStr(e.category || null)}, ${sqlStr(e.image || null)}, ${sqlStr(e.summary || null)}, ${sqlStr(e.description || null)}, ${sqlNum(created)}, ${sqlNum(created)});`;
+}
+
+function buildFundInsert(f) {
+  const created = now();
+  return `INSERT INTO funds (slug, name, type, focus_area, description, established_year, donate_url, updated_at, created_at) VALUES (${sqlStr(f.slug)}, ${sqlStr(f.name)}, ${sqlStr(f.type)}, ${sqlStr(f.focusArea || null)}, ${sqlStr(f.description || null)}, ${sqlNum(f.establishedYear ?? null)}, ${sqlStr(f.donateUrl || null)}, ${sqlNum(created)}, ${sqlNum(created)});`;
+}
+
+// Move already-migrated pages the events routes replace to the trash, as
+// deletePage() would (without a version snapshot), and drop their search rows.
+function buildPageRetire(paths) {
+  const list = paths.map(sqlStr).join(', ');
+  return [
+    `UPDATE pages SET deleted_at = ${sqlNum(now())}, publish_at = NULL, publish_by = NULL WHERE path IN (${list}) AND deleted_at IS NULL;`,
+    `DELETE FROM search_index WHERE kind = 'page' AND url IN (${list});`,
+  ];
+}
+
+const CALENDAR_REDIRECT = `INSERT OR IGNORE INTO redirects (source, target, status, note, created_at, updated_at) VALUES ('/about/events-calendar/*', '/events', 301, 'Old events calendar', ${sqlNum(now())}, ${sqlNum(now())});`;
+
+function buildSearchInsert(doc) {
+  return `INSERT INTO search_index (kind, ref, url, title, body) VALUES (${sqlStr(doc.kind)}, ${sqlStr(doc.ref)}, ${sqlStr(doc.url)}, ${sqlStr(doc.title)}, ${sqlStr(doc.body)});`;
+}
+
 // ---------------------------------------------------------------------------
 // Batched seed-file writing
 // ---------------------------------------------------------------------------
@@ -126,51 +217,164 @@ async function main() {
   const existing = (await fs.readdir(OUT)).filter((f) => f.startsWith('_seed_'));
   for (const f of existing) await fs.remove(path.join(OUT, f));
 
+  // Search rows are collected alongside each content type and written last.
+  // In --search-only mode the index is cleared first so re-runs don't
+  // duplicate documents.
+  const searchStmts = SEARCH_ONLY ? ['DELETE FROM search_index;'] : [];
+
   // --- pages -------------------------------------------------------------
   console.log('Pages...');
-  const pages = await fs.readJson(path.join(DATA, 'pages.json'));
+  const allPages = await fs.readJson(path.join(DATA, 'pages.json'));
+  const pages = ONE_TABLE ? [] : allPages;
+
+  // Events are worked out first: their pages are left out of the page import.
+  const eventsPath = path.join(DATA, 'events.json');
+  let events = [];
+  if (!ONE_TABLE || EVENTS_ONLY) {
+    events = (await fs.pathExists(eventsPath)) ? await fs.readJson(eventsPath) : [];
+    if (events.length === 0 && !SEARCH_ONLY) events = eventsFromPages(allPages);
+  }
+  const eventPagePaths = [...EVENT_LISTING_PAGES, ...events.map((e) => `/events/${e.slug}`)];
+  const replacedByEvents = new Set(eventPagePaths);
+
   // Dedup by slug (pages.json uses path-derived slug — but path is the unique key).
   // Our schema uses slugFromPath(page.path) as PK, so dedup on that.
   const pageSeen = new Set();
   const pageStmts = [];
   for (const p of pages) {
     const slug = slugFromPath(p.path);
+    if (replacedByEvents.has(p.path.replace(/\/$/, ''))) continue;
     if (pageSeen.has(slug)) {
       console.warn(`  ! duplicate slug "${slug}" for path ${p.path} — skipping`);
       continue;
     }
     pageSeen.add(slug);
-    pageStmts.push(buildPageInsert(p));
+    // --search-only reads a dump-d1 cache, whose sections are already the
+    // stored (possibly restructured) ones — don't re-parse those.
+    const sections = SEARCH_ONLY && Array.isArray(p.sections) ? p.sections : parsePageSections(p);
+    if (!SEARCH_ONLY) pageStmts.push(buildPageInsert(p, sections), buildPagePublish(slug));
+    searchStmts.push(
+      buildSearchInsert(pageSearchDoc({ slug, path: p.path || '/', title: p.title || '', subtitle: p.subtitle, sections }))
+    );
   }
-  console.log(`  Parsed ${pageStmts.length} unique pages`);
+  console.log(`  Parsed ${pageSeen.size} unique pages`);
   const pageFiles = await writeBatches('pages', pageStmts);
 
   // --- news --------------------------------------------------------------
   console.log('News...');
-  const news = await fs.readJson(path.join(DATA, 'news.json'));
+  const news = ONE_TABLE ? [] : await fs.readJson(path.join(DATA, 'news.json'));
   const newsSeen = new Set();
   const newsStmts = [];
   for (const a of news) {
     if (!a.slug || newsSeen.has(a.slug)) continue;
     newsSeen.add(a.slug);
-    newsStmts.push(buildNewsInsert(a));
+    if (!SEARCH_ONLY) newsStmts.push(buildNewsInsert(a));
+    searchStmts.push(
+      buildSearchInsert(newsSearchDoc({ slug: a.slug, title: a.title || '', body: a.body || '', excerpt: a.excerpt }))
+    );
   }
-  console.log(`  Prepared ${newsStmts.length} news rows`);
+  console.log(`  Prepared ${newsSeen.size} news rows`);
   const newsFiles = await writeBatches('news', newsStmts);
 
   // --- scholarships ------------------------------------------------------
   console.log('Scholarships...');
-  const scholarships = await fs.readJson(path.join(DATA, 'scholarships.json'));
+  const scholarships = ONE_TABLE ? [] : await fs.readJson(path.join(DATA, 'scholarships.json'));
   const schoSeen = new Set();
   const schoStmts = [];
   for (const s of scholarships) {
     if (!s.slug || schoSeen.has(s.slug)) continue;
     schoSeen.add(s.slug);
-    schoStmts.push(buildScholarshipInsert(s));
+    if (!SEARCH_ONLY) schoStmts.push(buildScholarshipInsert(s));
+    searchStmts.push(
+      buildSearchInsert(
+        scholarshipSearchDoc({ slug: s.slug, name: s.name || '', description: s.description, eligibility: s.eligibility })
+      )
+    );
   }
-  console.log(`  Prepared ${schoStmts.length} scholarship rows`);
+  console.log(`  Prepared ${schoSeen.size} scholarship rows`);
   const schoFiles = await writeBatches('scholarships', schoStmts);
 
+  // --- grants ------------------------------------------------------------
+  console.log('Grants...');
+  const grantsPath = path.join(DATA, 'grants.json');
+  const grants = (!ONE_TABLE || GRANTS_ONLY) && (await fs.pathExists(grantsPath)) ? await fs.readJson(grantsPath) : [];
+  const grantSeen = new Set();
+  const grantStmts = [];
+  for (const g of grants) {
+    if (!g.slug || !g.year || grantSeen.has(g.slug)) continue;
+    grantSeen.add(g.slug);
+    if (!SEARCH_ONLY) grantStmts.push(buildGrantInsert(g));
+    searchStmts.push(buildSearchInsert(grantSearchDoc(g)));
+  }
+  console.log(`  Prepared ${grantSeen.size} grant rows`);
+  const grantFiles = await writeBatches('grants', grantStmts);
+
+  // --- people ------------------------------------------------------------
+  console.log('People...');
+  const peoplePath = path.join(DATA, 'people.json');
+  let people = [];
+  if (!ONE_TABLE || PEOPLE_ONLY) {
+    people = (await fs.pathExists(peoplePath)) ? await fs.readJson(peoplePath) : [];
+    if (people.length === 0 && !SEARCH_ONLY) {
+      for (const p of allPages) {
+        if (PEOPLE_PAGES.includes(p.path.replace(/\/$/, ''))) people.push(...peopleFromListing(p.body || ''));
+      }
+    }
+  }
+  const personSeen = new Set();
+  const personStmts = [];
+  for (const p of people) {
+    if (!p.slug || !p.name || !p.group || personSeen.has(p.slug)) continue;
+    personSeen.add(p.slug);
+    if (!SEARCH_ONLY) personStmts.push(buildPersonInsert(p));
+    searchStmts.push(buildSearchInsert(personSearchDoc(p)));
+  }
+  console.log(`  Prepared ${personSeen.size} person rows`);
+  const personFiles = await writeBatches('people', personStmts);
+
+  // --- events ------------------------------------------------------------
+  console.log('Events...');
+  const eventSeen = new Set();
+  const eventStmts = [];
+  for (const e of events) {
+    if (!e.slug || !e.title || !e.startDate || eventSeen.has(e.slug)) continue;
+    eventSeen.add(e.slug);
+    if (!SEARCH_ONLY) eventStmts.push(buildEventInsert(e));
+    searchStmts.push(buildSearchInsert(eventSearchDoc(e)));
+  }
+  if (eventStmts.length > 0) {
+    if (EVENTS_ONLY) eventStmts.push(...buildPageRetire(eventPagePaths));
+    eventStmts.push(CALENDAR_REDIRECT);
+  }
+  console.log(`  Prepared ${eventSeen.size} event rows`);
+  const eventFiles = await writeBatches('events', eventStmts);
+
+  // --- funds -------------------------------------------------------------
+  console.log('Funds...');
+  const fundsPath = path.join(DATA, 'funds.json');
+  let funds = [];
+  if (!ONE_TABLE || FUNDS_ONLY) {
+    funds = (await fs.pathExists(fundsPath)) ? await fs.readJson(fundsPath) : [];
+    if (funds.length === 0 && !SEARCH_ONLY) {
+      funds = fundsFromPages(allPages);
+      if (funds.length > 0) console.log('  (from giving-form links; check each fund\'s type in /cpadmin/funds)');
+    }
+  }
+  const fundSeen = new Set();
+  const fundStmts = [];
+  for (const f of funds) {
+    if (!f.slug || !f.name || !f.type || fundSeen.has(f.slug)) continue;
+    fundSeen.add(f.slug);
+    if (!SEARCH_ONLY) fundStmts.push(buildFundInsert(f));
+    searchStmts.push(buildSearchInsert(fundSearchDoc(f)));
+  }
+  console.log(`  Prepared ${fundSeen.size} fund rows`);
+  const fundFiles = await writeBatches('funds', fundStmts);
+
+  // --- search index ------------------------------------------------------
+  console.log('Search index...');
+  const searchFiles = await writeBatches('search', searchStmts);
+
   if (SKIP_APPLY) {
     console.log('\n--skip-apply set; stopping before wrangler.');
     return;
@@ -178,7 +382,7 @@ async function main() {
 
   // --- apply -------------------------------------------------------------
   console.log('\nApplying to remote D1...');
-  for (const f of [...pageFiles, ...newsFiles, ...schoFiles]) {
+  for (const f of [...pageFiles, ...newsFiles, ...schoFiles, ...grantFiles, ...personFiles, ...eventFiles, ...fundFiles, ...searchFiles]) {
     applyFile(f);
   }
 
@@ -449,6 +449,55 @@ function parseScholarshipFields(rawBody) {
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Grant Field Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Label spellings the scraper's `fields` object (extractGrant in
+ * utils/extract-fields.mjs) uses for each column of the grants table.
+ * Labels arrive lowercased with the trailing colon stripped.
+ */
+const GRANT_FIELD_LABELS = {
+  recipient: ['recipient', 'grantee', 'organization', 'organisation', 'agency', 'nonprofit'],
+  program: ['program', 'grant program', 'fund', 'grant type'],
+  amount: ['amount', 'grant amount', 'award', 'award amount', 'amount awarded'],
+  year: ['year', 'grant year', 'year awarded', 'awarded'],
+  focusArea: ['focus area', 'focus', 'category', 'area of interest', 'impact area'],
+  county: ['county', 'service area', 'location'],
+};
+
+function grantField(fields, key) {
+  for (const label of GRANT_FIELD_LABELS[key]) {
+    const value = fields[label];
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return '';
+}
+
+/** "$12,500.00" -> 12500; null when there's no dollar figure. */
+function parseDollars(text) {
+  const m = /\$?\s*([\d,]+(?:\.\d+)?)/.exec(text || '');
+  if (!m) return null;
+  const n = Math.round(Number(m[1].replace(/,/g, '')));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** First plausible award year in any of the strings. */
+function parseYear(...texts) {
+  for (const text of texts) {
+    const m = /\b(19[89]\d|20\d{2})\b/.exec(text || '');
+    if (m) return Number(m[1]);
+  }
+  return null;
+}
+
+/** "Jackson" -> "Jackson County", so grants group with ones entered in the admin. */
+function normalizeCounty(text) {
+  if (!text) return '';
+  return /\bcount(y|ies)\b/i.test(text) ? text : `${text} County`;
+}
+
 // ---------------------------------------------------------------------------
 // Navigation Cleaning
 // ---------------------------------------------------------------------------
@@ -623,6 +672,44 @@ async function processScholarships() {
   return scholarships;
 }
 
+async function processGrants() {
+  console.log('Processing grants...');
+  const files = await readJsonDir(path.join(SCRAPED, 'grants'));
+  console.log(`  Found ${files.length} grant files`);
+
+  const grants = [];
+  for (const file of files) {
+    const { url, meta, data } = file;
+    const slug = slugFromUrl(url);
+    const fields = data.fields || {};
+    const title = extractTitle(data.body, meta?.title) || data.title || '';
+
+    // The award year is required; fall back to one named in the title or copy.
+    const year = parseYear(grantField(fields, 'year'), title, data.bodyText);
+    if (!slug || !year) {
+      console.warn(`  Warning: skipping ${url}: no award year found`);
+      continue;
+    }
+
+    grants.push({
+      slug,
+      program: grantField(fields, 'program') || 'Competitive Grants',
+      recipient: grantField(fields, 'recipient') || title,
+      amount: parseDollars(grantField(fields, 'amount')),
+      year,
+      focusArea: grantField(fields, 'focusArea'),
+      county: normalizeCounty(grantField(fields, 'county')),
+      description: cleanScholarshipBody(data.body),
+    });
+  }
+
+  // Newest first, then by recipient (the order dump-d1.mjs writes).
+  grants.sort((a, b) => b.year - a.year || a.recipient.localeCompare(b.recipient));
+
+  console.log(`  Processed ${grants.length} grants`);
+  return grants;
+}
+
 async function processPages() {
   console.log('Processing pages...');
   const files = await readJsonDir(path.join(SCRAPED, 'pages'));
@@ -689,9 +776,10 @@ async function main() {
   await fs.ensureDir(OUTPUT);
 
   // Process all content types in parallel
-  const [news, scholarships, pages, nav] = await Promise.all([
+  const [news, scholarships, grants, pages, nav] = await Promise.all([
     processNews(),
     processScholarships(),
+    processGrants(),
     processPages(),
     processNav(),
   ]);
@@ -700,6 +788,7 @@ async function main() {
   await Promise.all([
     fs.writeJson(path.join(OUTPUT, 'news.json'), news, { spaces: 2 }),
     fs.writeJson(path.join(OUTPUT, 'scholarships.json'), scholarships, { spaces: 2 }),
+    fs.writeJson(path.join(OUTPUT, 'grants.json'), grants, { spaces: 2 }),
     fs.writeJson(path.join(OUTPUT, 'pages.json'), pages, { spaces: 2 }),
     fs.writeJson(path.join(OUTPUT, 'nav.json'), nav, { spaces: 2 }),
   ]);
@@ -708,6 +797,7 @@ async function main() {
   console.log('Output files written:');
   console.log(`  src/data/news.json          - ${news.length} articles`);
   console.log(`  src/data/scholarships.json   - ${scholarships.length} scholarships`);
+  console.log(`  src/data/grants.json         - ${grants.length} grants`);
   console.log(`  src/data/pages.json          - ${pages.length} pages`);
   console.log(`  src/data/nav.json            - ${nav.length} nav items`);
   console.log('');
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * seed-nav.mjs
+ *
+ * Fills the D1 `nav_items` table (migrations/0008_nav_items.sql) from the
+ * hand-edited src/data/nav.json, so the menus can be edited at /cpadmin/nav.
+ * After this, dump-d1 writes nav.json from the table instead.
+ *
+ * Refuses to run if nav_items already has rows, since that would throw away
+ * menu edits made in the admin. --force replaces them anyway.
+ *
+ * Usage: npm run seed-nav -- [--local | --remote] [--force]
+ *   --local   (default) apply to .wrangler/state/v3/d1
+ *   --remote  apply to the production D1
+ */
+
+import fs from 'fs-extra';
+import os from 'node:os';
+import path from 'path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'url';
+import { navTreeFromJson, parseNavTree } from '../src/lib/nav.ts';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+const DB_NAME = 'thcf-content';
+const REMOTE = process.argv.includes('--remote');
+const FORCE = process.argv.includes('--force');
+
+function sqlStr(v) {
+  if (v === null || v === undefined) return 'NULL';
+  return `'${String(v).replace(/'/g, "''")}'`;
+}
+
+function wrangler(extra) {
+  return ['wrangler', 'd1', 'execute', DB_NAME, REMOTE ? '--remote' : '--local', ...extra];
+}
+
+function countRows() {
+  const res = spawnSync('npx', wrangler(['--json', '--command=SELECT COUNT(*) AS n FROM nav_items;']), {
+    cwd: ROOT,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  if (res.status !== 0) throw new Error(`wrangler failed (exit ${res.status}); is migrations/0008_nav_items.sql applied?`);
+  const parsed = JSON.parse(res.stdout.slice(res.stdout.indexOf('[')));
+  return parsed[0].results[0].n;
+}
+
+function buildStatements(tree) {
+  const now = Date.now();
+  const lines = ['DELETE FROM nav_items;'];
+  let nextId = 1;
+  const insert = (node, menu, parentId, position) => {
+    const id = nextId++;
+    lines.push(
+      'INSERT INTO nav_items (id, parent_id, menu, kind, position, label, href, description, image, badge, highlight, external, layout, cards_heading, updated_at) VALUES (' +
+        [
+          id,
+          parentId ?? 'NULL',
+          sqlStr(menu),
+          sqlStr(node.kind),
+          position,
+          sqlStr(node.label),
+          sqlStr(node.href),
+          sqlStr(node.description),
+          sqlStr(node.image),
+          sqlStr(node.badge),
+          node.highlight ? 1 : 0,
+          node.external ? 1 : 0,
+          sqlStr(node.layout),
+          sqlStr(node.cardsHeading),
+          now,
+        ].join(', ') +
+        ');'
+    );
+    node.children.forEach((child, i) => insert(child, menu, id, i));
+  };
+  for (const menu of ['utility', 'audiences', 'main']) tree[menu].forEach((node, i) => insert(node, menu, null, i));
+  return { sql: lines.join('\n') + '\n', count: nextId - 1 };
+}
+
+function main() {
+  console.log(`=== Seed nav_items from src/data/nav.json (${REMOTE ? 'remote' : 'local'}) ===`);
+  const existing = countRows();
+  if (existing > 0 && !FORCE) {
+    console.error(`nav_items already has ${existing} rows; pass --force to replace them.`);
+    process.exit(1);
+  }
+
+  // Same validation as PUT /api/nav, so the seeded menus can be saved from the admin as-is.
+  const tree = parseNavTree(navTreeFromJson(fs.readJsonSync(path.join(ROOT, 'src', 'data', 'nav.json'))));
+  const { sql, count } = buildStatements(tree);
+
+  const tmp = path.join(os.tmpdir(), `seed-nav.${process.pid}.sql`);
+  fs.writeFileSync(tmp, sql);
+  const res = spawnSync('npx', wrangler([`--file=${tmp}`]), { cwd: ROOT, stdio: 'inherit' });
+  fs.removeSync(tmp);
+  if (res.status !== 0) throw new Error(`wrangler failed (exit ${res.status})`);
+  console.log(`\nDone: ${count} rows.`);
+}
+
+main();
@@ -498,6 +498,11 @@ function buildStatements() {
       `INSERT INTO pages (slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, created_at) VALUES (` +
         `${sqlStr(demo.slug)}, ${sqlStr(demo.path)}, ${sqlStr(demo.type)}, ${sqlStr(demo.template)}, ${sqlStr(demo.title)}, ${sqlStr(demo.subtitle)}, NULL, '', ${sqlStr(sectionsJson)}, ${now}, ${now});`
     );
+    // Demos are published as seeded so dump-d1 exports them.
+    lines.push(
+      `INSERT OR REPLACE INTO page_published (slug, path, type, template, title, subtitle, meta, legacy_body, sections, source_updated_at, published_at) ` +
+        `SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, updated_at FROM pages WHERE slug = ${sqlStr(demo.slug)};`
+    );
   }
   return lines.join('\n') + '\n';
 }
@@ -0,0 +1,104 @@
+/**
+ * Extract events from the scraped events calendar and event pages.
+ *
+ * The old site lists events on /events and /about/events-calendar (plus its
+ * /p2) as `.event-card`s: a thumbnail, an `.event-header` link to
+ * /events/<slug>, `p.date` ("Feb 28, 2026" or "May 08, 2025 - May 08, 2025")
+ * and an optional one-line teaser as a bare text node. Past events are
+ * `.event-text`s with just the link and date. Each /events/<slug>
+ * page has a `p.largetext` lead, the description in the div after it, and
+ * a callout and contact block we drop. The old calendar had no times, so
+ * every imported event is all-day.
+ */
+
+import { parse } from 'node-html-parser';
+
+export const EVENT_LISTING_PAGES = ['/events', '/about/events-calendar', '/about/events-calendar/p2'];
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const REGISTER = /regist|ticket|rsvp|sign up/i;
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/** "Feb 28, 2026" → "2026-02-28", or null if it isn't a date. */
+function isoDate(text) {
+  const m = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),\s*(\d{4})$/i);
+  const month = m && MONTHS[m[1].toLowerCase()];
+  if (!month) return null;
+  return `${m[3]}-${String(month).padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+/** Cards on one listing page, as { slug, title, startDate, endDate, image, summary }. */
+export function eventsFromListing(html) {
+  const events = [];
+  for (const card of parse(html).querySelectorAll('.event-card, .event-text')) {
+    const link = card.querySelector('.event-header a');
+    const slug = (link?.getAttribute('href') ?? '').match(/^\/events\/([^/?#]+)/)?.[1];
+    if (!slug) continue;
+    const [start, end] = clean(card.querySelector('.date')?.text ?? '').split(/\s+-\s+/).map(isoDate);
+    if (!start) continue;
+    // The teaser is whatever text sits outside the heading and date.
+    const content = card.querySelector('.card-content') ?? card;
+    const summary = clean(content.childNodes.filter((n) => n.nodeType === 3).map((n) => n.text).join(' '));
+    events.push({
+      slug,
+      title: clean(link.text),
+      startDate: start,
+      endDate: end && end !== start ? end : null,
+      image: card.querySelector('img')?.getAttribute('src') || null,
+      summary: summary || null,
+    });
+  }
+  return events;
+}
+
+/** From an /events/<slug> body: { lead, description, registrationUrl }. */
+export function eventDetailsFromPage(html) {
+  const root = parse(html);
+  const lead = clean(root.querySelector('p.largetext')?.text ?? '') || null;
+  // The description is the first top-level div; .callout and .side-block come after it.
+  const main = root.childNodes.find(
+    (n) => n.tagName === 'DIV' && !n.classList.contains('callout') && !n.classList.contains('side-block')
+  );
+  let registrationUrl = null;
+  for (const a of main?.querySelectorAll('a') ?? []) {
+    const href = a.getAttribute('href') ?? '';
+    if (/^https?:\/\//i.test(href) && REGISTER.test(a.text)) {
+      registrationUrl = href;
+      break;
+    }
+  }
+  const description = main?.innerHTML.replace(/<p[^>]*>(&nbsp;|\s)*<\/p>/g, '').trim() || null;
+  return { lead, description, registrationUrl };
+}
+
+/**
+ * Every event on the listing pages, with its page's details merged in, as
+ * events-table rows. `pages` is pages.json. Deadlines ("Applications DUE |
+ * ...") get the 'Deadline' category; other categories are left to editors.
+ */
+export function eventsFromPages(pages) {
+  const byPath = new Map(pages.map((p) => [p.path.replace(/\/$/, ''), p]));
+  const events = new Map();
+  for (const listing of EVENT_LISTING_PAGES) {
+    for (const e of eventsFromListing(byPath.get(listing)?.body ?? '')) {
+      if (events.has(e.slug)) continue;
+      const details = eventDetailsFromPage(byPath.get(`/events/${e.slug}`)?.body ?? '');
+      events.set(e.slug, {
+        ...e,
+        startTime: null,
+        endTime: null,
+        venue: null,
+        address: null,
+        registrationUrl: details.registrationUrl,
+        category: /^applications due\b/i.test(e.title) ? 'Deadline' : null,
+        summary: (e.summary ?? details.lead)?.slice(0, 500) ?? null,
+        description: details.description,
+      });
+    }
+  }
+  return [...events.values()];
+}
@@ -0,0 +1,84 @@
+/**
+ * Extract funds from giving-form links in the scraped page bodies.
+ *
+ * The old site never listed funds; it only linked to a fund's page on the
+ * FCSuite giving form (`/erp/donate/create/fund?funit_id=<n>`) from the
+ * copy, e.g. "Contribute to the YAC Endowment". Each distinct funit_id
+ * becomes one fund named after its link text. Links whose text is a kind of
+ * fund rather than a name ("Donor Advised Fund") don't name anything, and
+ * the type is a guess from the name, so imported funds want a look in
+ * /cpadmin/funds.
+ */
+
+import { parse } from 'node-html-parser';
+
+const FUND_LINK = /^https:\/\/thcf\.fcsuite\.com\/erp\/donate\/create\/fund\?funit_id=(\d+)$/;
+
+/** Link text that describes a kind of fund (the "Options for Giving" headings on /donors/give-now). */
+const GENERIC_NAMES = new Set([
+  'donor advised fund',
+  'scholarship fund',
+  'community grantmaking fund',
+  'field of interest fund',
+  'designated fund',
+  'designated funds',
+  'nonprofit partner fund',
+  'nonprofit partner funds',
+]);
+
+export const DEFAULT_FUND_TYPE = 'Designated Fund';
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function slugify(s) {
+  return s
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+/** "Contribute to the YAC Endowment" → "YAC Endowment". */
+function fundName(text) {
+  return clean(text).replace(/^(contribute|give|donate|donation)s?\s+(to\s+)?(the\s+)?/i, '');
+}
+
+function guessType(name) {
+  return /scholarship/i.test(name) ? 'Scholarship Fund' : DEFAULT_FUND_TYPE;
+}
+
+/**
+ * Funds linked from any page, as { slug, name, type, donateUrl }, one per
+ * funit_id, in the order they're first named.
+ */
+export function fundsFromPages(pages) {
+  const names = new Map(); // donateUrl → Map(name → times linked)
+  for (const page of pages) {
+    for (const a of parse(page.body || '').querySelectorAll('a[href]')) {
+      const href = (a.getAttribute('href') ?? '').trim().replace(/&amp;/g, '&');
+      if (!FUND_LINK.test(href)) continue;
+      const name = fundName(a.text);
+      if (!name || GENERIC_NAMES.has(name.toLowerCase())) continue;
+      if (!names.has(href)) names.set(href, new Map());
+      const counts = names.get(href);
+      counts.set(name, (counts.get(name) ?? 0) + 1);
+    }
+  }
+
+  const funds = [];
+  const slugs = new Set();
+  for (const [donateUrl, counts] of names) {
+    // The name it's linked by most often; the longer one on a tie.
+    const [name] = [...counts].sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0];
+    const slug = slugify(name);
+    if (!slug || slugs.has(slug)) continue;
+    slugs.add(slug);
+    funds.push({ slug, name, type: guessType(name), donateUrl });
+  }
+  return funds;
+}
@@ -0,0 +1,72 @@
+/**
+ * Extract people from the scraped /about/staff and /about/board bodies.
+ *
+ * The old site renders each group as a `.staff-department` with an h2 and a
+ * `.staff-block` per person: a headshot, `p.staff-name` ("Name" or
+ * "Name, Office"), then one <p> each for the title or affiliation, the
+ * phone number and a mailto link. The "Jump to:" filter and the Advisory
+ * Boards table sit outside the departments and are ignored.
+ */
+
+import { parse } from 'node-html-parser';
+
+const PHONE = /^\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}$/;
+
+function slugify(s) {
+  return s
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * People in listing order, as people-table rows ({ slug, name, title, group,
+ * photo, email, phone, position, termStart, termEnd }). A year in a group
+ * heading ("2026 Executive Officers") becomes that calendar year's term and
+ * is dropped from the group name.
+ */
+export function peopleFromListing(html) {
+  const people = [];
+  for (const dept of parse(html).querySelectorAll('.staff-department')) {
+    const heading = clean(dept.querySelector('h2')?.text ?? '');
+    if (!heading) continue;
+    const year = heading.match(/^(\d{4})\s+/)?.[1] ?? null;
+    const group = year ? heading.slice(year.length).trim() : heading;
+
+    dept.querySelectorAll('.staff-block').forEach((block, position) => {
+      const [name, ...office] = clean(block.querySelector('.staff-name')?.text ?? '').split(/,\s*/);
+      if (!name) return;
+      let phone = null;
+      let affiliation = null;
+      for (const p of block.querySelectorAll('p')) {
+        if (p.classList.contains('staff-name') || p.querySelector('a')) continue;
+        const text = clean(p.text);
+        if (!text) continue;
+        if (PHONE.test(text)) phone = text;
+        else affiliation ??= text;
+      }
+      const mailto = block.querySelector('a[href^="mailto:"]')?.getAttribute('href') ?? '';
+      people.push({
+        slug: slugify(name),
+        name,
+        title: [office.join(', '), affiliation].filter(Boolean).join(', ') || null,
+        group,
+        photo: block.querySelector('img')?.getAttribute('src') || null,
+        email: mailto.replace(/^mailto:/, '').toLowerCase() || null,
+        phone,
+        position,
+        termStart: year ? `${year}-01-01` : null,
+        termEnd: year ? `${year}-12-31` : null,
+      });
+    });
+  }
+  return people;
+}
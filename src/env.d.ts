@@ -1,7 +1,8 @@
 /// <reference path="../.astro/types.d.ts" />
 /// <reference types="astro/client" />
 
-import type { D1Database, R2Bucket, KVNamespace, Fetcher } from '@cloudflare/workers-types';
+import type { D1Database, R2Bucket, KVNamespace, Fetcher, ImagesBinding } from '@cloudflare/workers-types';
+import type { SessionUser } from './lib/users';
 
 /**
  * Astro 6 / adapter 13: env is imported via `import { env } from "cloudflare:workers"`.
@@ -13,18 +14,25 @@ declare global {
       thcf_content: D1Database;
       ASSETS_BUCKET: R2Bucket;
       ASSETS: Fetcher;
+      IMAGES?: ImagesBinding;
       SESSION?: KVNamespace;
-      ADMIN_PASSWORD_HASH?: string;
-      ADMIN_PASSWORD_SALT?: string;
       ADMIN_SESSION_SECRET?: string;
       ANTHROPIC_API_KEY?: string;
+      DEPLOY_HOOK_URL?: string;
+      DEPLOY_HOOK_TOKEN?: string;
+      REBUILD_CALLBACK_SECRET?: string;
+      PAYMENT_PROVIDER?: string;
+      STRIPE_SECRET_KEY?: string;
+      STRIPE_WEBHOOK_SECRET?: string;
+      RESEND_API_KEY?: string;
+      EMAIL_FROM?: string;
     }
   }
-}
 
-declare namespace App {
-  interface Locals {
-    session?: { authed: boolean; issuedAt: number };
+  namespace App {
+    interface Locals {
+      session?: { authed: boolean; issuedAt: number; user: SessionUser };
+    }
   }
 }
 
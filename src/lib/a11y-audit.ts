@@ -0,0 +1,434 @@
+// Accessibility linter for page content (/api/audit/a11y and the editor's
+// Accessibility box).
+//
+// auditPage() walks a page the way PageBody.astro renders it: structured
+// `sections` through the heading levels each component emits, and legacy
+// HTML (the legacy template's body, `legacy-html` sections) through
+// segment() from the content parser, as ContentRenderer does. It reports:
+//
+//   missing-alt    content images without alt text. Background images
+//                  (`backgroundImage`) are decorative and testimonial avatars
+//                  fall back to the author's name, so neither is checked.
+//   heading-order  a heading more than one level below the one before it,
+//                  and any h1 after the page's own.
+//   link-text      CTAs and links with no text, or text like "click here".
+//   contrast       text on a `bg` tone or image overlay below WCAG AA, and
+//                  outline buttons that disappear into their background.
+//
+// Overlays are scored against the worst case, a white photo behind them.
+
+import type { D1Database } from '@cloudflare/workers-types';
+import { parse, HTMLElement } from 'node-html-parser';
+import { extractLead, segment, usesPolishedRenderer } from './content-parser';
+import { safeParseSection } from './sections';
+
+export type A11yRule = 'missing-alt' | 'heading-order' | 'link-text' | 'contrast';
+
+export interface A11yIssue {
+  rule: A11yRule;
+  severity: 'error' | 'warning';
+  /** Index into the page's sections; null for the legacy template's body. */
+  section: number | null;
+  /** Where in the section, e.g. `items[2].image`; '' for the section as a whole. */
+  field: string;
+  message: string;
+}
+
+export interface A11yPageInput {
+  path: string;
+  template: string;
+  sections: unknown[];
+  legacyBody?: string | null;
+}
+
+// ---------------------------------------------------------------------------
+// Colour
+// ---------------------------------------------------------------------------
+
+type Rgb = [number, number, number];
+
+const WHITE: Rgb = [255, 255, 255];
+const GREEN: Rgb = [0x7b, 0xb2, 0x42]; // --color-green
+const BODY_TEXT: Rgb = [0x40, 0x40, 0x40]; // --color-text
+
+/** Background and text colour of each `bg` tone (src/styles/sections.css). */
+const TONES: Record<string, { bg: Rgb; text: Rgb }> = {
+  white: { bg: WHITE, text: BODY_TEXT },
+  light: { bg: [0xf5, 0xf5, 0xf5], text: BODY_TEXT },
+  'blue-light': { bg: [0xef, 0xf6, 0xff], text: BODY_TEXT },
+  navy: { bg: [0x1b, 0x3a, 0x5c], text: WHITE },
+  // A gradient; this is its lighter end.
+  'navy-dark': { bg: [0x1b, 0x3a, 0x5c], text: WHITE },
+  green: { bg: GREEN, text: WHITE },
+};
+
+/** Overlay colour and (lowest) opacity per choice, from each component's styles. White text sits on top. */
+const OVERLAYS: Record<string, Record<string, { color: Rgb; alpha: number }>> = {
+  'hero-banner': {
+    dark: { color: [0, 31, 63], alpha: 0.7 },
+    navy: { color: [0, 31, 63], alpha: 0.85 },
+    green: { color: [30, 132, 73], alpha: 0.85 },
+  },
+  'image-quote': {
+    dark: { color: [0, 0, 0], alpha: 0.65 },
+    navy: { color: [0, 31, 63], alpha: 0.85 },
+    green: { color: [30, 132, 73], alpha: 0.85 },
+  },
+  'image-fade': {
+    navy: { color: [0, 31, 63], alpha: 0.95 },
+    'navy-dark': { color: [0, 22, 44], alpha: 0.95 },
+    green: { color: [30, 132, 73], alpha: 0.95 },
+  },
+};
+
+/** Text colour of button variants with a transparent background (src/styles/global.css). */
+const OUTLINE_BUTTONS: Record<string, Rgb> = {
+  outline: GREEN,
+  'outline-white': WHITE,
+};
+
+function luminance([r, g, b]: Rgb): number {
+  const channel = (c: number) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrast(a: Rgb, b: Rgb): number {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function overWhite({ color, alpha }: { color: Rgb; alpha: number }): Rgb {
+  return color.map((c) => Math.round(c * alpha + 255 * (1 - alpha))) as Rgb;
+}
+
+// WCAG AA: 4.5:1 for body text, 3:1 for large text and for UI components.
+const AA_TEXT = 4.5;
+const AA_LARGE = 3;
+
+// ---------------------------------------------------------------------------
+// Walking a page
+// ---------------------------------------------------------------------------
+
+const VAGUE_LINK_TEXT = new Set([
+  'click here',
+  'click',
+  'here',
+  'this',
+  'this link',
+  'link',
+  'more',
+  'read more',
+  'learn more',
+  'more info',
+  'more information',
+  'details',
+  'go',
+]);
+
+/** Section fields rendered with set:html. */
+const HTML_FIELDS = new Set(['html', 'bodyHtml', 'body', 'answer']);
+
+/** Kinds whose items render their `title` as an h3. */
+const ITEM_HEADINGS = new Set([
+  'icon-cards',
+  'bordered-cards',
+  'feature-grid',
+  'timeline',
+  'steps-numbered',
+  'pricing-tiers',
+  'image-mosaic',
+  'floating-cards',
+  'dual-panels',
+]);
+
+/** Heading level of `title` where it isn't an h2; null where the kind renders no title heading. */
+const TITLE_LEVEL: Record<string, number | null> = {
+  'hero-banner': 1,
+  'page-banner': 1,
+  'highlight-box': 3,
+  'story-spotlight': null,
+  'image-quote': null,
+  'dual-panels': null,
+};
+
+type Obj = Record<string, unknown>;
+
+function isObj(value: unknown): value is Obj {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function str(value: unknown): string {
+  return typeof value === 'string' ? value : '';
+}
+
+function clip(text: string, max = 60): string {
+  const t = text.replace(/\s+/g, ' ').trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+class Auditor {
+  readonly issues: A11yIssue[] = [];
+  private section: number | null = null;
+  private lastLevel = 0;
+  private seenH1 = false;
+
+  at(section: number | null): void {
+    this.section = section;
+  }
+
+  report(rule: A11yRule, severity: A11yIssue['severity'], field: string, message: string): void {
+    this.issues.push({ rule, severity, section: this.section, field, message });
+  }
+
+  heading(level: number, text: string, field: string): void {
+    const label = clip(text) || '(empty)';
+    if (level === 1 && this.seenH1) {
+      this.report('heading-order', 'warning', field, `"${label}" is a second h1; a page should have one. Only the first section should be a banner.`);
+    } else if (this.lastLevel > 0 && level > this.lastLevel + 1) {
+      this.report(
+        'heading-order',
+        'warning',
+        field,
+        `Heading "${label}" is an h${level} straight after an h${this.lastLevel}, skipping a level.`
+      );
+    }
+    if (level === 1) this.seenH1 = true;
+    this.lastLevel = level;
+  }
+
+  image(src: string, alt: string, field: string): void {
+    if (!src || alt.trim()) return;
+    this.report('missing-alt', 'error', field, `Image ${clip(src.split('/').pop() ?? src, 40)} has no alt text.`);
+  }
+
+  link(text: string, href: string, field: string): void {
+    const normalized = text.toLowerCase().replace(/[^a-z ]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!normalized && !text.trim()) {
+      this.report('link-text', 'error', field, `Link to ${clip(href, 40) || '(no href)'} has no text.`);
+    } else if (VAGUE_LINK_TEXT.has(normalized)) {
+      this.report('link-text', 'warning', field, `Link text "${clip(text)}" doesn't say where it goes (${clip(href, 40)}).`);
+    }
+  }
+
+  checkContrast(fg: Rgb, bg: Rgb, min: number, field: string, what: string): void {
+    const ratio = contrast(fg, bg);
+    if (ratio >= min) return;
+    this.report('contrast', 'error', field, `${what} has a contrast ratio of ${ratio.toFixed(1)}:1; WCAG AA needs ${min}:1.`);
+  }
+
+  /** Headings, images and links in a chunk of HTML, in document order. */
+  html(html: string, field: string): void {
+    const walk = (node: HTMLElement) => {
+      for (const child of node.childNodes) {
+        if (!(child instanceof HTMLElement)) continue;
+        const tag = child.tagName;
+        if (/^H[1-6]$/.test(tag)) this.heading(Number(tag[1]), child.text, field);
+        else if (tag === 'IMG') this.image(child.getAttribute('src') ?? '', child.getAttribute('alt') ?? '', field);
+        else if (tag === 'A' && child.hasAttribute('href')) {
+          const imgAlt = child.querySelectorAll('img').map((img) => img.getAttribute('alt') ?? '').join(' ');
+          this.link(child.getAttribute('aria-label') || child.text || imgAlt, child.getAttribute('href') ?? '', field);
+        }
+        walk(child);
+      }
+    };
+    if (html) walk(parse(html));
+  }
+
+  /** Legacy HTML the way ContentRenderer lays it out: each segment's title is an h2. */
+  legacy(html: string, field: string, hoistLead = false): void {
+    for (const seg of segment(html, { hoistLead })) {
+      if (hoistLead && seg.kind === 'lead') continue;
+      if ('title' in seg && seg.title) this.heading(2, seg.title, field);
+      switch (seg.kind) {
+        case 'split':
+          this.image(seg.imageSrc, seg.imageAlt, field);
+          this.html(seg.textHtml, field);
+          break;
+        case 'cards':
+          for (const item of seg.items) this.html(item.text, field);
+          break;
+        case 'table':
+          this.html(seg.preHtml + seg.tableHtml + seg.postHtml, field);
+          break;
+        default:
+          this.html(seg.html, field);
+      }
+    }
+  }
+
+  /** A structured section: headings in render order, then images, links and colours. */
+  sectionContent(s: Obj, prefix = ''): void {
+    const kind = str(s.kind);
+    const f = (name: string) => prefix + name;
+
+    if (kind === 'legacy-html') {
+      this.legacy(str(s.html), f('html'), s.hoistLead === true);
+      return;
+    }
+    if (kind === 'sidebar-layout') {
+      // The sidebar comes first in the DOM whichever side it is drawn on.
+      const cards = Array.isArray(s.sidebar) ? s.sidebar : [];
+      cards.forEach((card, i) => {
+        if (!isObj(card)) return;
+        this.heading(3, str(card.title), f(`sidebar[${i}].title`));
+        this.fields(card, f(`sidebar[${i}]`));
+      });
+      const main = Array.isArray(s.main) ? s.main : [];
+      main.forEach((child, i) => {
+        if (isObj(child)) this.sectionContent(normalize(child), f(`main[${i}].`));
+      });
+      return;
+    }
+
+    const titleLevel = kind in TITLE_LEVEL ? TITLE_LEVEL[kind] : 2;
+    if (titleLevel && str(s.title)) this.heading(titleLevel, str(s.title), f('title'));
+    for (const key of ['html', 'bodyHtml', 'body']) {
+      if (typeof s[key] === 'string') this.html(s[key] as string, f(key));
+    }
+    const items = Array.isArray(s.items) ? s.items : [];
+    items.forEach((item, i) => {
+      if (!isObj(item)) return;
+      if (ITEM_HEADINGS.has(kind)) this.heading(3, str(item.title), f(`items[${i}].title`));
+      for (const key of HTML_FIELDS) {
+        if (typeof item[key] === 'string') this.html(item[key] as string, f(`items[${i}].${key}`));
+      }
+    });
+
+    const shallow: Obj = { ...s, items: undefined, html: undefined, bodyHtml: undefined, body: undefined };
+    this.fields(shallow, prefix.replace(/\.$/, ''));
+    items.forEach((item, i) => {
+      if (isObj(item)) this.fields({ ...item, body: undefined, answer: undefined }, f(`items[${i}]`));
+    });
+    this.colours(s, prefix);
+  }
+
+  /** Image fields ({ src, alt }) and links ({ label, href }) anywhere below `value`. */
+  fields(value: unknown, path: string): void {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => this.fields(v, `${path}[${i}]`));
+      return;
+    }
+    if (!isObj(value)) return;
+    if (typeof value.src === 'string') {
+      this.image(value.src, str(value.alt), path);
+      return;
+    }
+    if (typeof value.href === 'string' && typeof value.label === 'string') {
+      this.link(value.label, value.href, path);
+      return;
+    }
+    for (const [key, v] of Object.entries(value)) {
+      // Decorative, or labelled by the author's name.
+      if (key === 'backgroundImage' || key === 'avatar') continue;
+      this.fields(v, path ? `${path}.${key}` : key);
+    }
+  }
+
+  colours(s: Obj, prefix: string): void {
+    const kind = str(s.kind);
+    const field = (name: string) => prefix + name;
+    let surface: Rgb | null = null;
+
+    // Split.astro falls back to white when `bg` is unset.
+    const bg = typeof s.bg === 'string' ? s.bg : kind === 'split' ? 'white' : '';
+    if (TONES[bg]) {
+      surface = TONES[bg].bg;
+      this.checkContrast(TONES[bg].text, surface, AA_TEXT, field('bg'), `Text on the ${bg} background`);
+    }
+
+    const overlays = OVERLAYS[kind];
+    if (overlays) {
+      const choice = str(kind === 'image-fade' ? s.fadeColor : s.overlayColor);
+      const hasImage = isObj(s.backgroundImage) || isObj(s.image);
+      const hasBody = Boolean(str(s.subtitle) || str(s.body));
+      if (choice === 'none') {
+        if (hasImage) {
+          this.report('contrast', 'warning', field('overlayColor'), 'Text sits directly on the image with no overlay, so its contrast depends on the photo. Pick an overlay colour.');
+        }
+      } else if (overlays[choice]) {
+        surface = overWhite(overlays[choice]);
+        const key = kind === 'image-fade' ? 'fadeColor' : 'overlayColor';
+        this.checkContrast(WHITE, surface, hasBody ? AA_TEXT : AA_LARGE, field(key), `Text on the ${choice} overlay`);
+      }
+    }
+    if (kind === 'cta-band') surface = GREEN;
+    if (!surface) return;
+
+    const ctas: Array<[string, unknown]> = [];
+    for (const key of ['ctas', 'buttons']) {
+      if (Array.isArray(s[key])) (s[key] as unknown[]).forEach((c, i) => ctas.push([`${key}[${i}]`, c]));
+    }
+    if (s.cta) ctas.push(['cta', s.cta]);
+    for (const [path, cta] of ctas) {
+      if (!isObj(cta)) continue;
+      const color = OUTLINE_BUTTONS[str(cta.variant)];
+      if (color) this.checkContrast(color, surface, AA_LARGE, field(path), `The ${str(cta.variant)} button "${clip(str(cta.label), 30)}"`);
+    }
+  }
+}
+
+/** Fill in schema defaults (bg tones, overlays) where the section validates. */
+function normalize(raw: Obj): Obj {
+  const parsed = safeParseSection(raw);
+  return parsed.ok ? (parsed.section as unknown as Obj) : raw;
+}
+
+export function auditPage(page: A11yPageInput): A11yIssue[] {
+  const audit = new Auditor();
+
+  if (page.template === 'legacy') {
+    audit.heading(1, 'page title', '');
+    const body = page.legacyBody ?? '';
+    if (usesPolishedRenderer(page.path)) audit.legacy(body, 'legacyBody', Boolean(extractLead(body)));
+    else audit.html(body, 'legacyBody');
+    return audit.issues;
+  }
+
+  const sections = page.sections.filter(isObj).map(normalize);
+  // PageBody.astro renders the page title as an h1 unless the first section is its own banner.
+  const firstKind = str(sections[0]?.kind);
+  if (firstKind !== 'page-banner' && firstKind !== 'hero-banner') audit.heading(1, 'page title', '');
+  sections.forEach((s, i) => {
+    audit.at(i);
+    audit.sectionContent(s);
+  });
+  return audit.issues;
+}
+
+// ---------------------------------------------------------------------------
+// All pages
+// ---------------------------------------------------------------------------
+
+export interface A11yPageReport {
+  slug: string;
+  path: string;
+  title: string;
+  issues: A11yIssue[];
+}
+
+/** Audit the working copy of every page, worst first. Pages with no issues are left out. */
+export async function auditAllPages(db: D1Database): Promise<A11yPageReport[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT slug, path, title, template, sections, legacy_body FROM pages WHERE deleted_at IS NULL ORDER BY path'
+    )
+    .all<{ slug: string; path: string; title: string; template: string; sections: string; legacy_body: string | null }>();
+
+  const reports: A11yPageReport[] = [];
+  for (const r of results ?? []) {
+    let sections: unknown[] = [];
+    try {
+      const parsed = JSON.parse(r.sections || '[]');
+      if (Array.isArray(parsed)) sections = parsed;
+    } catch {
+      // Unparseable sections render nothing; leave them to the editor's JSON check.
+    }
+    const issues = auditPage({ path: r.path, template: r.template, sections, legacyBody: r.legacy_body });
+    if (issues.length > 0) reports.push({ slug: r.slug, path: r.path, title: r.title, issues });
+  }
+  const errors = (p: A11yPageReport) => p.issues.filter((i) => i.severity === 'error').length;
+  return reports.sort((a, b) => errors(b) - errors(a) || b.issues.length - a.issues.length);
+}
@@ -0,0 +1,289 @@
+// Alt text and captions for section images (the describe_images chat tool).
+//
+// The image bytes go to the model in a request of their own rather than
+// through the chat, because the client posts the whole chat history back on
+// every turn. Media library uploads are read from R2; images the WordPress
+// import left at their original URL are fetched from there.
+//
+// The result is a `describe-images` proposal: a list of image fields (by
+// path into the sections array) with the alt text and caption to give each.
+// Applying it writes those onto the page as it is at that moment, so edits
+// made while the proposal sat in the chat aren't overwritten.
+
+import type { D1Database, ImagesBinding, ReadableStream as CfReadableStream } from '@cloudflare/workers-types';
+import type Anthropic from '@anthropic-ai/sdk';
+import { env } from 'cloudflare:workers';
+
+import { findAssetBySrc, getBucket, mediaKey } from '../assets';
+import type { Section } from '../sections';
+
+/** Images per tool call. Each one costs roughly 1,500 input tokens at MODEL_WIDTH. */
+export const MAX_IMAGES_PER_CALL = 8;
+
+/** Longest edge the model gets. It downsamples anything much bigger anyway. */
+const MODEL_WIDTH = 1024;
+
+/** Without the Images binding, the bytes are sent as stored, within the API's limits. */
+const MODEL_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+const MAX_MODEL_BYTES = 5 * 1024 * 1024;
+
+const FETCH_TIMEOUT_MS = 10_000;
+
+/** Section kinds that show `image.caption` on the page; others would ignore it. */
+const CAPTIONED_KINDS = new Set(['split']);
+
+export type FieldPath = Array<string | number>;
+
+export interface ImageField {
+  path: FieldPath;
+  /** e.g. "3. image-mosaic › items 2 › image", as in the editor's Images box. */
+  label: string;
+  src: string;
+  alt: string;
+  caption: string;
+  /** Whether the section renders a caption for this image. */
+  captioned: boolean;
+  /** Nearby headings, to tell the model what the image illustrates. */
+  context: string[];
+}
+
+export interface ImageDescription {
+  path: FieldPath;
+  label: string;
+  src: string;
+  alt: string;
+  caption?: string;
+}
+
+// ---------------------------------------------------------------------------
+// Finding image fields
+// ---------------------------------------------------------------------------
+
+/**
+ * Content images in a page's sections: every `{ src }` object, skipping
+ * background images and testimonial avatars, which are decorative (the
+ * accessibility audit skips them for the same reason).
+ */
+export function findImageFields(sections: Section[]): ImageField[] {
+  const out: ImageField[] = [];
+  const walk = (value: unknown, path: FieldPath, context: string[]) => {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => walk(v, [...path, i], context));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    const obj = value as Record<string, unknown>;
+    if (typeof obj.src === 'string' && path.length > 1) {
+      const section = sections[path[0] as number] as { kind: string };
+      out.push({
+        path,
+        label: fieldLabel(sections, path),
+        src: obj.src,
+        alt: typeof obj.alt === 'string' ? obj.alt : '',
+        caption: typeof obj.caption === 'string' ? obj.caption : '',
+        captioned: CAPTIONED_KINDS.has(section.kind) && path.length === 2,
+        context,
+      });
+      return;
+    }
+    const heading = [obj.eyebrow, obj.title, obj.name].filter((t): t is string => typeof t === 'string' && t.trim() !== '');
+    for (const [key, v] of Object.entries(obj)) {
+      if (key === 'backgroundImage' || key === 'avatar') continue;
+      walk(v, [...path, key], [...context, ...heading]);
+    }
+  };
+  sections.forEach((s, i) => walk(s, [i], []));
+  return out;
+}
+
+function fieldLabel(sections: Section[], path: FieldPath): string {
+  const parts = [`${(path[0] as number) + 1}. ${sections[path[0] as number]?.kind ?? '?'}`];
+  for (const key of path.slice(1)) {
+    if (typeof key === 'number') parts[parts.length - 1] += ` ${key + 1}`;
+    else parts.push(key);
+  }
+  return parts.join(' › ');
+}
+
+// ---------------------------------------------------------------------------
+// Loading images
+// ---------------------------------------------------------------------------
+
+type LoadedImage = { ok: true; block: Anthropic.ImageBlockParam } | { ok: false; reason: string };
+
+/**
+ * Read an image for the model: R2 for uploads and anything else under
+ * /media/, the network for absolute URLs. Downscaled to MODEL_WIDTH JPEG
+ * through the Images binding when it's available.
+ */
+export async function loadImage(db: D1Database, src: string): Promise<LoadedImage> {
+  let bytes: ArrayBuffer;
+  let type: string;
+  try {
+    const asset = await findAssetBySrc(db, src);
+    const r2Key = asset?.r2Key ?? (src.startsWith('/media/') ? mediaKey(src) : null);
+    if (r2Key) {
+      const object = await getBucket().get(r2Key);
+      if (!object) return { ok: false, reason: 'not found in the media bucket' };
+      bytes = await object.arrayBuffer();
+      type = asset?.mimeType ?? object.httpMetadata?.contentType ?? '';
+    } else if (/^https?:\/\//.test(src)) {
+      const res = await fetch(src, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+      if (!res.ok) return { ok: false, reason: `fetching it returned ${res.status}` };
+      bytes = await res.arrayBuffer();
+      type = (res.headers.get('content-type') ?? '').split(';')[0].trim();
+    } else {
+      return { ok: false, reason: 'not a media library or web URL' };
+    }
+  } catch (err) {
+    return { ok: false, reason: err instanceof Error ? err.message : String(err) };
+  }
+
+  if (type === 'image/svg+xml') return { ok: false, reason: 'SVG images are not supported' };
+
+  const images = (env as unknown as { IMAGES?: ImagesBinding }).IMAGES;
+  if (images && type.startsWith('image/')) {
+    try {
+      const result = await images
+        .input(new Blob([bytes]).stream() as unknown as CfReadableStream<Uint8Array>)
+        .transform({ width: MODEL_WIDTH, height: MODEL_WIDTH, fit: 'scale-down' })
+        .output({ format: 'image/jpeg', quality: 85, background: '#ffffff' });
+      bytes = await new Response(result.image() as unknown as BodyInit).arrayBuffer();
+      type = 'image/jpeg';
+    } catch {
+      // Fall through and send the original if the API accepts it.
+    }
+  }
+  if (!MODEL_TYPES.has(type)) return { ok: false, reason: `unsupported image type ${type || '(unknown)'}` };
+  if (bytes.byteLength > MAX_MODEL_BYTES) return { ok: false, reason: 'image is larger than 5 MB' };
+
+  return {
+    ok: true,
+    block: {
+      type: 'image',
+      source: { type: 'base64', media_type: type as 'image/jpeg', data: toBase64(new Uint8Array(bytes)) },
+    },
+  };
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+// ---------------------------------------------------------------------------
+// Describing
+// ---------------------------------------------------------------------------
+
+const DESCRIBE_SYSTEM = `You write alt text and captions for images on the Truman Heartland Community Foundation website, a community foundation in Independence, Missouri.
+
+Alt text:
+- Describe what the image shows that matters on this page, in one sentence of at most 125 characters.
+- Don't start with "Image of" or "Photo of", and don't repeat the nearby heading word for word.
+- Name people only if the heading or current text names them; otherwise describe them ("Two volunteers sorting donated books").
+- If the image is text (a logo, a flyer), give the text it says.
+- If it is purely decorative and adds nothing to the page, give an empty string.
+
+Captions are shown under the image, so only write one when asked. Keep it to one short sentence that adds context the alt text doesn't, in the site's warm, plain voice.`;
+
+const RECORD_TOOL: Anthropic.Tool = {
+  name: 'record_descriptions',
+  description: 'Record the alt text (and caption, where asked for) for every numbered image.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      images: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            image: { type: 'integer', description: 'The image number.' },
+            alt: { type: 'string' },
+            caption: { type: 'string', description: 'Only for images marked "caption wanted".' },
+          },
+          required: ['image', 'alt'],
+        },
+      },
+    },
+    required: ['images'],
+  },
+};
+
+/**
+ * Ask the model for alt text (and a caption where the section shows one)
+ * for each image. Returns a description per field, in order; a field the
+ * model skipped is left out.
+ */
+export async function describeImages(
+  anthropic: Anthropic,
+  model: string,
+  page: { title: string; path: string },
+  images: Array<{ field: ImageField; block: Anthropic.ImageBlockParam }>
+): Promise<ImageDescription[]> {
+  const content: Anthropic.ContentBlockParam[] = [
+    { type: 'text', text: `These images are on the page "${page.title}" (${page.path}).` },
+  ];
+  images.forEach(({ field, block }, i) => {
+    const lines = [`Image ${i + 1} — ${field.label}${field.captioned ? ', caption wanted' : ''}.`];
+    if (field.context.length) lines.push(`Nearby headings: ${field.context.map((c) => `"${c}"`).join(', ')}.`);
+    if (field.alt) lines.push(`Current alt text: "${field.alt}".`);
+    content.push({ type: 'text', text: lines.join('\n') }, block);
+  });
+
+  const resp = await anthropic.messages.create({
+    model,
+    max_tokens: 2048,
+    system: DESCRIBE_SYSTEM,
+    tools: [RECORD_TOOL],
+    tool_choice: { type: 'tool', name: RECORD_TOOL.name },
+    messages: [{ role: 'user', content }],
+  });
+  const use = resp.content.find((b) => b.type === 'tool_use');
+  const recorded = (use?.input as { images?: unknown } | undefined)?.images;
+  if (!Array.isArray(recorded)) throw new Error('the model returned no descriptions');
+
+  const out: ImageDescription[] = [];
+  for (const r of recorded as Array<{ image?: unknown; alt?: unknown; caption?: unknown }>) {
+    const field = typeof r.image === 'number' ? images[r.image - 1]?.field : undefined;
+    if (!field || typeof r.alt !== 'string' || out.some((d) => d.path === field.path)) continue;
+    const caption = field.captioned && !field.caption && typeof r.caption === 'string' ? r.caption.trim() : '';
+    out.push({ path: field.path, label: field.label, src: field.src, alt: r.alt.trim(), ...(caption && { caption }) });
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Applying
+// ---------------------------------------------------------------------------
+
+/**
+ * Write descriptions onto a copy of `sections`. A description is skipped if
+ * its field no longer holds the same image. Captions only fill empty ones.
+ */
+export function applyImageDescriptions<S>(
+  sections: S[],
+  descriptions: ImageDescription[]
+): { sections: S[]; applied: number } {
+  const next = structuredClone(sections);
+  let applied = 0;
+  for (const d of descriptions) {
+    // Proposals come back from the client, so check the shape as we go.
+    if (!Array.isArray(d.path) || typeof d.src !== 'string' || typeof d.alt !== 'string') continue;
+    let target: unknown = next;
+    for (const key of d.path) {
+      target = target && typeof target === 'object' && Object.hasOwn(target, key)
+        ? (target as Record<string | number, unknown>)[key]
+        : undefined;
+    }
+    if (!target || typeof target !== 'object') continue;
+    const image = target as { src?: unknown; alt?: string; caption?: string };
+    if (image.src !== d.src) continue;
+    image.alt = d.alt;
+    if (typeof d.caption === 'string' && d.caption && !image.caption) image.caption = d.caption;
+    applied++;
+  }
+  return { sections: next, applied };
+}
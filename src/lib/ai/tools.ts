@@ -7,13 +7,14 @@
 // Tools are split into two categories by blast radius:
 //
 //   small-writes  (rewriteSection, addSection, removeSection, reorderSections,
-//                  setPageMeta, createPage) apply to D1 immediately. Version
-//                  history gives us undo.
+//                  setPageMeta, createPage) apply to the page's draft
+//                  immediately. Version history gives us undo, and nothing
+//                  reaches the public site until someone publishes.
 //
-//   big-writes    (applyTemplate, proposeSections) don't apply directly;
-//                 they return a Proposal object that the UI renders with
-//                 "Apply" / "Cancel" buttons. The user confirms before D1
-//                 is touched.
+//   big-writes    (applyTemplate, proposeSections, describeImages) don't
+//                 apply directly; they return a Proposal object that the UI
+//                 renders with "Apply" / "Cancel" buttons. The user confirms
+//                 before D1 is touched.
 
 import type { D1Database } from '@cloudflare/workers-types';
 import Anthropic from '@anthropic-ai/sdk';
@@ -21,11 +22,19 @@ import Anthropic from '@anthropic-ai/sdk';
 import {
   getPage,
   listPages,
+  pageSlugProblem,
   updatePage,
   type PageUpdate,
 } from '../d1';
 import { sectionSchema, type Section, type SectionKind } from '../sections';
 import { TEMPLATES, getTemplate, UNIVERSAL_SECTIONS } from '../templates';
+import {
+  MAX_IMAGES_PER_CALL,
+  describeImages,
+  findImageFields,
+  loadImage,
+  type ImageDescription,
+} from './describe-images';
 
 // ---------------------------------------------------------------------------
 // Proposal type — emitted by big-write tools, consumed by the UI
@@ -45,6 +54,13 @@ export type Proposal =
       slug: string;
       sections: Section[];
       summary: string;
+    }
+  | {
+      // Applied onto the page as it is when confirmed, not as a sections array.
+      kind: 'describe-images';
+      slug: string;
+      images: ImageDescription[];
+      summary: string;
     };
 
 // ---------------------------------------------------------------------------
@@ -66,11 +82,16 @@ export interface ToolCtx {
     userMessage: string;
     toolCalls: Array<{ name: string; input: unknown }>;
   };
+  /** Signed-in user chatting with the bot; recorded on version rows. */
+  userId: number | null;
   /**
    * Collector for proposals returned by big-write tools. The /api/chat
    * handler reads this after the Claude loop ends and forwards to the UI.
    */
   pendingProposals: Proposal[];
+  /** Client and model for tools that make a model call of their own. */
+  anthropic: Anthropic;
+  model: string;
 }
 
 export interface ToolResult {
@@ -215,13 +236,17 @@ const listTemplatesTool: ToolDef = {
 const setPageMetaTool: ToolDef = {
   definition: {
     name: 'set_page_meta',
-    description: 'Update the page title and/or subtitle.',
+    description: 'Update the page title, subtitle and/or meta description.',
     input_schema: {
       type: 'object',
       properties: {
         slug: { type: 'string' },
         title: { type: 'string' },
         subtitle: { type: ['string', 'null'] },
+        description: {
+          type: ['string', 'null'],
+          description: 'Meta description shown in search results and social cards; aim for 50–160 characters. Null clears it.',
+        },
       },
     },
   },
@@ -230,12 +255,21 @@ const setPageMetaTool: ToolDef = {
     const update: PageUpdate = {};
     if (typeof input.title === 'string') update.title = input.title;
     if (input.subtitle !== undefined) update.subtitle = input.subtitle;
-    const ts = await updatePage(ctx.db, slug, update, 'bot', ctx.chatTurn);
+    if (input.description !== undefined) {
+      // The other SEO fields (canonical, noindex, social image) stay as they are.
+      const page = await getPage(ctx.db, slug);
+      update.meta = { ...page?.meta, description: input.description };
+    }
+    const ts = await updatePage(ctx.db, slug, update, 'bot', ctx.chatTurn, ctx.userId);
     return {
       result: { ok: true, updatedAt: ts },
       activity: {
         label: 'set_page_meta',
-        detail: [input.title && `title → "${input.title}"`, input.subtitle && `subtitle → "${input.subtitle}"`]
+        detail: [
+          input.title && `title → "${input.title}"`,
+          input.subtitle && `subtitle → "${input.subtitle}"`,
+          input.description !== undefined && (input.description ? `description → "${input.description}"` : 'description cleared'),
+        ]
           .filter(Boolean).join(', '),
         status: 'ok',
       },
@@ -276,7 +310,7 @@ const rewriteSectionTool: ToolDef = {
     }
     const withId = { ...next, id: input.section_id } as Section & { id: string };
     sections[idx] = withId;
-    const ts = await updatePage(ctx.db, slug, { sections: stripIds(sections) }, 'bot', ctx.chatTurn);
+    const ts = await updatePage(ctx.db, slug, { sections: stripIds(sections) }, 'bot', ctx.chatTurn, ctx.userId);
     return {
       result: { ok: true, updatedAt: ts },
       activity: { label: 'rewrite_section', detail: `${next.kind} · ${input.section_id}`, status: 'ok' },
@@ -319,7 +353,7 @@ const addSectionTool: ToolDef = {
     } else {
       sections.push(withId);
     }
-    const ts = await updatePage(ctx.db, slug, { sections: stripIds(sections) }, 'bot', ctx.chatTurn);
+    const ts = await updatePage(ctx.db, slug, { sections: stripIds(sections) }, 'bot', ctx.chatTurn, ctx.userId);
     return {
       result: { ok: true, updatedAt: ts, sectionId: newId },
       activity: { label: 'add_section', detail: `${next.kind}`, status: 'ok' },
@@ -349,7 +383,7 @@ const removeSectionTool: ToolDef = {
     if (filtered.length === sections.length) {
       return { result: { error: `section not found: ${input.section_id}` }, activity: { label: 'remove_section', status: 'error' } };
     }
-    const ts = await updatePage(ctx.db, slug, { sections: stripIds(filtered) }, 'bot', ctx.chatTurn);
+    const ts = await updatePage(ctx.db, slug, { sections: stripIds(filtered) }, 'bot', ctx.chatTurn, ctx.userId);
     return {
       result: { ok: true, updatedAt: ts },
       activity: { label: 'remove_section', detail: input.section_id, status: 'ok' },
@@ -384,7 +418,7 @@ const reorderSectionsTool: ToolDef = {
     }
     // Append leftovers (preserves any section not referenced by the bot).
     for (const s of byId.values()) ordered.push(s);
-    const ts = await updatePage(ctx.db, slug, { sections: stripIds(ordered) }, 'bot', ctx.chatTurn);
+    const ts = await updatePage(ctx.db, slug, { sections: stripIds(ordered) }, 'bot', ctx.chatTurn, ctx.userId);
     return {
       result: { ok: true, updatedAt: ts },
       activity: { label: 'reorder_sections', detail: `${input.ordered_ids.length} ids`, status: 'ok' },
@@ -409,18 +443,16 @@ const createPageTool: ToolDef = {
   },
   async run(input, ctx) {
     const slug = String(input.slug).replace(/^\//, '');
-    if (!/^[a-z0-9]+(?:[-/][a-z0-9]+)*$/.test(slug)) {
-      return { result: { error: 'invalid slug; use lowercase letters, numbers, dashes, slashes' }, activity: { label: 'create_page', status: 'error' } };
-    }
-    const existing = await getPage(ctx.db, slug);
-    if (existing) {
-      return { result: { error: `page already exists: ${slug}` }, activity: { label: 'create_page', status: 'error' } };
+    const problem = await pageSlugProblem(ctx.db, slug);
+    if (problem) {
+      return { result: { error: problem }, activity: { label: 'create_page', status: 'error' } };
     }
     const template = getTemplate(input.template_id);
     if (!template) {
       return { result: { error: `unknown template: ${input.template_id}` }, activity: { label: 'create_page', status: 'error' } };
     }
     const now = Date.now();
+    // New pages start as drafts: not published and not in the public search index.
     await ctx.db
       .prepare(
         'INSERT INTO pages (slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, NULL, NULL, \'\', ?6, ?7, ?8)'
@@ -558,6 +590,73 @@ const proposeSectionsTool: ToolDef = {
   },
 };
 
+const describeImagesTool: ToolDef = {
+  definition: {
+    name: 'describe_images',
+    description:
+      `Look at the images in a page's sections and propose alt text for each, plus a caption for images in sections that show one (split). By default only images with empty alt text are described. Handles up to ${MAX_IMAGES_PER_CALL} images per call; \`remaining\` in the result says how many are left. Returns a proposal the user must confirm before anything changes.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string' },
+        only_missing: {
+          type: 'boolean',
+          description: 'Only describe images whose alt text is empty (default true). Pass false to rewrite existing alt text too.',
+        },
+      },
+    },
+  },
+  async run(input, ctx) {
+    const slug = resolveSlug(ctx, input.slug);
+    const page = await getPage(ctx.db, slug);
+    if (!page) return { result: { error: `page not found: ${slug}` }, activity: { label: 'describe_images', status: 'error' } };
+
+    const onlyMissing = input.only_missing !== false;
+    const fields = findImageFields(page.sections as Section[])
+      .filter((f) => f.src && (!onlyMissing || !f.alt.trim()));
+    if (fields.length === 0) {
+      return {
+        result: { ok: true, message: onlyMissing ? 'every image on the page already has alt text' : 'the page has no images' },
+        activity: { label: 'describe_images', detail: 'nothing to describe', status: 'ok' },
+      };
+    }
+
+    const batch = fields.slice(0, MAX_IMAGES_PER_CALL);
+    const loaded = await Promise.all(batch.map(async (field) => ({ field, image: await loadImage(ctx.db, field.src) })));
+    const skipped = loaded.flatMap(({ field, image }) => (image.ok ? [] : [{ image: field.label, src: field.src, reason: image.reason }]));
+    const ready = loaded.flatMap(({ field, image }) => (image.ok ? [{ field, block: image.block }] : []));
+    if (ready.length === 0) {
+      return {
+        result: { error: 'none of the images could be loaded', skipped },
+        activity: { label: 'describe_images', detail: `${skipped.length} images unreadable`, status: 'error' },
+      };
+    }
+
+    const images = await describeImages(ctx.anthropic, ctx.model, page, ready);
+    if (images.length === 0) {
+      return { result: { error: 'no descriptions came back', skipped }, activity: { label: 'describe_images', status: 'error' } };
+    }
+    const captions = images.filter((d) => d.caption).length;
+    const summary = [
+      `Add alt text to ${images.length} image(s) on ${page.path}${captions > 0 ? ` and captions to ${captions}` : ''}.`,
+      skipped.length > 0 ? `Skipped ${skipped.length} that couldn't be loaded.` : null,
+    ].filter(Boolean).join(' ');
+
+    ctx.pendingProposals.push({ kind: 'describe-images', slug, images, summary });
+
+    return {
+      result: {
+        proposal: true,
+        summary,
+        images: images.map((d) => ({ image: d.label, alt: d.alt, caption: d.caption })),
+        skipped,
+        remaining: fields.length - batch.length,
+      },
+      activity: { label: 'describe_images', detail: `${images.length} images`, status: 'proposed' },
+    };
+  },
+};
+
 // ---------------------------------------------------------------------------
 // Registry
 // ---------------------------------------------------------------------------
@@ -574,6 +673,7 @@ export const TOOLS: Record<string, ToolDef> = {
   create_page: createPageTool,
   apply_template: applyTemplateTool,
   propose_sections: proposeSectionsTool,
+  describe_images: describeImagesTool,
 };
 
 export const TOOL_DEFINITIONS: Anthropic.Tool[] = Object.values(TOOLS).map((t) => t.definition);
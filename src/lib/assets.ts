@@ -0,0 +1,310 @@
+// Media library: uploaded images in the ASSETS_BUCKET R2 bucket, indexed in
+// the D1 `assets` table (/api/assets and /cpadmin/media).
+//
+// An asset's id is a hash of its bytes, so uploading the same file twice
+// returns the existing asset. Objects live at `uploads/<id>/<filename>` and
+// are served publicly by src/pages/media/[...key].ts; `url` is that path,
+// which is what goes into a section's `{ src, alt }`.
+
+import type { D1Database, R2Bucket } from '@cloudflare/workers-types';
+import { env } from 'cloudflare:workers';
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+} as const;
+export type ImageType = keyof typeof IMAGE_TYPES;
+
+export interface AssetRow {
+  id: string;
+  r2Key: string;
+  /** Public path for the object; use as an image `src`. */
+  url: string;
+  alt: string | null;
+  originalUrl: string | null;
+  width: number | null;
+  height: number | null;
+  mimeType: string | null;
+  sizeBytes: number | null;
+  createdAt: number;
+}
+
+interface AssetDbRow {
+  id: string;
+  r2_key: string;
+  alt: string | null;
+  original_url: string | null;
+  width: number | null;
+  height: number | null;
+  mime_type: string | null;
+  size_bytes: number | null;
+  created_at: number;
+}
+
+const ASSET_COLUMNS = 'id, r2_key, alt, original_url, width, height, mime_type, size_bytes, created_at';
+
+export function getBucket(): R2Bucket {
+  const bucket = (env as unknown as { ASSETS_BUCKET?: R2Bucket }).ASSETS_BUCKET;
+  if (!bucket) {
+    throw new Error('R2 binding `ASSETS_BUCKET` is not configured');
+  }
+  return bucket;
+}
+
+export function assetUrl(r2Key: string): string {
+  return `/media/${r2Key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function toAssetRow(r: AssetDbRow): AssetRow {
+  return {
+    id: r.id,
+    r2Key: r.r2_key,
+    url: assetUrl(r.r2_key),
+    alt: r.alt,
+    originalUrl: r.original_url,
+    width: r.width,
+    height: r.height,
+    mimeType: r.mime_type,
+    sizeBytes: r.size_bytes,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Image sniffing
+// ---------------------------------------------------------------------------
+
+/**
+ * Work out an image's type and pixel size from its bytes. The browser's
+ * claimed content type isn't trusted. Returns null for anything that isn't
+ * one of IMAGE_TYPES; width/height are null if the header doesn't say.
+ */
+export function sniffImage(bytes: Uint8Array): { type: ImageType; width: number | null; height: number | null } | null {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start: number, length: number) =>
+    String.fromCharCode(...bytes.subarray(start, Math.min(start + length, bytes.length)));
+  const size = (width: number, height: number) => (width > 0 && height > 0 ? { width, height } : { width: null, height: null });
+
+  if (bytes.length >= 24 && ascii(1, 3) === 'PNG' && ascii(12, 4) === 'IHDR') {
+    return { type: 'image/png', ...size(view.getUint32(16), view.getUint32(20)) };
+  }
+  if (bytes.length >= 10 && ascii(0, 4) === 'GIF8') {
+    return { type: 'image/gif', ...size(view.getUint16(6, true), view.getUint16(8, true)) };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // Walk the segments to the first start-of-frame marker.
+    let i = 2;
+    while (i + 9 < bytes.length && bytes[i] === 0xff) {
+      const marker = bytes[i + 1];
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isFrame) return { type: 'image/jpeg', ...size(view.getUint16(i + 7), view.getUint16(i + 5)) };
+      i += 2 + view.getUint16(i + 2);
+    }
+    return { type: 'image/jpeg', width: null, height: null };
+  }
+  if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+    const chunk = ascii(12, 4);
+    if (chunk === 'VP8 ') {
+      return { type: 'image/webp', ...size(view.getUint16(26, true) & 0x3fff, view.getUint16(28, true) & 0x3fff) };
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true);
+      return { type: 'image/webp', ...size((bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1) };
+    }
+    if (chunk === 'VP8X') {
+      const w = bytes[24] | (bytes[25] << 8) | (bytes[26] << 16);
+      const h = bytes[27] | (bytes[28] << 8) | (bytes[29] << 16);
+      return { type: 'image/webp', ...size(w + 1, h + 1) };
+    }
+    return { type: 'image/webp', width: null, height: null };
+  }
+  if (bytes.length >= 12 && ascii(4, 4) === 'ftyp' && /avi[fs]/.test(ascii(8, 4))) {
+    // The first `ispe` (image spatial extents) property is the primary image.
+    const head = ascii(0, 4096);
+    const at = head.indexOf('ispe');
+    if (at !== -1 && at + 16 <= bytes.length) {
+      return { type: 'image/avif', ...size(view.getUint32(at + 8), view.getUint32(at + 12)) };
+    }
+    return { type: 'image/avif', width: null, height: null };
+  }
+  const text = new TextDecoder().decode(bytes.subarray(0, 4096));
+  const svg = /<svg\b[^>]*>/i.exec(text);
+  if (svg && /^\s*(<\?xml|<!--|<!DOCTYPE|<svg)/i.test(text)) {
+    const attr = (name: string) => new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i').exec(svg[0])?.[1];
+    const viewBox = /\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(svg[0]);
+    const w = Number(attr('width') ?? viewBox?.[1] ?? 0);
+    const h = Number(attr('height') ?? viewBox?.[2] ?? 0);
+    return { type: 'image/svg+xml', ...size(Math.round(w), Math.round(h)) };
+  }
+  return null;
+}
+
+function safeFilename(name: string, ext: string): string {
+  const base = name
+    .replace(/\.[^.]*$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${base || 'image'}.${ext}`;
+}
+
+async function contentHash(bytes: Uint8Array<ArrayBuffer>): Promise<string> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest.subarray(0, 8), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+export async function listAssets(
+  db: D1Database,
+  opts: { search?: string; limit?: number; offset?: number } = {}
+): Promise<{ assets: AssetRow[]; total: number }> {
+  const search = opts.search?.trim();
+  const where = search ? 'WHERE alt LIKE ?1 OR r2_key LIKE ?1 OR original_url LIKE ?1' : '';
+  const args = search ? [`%${search}%`] : [];
+  const limit = Math.min(Math.max(opts.limit ?? 60, 1), 200);
+  const offset = Math.max(opts.offset ?? 0, 0);
+
+  const [rows, count] = await Promise.all([
+    db
+      .prepare(`SELECT ${ASSET_COLUMNS} FROM assets ${where} ORDER BY created_at DESC, id LIMIT ${limit} OFFSET ${offset}`)
+      .bind(...args)
+      .all<AssetDbRow>(),
+    db.prepare(`SELECT COUNT(*) AS n FROM assets ${where}`).bind(...args).first<{ n: number }>(),
+  ]);
+  return { assets: (rows.results ?? []).map(toAssetRow), total: count?.n ?? 0 };
+}
+
+export async function getAsset(db: D1Database, id: string): Promise<AssetRow | null> {
+  const row = await db.prepare(`SELECT ${ASSET_COLUMNS} FROM assets WHERE id = ?1`).bind(id).first<AssetDbRow>();
+  return row ? toAssetRow(row) : null;
+}
+
+/**
+ * The asset a section image `src` points at: an upload URL, an /img URL, or
+ * the source URL of an image brought over by the WordPress import.
+ */
+export async function findAssetBySrc(db: D1Database, src: string): Promise<AssetRow | null> {
+  const img = /^\/img\/([0-9a-f]{16})(?:[/?]|$)/.exec(src);
+  if (img) return getAsset(db, img[1]);
+  const query = src.startsWith('/media/')
+    ? db.prepare(`SELECT ${ASSET_COLUMNS} FROM assets WHERE r2_key = ?1`).bind(mediaKey(src))
+    : db.prepare(`SELECT ${ASSET_COLUMNS} FROM assets WHERE original_url = ?1`).bind(src);
+  const row = await query.first<AssetDbRow>();
+  return row ? toAssetRow(row) : null;
+}
+
+/** The R2 key behind a /media/ path: the inverse of assetUrl(). */
+export function mediaKey(src: string): string {
+  return src.replace(/^\/media\//, '').replace(/[?#].*$/, '').split('/').map(decodeURIComponent).join('/');
+}
+
+/**
+ * Public paths of the pages (draft or published, including the social card
+ * in `meta`), news articles, people (photo or bio) and events (image or
+ * description) whose content references the asset's URL.
+ */
+export async function findAssetUsage(db: D1Database, asset: AssetRow): Promise<string[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT path FROM pages
+       WHERE deleted_at IS NULL
+         AND (instr(sections, ?1) > 0 OR instr(COALESCE(legacy_body, ''), ?1) > 0 OR instr(COALESCE(meta, ''), ?1) > 0)
+       UNION
+       SELECT path FROM page_published
+       WHERE instr(sections, ?1) > 0 OR instr(COALESCE(legacy_body, ''), ?1) > 0 OR instr(COALESCE(meta, ''), ?1) > 0
+       UNION
+       SELECT '/news/' || slug FROM news
+       WHERE deleted_at IS NULL AND (instr(COALESCE(featured_image, ''), ?1) > 0 OR instr(body, ?1) > 0)
+       UNION
+       SELECT '/people/' || slug FROM people
+       WHERE deleted_at IS NULL AND (instr(COALESCE(photo, ''), ?1) > 0 OR instr(COALESCE(bio, ''), ?1) > 0)
+       UNION
+       SELECT '/events/' || slug FROM events
+       WHERE deleted_at IS NULL AND (instr(COALESCE(image, ''), ?1) > 0 OR instr(COALESCE(description, ''), ?1) > 0)
+       ORDER BY 1`
+    )
+    .bind(asset.url)
+    .all<{ path: string }>();
+  return (results ?? []).map((r) => r.path);
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+export interface AssetUpload {
+  bytes: Uint8Array<ArrayBuffer>;
+  filename: string;
+  alt?: string | null;
+}
+
+/**
+ * Store an uploaded image in R2 and index it. Throws for files that are too
+ * large or aren't a supported image. Returns the existing asset (created:
+ * false) if the same bytes were uploaded before.
+ */
+export async function createAsset(
+  db: D1Database,
+  bucket: R2Bucket,
+  upload: AssetUpload
+): Promise<{ asset: AssetRow; created: boolean }> {
+  if (upload.bytes.byteLength === 0) throw new Error('file is empty');
+  if (upload.bytes.byteLength > MAX_UPLOAD_BYTES) {
+    throw new Error(`file is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+  }
+  const image = sniffImage(upload.bytes);
+  if (!image) throw new Error(`unsupported file type (allowed: ${Object.values(IMAGE_TYPES).join(', ')})`);
+
+  const id = await contentHash(upload.bytes);
+  const existing = await getAsset(db, id);
+  if (existing) return { asset: existing, created: false };
+
+  const r2Key = `uploads/${id}/${safeFilename(upload.filename, IMAGE_TYPES[image.type])}`;
+  await bucket.put(r2Key, upload.bytes, {
+    httpMetadata: { contentType: image.type, cacheControl: 'public, max-age=31536000, immutable' },
+  });
+  const alt = upload.alt?.trim() || null;
+  await db
+    .prepare(
+      'INSERT INTO assets (id, r2_key, alt, original_url, width, height, mime_type, size_bytes, created_at) VALUES (?1, ?2, ?3, NULL, ?4, ?5, ?6, ?7, ?8)'
+    )
+    .bind(id, r2Key, alt, image.width, image.height, image.type, upload.bytes.byteLength, Date.now())
+    .run();
+
+  const asset = await getAsset(db, id);
+  if (!asset) throw new Error(`asset ${id} not found after insert`);
+  return { asset, created: true };
+}
+
+export async function updateAssetAlt(db: D1Database, id: string, alt: string | null): Promise<AssetRow> {
+  const res = await db
+    .prepare('UPDATE assets SET alt = ?1 WHERE id = ?2')
+    .bind(alt?.trim() || null, id)
+    .run();
+  if (!res.meta.changes) throw new Error(`asset not found: ${id}`);
+  return (await getAsset(db, id))!;
+}
+
+/**
+ * Delete an asset's object and row. Refuses (error containing "in use") if
+ * any page, news article, person or event still references it, since the public
+ * site would be left with a broken image.
+ */
+export async function deleteAsset(db: D1Database, bucket: R2Bucket, id: string): Promise<void> {
+  const asset = await getAsset(db, id);
+  if (!asset) throw new Error(`asset not found: ${id}`);
+  const usedOn = await findAssetUsage(db, asset);
+  if (usedOn.length > 0) throw new Error(`asset in use on ${usedOn.join(', ')}`);
+  await bucket.delete(asset.r2Key);
+  await db.prepare('DELETE FROM assets WHERE id = ?1').bind(id).run();
+}
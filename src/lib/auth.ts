@@ -1,16 +1,26 @@
 // Password verification + signed session cookies using Web Crypto only.
 // No external dependencies — Workers runtime has `crypto.subtle`.
 //
-// Password: PBKDF2-SHA256, 100k iterations. Stored as base64(hash) with a
-// separate base64(salt). Generate via scripts/generate-password-hash.mjs.
+// Password: PBKDF2-SHA256, 100k iterations. Stored per user in the `users`
+// table as base64(hash) with a separate base64(salt) (see src/lib/users.ts).
 //
 // Session cookie: base64(payload).base64(hmac). Payload is JSON
-// `{ sub: 'admin', iat: <ms>, exp: <ms> }`. HMAC-SHA256 over the payload.
+// `{ sub: '<user id>', ver: <session_version>, iat: <ms>, exp: <ms> }`.
+// HMAC-SHA256 over the payload. The middleware re-reads the user on every
+// request, so a role change applies immediately and bumping the user's
+// session_version revokes the token.
+//
+// Invite / reset tokens are random and only their SHA-256 is stored.
+//
+// Preview tokens (for /preview/:token links) use the same signing scheme with
+// a `{ typ: 'preview', slug, v, exp }` payload. They aren't stored anywhere:
+// they stay valid until they expire or ADMIN_SESSION_SECRET is rotated.
 
 const PBKDF2_ITERATIONS = 100_000;
 const PBKDF2_HASH = 'SHA-256';
 const PBKDF2_KEYLEN_BITS = 256;
 const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const PREVIEW_TTL_MAX_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
 // ---------------------------------------------------------------------------
 // Encoding helpers
@@ -40,7 +50,7 @@ function fromBase64Url(s: string): Uint8Array {
 }
 
 // Constant-time equality for strings of equal length.
-function timingSafeEqual(a: string, b: string): boolean {
+export function timingSafeEqual(a: string, b: string): boolean {
   if (a.length !== b.length) return false;
   let diff = 0;
   for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
@@ -77,8 +87,11 @@ export async function verifyPassword(password: string, hashB64: string, saltB64:
 // Signed session cookies
 // ---------------------------------------------------------------------------
 
-interface SessionPayload {
-  sub: 'admin';
+export interface SessionPayload {
+  /** User id, as a string. */
+  sub: string;
+  /** users.session_version at sign-in. */
+  ver: number;
   iat: number;
   exp: number;
 }
@@ -93,18 +106,17 @@ async function hmacKey(secret: string): Promise<CryptoKey> {
   );
 }
 
-export async function createSessionToken(secret: string): Promise<string> {
-  const payload: SessionPayload = { sub: 'admin', iat: Date.now(), exp: Date.now() + SESSION_TTL_MS };
+// base64url(JSON payload) + '.' + base64url(HMAC-SHA256 over that string).
+async function signPayload(secret: string, payload: object): Promise<string> {
   const payloadB64 = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
   const key = await hmacKey(secret);
   const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payloadB64));
   return `${payloadB64}.${toBase64Url(sig)}`;
 }
 
-export async function verifySessionToken(
-  token: string,
-  secret: string
-): Promise<SessionPayload | null> {
+// The decoded payload if the signature checks out, else null. Callers
+// validate the payload's shape and expiry.
+async function readSignedPayload(token: string, secret: string): Promise<unknown> {
   const parts = token.split('.');
   if (parts.length !== 2) return null;
   const [payloadB64, sigB64] = parts;
@@ -117,15 +129,91 @@ export async function verifySessionToken(
       new TextEncoder().encode(payloadB64)
     );
     if (!ok) return null;
-    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(payloadB64))) as SessionPayload;
-    if (payload.sub !== 'admin') return null;
-    if (!payload.exp || payload.exp < Date.now()) return null;
-    return payload;
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(payloadB64)));
   } catch {
     return null;
   }
 }
 
+export async function createSessionToken(
+  secret: string,
+  user: { id: number; sessionVersion: number }
+): Promise<string> {
+  const payload: SessionPayload = {
+    sub: String(user.id),
+    ver: user.sessionVersion,
+    iat: Date.now(),
+    exp: Date.now() + SESSION_TTL_MS,
+  };
+  return signPayload(secret, payload);
+}
+
+export async function verifySessionToken(
+  token: string,
+  secret: string
+): Promise<SessionPayload | null> {
+  const payload = (await readSignedPayload(token, secret)) as SessionPayload | null;
+  if (!payload) return null;
+  if (typeof payload.sub !== 'string' || !/^\d+$/.test(payload.sub)) return null;
+  if (typeof payload.ver !== 'number') return null;
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  return payload;
+}
+
+// ---------------------------------------------------------------------------
+// Signed preview links
+// ---------------------------------------------------------------------------
+
+export interface PreviewPayload {
+  typ: 'preview';
+  /** Page slug ("" for the homepage). */
+  slug: string;
+  /** page_versions.id to show; null means the page's current draft. */
+  v: number | null;
+  exp: number;
+}
+
+export async function createPreviewToken(
+  secret: string,
+  preview: { slug: string; versionId: number | null; expiresAt: number }
+): Promise<string> {
+  const payload: PreviewPayload = {
+    typ: 'preview',
+    slug: preview.slug,
+    v: preview.versionId,
+    exp: preview.expiresAt,
+  };
+  return signPayload(secret, payload);
+}
+
+export async function verifyPreviewToken(
+  token: string,
+  secret: string
+): Promise<PreviewPayload | null> {
+  const payload = (await readSignedPayload(token, secret)) as PreviewPayload | null;
+  if (!payload) return null;
+  // Session tokens are signed with the same secret; `typ` keeps them apart.
+  if (payload.typ !== 'preview' || typeof payload.slug !== 'string') return null;
+  if (payload.v !== null && !Number.isInteger(payload.v)) return null;
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  return payload;
+}
+
+// ---------------------------------------------------------------------------
+// One-time invite / reset tokens
+// ---------------------------------------------------------------------------
+
+/** A fresh random token for an invite or password-reset link. */
+export function createInviteToken(): string {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/** What gets stored in users.invite_token_hash. */
+export async function hashInviteToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return toBase64Url(digest);
+}
+
 // ---------------------------------------------------------------------------
 // Cookie helpers (no external cookie lib)
 // ---------------------------------------------------------------------------
@@ -199,6 +199,15 @@ function findLeadParagraphs(container: HTMLElement): HTMLElement[] {
   return [];
 }
 
+/**
+ * Whether a legacy-template page renders through ContentRenderer (segment())
+ * or as the raw body HTML. Story, news-archive and calendar pages keep their
+ * WordPress markup as-is.
+ */
+export function usesPolishedRenderer(path: string): boolean {
+  return !path.startsWith("/story") && !path.startsWith("/about/news") && !path.startsWith("/about/events-calendar");
+}
+
 export function extractLead(html: string): string | null {
   const root = parse(`<div>${html || ""}</div>`);
   const container = root.firstChild as HTMLElement;
@@ -2,31 +2,53 @@
 // since the D1 binding comes from the Cloudflare Workers env import.
 //
 // D1 bindings are declared in wrangler.jsonc (binding: thcf_content).
+//
+// Page writes land on the `pages` row, which is the draft. The public build
+// reads `page_published` (migrations/0006_page_publishing.sql), which only
+// changes through publishPage() — directly, or via a scheduled publish run by
+// the cron handler in src/worker.ts.
 
-import type { D1Database } from '@cloudflare/workers-types';
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
 import { env } from 'cloudflare:workers';
 
+import { rewriteHref, rewriteLinksInHtml, rewriteLinksInJson } from './link-audit';
+import { clearRedirectCache, pathChangeStatements } from './redirects';
+import { indexStatements, pageSearchDoc, removeFromIndexStatement } from './search';
+import { parsePageMeta, readPageMeta, type PageMeta } from './seo';
+
 // ---------------------------------------------------------------------------
 // Types that mirror the pages table + the in-memory shape the editor expects.
 // ---------------------------------------------------------------------------
 
 export type Section = Record<string, unknown> & { kind: string };
 
-export interface PageRow {
+export type PageStatus = 'draft' | 'scheduled' | 'published';
+
+/** Publishing state shared by PageRow and PageSummary. */
+export interface PagePublishState {
+  status: PageStatus;
+  /** When a scheduled publish will run. */
+  publishAt: number | null;
+  /** When the current published copy went live; null if never published. */
+  publishedAt: number | null;
+}
+
+export interface PageRow extends PagePublishState {
   slug: string;
   path: string;
   type: string;
   template: string;
   title: string;
   subtitle: string | null;
-  meta: unknown;
+  /** SEO and social metadata (src/lib/seo.ts). */
+  meta: PageMeta | null;
   legacyBody: string;
   sections: Section[];
   updatedAt: number;
   createdAt: number;
 }
 
-export interface PageSummary {
+export interface PageSummary extends PagePublishState {
   slug: string;
   path: string;
   type: string;
@@ -45,6 +67,9 @@ export interface VersionRow {
   sections: Section[];
   legacyBody: string | null;
   author: string | null;
+  /** Signed-in user who made (or, for bot edits, asked for) the change. */
+  userId: number | null;
+  userName: string | null;
   chatTurn: unknown;
   createdAt: number;
 }
@@ -80,25 +105,46 @@ function parseJson<T>(raw: string | null | undefined, fallback: T): T {
 // Pages
 // ---------------------------------------------------------------------------
 
+// Columns for PagePublishState; queries LEFT JOIN page_published AS pub.
+const PUBLISH_COLUMNS = 'p.publish_at, pub.published_at, pub.source_updated_at';
+
+interface PublishColumns {
+  updated_at: number;
+  publish_at: number | null;
+  published_at: number | null;
+  source_updated_at: number | null;
+}
+
+export function pageStatus(r: PublishColumns): PageStatus {
+  if (r.publish_at !== null) return 'scheduled';
+  if (r.published_at !== null && r.source_updated_at === r.updated_at) return 'published';
+  return 'draft';
+}
+
+function toPublishState(r: PublishColumns): PagePublishState {
+  return { status: pageStatus(r), publishAt: r.publish_at, publishedAt: r.published_at };
+}
+
 export async function listPages(db: D1Database, search?: string): Promise<PageSummary[]> {
   const hasSearch = typeof search === 'string' && search.trim().length > 0;
   const stmt = hasSearch
     ? db
         .prepare(
-          'SELECT slug, path, type, template, title, updated_at FROM pages WHERE deleted_at IS NULL AND (title LIKE ?1 OR path LIKE ?1) ORDER BY path ASC'
+          `SELECT p.slug, p.path, p.type, p.template, p.title, p.updated_at, ${PUBLISH_COLUMNS} FROM pages p LEFT JOIN page_published pub ON pub.slug = p.slug WHERE p.deleted_at IS NULL AND (p.title LIKE ?1 OR p.path LIKE ?1) ORDER BY p.path ASC`
         )
         .bind(`%${search!.trim()}%`)
     : db.prepare(
-        'SELECT slug, path, type, template, title, updated_at FROM pages WHERE deleted_at IS NULL ORDER BY path ASC'
+        `SELECT p.slug, p.path, p.type, p.template, p.title, p.updated_at, ${PUBLISH_COLUMNS} FROM pages p LEFT JOIN page_published pub ON pub.slug = p.slug WHERE p.deleted_at IS NULL ORDER BY p.path ASC`
       );
-  const { results } = await stmt.all<{
-    slug: string;
-    path: string;
-    type: string;
-    template: string;
-    title: string;
-    updated_at: number;
-  }>();
+  const { results } = await stmt.all<
+    PublishColumns & {
+      slug: string;
+      path: string;
+      type: string;
+      template: string;
+      title: string;
+    }
+  >();
   return (results ?? []).map((r) => ({
     slug: r.slug ?? '',
     path: r.path,
@@ -106,28 +152,30 @@ export async function listPages(db: D1Database, search?: string): Promise<PageSu
     template: r.template,
     title: r.title,
     updatedAt: r.updated_at,
+    ...toPublishState(r),
   }));
 }
 
 export async function getPage(db: D1Database, slug: string): Promise<PageRow | null> {
   const row = await db
     .prepare(
-      'SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, created_at FROM pages WHERE slug = ?1 AND deleted_at IS NULL'
+      `SELECT p.slug, p.path, p.type, p.template, p.title, p.subtitle, p.meta, p.legacy_body, p.sections, p.updated_at, p.created_at, ${PUBLISH_COLUMNS} FROM pages p LEFT JOIN page_published pub ON pub.slug = p.slug WHERE p.slug = ?1 AND p.deleted_at IS NULL`
     )
     .bind(slug)
-    .first<{
-      slug: string;
-      path: string;
-      type: string;
-      template: string;
-      title: string;
-      subtitle: string | null;
-      meta: string | null;
-      legacy_body: string | null;
-      sections: string;
-      updated_at: number;
-      created_at: number;
-    }>();
+    .first<
+      PublishColumns & {
+        slug: string;
+        path: string;
+        type: string;
+        template: string;
+        title: string;
+        subtitle: string | null;
+        meta: string | null;
+        legacy_body: string | null;
+        sections: string;
+        created_at: number;
+      }
+    >();
   if (!row) return null;
   return {
     slug: row.slug ?? '',
@@ -136,25 +184,56 @@ export async function getPage(db: D1Database, slug: string): Promise<PageRow | n
     template: row.template,
     title: row.title,
     subtitle: row.subtitle,
-    meta: parseJson(row.meta, null),
+    meta: readPageMeta(parseJson(row.meta, null)),
     legacyBody: row.legacy_body ?? '',
     sections: parseJson<Section[]>(row.sections, []),
     updatedAt: row.updated_at,
     createdAt: row.created_at,
+    ...toPublishState(row),
   };
 }
 
+/** Append the page's current state to page_versions, for the batch that changes it. */
+function snapshotStatement(
+  db: D1Database,
+  page: PageRow,
+  author: 'admin' | 'bot' | 'migration',
+  ts: number,
+  userId: number | null,
+  chatTurn?: unknown
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO page_versions (slug, template, title, subtitle, meta, sections, legacy_body, author, chat_turn, created_at, user_id) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11)'
+    )
+    .bind(
+      page.slug,
+      page.template,
+      page.title,
+      page.subtitle,
+      page.meta === null || page.meta === undefined ? null : JSON.stringify(page.meta),
+      JSON.stringify(page.sections),
+      page.legacyBody,
+      author,
+      chatTurn === undefined ? null : JSON.stringify(chatTurn),
+      ts,
+      userId
+    );
+}
+
 export interface PageUpdate {
   template?: string;
   title?: string;
   subtitle?: string | null;
+  /** Validated with parsePageMeta(); null clears it. */
   meta?: unknown;
   sections?: Section[];
   legacyBody?: string;
 }
 
 /**
- * Apply an update to a page and append a version snapshot in the same batch.
+ * Apply an update to a page's draft and append a version snapshot in the
+ * same batch. Nothing public changes until the page is published.
  * Returns the new updated_at timestamp.
  */
 export async function updatePage(
@@ -162,7 +241,8 @@ export async function updatePage(
   slug: string,
   update: PageUpdate,
   author: 'admin' | 'bot' | 'migration',
-  chatTurn?: unknown
+  chatTurn?: unknown,
+  userId: number | null = null
 ): Promise<number> {
   const current = await getPage(db, slug);
   if (!current) throw new Error(`page not found: ${slug}`);
@@ -171,7 +251,7 @@ export async function updatePage(
     template: update.template ?? current.template,
     title: update.title ?? current.title,
     subtitle: update.subtitle !== undefined ? update.subtitle : current.subtitle,
-    meta: update.meta !== undefined ? update.meta : current.meta,
+    meta: update.meta !== undefined ? parsePageMeta(update.meta) : current.meta,
     sections: update.sections ?? current.sections,
     legacyBody: update.legacyBody ?? current.legacyBody,
   };
@@ -184,22 +264,7 @@ export async function updatePage(
   }
 
   await db.batch([
-    db
-      .prepare(
-        'INSERT INTO page_versions (slug, template, title, subtitle, meta, sections, legacy_body, author, chat_turn, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10)'
-      )
-      .bind(
-        slug,
-        current.template,
-        current.title,
-        current.subtitle,
-        current.meta === null || current.meta === undefined ? null : JSON.stringify(current.meta),
-        JSON.stringify(current.sections),
-        current.legacyBody,
-        author,
-        chatTurn === undefined ? null : JSON.stringify(chatTurn),
-        ts
-      ),
+    snapshotStatement(db, current, author, ts, userId, chatTurn),
     db
       .prepare(
         'UPDATE pages SET template = ?1, title = ?2, subtitle = ?3, meta = ?4, sections = ?5, legacy_body = ?6, updated_at = ?7 WHERE slug = ?8'
@@ -220,29 +285,342 @@ export async function updatePage(
 }
 
 // ---------------------------------------------------------------------------
-// Versions
+// Publishing
 // ---------------------------------------------------------------------------
 
-export async function listVersions(db: D1Database, slug: string, limit = 50): Promise<VersionRow[]> {
+/**
+ * Copy the page's current draft into page_published and clear any pending
+ * schedule. The public search index follows the published copy, so it is
+ * refreshed in the same batch, and so is a redirect from the old URL when
+ * the draft's path differs from the published one. Returns the published_at
+ * timestamp.
+ */
+export async function publishPage(db: D1Database, slug: string, userId: number | null = null): Promise<number> {
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  const previous = await db.prepare('SELECT path FROM page_published WHERE slug = ?1').bind(slug).first<{ path: string }>();
+  const moved = previous !== null && previous.path !== page.path;
+  const ts = Date.now();
+
+  await db.batch([
+    db
+      .prepare(
+        'INSERT OR REPLACE INTO page_published (slug, path, type, template, title, subtitle, meta, legacy_body, sections, source_updated_at, published_at, published_by) SELECT slug, path, type, template, title, subtitle, meta, legacy_body, sections, updated_at, ?2, ?3 FROM pages WHERE slug = ?1'
+      )
+      .bind(slug, ts, userId),
+    db.prepare('UPDATE pages SET publish_at = NULL, publish_by = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(
+      db,
+      pageSearchDoc({ slug, path: page.path, title: page.title, subtitle: page.subtitle, sections: page.sections })
+    ),
+    ...(moved ? pathChangeStatements(db, previous.path, page.path, userId) : []),
+  ]);
+  if (moved) clearRedirectCache();
+
+  return ts;
+}
+
+/**
+ * Schedule the draft to be published at `at` (ms). Whatever the draft holds
+ * when the cron run picks it up is what gets published.
+ */
+export async function schedulePublish(
+  db: D1Database,
+  slug: string,
+  at: number,
+  userId: number | null = null
+): Promise<void> {
+  if (!Number.isFinite(at) || at <= Date.now()) throw new Error('publish time must be in the future');
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  await db.prepare('UPDATE pages SET publish_at = ?1, publish_by = ?2 WHERE slug = ?3').bind(at, userId, slug).run();
+}
+
+export async function cancelScheduledPublish(db: D1Database, slug: string): Promise<void> {
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  await db.prepare('UPDATE pages SET publish_at = NULL, publish_by = NULL WHERE slug = ?1').bind(slug).run();
+}
+
+/**
+ * Publish every page whose scheduled time has passed, attributed to whoever
+ * scheduled it. Called from the cron trigger; returns the published slugs.
+ */
+export async function publishDuePages(db: D1Database, now = Date.now()): Promise<string[]> {
   const { results } = await db
-    .prepare(
-      'SELECT id, slug, template, title, subtitle, meta, sections, legacy_body, author, chat_turn, created_at FROM page_versions WHERE slug = ?1 ORDER BY created_at DESC LIMIT ?2'
-    )
-    .bind(slug, limit)
-    .all<{
-      id: number;
-      slug: string;
-      template: string | null;
-      title: string | null;
-      subtitle: string | null;
-      meta: string | null;
-      sections: string;
-      legacy_body: string | null;
-      author: string | null;
-      chat_turn: string | null;
-      created_at: number;
-    }>();
-  return (results ?? []).map((r) => ({
+    .prepare('SELECT slug, publish_by FROM pages WHERE publish_at IS NOT NULL AND publish_at <= ?1 AND deleted_at IS NULL')
+    .bind(now)
+    .all<{ slug: string; publish_by: number | null }>();
+  const published: string[] = [];
+  for (const r of results ?? []) {
+    const slug = r.slug ?? '';
+    try {
+      await publishPage(db, slug, r.publish_by);
+      published.push(slug);
+    } catch (err) {
+      // Leave publish_at set so the next run retries this page.
+      console.error(`scheduled publish failed for "${slug}":`, err);
+    }
+  }
+  return published;
+}
+
+// ---------------------------------------------------------------------------
+// Deleting, restoring and moving
+// ---------------------------------------------------------------------------
+
+/** Page slugs: lowercase words joined by dashes and slashes, e.g. `about/board`. */
+export const PAGE_SLUG_PATTERN = /^[a-z0-9]+(?:[-/][a-z0-9]+)*$/;
+
+// First path segments that belong to other routes or to the admin.
+const RESERVED_SLUG_ROOTS = new Set(['news', 'scholarships', 'grants', 'people', 'events', 'funds', 'search', 'api', 'cpadmin', 'media', 'img', 'preview']);
+
+/**
+ * Why `slug` can't be given to a new or moved page, or null if it's free.
+ * A deleted page keeps its slug (and path) until it's restored or purged.
+ */
+export async function pageSlugProblem(db: D1Database, slug: string): Promise<string | null> {
+  if (!PAGE_SLUG_PATTERN.test(slug)) return 'invalid slug; use lowercase letters, numbers, dashes, slashes';
+  const root = slug.split('/')[0];
+  if (RESERVED_SLUG_ROOTS.has(root)) return `invalid slug; /${root} is used by another part of the site`;
+  const row = await db
+    .prepare('SELECT deleted_at FROM pages WHERE slug = ?1 OR path = ?2')
+    .bind(slug, `/${slug}`)
+    .first<{ deleted_at: number | null }>();
+  if (!row) return null;
+  return row.deleted_at === null
+    ? `page already exists: ${slug}`
+    : `page already exists: ${slug} (deleted; restore it or pick another slug)`;
+}
+
+/**
+ * Soft-delete a page. It drops out of the page list and the search index at
+ * once, and out of the public site on the next rebuild (dump-d1 skips deleted
+ * pages). The draft, published copy and versions are kept, with a snapshot
+ * recording who deleted it, so restorePage() can bring it back. A pending
+ * schedule is cancelled. Returns the deleted_at timestamp.
+ */
+export async function deletePage(db: D1Database, slug: string, userId: number | null = null): Promise<number> {
+  if (slug === '') throw new Error("the homepage can't be deleted");
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, page, 'admin', ts, userId),
+    db.prepare('UPDATE pages SET deleted_at = ?1, publish_at = NULL, publish_by = NULL WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'page', slug),
+  ]);
+  return ts;
+}
+
+/**
+ * Undo deletePage(). A page that had been published goes back into the
+ * search index and onto the site with the next rebuild; a redirect someone
+ * added from its path in the meantime is dropped, as it would shadow the
+ * page. Refuses if another page has taken the path since.
+ */
+export async function restorePage(db: D1Database, slug: string): Promise<PageRow> {
+  const row = await db
+    .prepare('SELECT path FROM pages WHERE slug = ?1 AND deleted_at IS NOT NULL')
+    .bind(slug)
+    .first<{ path: string }>();
+  if (!row) throw new Error(`deleted page not found: ${slug}`);
+  const clash = await db
+    .prepare('SELECT slug FROM pages WHERE path = ?1 AND slug != ?2 AND deleted_at IS NULL')
+    .bind(row.path, slug)
+    .first<{ slug: string }>();
+  if (clash) throw new Error(`page already exists at ${row.path}: ${clash.slug}`);
+  const published = await db
+    .prepare('SELECT path, title, subtitle, sections FROM page_published WHERE slug = ?1')
+    .bind(slug)
+    .first<{ path: string; title: string; subtitle: string | null; sections: string }>();
+
+  await db.batch([
+    db.prepare('UPDATE pages SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...(published
+      ? [
+          ...indexStatements(
+            db,
+            pageSearchDoc({
+              slug,
+              path: published.path,
+              title: published.title,
+              subtitle: published.subtitle,
+              sections: parseJson<Section[]>(published.sections, []),
+            })
+          ),
+          db.prepare('DELETE FROM redirects WHERE source = ?1').bind(published.path),
+        ]
+      : []),
+  ]);
+  if (published) clearRedirectCache();
+
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  return page;
+}
+
+export interface PageMove {
+  slug: string;
+  path: string;
+  /** Slugs of pages whose links to the old path now point at the new one. */
+  rewrittenPages: string[];
+  /** Menu items likewise repointed. */
+  rewrittenNavItems: number;
+  /** Whether a redirect from the old path was added; only published pages get one. */
+  redirected: boolean;
+}
+
+/**
+ * Give a page a new slug and path, draft and published copy alike, carrying
+ * its versions along. Links to the old path in every page's sections and
+ * legacy body (drafts and published copies) and in the menus are pointed at
+ * the new one, with a version snapshot for each page changed. Published
+ * pages also get a 301 from the old path (pathChangeStatements), which
+ * catches links in news, scholarships and other sites. Pages under the old
+ * path keep their own paths. Nothing is left half-moved: it's one batch.
+ */
+export async function movePage(
+  db: D1Database,
+  slug: string,
+  newSlug: string,
+  userId: number | null = null
+): Promise<PageMove> {
+  if (slug === '') throw new Error("the homepage can't be moved");
+  const page = await getPage(db, slug);
+  if (!page) throw new Error(`page not found: ${slug}`);
+  const target = newSlug.trim().replace(/^\/+|\/+$/g, '');
+  if (target === slug) throw new Error(`page is already at /${slug}`);
+  const problem = await pageSlugProblem(db, target);
+  if (problem) throw new Error(problem);
+
+  const from = page.path;
+  const to = `/${target}`;
+  const ts = Date.now();
+  const statements: D1PreparedStatement[] = [];
+
+  const [drafts, published, navItems] = await Promise.all([
+    db
+      .prepare('SELECT slug, sections, legacy_body, updated_at FROM pages WHERE deleted_at IS NULL')
+      .all<{ slug: string; sections: string; legacy_body: string | null; updated_at: number }>(),
+    db
+      .prepare('SELECT slug, path, title, subtitle, sections, legacy_body, source_updated_at FROM page_published')
+      .all<{
+        slug: string;
+        path: string;
+        title: string;
+        subtitle: string | null;
+        sections: string;
+        legacy_body: string | null;
+        source_updated_at: number;
+      }>(),
+    db.prepare("SELECT id, href FROM nav_items WHERE href LIKE '/%'").all<{ id: number; href: string }>(),
+  ]);
+
+  // Drafts first, each snapshotted before it changes. `rewritten` keeps the
+  // updated_at each one had, so a published copy that matched its draft can
+  // be kept matching: a link fix shouldn't make a page look unpublished.
+  const rewritten = new Map<string, number>();
+  for (const d of drafts.results ?? []) {
+    const draftSlug = d.slug ?? '';
+    const sections = rewriteLinksInJson(parseJson<Section[]>(d.sections, []), from, to);
+    const legacy = rewriteLinksInHtml(d.legacy_body ?? '', from, to);
+    if (sections.changed + legacy.changed === 0) continue;
+    const current = draftSlug === slug ? page : await getPage(db, draftSlug);
+    if (!current) continue;
+    rewritten.set(draftSlug, d.updated_at);
+    statements.push(
+      snapshotStatement(db, current, 'admin', ts, userId),
+      db
+        .prepare('UPDATE pages SET sections = ?1, legacy_body = ?2, updated_at = ?3 WHERE slug = ?4')
+        .bind(JSON.stringify(sections.value), legacy.value, ts, draftSlug)
+    );
+  }
+
+  for (const p of published.results ?? []) {
+    const pubSlug = p.slug ?? '';
+    const sections = rewriteLinksInJson(parseJson<Section[]>(p.sections, []), from, to);
+    const legacy = rewriteLinksInHtml(p.legacy_body ?? '', from, to);
+    const inSync = rewritten.get(pubSlug) === p.source_updated_at;
+    if (sections.changed + legacy.changed === 0 && !inSync) continue;
+    statements.push(
+      db
+        .prepare('UPDATE page_published SET sections = ?1, legacy_body = ?2, source_updated_at = ?3 WHERE slug = ?4')
+        .bind(JSON.stringify(sections.value), legacy.value, inSync ? ts : p.source_updated_at, pubSlug)
+    );
+  }
+
+  let rewrittenNavItems = 0;
+  for (const item of navItems.results ?? []) {
+    const href = rewriteHref(item.href, from, to);
+    if (href === null) continue;
+    rewrittenNavItems++;
+    statements.push(
+      db.prepare('UPDATE nav_items SET href = ?1, updated_at = ?2, user_id = ?3 WHERE id = ?4').bind(href, ts, userId, item.id)
+    );
+  }
+
+  // Then the move itself, after the rewrites above (which use the old slug).
+  statements.push(
+    db.prepare('UPDATE pages SET slug = ?1, path = ?2 WHERE slug = ?3').bind(target, to, slug),
+    db.prepare('UPDATE page_versions SET slug = ?1 WHERE slug = ?2').bind(target, slug),
+    db.prepare('UPDATE page_published SET slug = ?1, path = ?2 WHERE slug = ?3').bind(target, to, slug),
+    removeFromIndexStatement(db, 'page', slug)
+  );
+  const movedPublished = (published.results ?? []).find((p) => (p.slug ?? '') === slug);
+  if (movedPublished) {
+    statements.push(
+      ...indexStatements(
+        db,
+        pageSearchDoc({
+          slug: target,
+          path: to,
+          title: movedPublished.title,
+          subtitle: movedPublished.subtitle,
+          sections: parseJson<Section[]>(movedPublished.sections, []),
+        })
+      ),
+      ...pathChangeStatements(db, movedPublished.path, to, userId)
+    );
+  }
+
+  await db.batch(statements);
+  if (movedPublished) clearRedirectCache();
+
+  return {
+    slug: target,
+    path: to,
+    rewrittenPages: [...rewritten.keys()].map((s) => (s === slug ? target : s)),
+    rewrittenNavItems,
+    redirected: movedPublished !== undefined,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface VersionDbRow {
+  id: number;
+  slug: string;
+  template: string | null;
+  title: string | null;
+  subtitle: string | null;
+  meta: string | null;
+  sections: string;
+  legacy_body: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  chat_turn: string | null;
+  created_at: number;
+}
+
+const VERSION_COLUMNS =
+  'v.id, v.slug, v.template, v.title, v.subtitle, v.meta, v.sections, v.legacy_body, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.chat_turn, v.created_at';
+
+function toVersionRow(r: VersionDbRow): VersionRow {
+  return {
     id: r.id,
     slug: r.slug,
     template: r.template,
@@ -252,12 +630,40 @@ export async function listVersions(db: D1Database, slug: string, limit = 50): Pr
     sections: parseJson<Section[]>(r.sections, []),
     legacyBody: r.legacy_body,
     author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
     chatTurn: parseJson(r.chat_turn, null),
     createdAt: r.created_at,
-  }));
+  };
 }
 
-export async function revertToVersion(db: D1Database, slug: string, versionId: number): Promise<number> {
+export async function listVersions(db: D1Database, slug: string, limit = 50): Promise<VersionRow[]> {
+  const { results } = await db
+    .prepare(
+      `SELECT ${VERSION_COLUMNS} FROM page_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2`
+    )
+    .bind(slug, limit)
+    .all<VersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+/** One version snapshot, or null if it doesn't exist or belongs to another page. */
+export async function getVersion(db: D1Database, slug: string, versionId: number): Promise<VersionRow | null> {
+  const row = await db
+    .prepare(
+      `SELECT ${VERSION_COLUMNS} FROM page_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.id = ?1 AND v.slug = ?2`
+    )
+    .bind(versionId, slug)
+    .first<VersionDbRow>();
+  return row ? toVersionRow(row) : null;
+}
+
+export async function revertToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
   const v = await db
     .prepare(
       'SELECT template, title, subtitle, meta, sections, legacy_body FROM page_versions WHERE id = ?1 AND slug = ?2'
@@ -280,10 +686,12 @@ export async function revertToVersion(db: D1Database, slug: string, versionId: n
       template: v.template ?? undefined,
       title: v.title ?? undefined,
       subtitle: v.subtitle,
-      meta: parseJson(v.meta, null),
+      meta: readPageMeta(parseJson(v.meta, null)),
       sections: parseJson<Section[]>(v.sections, []),
       legacyBody: v.legacy_body ?? '',
     },
-    'admin'
+    'admin',
+    undefined,
+    userId
   );
 }
@@ -0,0 +1,59 @@
+// Outgoing email (gala order confirmations, src/lib/gala-orders.ts).
+//
+// Sent through Resend's HTTP API, since Workers can't speak SMTP. Needs
+// RESEND_API_KEY and EMAIL_FROM (an address on a domain verified with
+// Resend, e.g. "Truman Heartland <gala@thcf.org>"). Without them sendEmail()
+// logs and returns false, so nothing that sends mail fails because of it;
+// callers record whether the message went out.
+
+import { env } from 'cloudflare:workers';
+
+const RESEND_API = 'https://api.resend.com/emails';
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  /** Plain text; these are receipts, not newsletters. */
+  text: string;
+  replyTo?: string;
+}
+
+function config(): { apiKey?: string; from?: string } {
+  const cfg = env as { RESEND_API_KEY?: string; EMAIL_FROM?: string };
+  return { apiKey: cfg.RESEND_API_KEY, from: cfg.EMAIL_FROM };
+}
+
+export function emailConfigured(): boolean {
+  const { apiKey, from } = config();
+  return Boolean(apiKey && from);
+}
+
+/** True once the provider accepted the message. Never throws. */
+export async function sendEmail(message: EmailMessage): Promise<boolean> {
+  const { apiKey, from } = config();
+  if (!apiKey || !from) {
+    console.log(`email not configured; not sending "${message.subject}" to ${message.to}`);
+    return false;
+  }
+  try {
+    const res = await fetch(RESEND_API, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${apiKey}`, 'content-type': 'application/json' },
+      body: JSON.stringify({
+        from,
+        to: [message.to],
+        subject: message.subject,
+        text: message.text,
+        ...(message.replyTo ? { reply_to: message.replyTo } : {}),
+      }),
+    });
+    if (!res.ok) {
+      console.error(`email to ${message.to} failed: ${res.status} ${(await res.text()).slice(0, 200)}`);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error(`email to ${message.to} failed`, err);
+    return false;
+  }
+}
@@ -0,0 +1,260 @@
+// Dates, times and feeds for events (the events table, src/lib/events.ts).
+//
+// Events store wall-clock dates and times in the foundation's time zone,
+// which is how editors enter them and how visitors read them. This module
+// turns those into display strings, schema.org JSON-LD and iCalendar. It
+// runs at build time (the /events pages, /events.ics, the upcoming-events
+// section) and in the Worker, so it must stay dependency-free.
+
+export const SITE_TIME_ZONE = 'America/Chicago';
+
+/** The fields of an event the calendar helpers read (events.json and EventRow both fit). */
+export interface CalendarEvent {
+  slug: string;
+  title: string;
+  startDate: string;
+  startTime: string | null;
+  endDate: string | null;
+  endTime: string | null;
+  venue: string | null;
+  address: string | null;
+  registrationUrl: string | null;
+  category: string | null;
+  image: string | null;
+  summary: string | null;
+  updatedAt?: number;
+}
+
+/** Today's date (YYYY-MM-DD) in SITE_TIME_ZONE. */
+export function todayInSiteZone(now = new Date()): string {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', { timeZone: SITE_TIME_ZONE }).format(now);
+}
+
+/** The last day of the event. */
+export function lastDay(e: Pick<CalendarEvent, 'startDate' | 'endDate'>): string {
+  return e.endDate ?? e.startDate;
+}
+
+/** Whether the event hasn't finished as of `today` (YYYY-MM-DD). Same-day events count until the day is over. */
+export function isUpcoming(e: Pick<CalendarEvent, 'startDate' | 'endDate'>, today = todayInSiteZone()): boolean {
+  return lastDay(e) >= today;
+}
+
+// ---------------------------------------------------------------------------
+// Display
+// ---------------------------------------------------------------------------
+
+// Dates are formatted in UTC so the calendar date never shifts.
+const longDate = new Intl.DateTimeFormat('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+const shortDate = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+function utcDate(ymd: string): Date {
+  return new Date(`${ymd}T00:00:00Z`);
+}
+
+/** `18:30` → `6:30 p.m.`, `12:00` → `noon`. */
+export function formatTime(hhmm: string): string {
+  const [h, m] = hhmm.split(':').map(Number);
+  if (h === 12 && m === 0) return 'noon';
+  const suffix = h < 12 ? 'a.m.' : 'p.m.';
+  const hour = h % 12 || 12;
+  return m === 0 ? `${hour} ${suffix}` : `${hour}:${String(m).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * "Saturday, February 28, 2026, 6 p.m. – 10 p.m.", or for a multi-day
+ * event "Jun 4, 2026 – Jun 6, 2026". `short` uses abbreviated dates.
+ */
+export function formatWhen(e: CalendarEvent, short = false): string {
+  const fmt = short ? shortDate : longDate;
+  const start = fmt.format(utcDate(e.startDate));
+  if (e.endDate && e.endDate !== e.startDate) {
+    const from = e.startTime ? `${start}, ${formatTime(e.startTime)}` : start;
+    const end = fmt.format(utcDate(e.endDate));
+    return `${from} – ${e.endTime ? `${end}, ${formatTime(e.endTime)}` : end}`;
+  }
+  if (!e.startTime) return start;
+  return `${start}, ${formatTime(e.startTime)}${e.endTime ? ` – ${formatTime(e.endTime)}` : ''}`;
+}
+
+// ---------------------------------------------------------------------------
+// schema.org JSON-LD
+// ---------------------------------------------------------------------------
+
+/** UTC offset of SITE_TIME_ZONE on a date, e.g. `-05:00`. Noon avoids the 2 a.m. DST switch. */
+function zoneOffset(ymd: string): string {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: SITE_TIME_ZONE, timeZoneName: 'longOffset' }).formatToParts(
+    new Date(`${ymd}T12:00:00Z`)
+  );
+  const name = parts.find((p) => p.type === 'timeZoneName')?.value ?? 'GMT';
+  return name === 'GMT' ? '+00:00' : name.slice(3);
+}
+
+function isoDateTime(date: string, time: string | null): string {
+  return time ? `${date}T${time}:00${zoneOffset(date)}` : date;
+}
+
+function nextDay(ymd: string): string {
+  const d = utcDate(ymd);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * When a timed event ends, as a date and `HH:MM`: its end time on its last
+ * day, or midnight after the last day for a multi-day event without one.
+ * Null for a single-day event without an end time.
+ */
+function timedEnd(e: CalendarEvent): { date: string; time: string } | null {
+  if (e.endTime) return { date: lastDay(e), time: e.endTime };
+  if (e.endDate && e.endDate !== e.startDate) return { date: nextDay(e.endDate), time: '00:00' };
+  return null;
+}
+
+/** A schema.org `Event` for the event's page. `site` is the origin absolute URLs are built on. */
+export function eventJsonLd(e: CalendarEvent & { description?: string | null }, site: string): Record<string, unknown> {
+  const url = new URL(`/events/${e.slug}`, site).href;
+  let end: string | undefined;
+  if (e.startTime) {
+    const timed = timedEnd(e);
+    end = timed ? isoDateTime(timed.date, timed.time) : undefined;
+  } else {
+    end = e.endDate ?? undefined;
+  }
+  const online = e.venue?.toLowerCase() === 'online';
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: e.title,
+    url,
+    startDate: isoDateTime(e.startDate, e.startTime),
+    ...(end ? { endDate: end } : {}),
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: online
+      ? 'https://schema.org/OnlineEventAttendanceMode'
+      : 'https://schema.org/OfflineEventAttendanceMode',
+    location: online
+      ? { '@type': 'VirtualLocation', url: e.registrationUrl ?? url }
+      : {
+          '@type': 'Place',
+          name: e.venue ?? 'Truman Heartland Community Foundation',
+          address: e.address ?? e.venue ?? 'Independence, MO',
+        },
+    ...(e.image ? { image: [new URL(e.image, site).href] } : {}),
+    ...(e.summary ? { description: e.summary } : {}),
+    ...(e.registrationUrl ? { offers: { '@type': 'Offer', url: e.registrationUrl } } : {}),
+    organizer: {
+      '@type': 'Organization',
+      name: 'Truman Heartland Community Foundation',
+      url: new URL('/', site).href,
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// iCalendar (RFC 5545)
+// ---------------------------------------------------------------------------
+
+// US Central time since 2007. Calendar apps need the definition to place
+// TZID-qualified times; most ignore it for IANA names but Outlook doesn't.
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${SITE_TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0600',
+  'TZOFFSETTO:-0500',
+  'TZNAME:CDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0600',
+  'TZNAME:CST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/** Escape a TEXT value (RFC 5545 §3.3.11). Any line break becomes `\n`, so no CR reaches the content line. */
+function icsText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n?|\n/g, '\\n')
+    .replace(/[,;]/g, (c) => `\\${c}`);
+}
+
+/** Fold a content line at 75 octets, continuing with a space (RFC 5545 §3.1). */
+function fold(line: string): string {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out: string[] = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function icsDate(ymd: string): string {
+  return ymd.replace(/-/g, '');
+}
+
+function icsDateTime(ymd: string, hhmm: string): string {
+  return `${icsDate(ymd)}T${hhmm.replace(':', '')}00`;
+}
+
+function utcStamp(ms: number): string {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * A VCALENDAR with one VEVENT per event. All-day events use DATE values
+ * with an exclusive end; timed ones are in SITE_TIME_ZONE, and run to
+ * midnight after their last day when they span days without an end time
+ * (see timedEnd()). `host` makes
+ * the UIDs globally unique; `now` stamps events without an updatedAt.
+ */
+export function toICalendar(events: CalendarEvent[], opts: { site: string; host: string; now: number }): string {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Truman Heartland Community Foundation//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Truman Heartland Community Foundation Events',
+    `X-WR-TIMEZONE:${SITE_TIME_ZONE}`,
+    ...VTIMEZONE,
+  ];
+  for (const e of events) {
+    const url = new URL(`/events/${e.slug}`, opts.site).href;
+    lines.push('BEGIN:VEVENT', `UID:${e.slug}@${opts.host}`, `DTSTAMP:${utcStamp(e.updatedAt ?? opts.now)}`);
+    if (e.startTime) {
+      lines.push(`DTSTART;TZID=${SITE_TIME_ZONE}:${icsDateTime(e.startDate, e.startTime)}`);
+      const end = timedEnd(e);
+      if (end) lines.push(`DTEND;TZID=${SITE_TIME_ZONE}:${icsDateTime(end.date, end.time)}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(e.startDate)}`, `DTEND;VALUE=DATE:${icsDate(nextDay(lastDay(e)))}`);
+    }
+    lines.push(`SUMMARY:${icsText(e.title)}`);
+    const description = [e.summary, e.registrationUrl ? `Register: ${e.registrationUrl}` : null, url].filter(Boolean).join('\n');
+    lines.push(`DESCRIPTION:${icsText(description)}`);
+    const location = [e.venue, e.address].filter(Boolean).join(', ');
+    if (location) lines.push(`LOCATION:${icsText(location)}`);
+    if (e.category) lines.push(`CATEGORIES:${icsText(e.category)}`);
+    lines.push(`URL:${url}`, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,35 @@
+// Build-time reads of the events export (src/data/events.json) for the
+// /events pages, /events.ics and the `upcoming-events` section.
+//
+// dump-d1 writes the file sorted soonest first, so these helpers only
+// filter. "Upcoming" is decided at build time; the listings also carry each
+// event's last day so a small script can hide ones that end before the next
+// rebuild (see UpcomingEvents.astro).
+
+import allEvents from '../data/events.json';
+import { isUpcoming, todayInSiteZone, type CalendarEvent } from './event-calendar';
+
+export interface DirectoryEvent extends CalendarEvent {
+  description: string | null;
+  updatedAt: number;
+}
+
+const events = allEvents as DirectoryEvent[];
+
+/** Every exported event, past ones included (their pages stay up). */
+export function allDirectoryEvents(): DirectoryEvent[] {
+  return events;
+}
+
+/** Events that haven't finished, soonest first. `category` narrows to one category. */
+export function upcomingEvents(opts: { category?: string; limit?: number } = {}): DirectoryEvent[] {
+  const today = todayInSiteZone();
+  const matching = events.filter((e) => isUpcoming(e, today) && (!opts.category || e.category === opts.category));
+  return opts.limit ? matching.slice(0, opts.limit) : matching;
+}
+
+/** Finished events, most recent first. */
+export function pastEvents(): DirectoryEvent[] {
+  const today = todayInSiteZone();
+  return events.filter((e) => !isUpcoming(e, today)).reverse();
+}
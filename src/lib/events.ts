@@ -0,0 +1,528 @@
+// D1 helpers for the events calendar (/api/events and /cpadmin/events).
+//
+// Each event has a page at /events/<slug>, shows on /events and in the
+// /events.ics feed, and can be embedded with the `upcoming-events` section.
+// Dates and times are wall-clock in the foundation's time zone; see
+// event-calendar.ts for display, JSON-LD and iCalendar. Like grants.ts,
+// every write snapshots the previous row into event_versions and refreshes
+// the search_index row in the same batch.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { todayInSiteZone } from './event-calendar';
+import { eventSearchDoc, indexStatements, removeFromIndexStatement } from './search';
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Optional short text. Blank or null clears it. */
+const labelSchema = (max: number) =>
+  z
+    .string()
+    .max(max)
+    .nullable()
+    .transform((v) => (v && v.trim() ? v.trim() : null));
+
+/** Optional HTML column. Blank or null clears it. */
+const textSchema = z
+  .string()
+  .max(20000)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+const isDate = (v: string) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+
+/** ISO `YYYY-MM-DD`, what <input type="date"> sends. */
+const startDateSchema = z.string().trim().refine(isDate, 'use YYYY-MM-DD');
+const dateSchema = labelSchema(10).refine((v) => v === null || isDate(v), 'use YYYY-MM-DD');
+
+/** 24-hour `HH:MM`, what <input type="time"> sends. */
+const timeSchema = labelSchema(5).refine((v) => v === null || /^([01]\d|2[0-3]):[0-5]\d$/.test(v), 'use HH:MM');
+
+const urlSchema = labelSchema(2000).refine((v) => v === null || /^https?:\/\//i.test(v), 'must start with http:// or https://');
+
+export const eventInputSchema = z.object({
+  title: z.string().trim().min(1, 'title is required').max(300),
+  startDate: startDateSchema,
+  startTime: timeSchema.default(null),
+  endDate: dateSchema.default(null),
+  endTime: timeSchema.default(null),
+  venue: labelSchema(200).default(null),
+  address: labelSchema(300).default(null),
+  registrationUrl: urlSchema.default(null),
+  category: labelSchema(100).default(null),
+  image: labelSchema(2000).default(null),
+  summary: labelSchema(500).default(null),
+  description: textSchema.default(null),
+});
+
+// Without the defaults, so a missing key in a PUT body leaves the field alone.
+export const eventUpdateSchema = z
+  .object({
+    title: z.string().trim().min(1, 'title is required').max(300),
+    startDate: startDateSchema,
+    startTime: timeSchema,
+    endDate: dateSchema,
+    endTime: timeSchema,
+    venue: labelSchema(200),
+    address: labelSchema(300),
+    registrationUrl: urlSchema,
+    category: labelSchema(100),
+    image: labelSchema(2000),
+    summary: labelSchema(500),
+    description: textSchema,
+  })
+  .partial();
+
+export type EventInput = z.infer<typeof eventInputSchema>;
+export type EventUpdate = z.infer<typeof eventUpdateSchema>;
+
+/**
+ * Validate a request body. Throws with a one-line message naming each bad
+ * field (e.g. `invalid event: startDate: use YYYY-MM-DD`).
+ */
+export function parseEventInput(body: unknown): EventInput {
+  const result = eventInputSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+export function parseEventUpdate(body: unknown): EventUpdate {
+  const result = eventUpdateSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+function formatIssues(error: z.ZodError): string {
+  const issues = error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+  return `invalid event: ${issues.join('; ')}`;
+}
+
+/** Checked on the merged row, since a PUT may send only some of the fields. */
+function checkTimes(e: Pick<EventInput, 'startDate' | 'startTime' | 'endDate' | 'endTime'>): void {
+  if (e.endDate && e.endDate < e.startDate) throw new Error('invalid event: endDate: event ends before it starts');
+  if (e.endTime && !e.startTime) throw new Error('invalid event: endTime: set a start time too');
+  const sameDay = !e.endDate || e.endDate === e.startDate;
+  if (sameDay && e.startTime && e.endTime && e.endTime <= e.startTime) {
+    throw new Error('invalid event: endTime: event ends before it starts');
+  }
+}
+
+/** Underscores are allowed because some imported event URLs use them. */
+export function isValidEventSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/.test(slug);
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface EventRow {
+  slug: string;
+  title: string;
+  startDate: string;
+  startTime: string | null;
+  endDate: string | null;
+  endTime: string | null;
+  venue: string | null;
+  address: string | null;
+  registrationUrl: string | null;
+  category: string | null;
+  image: string | null;
+  summary: string | null;
+  description: string | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+export type EventSummary = Omit<EventRow, 'description' | 'createdAt'>;
+
+export interface EventVersionRow {
+  id: number;
+  slug: string;
+  title: string | null;
+  startDate: string | null;
+  startTime: string | null;
+  endDate: string | null;
+  endTime: string | null;
+  venue: string | null;
+  address: string | null;
+  registrationUrl: string | null;
+  category: string | null;
+  image: string | null;
+  summary: string | null;
+  description: string | null;
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+interface EventDbRow {
+  slug: string;
+  title: string;
+  start_date: string;
+  start_time: string | null;
+  end_date: string | null;
+  end_time: string | null;
+  venue: string | null;
+  address: string | null;
+  registration_url: string | null;
+  category: string | null;
+  image: string | null;
+  summary: string | null;
+  description: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const EVENT_COLUMNS =
+  'slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, updated_at, created_at';
+
+function toEventRow(r: EventDbRow): EventRow {
+  return {
+    slug: r.slug,
+    title: r.title,
+    startDate: r.start_date,
+    startTime: r.start_time,
+    endDate: r.end_date,
+    endTime: r.end_time,
+    venue: r.venue,
+    address: r.address,
+    registrationUrl: r.registration_url,
+    category: r.category,
+    image: r.image,
+    summary: r.summary,
+    description: r.description,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+/**
+ * Soonest first for `when: 'upcoming'`, otherwise most recent first. An
+ * event is upcoming until its last day is over in the site's time zone.
+ */
+export async function listEvents(
+  db: D1Database,
+  opts: { search?: string; when?: 'upcoming' | 'past' } = {}
+): Promise<EventSummary[]> {
+  const where = ['deleted_at IS NULL'];
+  const binds: unknown[] = [];
+  const search = opts.search?.trim();
+  if (search) {
+    binds.push(`%${search}%`);
+    where.push(
+      `(title LIKE ?${binds.length} OR venue LIKE ?${binds.length} OR category LIKE ?${binds.length} OR slug LIKE ?${binds.length})`
+    );
+  }
+  if (opts.when) {
+    binds.push(todayInSiteZone());
+    where.push(`COALESCE(end_date, start_date) ${opts.when === 'upcoming' ? '>=' : '<'} ?${binds.length}`);
+  }
+  const order = opts.when === 'upcoming' ? 'start_date, start_time' : 'start_date DESC, start_time DESC';
+  const { results } = await db
+    .prepare(
+      `SELECT slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, updated_at FROM events WHERE ${where.join(' AND ')} ORDER BY ${order}, title`
+    )
+    .bind(...binds)
+    .all<Omit<EventDbRow, 'description' | 'created_at'>>();
+  return (results ?? []).map((r) => ({
+    slug: r.slug,
+    title: r.title,
+    startDate: r.start_date,
+    startTime: r.start_time,
+    endDate: r.end_date,
+    endTime: r.end_time,
+    venue: r.venue,
+    address: r.address,
+    registrationUrl: r.registration_url,
+    category: r.category,
+    image: r.image,
+    summary: r.summary,
+    updatedAt: r.updated_at,
+  }));
+}
+
+export async function getEvent(db: D1Database, slug: string): Promise<EventRow | null> {
+  const row = await db
+    .prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE slug = ?1 AND deleted_at IS NULL`)
+    .bind(slug)
+    .first<EventDbRow>();
+  return row ? toEventRow(row) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+function snapshotStatement(
+  db: D1Database,
+  current: EventRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO event_versions (slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?15, ?16)'
+    )
+    .bind(
+      current.slug,
+      current.title,
+      current.startDate,
+      current.startTime,
+      current.endDate,
+      current.endTime,
+      current.venue,
+      current.address,
+      current.registrationUrl,
+      current.category,
+      current.image,
+      current.summary,
+      current.description,
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new event. Throws if the slug is taken — including by a
+ * soft-deleted event, since the slug is the primary key — or if a page
+ * still lives at /events/<slug>.
+ */
+export async function createEvent(db: D1Database, slug: string, input: EventInput): Promise<number> {
+  if (!isValidEventSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  checkTimes(input);
+  const existing = await db.prepare('SELECT slug FROM events WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`event already exists: ${slug}`);
+  const page = await db
+    .prepare('SELECT slug FROM pages WHERE path = ?1 AND deleted_at IS NULL')
+    .bind(`/events/${slug}`)
+    .first();
+  if (page) throw new Error(`event already exists as a page: /events/${slug}`);
+
+  const ts = Date.now();
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO events (slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?14)'
+      )
+      .bind(
+        slug,
+        input.title,
+        input.startDate,
+        input.startTime,
+        input.endDate,
+        input.endTime,
+        input.venue,
+        input.address,
+        input.registrationUrl,
+        input.category,
+        input.image,
+        input.summary,
+        input.description,
+        ts
+      ),
+    ...indexStatements(db, eventSearchDoc({ slug, ...input })),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply a validated update and append a version snapshot in the same batch.
+ * Returns the new updated_at timestamp.
+ */
+export async function updateEvent(
+  db: D1Database,
+  slug: string,
+  update: EventUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getEvent(db, slug);
+  if (!current) throw new Error(`event not found: ${slug}`);
+
+  const next = {
+    slug,
+    title: update.title ?? current.title,
+    startDate: update.startDate ?? current.startDate,
+    startTime: update.startTime !== undefined ? update.startTime : current.startTime,
+    endDate: update.endDate !== undefined ? update.endDate : current.endDate,
+    endTime: update.endTime !== undefined ? update.endTime : current.endTime,
+    venue: update.venue !== undefined ? update.venue : current.venue,
+    address: update.address !== undefined ? update.address : current.address,
+    registrationUrl: update.registrationUrl !== undefined ? update.registrationUrl : current.registrationUrl,
+    category: update.category !== undefined ? update.category : current.category,
+    image: update.image !== undefined ? update.image : current.image,
+    summary: update.summary !== undefined ? update.summary : current.summary,
+    description: update.description !== undefined ? update.description : current.description,
+  };
+  checkTimes(next);
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE events SET title = ?1, start_date = ?2, start_time = ?3, end_date = ?4, end_time = ?5, venue = ?6, address = ?7, registration_url = ?8, category = ?9, image = ?10, summary = ?11, description = ?12, updated_at = ?13 WHERE slug = ?14'
+      )
+      .bind(
+        next.title,
+        next.startDate,
+        next.startTime,
+        next.endDate,
+        next.endTime,
+        next.venue,
+        next.address,
+        next.registrationUrl,
+        next.category,
+        next.image,
+        next.summary,
+        next.description,
+        ts,
+        slug
+      ),
+    ...indexStatements(db, eventSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the event, and drop it from search.
+ * The row stays in D1 so it can be restored from the trash.
+ */
+export async function deleteEvent(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getEvent(db, slug);
+  if (!current) throw new Error(`event not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE events SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'event', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deleteEvent(): clear deleted_at and put it back in search. */
+export async function restoreEvent(db: D1Database, slug: string): Promise<EventRow> {
+  const row = await db
+    .prepare(`SELECT ${EVENT_COLUMNS} FROM events WHERE slug = ?1 AND deleted_at IS NOT NULL`)
+    .bind(slug)
+    .first<EventDbRow>();
+  if (!row) throw new Error(`deleted event not found: ${slug}`);
+  const event = toEventRow(row);
+  await db.batch([
+    db.prepare('UPDATE events SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, eventSearchDoc(event)),
+  ]);
+  return event;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface EventVersionDbRow {
+  id: number;
+  slug: string;
+  title: string | null;
+  start_date: string | null;
+  start_time: string | null;
+  end_date: string | null;
+  end_time: string | null;
+  venue: string | null;
+  address: string | null;
+  registration_url: string | null;
+  category: string | null;
+  image: string | null;
+  summary: string | null;
+  description: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  created_at: number;
+}
+
+function toVersionRow(r: EventVersionDbRow): EventVersionRow {
+  return {
+    id: r.id,
+    slug: r.slug,
+    title: r.title,
+    startDate: r.start_date,
+    startTime: r.start_time,
+    endDate: r.end_date,
+    endTime: r.end_time,
+    venue: r.venue,
+    address: r.address,
+    registrationUrl: r.registration_url,
+    category: r.category,
+    image: r.image,
+    summary: r.summary,
+    description: r.description,
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  };
+}
+
+export async function listEventVersions(db: D1Database, slug: string, limit = 50): Promise<EventVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.title, v.start_date, v.start_time, v.end_date, v.end_time, v.venue, v.address, v.registration_url, v.category, v.image, v.summary, v.description, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM event_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<EventVersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+export async function revertEventToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const row = await db
+    .prepare(
+      'SELECT id, slug, title, start_date, start_time, end_date, end_time, venue, address, registration_url, category, image, summary, description, author, user_id, NULL AS user_name, created_at FROM event_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<EventVersionDbRow>();
+  if (!row) throw new Error(`version ${versionId} not found for event ${slug}`);
+
+  const v = toVersionRow(row);
+  return updateEvent(
+    db,
+    slug,
+    {
+      title: v.title ?? undefined,
+      startDate: v.startDate ?? undefined,
+      startTime: v.startTime,
+      endDate: v.endDate,
+      endTime: v.endTime,
+      venue: v.venue,
+      address: v.address,
+      registrationUrl: v.registrationUrl,
+      category: v.category,
+      image: v.image,
+      summary: v.summary,
+      description: v.description,
+    },
+    'admin',
+    userId
+  );
+}
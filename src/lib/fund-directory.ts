@@ -0,0 +1,50 @@
+// Build-time reads of the funds export (src/data/funds.json) for the /funds
+// pages and the `fund-spotlight` section.
+//
+// dump-d1 writes the file sorted by name, so these helpers only filter.
+
+import allFunds from '../data/funds.json';
+
+export interface DirectoryFund {
+  slug: string;
+  name: string;
+  type: string;
+  focusArea: string | null;
+  description: string | null;
+  establishedYear: number | null;
+  donateUrl: string | null;
+}
+
+const funds = allFunds as DirectoryFund[];
+
+export function allDirectoryFunds(): DirectoryFund[] {
+  return funds;
+}
+
+/**
+ * The funds a `fund-spotlight` section shows: the named ones in the order
+ * given (skipping any that were deleted), otherwise the first `limit` of the
+ * given type and/or focus area.
+ */
+export function spotlightFunds(opts: {
+  slugs?: string[];
+  type?: string;
+  focusArea?: string;
+  limit?: number;
+}): DirectoryFund[] {
+  if (opts.slugs?.length) {
+    const bySlug = new Map(funds.map((f) => [f.slug, f]));
+    return opts.slugs.map((s) => bySlug.get(s)).filter((f): f is DirectoryFund => Boolean(f));
+  }
+  const matching = funds.filter(
+    (f) => (!opts.type || f.type === opts.type) && (!opts.focusArea || f.focusArea === opts.focusArea)
+  );
+  return opts.limit ? matching.slice(0, opts.limit) : matching;
+}
+
+/** Distinct values of a label column, alphabetically, for the directory's filters. */
+export function fundFacet(key: 'type' | 'focusArea'): string[] {
+  return [...new Set(funds.map((f) => f[key]).filter((v): v is string => Boolean(v)))].sort((a, b) =>
+    a.localeCompare(b)
+  );
+}
@@ -0,0 +1,432 @@
+// D1 helpers for named funds (/api/funds and /cpadmin/funds).
+//
+// One row per fund donors can give to. `type` and `focus_area` are the
+// filters on /funds; `donate_url` is the fund's own page on the giving form
+// (FCSuite's create/fund?funit_id=... link), which /funds/<slug>/give
+// redirects to so the fund arrives pre-selected. Like grants.ts, every write
+// snapshots the previous row into fund_versions and refreshes the
+// search_index row in the same batch.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { fundSearchDoc, indexStatements, removeFromIndexStatement } from './search';
+
+/** The giving form's fund list, for funds without a donate URL of their own. */
+export const GENERAL_DONATE_URL = 'https://thcf.fcsuite.com/erp/donate/list';
+
+/** The stable address to print or link for giving to a fund. */
+export function fundGivePath(slug: string): string {
+  return `/funds/${slug}/give`;
+}
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Optional short text. Blank or null clears it. */
+const labelSchema = (max: number) =>
+  z
+    .string()
+    .max(max)
+    .nullable()
+    .transform((v) => (v && v.trim() ? v.trim() : null));
+
+/** Optional HTML column. Blank or null clears it. */
+const textSchema = z
+  .string()
+  .max(20000)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+const yearSchema = z.number().int().min(1800).max(2100).nullable();
+
+const urlSchema = labelSchema(2000).refine((v) => v === null || /^https:\/\//i.test(v), 'must start with https://');
+
+export const fundInputSchema = z.object({
+  name: z.string().trim().min(1, 'name is required').max(300),
+  type: z.string().trim().min(1, 'type is required').max(100),
+  focusArea: labelSchema(200).default(null),
+  description: textSchema.default(null),
+  establishedYear: yearSchema.default(null),
+  donateUrl: urlSchema.default(null),
+});
+
+// Without the defaults, so a missing key in a PUT body leaves the field alone.
+export const fundUpdateSchema = z
+  .object({
+    name: z.string().trim().min(1, 'name is required').max(300),
+    type: z.string().trim().min(1, 'type is required').max(100),
+    focusArea: labelSchema(200),
+    description: textSchema,
+    establishedYear: yearSchema,
+    donateUrl: urlSchema,
+  })
+  .partial();
+
+export type FundInput = z.infer<typeof fundInputSchema>;
+export type FundUpdate = z.infer<typeof fundUpdateSchema>;
+
+/**
+ * Validate a request body. Throws with a one-line message naming each bad
+ * field (e.g. `invalid fund: donateUrl: must start with https://`).
+ */
+export function parseFundInput(body: unknown): FundInput {
+  const result = fundInputSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+export function parseFundUpdate(body: unknown): FundUpdate {
+  const result = fundUpdateSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+function formatIssues(error: z.ZodError): string {
+  const issues = error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+  return `invalid fund: ${issues.join('; ')}`;
+}
+
+export function isValidFundSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface FundRow {
+  slug: string;
+  name: string;
+  type: string;
+  focusArea: string | null;
+  description: string | null;
+  establishedYear: number | null;
+  donateUrl: string | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+export type FundSummary = Omit<FundRow, 'description' | 'createdAt'>;
+
+export interface FundVersionRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  type: string | null;
+  focusArea: string | null;
+  description: string | null;
+  establishedYear: number | null;
+  donateUrl: string | null;
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+interface FundDbRow {
+  slug: string;
+  name: string;
+  type: string;
+  focus_area: string | null;
+  description: string | null;
+  established_year: number | null;
+  donate_url: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const FUND_COLUMNS = 'slug, name, type, focus_area, description, established_year, donate_url, updated_at, created_at';
+
+function toFundRow(r: FundDbRow): FundRow {
+  return {
+    slug: r.slug,
+    name: r.name,
+    type: r.type,
+    focusArea: r.focus_area,
+    description: r.description,
+    establishedYear: r.established_year,
+    donateUrl: r.donate_url,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+/** By name. `type` and `focusArea` narrow to exact matches. */
+export async function listFunds(
+  db: D1Database,
+  opts: { search?: string; type?: string; focusArea?: string } = {}
+): Promise<FundSummary[]> {
+  const where = ['deleted_at IS NULL'];
+  const binds: unknown[] = [];
+  const search = opts.search?.trim();
+  if (search) {
+    binds.push(`%${search}%`);
+    where.push(`(name LIKE ?${binds.length} OR slug LIKE ?${binds.length})`);
+  }
+  if (opts.type) {
+    binds.push(opts.type);
+    where.push(`type = ?${binds.length}`);
+  }
+  if (opts.focusArea) {
+    binds.push(opts.focusArea);
+    where.push(`focus_area = ?${binds.length}`);
+  }
+  const { results } = await db
+    .prepare(
+      `SELECT slug, name, type, focus_area, established_year, donate_url, updated_at FROM funds WHERE ${where.join(' AND ')} ORDER BY name COLLATE NOCASE`
+    )
+    .bind(...binds)
+    .all<Omit<FundDbRow, 'description' | 'created_at'>>();
+  return (results ?? []).map((r) => ({
+    slug: r.slug,
+    name: r.name,
+    type: r.type,
+    focusArea: r.focus_area,
+    establishedYear: r.established_year,
+    donateUrl: r.donate_url,
+    updatedAt: r.updated_at,
+  }));
+}
+
+/** Every type and focus area in use, alphabetically: the admin's filters and suggestions. */
+export async function listFundFacets(db: D1Database): Promise<{ types: string[]; focusAreas: string[] }> {
+  const [types, focusAreas] = await db.batch<{ value: string }>([
+    db.prepare('SELECT DISTINCT type AS value FROM funds WHERE deleted_at IS NULL ORDER BY value COLLATE NOCASE'),
+    db.prepare(
+      'SELECT DISTINCT focus_area AS value FROM funds WHERE deleted_at IS NULL AND focus_area IS NOT NULL ORDER BY value COLLATE NOCASE'
+    ),
+  ]);
+  return {
+    types: (types.results ?? []).map((r) => r.value),
+    focusAreas: (focusAreas.results ?? []).map((r) => r.value),
+  };
+}
+
+export async function getFund(db: D1Database, slug: string): Promise<FundRow | null> {
+  const row = await db
+    .prepare(`SELECT ${FUND_COLUMNS} FROM funds WHERE slug = ?1 AND deleted_at IS NULL`)
+    .bind(slug)
+    .first<FundDbRow>();
+  return row ? toFundRow(row) : null;
+}
+
+/**
+ * Where /funds/<slug>/give sends a donor: the fund's own giving-form page,
+ * the general form when it has none, or null for a missing or deleted fund.
+ */
+export async function fundDonateUrl(db: D1Database, slug: string): Promise<string | null> {
+  const row = await db
+    .prepare('SELECT donate_url FROM funds WHERE slug = ?1 AND deleted_at IS NULL')
+    .bind(slug)
+    .first<{ donate_url: string | null }>();
+  if (!row) return null;
+  return row.donate_url || GENERAL_DONATE_URL;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+function snapshotStatement(
+  db: D1Database,
+  current: FundRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO fund_versions (slug, name, type, focus_area, description, established_year, donate_url, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10)'
+    )
+    .bind(
+      current.slug,
+      current.name,
+      current.type,
+      current.focusArea,
+      current.description,
+      current.establishedYear,
+      current.donateUrl,
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new fund. Throws if the slug is taken — including by a
+ * soft-deleted one, since the slug is the primary key.
+ */
+export async function createFund(db: D1Database, slug: string, input: FundInput): Promise<number> {
+  if (!isValidFundSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  const existing = await db.prepare('SELECT slug FROM funds WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`fund already exists: ${slug}`);
+
+  const ts = Date.now();
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO funds (slug, name, type, focus_area, description, established_year, donate_url, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?8)'
+      )
+      .bind(slug, input.name, input.type, input.focusArea, input.description, input.establishedYear, input.donateUrl, ts),
+    ...indexStatements(db, fundSearchDoc({ slug, ...input })),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply a validated update and append a version snapshot in the same batch.
+ * Returns the new updated_at timestamp.
+ */
+export async function updateFund(
+  db: D1Database,
+  slug: string,
+  update: FundUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getFund(db, slug);
+  if (!current) throw new Error(`fund not found: ${slug}`);
+
+  const next = {
+    slug,
+    name: update.name ?? current.name,
+    type: update.type ?? current.type,
+    focusArea: update.focusArea !== undefined ? update.focusArea : current.focusArea,
+    description: update.description !== undefined ? update.description : current.description,
+    establishedYear: update.establishedYear !== undefined ? update.establishedYear : current.establishedYear,
+    donateUrl: update.donateUrl !== undefined ? update.donateUrl : current.donateUrl,
+  };
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE funds SET name = ?1, type = ?2, focus_area = ?3, description = ?4, established_year = ?5, donate_url = ?6, updated_at = ?7 WHERE slug = ?8'
+      )
+      .bind(next.name, next.type, next.focusArea, next.description, next.establishedYear, next.donateUrl, ts, slug),
+    ...indexStatements(db, fundSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the fund, and drop it from search.
+ * The row stays in D1 so it can be restored from the trash; meanwhile its
+ * /give link falls back to the fund directory.
+ */
+export async function deleteFund(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getFund(db, slug);
+  if (!current) throw new Error(`fund not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE funds SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'fund', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deleteFund(): clear deleted_at and put it back in search. */
+export async function restoreFund(db: D1Database, slug: string): Promise<FundRow> {
+  const row = await db
+    .prepare(`SELECT ${FUND_COLUMNS} FROM funds WHERE slug = ?1 AND deleted_at IS NOT NULL`)
+    .bind(slug)
+    .first<FundDbRow>();
+  if (!row) throw new Error(`deleted fund not found: ${slug}`);
+  const fund = toFundRow(row);
+  await db.batch([
+    db.prepare('UPDATE funds SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, fundSearchDoc(fund)),
+  ]);
+  return fund;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface FundVersionDbRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  type: string | null;
+  focus_area: string | null;
+  description: string | null;
+  established_year: number | null;
+  donate_url: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  created_at: number;
+}
+
+function toVersionRow(r: FundVersionDbRow): FundVersionRow {
+  return {
+    id: r.id,
+    slug: r.slug,
+    name: r.name,
+    type: r.type,
+    focusArea: r.focus_area,
+    description: r.description,
+    establishedYear: r.established_year,
+    donateUrl: r.donate_url,
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  };
+}
+
+export async function listFundVersions(db: D1Database, slug: string, limit = 50): Promise<FundVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.name, v.type, v.focus_area, v.description, v.established_year, v.donate_url, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM fund_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<FundVersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+export async function revertFundToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const row = await db
+    .prepare(
+      'SELECT id, slug, name, type, focus_area, description, established_year, donate_url, author, user_id, NULL AS user_name, created_at FROM fund_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<FundVersionDbRow>();
+  if (!row) throw new Error(`version ${versionId} not found for fund ${slug}`);
+
+  const v = toVersionRow(row);
+  return updateFund(
+    db,
+    slug,
+    {
+      name: v.name ?? undefined,
+      type: v.type ?? undefined,
+      focusArea: v.focusArea,
+      description: v.description,
+      establishedYear: v.establishedYear,
+      donateUrl: v.donateUrl,
+    },
+    'admin',
+    userId
+  );
+}
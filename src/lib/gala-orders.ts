@@ -0,0 +1,507 @@
+// Gala sponsorship and ticket orders (migrations/0013_gala_orders.sql).
+//
+// A `pricing-tiers` card with `order` set opens an order form instead of
+// linking away (PricingTiers.astro). The form posts to /api/checkout, which
+// calls startCheckout(): the tier and its price are looked up on the
+// *published* page, never taken from the request, then a `pending` order is
+// recorded and the buyer is sent to the payment provider (src/lib/payments.ts).
+// The provider's webhook calls settleOrder(), which marks the order paid or
+// cancelled and emails the buyer a confirmation (src/lib/email.ts). Staff
+// see every order at /cpadmin/gala-orders (/api/gala-orders), can export
+// them as CSV, and can mark one paid by cheque or cancelled.
+
+import type { D1Database } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { SITE_TIME_ZONE } from './event-calendar';
+import { sendEmail } from './email';
+import type { PaymentOutcome, PaymentProvider } from './payments';
+import { isValidEmail } from './users';
+
+export type OrderStatus = 'pending' | 'paid' | 'cancelled';
+
+export const ORDER_STATUSES: OrderStatus[] = ['pending', 'paid', 'cancelled'];
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Optional text. Blank or null clears it. */
+const labelSchema = (max: number) =>
+  z
+    .string()
+    .max(max)
+    .nullable()
+    .transform((v) => (v && v.trim() ? v.trim() : null));
+
+/** What the order form posts to /api/checkout. */
+export const orderRequestSchema = z.object({
+  /** Path of the page the form is on; its published copy sets the price. */
+  page: z.string().trim().min(1, 'page is required').max(500),
+  /** The tier's title on that page. */
+  tier: z.string().trim().min(1, 'tier is required').max(200),
+  quantity: z.number().int().min(1).max(20).default(1),
+  name: z.string().trim().min(1, 'name is required').max(200),
+  email: z
+    .string()
+    .trim()
+    .max(200)
+    .refine((v) => isValidEmail(v), 'not an email address'),
+  phone: labelSchema(50).default(null),
+  organization: labelSchema(200).default(null),
+  recognitionName: labelSchema(200).default(null),
+  guestNames: labelSchema(2000).default(null),
+  notes: labelSchema(2000).default(null),
+});
+
+export type OrderRequest = z.infer<typeof orderRequestSchema>;
+
+/**
+ * Validate an order form body. Throws with a one-line message naming each
+ * bad field (e.g. `invalid order: email: not an email address`).
+ */
+export function parseOrderRequest(body: unknown): OrderRequest {
+  const result = orderRequestSchema.safeParse(body);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+    throw new Error(`invalid order: ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface GalaOrder {
+  id: number;
+  reference: string;
+  pagePath: string;
+  tier: string;
+  /** Cents. */
+  unitAmount: number;
+  quantity: number;
+  /** Cents. */
+  totalAmount: number;
+  name: string;
+  email: string;
+  phone: string | null;
+  organization: string | null;
+  recognitionName: string | null;
+  guestNames: string | null;
+  notes: string | null;
+  status: OrderStatus;
+  provider: string;
+  providerRef: string | null;
+  paidAt: number | null;
+  confirmationSentAt: number | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+/** An orderable tier as it stands on the published page. */
+export interface OrderableTier {
+  pageTitle: string;
+  title: string;
+  /** Whole dollars, as in the section. */
+  amount: number;
+  maxQuantity: number;
+}
+
+export interface TierTotal {
+  tier: string;
+  orders: number;
+  quantity: number;
+  /** Cents. */
+  total: number;
+}
+
+interface GalaOrderDbRow {
+  id: number;
+  reference: string;
+  page_path: string;
+  tier: string;
+  unit_amount: number;
+  quantity: number;
+  total_amount: number;
+  name: string;
+  email: string;
+  phone: string | null;
+  organization: string | null;
+  recognition_name: string | null;
+  guest_names: string | null;
+  notes: string | null;
+  status: OrderStatus;
+  provider: string;
+  provider_ref: string | null;
+  paid_at: number | null;
+  confirmation_sent_at: number | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const ORDER_COLUMNS =
+  'id, reference, page_path, tier, unit_amount, quantity, total_amount, name, email, phone, organization, recognition_name, guest_names, notes, status, provider, provider_ref, paid_at, confirmation_sent_at, updated_at, created_at';
+
+function toGalaOrder(r: GalaOrderDbRow): GalaOrder {
+  return {
+    id: r.id,
+    reference: r.reference,
+    pagePath: r.page_path,
+    tier: r.tier,
+    unitAmount: r.unit_amount,
+    quantity: r.quantity,
+    totalAmount: r.total_amount,
+    name: r.name,
+    email: r.email,
+    phone: r.phone,
+    organization: r.organization,
+    recognitionName: r.recognition_name,
+    guestNames: r.guest_names,
+    notes: r.notes,
+    status: r.status,
+    provider: r.provider,
+    providerRef: r.provider_ref,
+    paidAt: r.paid_at,
+    confirmationSentAt: r.confirmation_sent_at,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tiers
+// ---------------------------------------------------------------------------
+
+type SectionLike = { kind?: unknown; items?: unknown; main?: unknown };
+type TierLike = { title?: unknown; order?: { amount?: unknown; maxQuantity?: unknown } };
+
+/**
+ * The orderable tier titled `title` in a sections array, looking inside
+ * sidebar layouts too. Sections were validated when they were saved, so
+ * this only checks the fields it reads.
+ */
+export function findOrderableTier(sections: unknown, title: string): Omit<OrderableTier, 'pageTitle'> | null {
+  if (!Array.isArray(sections)) return null;
+  for (const section of sections as SectionLike[]) {
+    if (section?.kind === 'sidebar-layout') {
+      const nested = findOrderableTier(section.main, title);
+      if (nested) return nested;
+      continue;
+    }
+    if (section?.kind !== 'pricing-tiers' || !Array.isArray(section.items)) continue;
+    for (const item of section.items as TierLike[]) {
+      const amount = item?.order?.amount;
+      if (item?.title !== title || typeof amount !== 'number' || amount <= 0) continue;
+      const max = item.order?.maxQuantity;
+      return { title, amount, maxQuantity: typeof max === 'number' ? max : 1 };
+    }
+  }
+  return null;
+}
+
+/** Throws `not found` unless the published page at `path` sells `tier`. */
+export async function getPublishedTier(db: D1Database, path: string, tier: string): Promise<OrderableTier> {
+  const normalized = path === '/' ? '/' : path.replace(/\/+$/, '');
+  const row = await db
+    .prepare(
+      'SELECT pub.title, pub.sections FROM page_published pub JOIN pages p ON p.slug = pub.slug WHERE pub.path = ?1 AND p.deleted_at IS NULL'
+    )
+    .bind(normalized)
+    .first<{ title: string; sections: string | null }>();
+  if (!row) throw new Error(`page not found: ${normalized}`);
+  let sections: unknown = [];
+  try {
+    sections = JSON.parse(row.sections ?? '[]');
+  } catch {
+    // Unparseable sections render as nothing, so there's nothing to sell.
+  }
+  const found = findOrderableTier(sections, tier);
+  if (!found) throw new Error(`tier not found: ${tier}`);
+  return { pageTitle: row.title, ...found };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+export async function getOrder(db: D1Database, reference: string): Promise<GalaOrder | null> {
+  const row = await db
+    .prepare(`SELECT ${ORDER_COLUMNS} FROM gala_orders WHERE reference = ?1`)
+    .bind(reference)
+    .first<GalaOrderDbRow>();
+  return row ? toGalaOrder(row) : null;
+}
+
+/**
+ * Newest first. `search` matches reference, name, email, organization and
+ * recognition name; `status` and `tier` match exactly.
+ */
+export async function listOrders(
+  db: D1Database,
+  opts: { search?: string; status?: string; tier?: string } = {}
+): Promise<GalaOrder[]> {
+  const where: string[] = [];
+  const binds: unknown[] = [];
+  if (opts.search) {
+    binds.push(`%${opts.search}%`);
+    const n = binds.length;
+    where.push(
+      `(reference LIKE ?${n} OR name LIKE ?${n} OR email LIKE ?${n} OR organization LIKE ?${n} OR recognition_name LIKE ?${n})`
+    );
+  }
+  if (opts.status) {
+    binds.push(opts.status);
+    where.push(`status = ?${binds.length}`);
+  }
+  if (opts.tier) {
+    binds.push(opts.tier);
+    where.push(`tier = ?${binds.length}`);
+  }
+  const sql = `SELECT ${ORDER_COLUMNS} FROM gala_orders${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC`;
+  const { results } = await db
+    .prepare(sql)
+    .bind(...binds)
+    .all<GalaOrderDbRow>();
+  return (results ?? []).map(toGalaOrder);
+}
+
+/** Every tier that has been ordered, for the report's filter. */
+export async function listOrderTiers(db: D1Database): Promise<string[]> {
+  const { results } = await db.prepare('SELECT DISTINCT tier FROM gala_orders ORDER BY tier').all<{ tier: string }>();
+  return (results ?? []).map((r) => r.tier);
+}
+
+/** Paid orders per tier, biggest total first. Pending and cancelled orders don't count. */
+export function totalsByTier(orders: GalaOrder[]): TierTotal[] {
+  const byTier = new Map<string, TierTotal>();
+  for (const o of orders) {
+    if (o.status !== 'paid') continue;
+    const t = byTier.get(o.tier) ?? { tier: o.tier, orders: 0, quantity: 0, total: 0 };
+    t.orders += 1;
+    t.quantity += o.quantity;
+    t.total += o.totalAmount;
+    byTier.set(o.tier, t);
+  }
+  return [...byTier.values()].sort((a, b) => b.total - a.total || a.tier.localeCompare(b.tier));
+}
+
+// ---------------------------------------------------------------------------
+// Checkout
+// ---------------------------------------------------------------------------
+
+// Crockford base32 without the look-alikes, so a reference read out over
+// the phone can't be misheard.
+const REFERENCE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function newReference(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return `G-${[...bytes].map((b) => REFERENCE_ALPHABET[b % 32]).join('')}`;
+}
+
+/** Where the provider sends the buyer back to. */
+export function checkoutUrls(origin: string, order: Pick<GalaOrder, 'reference' | 'pagePath'>): {
+  successUrl: string;
+  cancelUrl: string;
+} {
+  return {
+    successUrl: new URL(`/order-complete?ref=${encodeURIComponent(order.reference)}`, origin).href,
+    cancelUrl: new URL(order.pagePath, origin).href,
+  };
+}
+
+/**
+ * Record a pending order for a validated request and start the provider's
+ * checkout. Returns the URL to send the buyer to. Throws `invalid order`,
+ * `page not found` or `tier not found` for a bad request.
+ */
+export async function startCheckout(
+  db: D1Database,
+  provider: PaymentProvider,
+  input: OrderRequest,
+  origin: string
+): Promise<{ reference: string; url: string }> {
+  const tier = await getPublishedTier(db, input.page, input.tier);
+  if (input.quantity > tier.maxQuantity) {
+    throw new Error(`invalid order: quantity: at most ${tier.maxQuantity} for ${tier.title}`);
+  }
+
+  const unitAmount = tier.amount * 100;
+  const pagePath = input.page === '/' ? '/' : input.page.replace(/\/+$/, '');
+  const reference = newReference();
+  const now = Date.now();
+  await db
+    .prepare(
+      `INSERT INTO gala_orders (reference, page_path, tier, unit_amount, quantity, total_amount, name, email, phone, organization, recognition_name, guest_names, notes, status, provider, updated_at, created_at)
+       VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, 'pending', ?14, ?15, ?15)`
+    )
+    .bind(
+      reference,
+      pagePath,
+      tier.title,
+      unitAmount,
+      input.quantity,
+      unitAmount * input.quantity,
+      input.name,
+      input.email,
+      input.phone,
+      input.organization,
+      input.recognitionName,
+      input.guestNames,
+      input.notes,
+      provider.name,
+      now
+    )
+    .run();
+
+  const session = await provider.createCheckout({
+    reference,
+    description: `${tier.title} — ${tier.pageTitle}`,
+    unitAmount,
+    quantity: input.quantity,
+    email: input.email,
+    ...checkoutUrls(origin, { reference, pagePath }),
+  });
+  await db
+    .prepare('UPDATE gala_orders SET provider_ref = ?2, updated_at = ?3 WHERE reference = ?1')
+    .bind(reference, session.providerRef, Date.now())
+    .run();
+  return { reference, url: session.url };
+}
+
+/**
+ * Apply a provider's outcome to a pending order. Only pending orders move,
+ * so a webhook delivered twice (or after staff settled the order by hand)
+ * changes nothing. A newly paid order gets its confirmation email. Returns
+ * the order as it now stands.
+ */
+export async function settleOrder(db: D1Database, outcome: PaymentOutcome): Promise<GalaOrder> {
+  const now = Date.now();
+  const row = await db
+    .prepare(
+      `UPDATE gala_orders
+          SET status = ?2, paid_at = CASE WHEN ?2 = 'paid' THEN ?4 ELSE paid_at END,
+              provider_ref = COALESCE(?3, provider_ref), updated_at = ?4
+        WHERE reference = ?1 AND status = 'pending'
+        RETURNING ${ORDER_COLUMNS}`
+    )
+    .bind(outcome.reference, outcome.status, outcome.providerRef, now)
+    .first<GalaOrderDbRow>();
+  if (!row) {
+    const existing = await getOrder(db, outcome.reference);
+    if (!existing) throw new Error(`order not found: ${outcome.reference}`);
+    return existing;
+  }
+  const order = toGalaOrder(row);
+  return order.status === 'paid' ? sendOrderConfirmation(db, order) : order;
+}
+
+/**
+ * Staff corrections from /cpadmin/gala-orders: mark an order paid (a cheque
+ * or card payment taken by phone) or cancelled (refunded, or never paid).
+ * No email goes out; staff handle those buyers directly.
+ */
+export async function setOrderStatus(db: D1Database, reference: string, status: OrderStatus): Promise<GalaOrder> {
+  if (!ORDER_STATUSES.includes(status)) throw new Error(`invalid order: status: use ${ORDER_STATUSES.join(', ')}`);
+  const now = Date.now();
+  const row = await db
+    .prepare(
+      `UPDATE gala_orders
+          SET status = ?2, paid_at = CASE WHEN ?2 = 'paid' THEN COALESCE(paid_at, ?3) ELSE paid_at END, updated_at = ?3
+        WHERE reference = ?1
+        RETURNING ${ORDER_COLUMNS}`
+    )
+    .bind(reference, status, now)
+    .first<GalaOrderDbRow>();
+  if (!row) throw new Error(`order not found: ${reference}`);
+  return toGalaOrder(row);
+}
+
+// ---------------------------------------------------------------------------
+// Confirmation email
+// ---------------------------------------------------------------------------
+
+const usd = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+
+export function formatCents(cents: number): string {
+  return usd.format(cents / 100);
+}
+
+export function confirmationText(order: GalaOrder): string {
+  const lines = [
+    `Dear ${order.name},`,
+    '',
+    'Thank you for supporting Truman Heartland Community Foundation. Your order is confirmed.',
+    '',
+    `Order: ${order.reference}`,
+    `${order.tier}${order.quantity > 1 ? ` × ${order.quantity}` : ''}: ${formatCents(order.totalAmount)}`,
+  ];
+  if (order.recognitionName) lines.push(`Listed as: ${order.recognitionName}`);
+  if (order.guestNames) lines.push('', 'Guests:', ...order.guestNames.split('\n').map((g) => `  ${g.trim()}`));
+  lines.push(
+    '',
+    'Keep this email as your receipt. If anything needs changing, reply and quote your order number.',
+    '',
+    'Truman Heartland Community Foundation'
+  );
+  return lines.join('\n');
+}
+
+/** Email the buyer and record when it went out. Returns the updated order. */
+async function sendOrderConfirmation(db: D1Database, order: GalaOrder): Promise<GalaOrder> {
+  const sent = await sendEmail({
+    to: order.email,
+    subject: `Your order ${order.reference}: ${order.tier}`,
+    text: confirmationText(order),
+  });
+  if (!sent) return order;
+  const now = Date.now();
+  await db.prepare('UPDATE gala_orders SET confirmation_sent_at = ?2 WHERE id = ?1').bind(order.id, now).run();
+  return { ...order, confirmationSentAt: now };
+}
+
+// ---------------------------------------------------------------------------
+// CSV export
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS: [string, (o: GalaOrder) => string | number | null][] = [
+  ['Reference', (o) => o.reference],
+  ['Placed', (o) => siteTime(o.createdAt)],
+  ['Status', (o) => o.status],
+  ['Tier', (o) => o.tier],
+  ['Quantity', (o) => o.quantity],
+  ['Unit amount', (o) => (o.unitAmount / 100).toFixed(2)],
+  ['Total', (o) => (o.totalAmount / 100).toFixed(2)],
+  ['Name', (o) => o.name],
+  ['Email', (o) => o.email],
+  ['Phone', (o) => o.phone],
+  ['Organization', (o) => o.organization],
+  ['Recognition name', (o) => o.recognitionName],
+  ['Guests', (o) => o.guestNames],
+  ['Notes', (o) => o.notes],
+  ['Page', (o) => o.pagePath],
+  ['Provider', (o) => o.provider],
+  ['Provider reference', (o) => o.providerRef],
+  ['Paid', (o) => (o.paidAt ? siteTime(o.paidAt) : null)],
+  ['Confirmation sent', (o) => (o.confirmationSentAt ? siteTime(o.confirmationSentAt) : null)],
+];
+
+/** `2026-10-19 18:30` in the foundation's time zone. */
+function siteTime(ms: number): string {
+  return new Date(ms).toLocaleString('sv-SE', { timeZone: SITE_TIME_ZONE }).slice(0, 16);
+}
+
+// Quotes fields that need it, and defuses ones a spreadsheet would read as
+// a formula (buyers type these fields).
+function csvField(value: string | number | null): string {
+  if (value === null) return '';
+  let s = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** RFC 4180 CSV with a header row; times are Central. */
+export function ordersToCsv(orders: GalaOrder[]): string {
+  const rows = [CSV_COLUMNS.map(([label]) => label), ...orders.map((o) => CSV_COLUMNS.map(([, get]) => csvField(get(o))))];
+  return rows.map((r) => r.join(',')).join('\r\n') + '\r\n';
+}
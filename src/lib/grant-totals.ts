@@ -0,0 +1,50 @@
+// Totals for the past-recipients directory (grants/index.astro).
+//
+// Run at build time for the initial totals and again in the directory's
+// client script whenever the filters change, so they must stay
+// dependency-free. Grants with no disclosed amount count towards the
+// number of grants but not the dollars.
+
+export interface GrantTotal {
+  label: string;
+  count: number;
+  /** Whole dollars. */
+  amount: number;
+}
+
+export type GrantTotalKey = 'year' | 'focusArea';
+
+/** Label for grants without a focus area. */
+export const UNSPECIFIED = 'Other';
+
+const dollars = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+
+export function formatDollars(amount: number): string {
+  return dollars.format(amount);
+}
+
+/**
+ * Count and sum grants by year (newest first) or focus area (most dollars
+ * first, with unspecified last).
+ */
+export function grantTotals(
+  grants: { year: number | string; focusArea?: string | null; amount?: number | null }[],
+  key: GrantTotalKey
+): GrantTotal[] {
+  const totals = new Map<string, GrantTotal>();
+  for (const g of grants) {
+    const label = key === 'year' ? String(g.year) : g.focusArea || UNSPECIFIED;
+    const total = totals.get(label) ?? { label, count: 0, amount: 0 };
+    total.count += 1;
+    total.amount += g.amount ?? 0;
+    totals.set(label, total);
+  }
+  const list = [...totals.values()];
+  if (key === 'year') return list.sort((a, b) => Number(b.label) - Number(a.label));
+  return list.sort(
+    (a, b) =>
+      Number(a.label === UNSPECIFIED) - Number(b.label === UNSPECIFIED) ||
+      b.amount - a.amount ||
+      a.label.localeCompare(b.label)
+  );
+}
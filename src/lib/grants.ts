@@ -0,0 +1,421 @@
+// D1 helpers for grants (/api/grants and /cpadmin/grants).
+//
+// One row per award to a nonprofit. `amount` is whole dollars so the
+// past-recipients directory can total it; `year`, `focus_area` and `county`
+// are its filters. Like scholarships.ts, every write snapshots the previous
+// row into grant_versions and refreshes the search_index row in the same
+// batch.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { grantSearchDoc, indexStatements, removeFromIndexStatement } from './search';
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Optional short label (focus area, county). Blank or null clears it. */
+const labelSchema = z
+  .string()
+  .max(200)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+/** Optional HTML column. Blank or null clears it. */
+const textSchema = z
+  .string()
+  .max(20000)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+const amountSchema = z.number().int('amount must be whole dollars').min(0).max(100_000_000).nullable();
+const yearSchema = z.number().int().min(1900).max(2100);
+
+export const grantInputSchema = z.object({
+  program: z.string().trim().min(1, 'program is required').max(300),
+  recipient: z.string().trim().min(1, 'recipient is required').max(300),
+  amount: amountSchema.default(null),
+  year: yearSchema,
+  focusArea: labelSchema.default(null),
+  county: labelSchema.default(null),
+  description: textSchema.default(null),
+});
+
+// Without the defaults, so a missing key in a PUT body leaves the field alone.
+export const grantUpdateSchema = z
+  .object({
+    program: z.string().trim().min(1, 'program is required').max(300),
+    recipient: z.string().trim().min(1, 'recipient is required').max(300),
+    amount: amountSchema,
+    year: yearSchema,
+    focusArea: labelSchema,
+    county: labelSchema,
+    description: textSchema,
+  })
+  .partial();
+
+export type GrantInput = z.infer<typeof grantInputSchema>;
+export type GrantUpdate = z.infer<typeof grantUpdateSchema>;
+
+/**
+ * Validate a request body. Throws with a one-line message naming each bad
+ * field (e.g. `invalid grant: amount: amount must be whole dollars`).
+ */
+export function parseGrantInput(body: unknown): GrantInput {
+  const result = grantInputSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+export function parseGrantUpdate(body: unknown): GrantUpdate {
+  const result = grantUpdateSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+function formatIssues(error: z.ZodError): string {
+  const issues = error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+  return `invalid grant: ${issues.join('; ')}`;
+}
+
+export function isValidGrantSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface GrantRow {
+  slug: string;
+  program: string;
+  recipient: string;
+  amount: number | null;
+  year: number;
+  focusArea: string | null;
+  county: string | null;
+  description: string | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+export type GrantSummary = Omit<GrantRow, 'description' | 'createdAt'>;
+
+export interface GrantVersionRow {
+  id: number;
+  slug: string;
+  program: string | null;
+  recipient: string | null;
+  amount: number | null;
+  year: number | null;
+  focusArea: string | null;
+  county: string | null;
+  description: string | null;
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+interface GrantDbRow {
+  slug: string;
+  program: string;
+  recipient: string;
+  amount: number | null;
+  year: number;
+  focus_area: string | null;
+  county: string | null;
+  description: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const GRANT_COLUMNS = 'slug, program, recipient, amount, year, focus_area, county, description, updated_at, created_at';
+
+function toGrantRow(r: GrantDbRow): GrantRow {
+  return {
+    slug: r.slug,
+    program: r.program,
+    recipient: r.recipient,
+    amount: r.amount,
+    year: r.year,
+    focusArea: r.focus_area,
+    county: r.county,
+    description: r.description,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+/** Newest year first, then by recipient. `year` narrows to one year. */
+export async function listGrants(
+  db: D1Database,
+  opts: { search?: string; year?: number } = {}
+): Promise<GrantSummary[]> {
+  const where = ['deleted_at IS NULL'];
+  const binds: unknown[] = [];
+  const search = opts.search?.trim();
+  if (search) {
+    binds.push(`%${search}%`);
+    where.push(`(recipient LIKE ?${binds.length} OR program LIKE ?${binds.length} OR slug LIKE ?${binds.length})`);
+  }
+  if (opts.year !== undefined) {
+    binds.push(opts.year);
+    where.push(`year = ?${binds.length}`);
+  }
+  const { results } = await db
+    .prepare(
+      `SELECT slug, program, recipient, amount, year, focus_area, county, updated_at FROM grants WHERE ${where.join(' AND ')} ORDER BY year DESC, recipient`
+    )
+    .bind(...binds)
+    .all<Omit<GrantDbRow, 'description' | 'created_at'>>();
+  return (results ?? []).map((r) => ({
+    slug: r.slug,
+    program: r.program,
+    recipient: r.recipient,
+    amount: r.amount,
+    year: r.year,
+    focusArea: r.focus_area,
+    county: r.county,
+    updatedAt: r.updated_at,
+  }));
+}
+
+export async function getGrant(db: D1Database, slug: string): Promise<GrantRow | null> {
+  const row = await db
+    .prepare(`SELECT ${GRANT_COLUMNS} FROM grants WHERE slug = ?1 AND deleted_at IS NULL`)
+    .bind(slug)
+    .first<GrantDbRow>();
+  return row ? toGrantRow(row) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+function snapshotStatement(
+  db: D1Database,
+  current: GrantRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO grant_versions (slug, program, recipient, amount, year, focus_area, county, description, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11)'
+    )
+    .bind(
+      current.slug,
+      current.program,
+      current.recipient,
+      current.amount,
+      current.year,
+      current.focusArea,
+      current.county,
+      current.description,
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new grant. Throws if the slug is taken — including by a
+ * soft-deleted one, since the slug is the primary key.
+ */
+export async function createGrant(db: D1Database, slug: string, input: GrantInput): Promise<number> {
+  if (!isValidGrantSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  const existing = await db.prepare('SELECT slug FROM grants WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`grant already exists: ${slug}`);
+
+  const ts = Date.now();
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO grants (slug, program, recipient, amount, year, focus_area, county, description, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?9)'
+      )
+      .bind(
+        slug,
+        input.program,
+        input.recipient,
+        input.amount,
+        input.year,
+        input.focusArea,
+        input.county,
+        input.description,
+        ts
+      ),
+    ...indexStatements(db, grantSearchDoc({ slug, ...input })),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply a validated update and append a version snapshot in the same batch.
+ * Returns the new updated_at timestamp.
+ */
+export async function updateGrant(
+  db: D1Database,
+  slug: string,
+  update: GrantUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getGrant(db, slug);
+  if (!current) throw new Error(`grant not found: ${slug}`);
+
+  const next = {
+    slug,
+    program: update.program ?? current.program,
+    recipient: update.recipient ?? current.recipient,
+    amount: update.amount !== undefined ? update.amount : current.amount,
+    year: update.year ?? current.year,
+    focusArea: update.focusArea !== undefined ? update.focusArea : current.focusArea,
+    county: update.county !== undefined ? update.county : current.county,
+    description: update.description !== undefined ? update.description : current.description,
+  };
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE grants SET program = ?1, recipient = ?2, amount = ?3, year = ?4, focus_area = ?5, county = ?6, description = ?7, updated_at = ?8 WHERE slug = ?9'
+      )
+      .bind(
+        next.program,
+        next.recipient,
+        next.amount,
+        next.year,
+        next.focusArea,
+        next.county,
+        next.description,
+        ts,
+        slug
+      ),
+    ...indexStatements(db, grantSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the grant, and drop it from search.
+ * The row stays in D1 so it can be restored from the trash.
+ */
+export async function deleteGrant(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getGrant(db, slug);
+  if (!current) throw new Error(`grant not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE grants SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'grant', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deleteGrant(): clear deleted_at and put it back in search. */
+export async function restoreGrant(db: D1Database, slug: string): Promise<GrantRow> {
+  const row = await db
+    .prepare(`SELECT ${GRANT_COLUMNS} FROM grants WHERE slug = ?1 AND deleted_at IS NOT NULL`)
+    .bind(slug)
+    .first<GrantDbRow>();
+  if (!row) throw new Error(`deleted grant not found: ${slug}`);
+  const grant = toGrantRow(row);
+  await db.batch([
+    db.prepare('UPDATE grants SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, grantSearchDoc(grant)),
+  ]);
+  return grant;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface GrantVersionDbRow {
+  id: number;
+  slug: string;
+  program: string | null;
+  recipient: string | null;
+  amount: number | null;
+  year: number | null;
+  focus_area: string | null;
+  county: string | null;
+  description: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  created_at: number;
+}
+
+function toVersionRow(r: GrantVersionDbRow): GrantVersionRow {
+  return {
+    id: r.id,
+    slug: r.slug,
+    program: r.program,
+    recipient: r.recipient,
+    amount: r.amount,
+    year: r.year,
+    focusArea: r.focus_area,
+    county: r.county,
+    description: r.description,
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  };
+}
+
+export async function listGrantVersions(db: D1Database, slug: string, limit = 50): Promise<GrantVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.program, v.recipient, v.amount, v.year, v.focus_area, v.county, v.description, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM grant_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<GrantVersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+export async function revertGrantToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const row = await db
+    .prepare(
+      'SELECT id, slug, program, recipient, amount, year, focus_area, county, description, author, user_id, NULL AS user_name, created_at FROM grant_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<GrantVersionDbRow>();
+  if (!row) throw new Error(`version ${versionId} not found for grant ${slug}`);
+
+  const v = toVersionRow(row);
+  return updateGrant(
+    db,
+    slug,
+    {
+      program: v.program ?? undefined,
+      recipient: v.recipient ?? undefined,
+      amount: v.amount,
+      year: v.year ?? undefined,
+      focusArea: v.focusArea,
+      county: v.county,
+      description: v.description,
+    },
+    'admin',
+    userId
+  );
+}
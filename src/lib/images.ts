@@ -0,0 +1,110 @@
+// Responsive images for media library uploads.
+//
+// /img/<assetId> (src/pages/img/[id].ts) serves an upload resized with `?w=`
+// and re-encoded with `?format=` through the Cloudflare Images binding.
+// imageAttrs() is the build-time half: it turns a section image `src` that
+// points at an upload into `srcset`/`sizes`/`width`/`height`, using the
+// dimensions dump-d1 exports to src/data/assets.json.
+//
+// Widths snap to IMG_WIDTHS so each image has a handful of variants to cache
+// rather than one per pixel a client could ask for. Asset ids are hashes of
+// the bytes, so every variant of an id is immutable.
+
+import allAssets from '../data/assets.json';
+
+export const IMG_WIDTHS = [320, 640, 960, 1280, 1920, 2560] as const;
+
+export const IMG_FORMATS = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+} as const;
+export type ImgFormat = keyof typeof IMG_FORMATS;
+
+/** Served exactly as uploaded: vectors don't need resizing, and resizing a GIF drops its animation. */
+export const PASSTHROUGH_TYPES: ReadonlySet<string> = new Set(['image/svg+xml', 'image/gif']);
+
+/**
+ * The IMG_WIDTHS step to serve for a requested width: the smallest one at
+ * least as wide, or the largest. Null when that is no narrower than the
+ * original, which is then served at full size (never upscaled).
+ */
+export function snapWidth(requested: number, original: number | null): number | null {
+  const width = IMG_WIDTHS.find((w) => w >= requested) ?? IMG_WIDTHS[IMG_WIDTHS.length - 1];
+  if (original !== null && width >= original) return null;
+  return width;
+}
+
+/** `?format=auto`: the best format the client's Accept header allows, or null to keep the original. */
+export function negotiateFormat(accept: string | null): ImgFormat | null {
+  if (!accept) return null;
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return null;
+}
+
+export function imgUrl(id: string, width?: number): string {
+  return width ? `/img/${id}?w=${width}` : `/img/${id}`;
+}
+
+// ---------------------------------------------------------------------------
+// Build-time srcset
+// ---------------------------------------------------------------------------
+
+interface AssetDimensions {
+  id: string;
+  width: number | null;
+  height: number | null;
+  mimeType: string | null;
+}
+
+const ASSETS = new Map((allAssets as AssetDimensions[]).map((a) => [a.id, a]));
+
+/** Upload URLs (assetUrl() in src/lib/assets.ts) and /img URLs both carry the asset id. */
+const ASSET_SRC = /^\/(?:media\/uploads|img)\/([0-9a-f]{16})(?:[/?]|$)/;
+
+export interface ImgAttrs {
+  src: string;
+  srcset?: string;
+  sizes?: string;
+  width?: number;
+  height?: number;
+}
+
+/**
+ * `<img>` attributes for a section image. `sizes` is how wide the image is
+ * laid out, e.g. `100vw` for a full-bleed hero. Images that aren't uploads
+ * with known dimensions (external URLs, uploads newer than the last dump)
+ * come back as just `{ src }`.
+ */
+export function imageAttrs(src: string, sizes: string): ImgAttrs {
+  const id = ASSET_SRC.exec(src)?.[1];
+  const asset = id ? ASSETS.get(id) : undefined;
+  const { width, height } = asset ?? {};
+  if (!asset || !width || !height) return { src };
+  if (asset.mimeType && PASSTHROUGH_TYPES.has(asset.mimeType)) return { src, width, height };
+
+  const srcset = IMG_WIDTHS.filter((w) => w < width).map((w) => `${imgUrl(asset.id, w)} ${w}w`);
+  srcset.push(`${imgUrl(asset.id)} ${width}w`);
+  return { src, srcset: srcset.join(', '), sizes, width, height };
+}
+
+/** Open Graph wants roughly 1200px wide; bigger only slows the card down. */
+const SOCIAL_IMAGE_WIDTH = 1200;
+
+/**
+ * A social-card image for an upload `src`: an /img variant about 1200px
+ * wide, with its dimensions. Anything imageAttrs() can't size comes back as
+ * just `{ src }`.
+ */
+export function socialImageAttrs(src: string): ImgAttrs {
+  const id = ASSET_SRC.exec(src)?.[1];
+  const asset = id ? ASSETS.get(id) : undefined;
+  const { width, height } = asset ?? {};
+  if (!asset || !width || !height) return { src };
+  if (asset.mimeType && PASSTHROUGH_TYPES.has(asset.mimeType)) return { src, width, height };
+  const step = snapWidth(SOCIAL_IMAGE_WIDTH, width);
+  if (step === null) return { src: imgUrl(asset.id), width, height };
+  return { src: imgUrl(asset.id, step), width: step, height: Math.round((height * step) / width) };
+}
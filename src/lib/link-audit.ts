@@ -0,0 +1,453 @@
+// Broken-link and orphan-page checker (/api/audit/links and
+// `npm run check-links`).
+//
+// auditLinks() collects every href in the site's content: page sections
+// (any `href` field, and links inside HTML fields like `bodyHtml`), the
+// legacy template's body, news bodies, scholarship, grant, people, event
+// and fund text and the header menus. Internal ones are resolved the way the built site
+// serves them: against `pages.path`, /news/<slug>, /scholarships/<slug>,
+// /grants/<slug>, /people/<slug>, /events/<slug>, /funds/<slug> and its /give
+// link, the listing routes in STATIC_PATHS, and uploads under /media/ and /img/.
+// It reports
+//
+//   broken     internal links that resolve to nothing, per source,
+//   orphans    pages that no other page, article, scholarship, grant, bio,
+//              event, fund or menu links to (the homepage aside),
+//   external   every off-site URL and where it's used, for
+//              checkExternalLinks().
+//
+// rewriteLinksInJson() and rewriteLinksInHtml() walk the same fields to
+// repoint links when movePage() gives a page a new path.
+//
+// Like nav.ts, nothing here touches the Workers runtime, so the check-links
+// script runs the same code against rows it reads through wrangler.
+
+import type { D1Database } from '@cloudflare/workers-types';
+import { parse } from 'node-html-parser';
+import { NAV_COLUMNS, NAV_MENUS, STATIC_PATHS, internalPath, navTreeFromRows, type NavDbRow, type NavNode } from './nav';
+
+export type LinkSourceType = 'page' | 'news' | 'scholarship' | 'grant' | 'person' | 'event' | 'fund' | 'nav';
+
+export interface LinkSource {
+  type: LinkSourceType;
+  slug: string;
+  /** Public path of the source; /cpadmin/nav for the menus. */
+  path: string;
+  title: string;
+}
+
+export interface FoundLink {
+  href: string;
+  /** Where in the source, e.g. `sections[2].items[0].href`, `body`, or a menu trail. */
+  field: string;
+}
+
+export interface BrokenLinkReport extends LinkSource {
+  links: FoundLink[];
+}
+
+export interface OrphanPage {
+  slug: string;
+  path: string;
+  title: string;
+}
+
+export interface ExternalLink {
+  url: string;
+  /** Paths of the sources that use it. */
+  usedOn: string[];
+}
+
+export interface LinkAuditReport {
+  broken: BrokenLinkReport[];
+  orphans: OrphanPage[];
+  external: ExternalLink[];
+  totals: { sources: number; internal: number; broken: number; orphans: number; external: number };
+}
+
+// ---------------------------------------------------------------------------
+// Rows
+// ---------------------------------------------------------------------------
+
+/** The SELECTs auditLinks() needs, keyed like LinkAuditRows. */
+export const LINK_AUDIT_QUERIES = {
+  pages: 'SELECT slug, path, title, sections, legacy_body FROM pages WHERE deleted_at IS NULL',
+  news: 'SELECT slug, title, body FROM news WHERE deleted_at IS NULL',
+  scholarships:
+    'SELECT slug, name, description, eligibility, requirements FROM scholarships WHERE deleted_at IS NULL',
+  grants: 'SELECT slug, recipient, year, description FROM grants WHERE deleted_at IS NULL',
+  people: 'SELECT slug, name, bio FROM people WHERE deleted_at IS NULL',
+  events: 'SELECT slug, title, registration_url, description FROM events WHERE deleted_at IS NULL',
+  funds: 'SELECT slug, name, donate_url, description FROM funds WHERE deleted_at IS NULL',
+  nav: `SELECT ${NAV_COLUMNS} FROM nav_items`,
+  assets: 'SELECT id, r2_key FROM assets',
+} as const;
+
+export interface LinkAuditRows {
+  pages: { slug: string; path: string; title: string; sections: string | null; legacy_body: string | null }[];
+  news: { slug: string; title: string; body: string | null }[];
+  scholarships: {
+    slug: string;
+    name: string;
+    description: string | null;
+    eligibility: string | null;
+    requirements: string | null;
+  }[];
+  grants: { slug: string; recipient: string; year: number; description: string | null }[];
+  people: { slug: string; name: string; bio: string | null }[];
+  events: { slug: string; title: string; registration_url: string | null; description: string | null }[];
+  funds: { slug: string; name: string; donate_url: string | null; description: string | null }[];
+  nav: NavDbRow[];
+  assets: { id: string; r2_key: string }[];
+}
+
+export async function loadLinkAuditRows(db: D1Database): Promise<LinkAuditRows> {
+  const [pages, news, scholarships, grants, people, events, funds, nav, assets] = await Promise.all([
+    db.prepare(LINK_AUDIT_QUERIES.pages).all<LinkAuditRows['pages'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.news).all<LinkAuditRows['news'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.scholarships).all<LinkAuditRows['scholarships'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.grants).all<LinkAuditRows['grants'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.people).all<LinkAuditRows['people'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.events).all<LinkAuditRows['events'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.funds).all<LinkAuditRows['funds'][number]>(),
+    db.prepare(LINK_AUDIT_QUERIES.nav).all<NavDbRow>(),
+    db.prepare(LINK_AUDIT_QUERIES.assets).all<LinkAuditRows['assets'][number]>(),
+  ]);
+  return {
+    pages: pages.results ?? [],
+    news: news.results ?? [],
+    scholarships: scholarships.results ?? [],
+    grants: grants.results ?? [],
+    people: people.results ?? [],
+    events: events.results ?? [],
+    funds: funds.results ?? [],
+    nav: nav.results ?? [],
+    assets: assets.results ?? [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Collecting links
+// ---------------------------------------------------------------------------
+
+type Obj = Record<string, unknown>;
+
+function isObj(value: unknown): value is Obj {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function parseJson(value: string | null): unknown {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function linksInHtml(html: string, field: string, out: FoundLink[]): void {
+  if (!html.includes('href')) return;
+  for (const el of parse(html).querySelectorAll('[href]')) {
+    const href = el.getAttribute('href')?.trim();
+    if (href) out.push({ href, field });
+  }
+}
+
+/** `href` fields anywhere in a JSON value, plus links inside any string that holds HTML. */
+function linksInJson(value: unknown, field: string, out: FoundLink[]): void {
+  if (typeof value === 'string') {
+    if (field === 'href' || field.endsWith('.href')) {
+      if (value.trim()) out.push({ href: value.trim(), field });
+    } else {
+      linksInHtml(value, field, out);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((v, i) => linksInJson(v, `${field}[${i}]`, out));
+  } else if (isObj(value)) {
+    for (const [key, v] of Object.entries(value)) linksInJson(v, field ? `${field}.${key}` : key, out);
+  }
+}
+
+function linksInMenus(nodes: NavNode[], trail: string[], out: FoundLink[]): void {
+  for (const node of nodes) {
+    const here = [...trail, node.label || node.kind];
+    if (node.href) out.push({ href: node.href, field: here.join(' › ') });
+    linksInMenus(node.children, here, out);
+  }
+}
+
+function collectSources(rows: LinkAuditRows): { source: LinkSource; links: FoundLink[] }[] {
+  const sources: { source: LinkSource; links: FoundLink[] }[] = [];
+  for (const p of rows.pages) {
+    const links: FoundLink[] = [];
+    linksInJson(parseJson(p.sections), 'sections', links);
+    if (p.legacy_body) linksInHtml(p.legacy_body, 'legacyBody', links);
+    sources.push({ source: { type: 'page', slug: p.slug, path: p.path, title: p.title }, links });
+  }
+  for (const n of rows.news) {
+    const links: FoundLink[] = [];
+    if (n.body) linksInHtml(n.body, 'body', links);
+    sources.push({ source: { type: 'news', slug: n.slug, path: `/news/${n.slug}`, title: n.title }, links });
+  }
+  for (const s of rows.scholarships) {
+    const links: FoundLink[] = [];
+    if (s.description) linksInHtml(s.description, 'description', links);
+    linksInJson(parseJson(s.eligibility), 'eligibility', links);
+    linksInJson(parseJson(s.requirements), 'requirements', links);
+    sources.push({ source: { type: 'scholarship', slug: s.slug, path: `/scholarships/${s.slug}`, title: s.name }, links });
+  }
+  for (const g of rows.grants) {
+    const links: FoundLink[] = [];
+    if (g.description) linksInHtml(g.description, 'description', links);
+    const title = `${g.recipient} (${g.year})`;
+    sources.push({ source: { type: 'grant', slug: g.slug, path: `/grants/${g.slug}`, title }, links });
+  }
+  for (const p of rows.people) {
+    const links: FoundLink[] = [];
+    if (p.bio) linksInHtml(p.bio, 'bio', links);
+    sources.push({ source: { type: 'person', slug: p.slug, path: `/people/${p.slug}`, title: p.name }, links });
+  }
+  for (const e of rows.events) {
+    const links: FoundLink[] = [];
+    if (e.registration_url) links.push({ href: e.registration_url, field: 'registrationUrl' });
+    if (e.description) linksInHtml(e.description, 'description', links);
+    sources.push({ source: { type: 'event', slug: e.slug, path: `/events/${e.slug}`, title: e.title }, links });
+  }
+  for (const f of rows.funds) {
+    const links: FoundLink[] = [];
+    if (f.donate_url) links.push({ href: f.donate_url, field: 'donateUrl' });
+    if (f.description) linksInHtml(f.description, 'description', links);
+    sources.push({ source: { type: 'fund', slug: f.slug, path: `/funds/${f.slug}`, title: f.name }, links });
+  }
+  if (rows.nav.length > 0) {
+    const tree = navTreeFromRows(rows.nav);
+    const links: FoundLink[] = [];
+    for (const menu of NAV_MENUS) linksInMenus(tree[menu], [menu], links);
+    sources.push({ source: { type: 'nav', slug: '', path: '/cpadmin/nav', title: 'Navigation' }, links });
+  }
+  return sources;
+}
+
+// ---------------------------------------------------------------------------
+// Resolving
+// ---------------------------------------------------------------------------
+
+type Target = { kind: 'internal'; path: string } | { kind: 'external'; url: string } | null;
+
+/** What an href on the page at `base` points at. Null for anchors, mailto:, tel: and the like. */
+function classify(href: string, base: string): Target {
+  if (href.startsWith('#')) return null;
+  if (/^https?:\/\//i.test(href)) return { kind: 'external', url: href };
+  if (href.startsWith('//')) return { kind: 'external', url: `https:${href}` };
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+  let absolute = href;
+  if (!href.startsWith('/')) {
+    try {
+      absolute = new URL(href, `https://site${base}`).pathname;
+    } catch {
+      return { kind: 'internal', path: href };
+    }
+  }
+  const path = internalPath(absolute);
+  return path === null ? null : { kind: 'internal', path };
+}
+
+function decodePath(path: string): string {
+  try {
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+}
+
+export function auditLinks(rows: LinkAuditRows): LinkAuditReport {
+  const paths = new Set<string>(STATIC_PATHS);
+  for (const p of rows.pages) paths.add(internalPath(p.path) ?? p.path);
+  for (const n of rows.news) paths.add(`/news/${n.slug}`);
+  for (const s of rows.scholarships) paths.add(`/scholarships/${s.slug}`);
+  for (const g of rows.grants) paths.add(`/grants/${g.slug}`);
+  for (const p of rows.people) paths.add(`/people/${p.slug}`);
+  for (const e of rows.events) paths.add(`/events/${e.slug}`);
+  for (const f of rows.funds) paths.add(`/funds/${f.slug}`).add(`/funds/${f.slug}/give`);
+  const mediaKeys = new Set(rows.assets.map((a) => a.r2_key));
+  const assetIds = new Set(rows.assets.map((a) => a.id));
+  const resolves = (path: string): boolean => {
+    if (path.startsWith('/media/')) return mediaKeys.has(decodePath(path.slice('/media/'.length)));
+    if (path.startsWith('/img/')) return assetIds.has(path.slice('/img/'.length).split('/')[0]);
+    return paths.has(path) || paths.has(decodePath(path));
+  };
+
+  const broken: BrokenLinkReport[] = [];
+  const linkedTo = new Set<string>();
+  const external = new Map<string, Set<string>>();
+  let internal = 0;
+
+  const sources = collectSources(rows);
+  for (const { source, links } of sources) {
+    const bad: FoundLink[] = [];
+    for (const link of links) {
+      const target = classify(link.href, source.path);
+      if (!target) continue;
+      if (target.kind === 'external') {
+        if (!external.has(target.url)) external.set(target.url, new Set());
+        external.get(target.url)!.add(source.path);
+        continue;
+      }
+      internal++;
+      if (!resolves(target.path)) bad.push(link);
+      else if (target.path !== source.path) linkedTo.add(target.path);
+    }
+    if (bad.length > 0) broken.push({ ...source, links: bad });
+  }
+
+  const orphans = rows.pages
+    .map((p) => ({ slug: p.slug, path: internalPath(p.path) ?? p.path, title: p.title }))
+    .filter((p) => p.path !== '/' && !linkedTo.has(p.path))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  broken.sort((a, b) => b.links.length - a.links.length || a.path.localeCompare(b.path));
+  const externalLinks = [...external]
+    .map(([url, usedOn]) => ({ url, usedOn: [...usedOn].sort() }))
+    .sort((a, b) => a.url.localeCompare(b.url));
+
+  return {
+    broken,
+    orphans,
+    external: externalLinks,
+    totals: {
+      sources: sources.length,
+      internal,
+      broken: broken.reduce((n, b) => n + b.links.length, 0),
+      orphans: orphans.length,
+      external: externalLinks.length,
+    },
+  };
+}
+
+export async function auditSiteLinks(db: D1Database): Promise<LinkAuditReport> {
+  return auditLinks(await loadLinkAuditRows(db));
+}
+
+// ---------------------------------------------------------------------------
+// Rewriting (movePage in d1.ts)
+// ---------------------------------------------------------------------------
+
+export interface Rewritten<T> {
+  value: T;
+  /** How many links were changed. */
+  changed: number;
+}
+
+/**
+ * `href` pointed at `to` if it's a root-relative link to `from` (with or
+ * without a trailing slash), keeping its query and hash. Null otherwise.
+ */
+export function rewriteHref(href: string, from: string, to: string): string | null {
+  const trimmed = href.trim();
+  if (internalPath(trimmed) !== from) return null;
+  return to + (trimmed.match(/[?#].*$/)?.[0] ?? '');
+}
+
+const HREF_ATTR = /(\shref\s*=\s*)(["'])(.*?)\2/gi;
+
+/** Links to `from` inside an HTML string pointed at `to`. Edits the attributes in place so the markup is otherwise untouched. */
+export function rewriteLinksInHtml(html: string, from: string, to: string): Rewritten<string> {
+  let changed = 0;
+  const value = html.includes('href')
+    ? html.replace(HREF_ATTR, (attr, prefix: string, quote: string, href: string) => {
+        const next = rewriteHref(href, from, to);
+        if (next === null) return attr;
+        changed++;
+        return `${prefix}${quote}${next}${quote}`;
+      })
+    : html;
+  return { value, changed };
+}
+
+/** Same links linksInJson() finds — `href` fields and links inside HTML strings — pointed at `to`. */
+export function rewriteLinksInJson<T>(value: T, from: string, to: string): Rewritten<T> {
+  let changed = 0;
+  const walk = (v: unknown, key: string): unknown => {
+    if (typeof v === 'string') {
+      if (key === 'href') {
+        const next = rewriteHref(v, from, to);
+        if (next === null) return v;
+        changed++;
+        return next;
+      }
+      const html = rewriteLinksInHtml(v, from, to);
+      changed += html.changed;
+      return html.value;
+    }
+    if (Array.isArray(v)) return v.map((item) => walk(item, ''));
+    if (isObj(v)) return Object.fromEntries(Object.entries(v).map(([k, item]) => [k, walk(item, k)]));
+    return v;
+  };
+  const next = walk(value, '') as T;
+  return { value: changed > 0 ? next : value, changed };
+}
+
+// ---------------------------------------------------------------------------
+// External links
+// ---------------------------------------------------------------------------
+
+export interface ExternalCheck {
+  url: string;
+  ok: boolean;
+  /** HTTP status of the final response; null when the request failed outright. */
+  status: number | null;
+  error?: string;
+}
+
+export interface ExternalCheckOptions {
+  /**
+   * Send every request to this origin instead, as /<host><path><query>, so a
+   * local stub server (scripts/link-stub.mjs) can stand in for the internet.
+   */
+  via?: string;
+  concurrency?: number;
+  timeoutMs?: number;
+}
+
+/**
+ * HEAD each URL (GET when the server refuses HEAD), following redirects.
+ * Anything below 400 counts as ok. Not for use in the Worker: a full site's
+ * worth of URLs is far past the per-request subrequest limit.
+ */
+export async function checkExternalLinks(urls: string[], opts: ExternalCheckOptions = {}): Promise<ExternalCheck[]> {
+  const { via, concurrency = 8, timeoutMs = 10_000 } = opts;
+  const results: ExternalCheck[] = new Array(urls.length);
+
+  const check = async (url: string): Promise<ExternalCheck> => {
+    let target = url;
+    try {
+      if (via) {
+        const u = new URL(url);
+        target = new URL(`/${u.host}${u.pathname}${u.search}`, via).toString();
+      }
+      const request = (method: string) =>
+        fetch(target, {
+          method,
+          redirect: 'follow',
+          headers: { 'user-agent': 'thcf-link-check' },
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      let res = await request('HEAD');
+      if (res.status === 405 || res.status === 501) res = await request('GET');
+      await res.body?.cancel();
+      return { url, ok: res.status < 400, status: res.status };
+    } catch (err) {
+      return { url, ok: false, status: null, error: (err as Error).message };
+    }
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const i = next++;
+      results[i] = await check(urls[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+  return results;
+}
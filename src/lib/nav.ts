@@ -0,0 +1,434 @@
+// Header navigation, stored in the D1 `nav_items` table (/api/nav and
+// /cpadmin/nav) and exported by dump-d1 to src/data/nav.json, which
+// Header.astro renders.
+//
+// The menus are a tree of NavNodes. A menu's top-level nodes are `item`s;
+// an item's mega-panel is made of a `featured` box, `card`s, `box`es, link
+// `group`s and a `cta`; featured boxes and groups hold `link`s, and boxes
+// hold groups (their link columns). NAV_CHILDREN is the full table.
+//
+// Nothing here touches the Workers runtime, so scripts/dump-d1.mjs and
+// scripts/seed-nav.mjs share the nav.json conversion.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+export const NAV_MENUS = ['utility', 'audiences', 'main'] as const;
+export type NavMenu = (typeof NAV_MENUS)[number];
+
+export const NAV_KINDS = ['item', 'featured', 'card', 'box', 'group', 'cta', 'link'] as const;
+export type NavKind = (typeof NAV_KINDS)[number];
+
+/** Mega-panel layouts Header.astro knows. Items without one show their groups. */
+export const NAV_LAYOUTS = ['featured-events', 'two-boxes', 'cards'] as const;
+
+export const NAV_CHILDREN: Record<NavKind, readonly NavKind[]> = {
+  item: ['featured', 'card', 'box', 'group', 'cta'],
+  featured: ['link'],
+  box: ['group'],
+  group: ['link'],
+  card: [],
+  cta: [],
+  link: [],
+};
+
+/** Kinds an item may have only one of. */
+const SINGLE_KINDS: readonly NavKind[] = ['featured', 'cta'];
+
+/** Kinds that must link somewhere. A group is just a heading (often blank, for a box's link columns) over its links. */
+const NEEDS_HREF: readonly NavKind[] = ['item', 'featured', 'card', 'box', 'cta', 'link'];
+
+export interface NavNode {
+  kind: NavKind;
+  label: string;
+  href: string | null;
+  description: string | null;
+  image: string | null;
+  badge: string | null;
+  highlight: boolean;
+  external: boolean;
+  layout: string | null;
+  cardsHeading: string | null;
+  children: NavNode[];
+}
+
+export type NavTree = Record<NavMenu, NavNode[]>;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+const optText = (max: number) =>
+  z
+    .string()
+    .max(max)
+    .nullable()
+    .default(null)
+    .transform((v) => (v && v.trim() ? v.trim() : null));
+
+const navNodeSchema: z.ZodType<NavNode, z.ZodTypeDef, unknown> = z.lazy(() =>
+  z.object({
+    kind: z.enum(NAV_KINDS),
+    label: z.string().max(200).default('').transform((s) => s.trim()),
+    href: optText(2000),
+    description: optText(1000),
+    image: optText(2000),
+    badge: optText(40),
+    highlight: z.boolean().default(false),
+    external: z.boolean().default(false),
+    layout: z.enum(NAV_LAYOUTS).nullable().default(null),
+    cardsHeading: optText(200),
+    children: z.array(navNodeSchema).max(100).default([]),
+  })
+);
+
+export const navTreeSchema = z.object({
+  utility: z.array(navNodeSchema).max(20),
+  audiences: z.array(navNodeSchema).max(20),
+  main: z.array(navNodeSchema).max(20),
+});
+
+/**
+ * Validate a menus tree from a request body. Throws with a one-line message
+ * naming each bad node (e.g. `invalid nav: main › Giving › card 2: link is
+ * required`).
+ */
+export function parseNavTree(body: unknown): NavTree {
+  const result = navTreeSchema.safeParse(body);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+    throw new Error(`invalid nav: ${issues.join('; ')}`);
+  }
+  const problems: string[] = [];
+  for (const menu of NAV_MENUS) {
+    result.data[menu].forEach((node, i) => checkNode(node, null, menu, [menu], i, problems));
+  }
+  if (problems.length) throw new Error(`invalid nav: ${problems.join('; ')}`);
+  return result.data;
+}
+
+function checkNode(node: NavNode, parent: NavNode | null, menu: NavMenu, trail: string[], index: number, problems: string[]): void {
+  const here = [...trail, node.label || `${node.kind} ${index + 1}`];
+  const where = here.join(' › ');
+  if (parent === null && node.kind !== 'item') problems.push(`${where}: menus can only contain items`);
+  if (parent !== null && !NAV_CHILDREN[parent.kind].includes(node.kind)) {
+    problems.push(`${where}: ${node.kind} not allowed inside ${parent.kind}`);
+  }
+  if (menu === 'utility' && node.children.length > 0) problems.push(`${where}: utility links have no panel`);
+  if (!node.label && node.kind !== 'group') problems.push(`${where}: label is required`);
+  if (!node.href && NEEDS_HREF.includes(node.kind)) problems.push(`${where}: link is required`);
+  for (const kind of SINGLE_KINDS) {
+    if (node.children.filter((c) => c.kind === kind).length > 1) problems.push(`${where}: only one ${kind} allowed`);
+  }
+  node.children.forEach((child, i) => checkNode(child, node, menu, here, i, problems));
+}
+
+// ---------------------------------------------------------------------------
+// Link checking
+// ---------------------------------------------------------------------------
+
+/**
+ * Routes that aren't rows in `pages`. /news/<slug>, /scholarships/<slug>, /grants/<slug>,
+ * /people/<slug>, /events/<slug> and /funds/<slug> (and its /give link) come from their tables.
+ */
+export const STATIC_PATHS: readonly string[] = [
+  '/',
+  '/news',
+  '/scholarships',
+  '/grants',
+  '/people',
+  '/events',
+  '/events.ics',
+  '/funds',
+  '/search',
+];
+
+export interface NavLinkIssue {
+  menu: NavMenu;
+  /** e.g. "main › Giving › Ways to Give". */
+  trail: string;
+  href: string;
+}
+
+/**
+ * The site path an href points at, without query, hash or trailing slash.
+ * Null for links off the site (other hosts, mailto:, tel:) and bare anchors.
+ */
+export function internalPath(href: string): string | null {
+  if (!href.startsWith('/') || href.startsWith('//')) return null;
+  const path = href.replace(/[?#].*$/, '');
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/** Every internal href in the menus whose path isn't in `paths`. */
+export function findBrokenNavLinks(tree: NavTree, paths: ReadonlySet<string>): NavLinkIssue[] {
+  const issues: NavLinkIssue[] = [];
+  const walk = (node: NavNode, menu: NavMenu, trail: string[]) => {
+    const here = [...trail, node.label || node.kind];
+    const path = node.href ? internalPath(node.href) : null;
+    if (path !== null && !paths.has(path)) issues.push({ menu, trail: here.join(' › '), href: node.href! });
+    for (const child of node.children) walk(child, menu, here);
+  };
+  for (const menu of NAV_MENUS) for (const node of tree[menu]) walk(node, menu, [menu]);
+  return issues;
+}
+
+/**
+ * Paths nav links may point at: live pages (drafts included), news articles, scholarships, grants, people,
+ * events, funds and their /give links, and STATIC_PATHS.
+ */
+export async function loadSitePaths(db: D1Database): Promise<Set<string>> {
+  // Two statements because D1 allows at most five terms in a compound SELECT.
+  const [content, rest] = await db.batch<{ path: string }>([
+    db.prepare(
+      `SELECT path FROM pages WHERE deleted_at IS NULL
+       UNION ALL SELECT '/news/' || slug FROM news WHERE deleted_at IS NULL
+       UNION ALL SELECT '/scholarships/' || slug FROM scholarships WHERE deleted_at IS NULL
+       UNION ALL SELECT '/grants/' || slug FROM grants WHERE deleted_at IS NULL
+       UNION ALL SELECT '/people/' || slug FROM people WHERE deleted_at IS NULL`
+    ),
+    db.prepare(
+      `SELECT '/events/' || slug AS path FROM events WHERE deleted_at IS NULL
+       UNION ALL SELECT '/funds/' || slug FROM funds WHERE deleted_at IS NULL
+       UNION ALL SELECT '/funds/' || slug || '/give' FROM funds WHERE deleted_at IS NULL`
+    ),
+  ]);
+  const paths = [...(content.results ?? []), ...(rest.results ?? [])].map((r) => r.path);
+  return new Set([...STATIC_PATHS, ...paths]);
+}
+
+// ---------------------------------------------------------------------------
+// Rows
+// ---------------------------------------------------------------------------
+
+export interface NavDbRow {
+  id: number;
+  parent_id: number | null;
+  menu: string;
+  kind: string;
+  position: number;
+  label: string;
+  href: string | null;
+  description: string | null;
+  image: string | null;
+  badge: string | null;
+  highlight: number;
+  external: number;
+  layout: string | null;
+  cards_heading: string | null;
+  updated_at: number;
+  user_id: number | null;
+}
+
+export const NAV_COLUMNS =
+  'id, parent_id, menu, kind, position, label, href, description, image, badge, highlight, external, layout, cards_heading, updated_at, user_id';
+
+/** Nest `nav_items` rows into menus. Rows whose menu or parent is unknown are dropped. */
+export function navTreeFromRows(rows: NavDbRow[]): NavTree {
+  const tree: NavTree = { utility: [], audiences: [], main: [] };
+  const sorted = [...rows].sort((a, b) => a.position - b.position || a.id - b.id);
+  const children = new Map<number | null, NavDbRow[]>();
+  for (const row of sorted) {
+    const list = children.get(row.parent_id) ?? [];
+    list.push(row);
+    children.set(row.parent_id, list);
+  }
+  const build = (row: NavDbRow): NavNode => ({
+    kind: row.kind as NavKind,
+    label: row.label,
+    href: row.href,
+    description: row.description,
+    image: row.image,
+    badge: row.badge,
+    highlight: Boolean(row.highlight),
+    external: Boolean(row.external),
+    layout: row.layout,
+    cardsHeading: row.cards_heading,
+    children: (children.get(row.id) ?? []).map(build),
+  });
+  for (const row of children.get(null) ?? []) {
+    if ((NAV_MENUS as readonly string[]).includes(row.menu)) tree[row.menu as NavMenu].push(build(row));
+  }
+  return tree;
+}
+
+export async function getNavTree(db: D1Database): Promise<{ menus: NavTree; updatedAt: number | null }> {
+  const { results } = await db.prepare(`SELECT ${NAV_COLUMNS} FROM nav_items`).all<NavDbRow>();
+  const rows = results ?? [];
+  return {
+    menus: navTreeFromRows(rows),
+    updatedAt: rows.length ? Math.max(...rows.map((r) => r.updated_at)) : null,
+  };
+}
+
+/**
+ * Replace every menu with `tree` in one batch. Ids are renumbered in tree
+ * order, so clients should reload rather than hold on to them.
+ */
+export async function saveNavTree(db: D1Database, tree: NavTree, userId: number | null = null): Promise<number> {
+  const now = Date.now();
+  const statements: D1PreparedStatement[] = [db.prepare('DELETE FROM nav_items')];
+  let nextId = 1;
+  const insert = (node: NavNode, menu: NavMenu, parentId: number | null, position: number) => {
+    const id = nextId++;
+    statements.push(
+      db
+        .prepare(
+          `INSERT INTO nav_items (${NAV_COLUMNS}) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13, ?14, ?15, ?16)`
+        )
+        .bind(
+          id,
+          parentId,
+          menu,
+          node.kind,
+          position,
+          node.label,
+          node.href,
+          node.description,
+          node.image,
+          node.badge,
+          node.highlight ? 1 : 0,
+          node.external ? 1 : 0,
+          node.layout,
+          node.cardsHeading,
+          now,
+          userId
+        )
+    );
+    node.children.forEach((child, i) => insert(child, menu, id, i));
+  };
+  for (const menu of NAV_MENUS) tree[menu].forEach((node, i) => insert(node, menu, null, i));
+  await db.batch(statements);
+  return now;
+}
+
+// ---------------------------------------------------------------------------
+// nav.json
+// ---------------------------------------------------------------------------
+
+type Json = Record<string, unknown>;
+
+/** The src/data/nav.json shape Header.astro reads. */
+export function navTreeToJson(tree: NavTree): { utility: Json[]; audiences: Json[]; main: Json[] } {
+  const link = (n: NavNode): Json => ({
+    label: n.label,
+    href: n.href ?? '',
+    ...(n.badge && { badge: n.badge }),
+    ...(n.highlight && { highlight: true }),
+    ...(n.external && { external: true }),
+  });
+  const group = (n: NavNode): Json => ({ ...(n.label && { heading: n.label }), links: n.children.map(link) });
+  const ofKind = (n: NavNode, kind: NavKind) => n.children.filter((c) => c.kind === kind);
+
+  const item = (n: NavNode): Json => {
+    const featured = ofKind(n, 'featured')[0];
+    const cards = ofKind(n, 'card');
+    const boxes = ofKind(n, 'box');
+    const cta = ofKind(n, 'cta')[0];
+    const groups = ofKind(n, 'group');
+    return {
+      label: n.label,
+      href: n.href ?? '',
+      ...(n.external && { external: true }),
+      ...(n.layout && { layout: n.layout }),
+      ...(n.cardsHeading && { cardsHeading: n.cardsHeading }),
+      ...(featured && {
+        featuredEvent: {
+          title: featured.label,
+          description: featured.description ?? '',
+          href: featured.href ?? '',
+          image: featured.image ?? '',
+          links: featured.children.map(link),
+        },
+      }),
+      ...(cards.length > 0 && {
+        cards: cards.map((c) => ({ label: c.label, description: c.description ?? '', href: c.href ?? '', image: c.image ?? '' })),
+      }),
+      ...(boxes.length > 0 && {
+        boxes: boxes.map((b) => ({
+          title: b.label,
+          href: b.href ?? '',
+          description: b.description ?? '',
+          image: b.image ?? '',
+          linkColumns: b.children.map(group),
+        })),
+      }),
+      ...(cta && { cta: { label: cta.label, href: cta.href ?? '' } }),
+      ...(groups.length > 0 && { groups: groups.map(group) }),
+    };
+  };
+
+  return {
+    // Utility links always say whether they're external; the header marks those with ↗.
+    utility: tree.utility.map((n) => ({ label: n.label, href: n.href ?? '', external: n.external })),
+    audiences: tree.audiences.map(item),
+    main: tree.main.map(item),
+  };
+}
+
+/** The inverse of navTreeToJson, for seeding nav_items from an existing nav.json. */
+export function navTreeFromJson(json: unknown): NavTree {
+  const data = (json ?? {}) as Record<string, unknown>;
+  const str = (v: unknown) => (typeof v === 'string' && v !== '' ? v : null);
+  const list = (v: unknown) => (Array.isArray(v) ? (v as Json[]) : []);
+  const node = (kind: NavKind, fields: Partial<NavNode>): NavNode => ({
+    kind,
+    label: '',
+    href: null,
+    description: null,
+    image: null,
+    badge: null,
+    highlight: false,
+    external: false,
+    layout: null,
+    cardsHeading: null,
+    children: [],
+    ...fields,
+  });
+  const link = (l: Json) =>
+    node('link', { label: String(l.label ?? ''), href: str(l.href), badge: str(l.badge), highlight: l.highlight === true, external: l.external === true });
+  const group = (g: Json) => node('group', { label: String(g.heading ?? ''), children: list(g.links).map(link) });
+
+  const item = (i: Json): NavNode => {
+    const children: NavNode[] = [];
+    const featured = i.featuredEvent as Json | undefined;
+    if (featured) {
+      children.push(node('featured', {
+        label: String(featured.title ?? ''),
+        href: str(featured.href),
+        description: str(featured.description),
+        image: str(featured.image),
+        children: list(featured.links).map(link),
+      }));
+    }
+    for (const c of list(i.cards)) {
+      children.push(node('card', { label: String(c.label ?? ''), href: str(c.href), description: str(c.description), image: str(c.image) }));
+    }
+    for (const b of list(i.boxes)) {
+      children.push(node('box', {
+        label: String(b.title ?? ''),
+        href: str(b.href),
+        description: str(b.description),
+        image: str(b.image),
+        children: list(b.linkColumns).map(group),
+      }));
+    }
+    const cta = i.cta as Json | undefined;
+    if (cta) children.push(node('cta', { label: String(cta.label ?? ''), href: str(cta.href) }));
+    children.push(...list(i.groups).map(group));
+    return node('item', {
+      label: String(i.label ?? ''),
+      href: str(i.href),
+      external: i.external === true,
+      layout: str(i.layout),
+      cardsHeading: str(i.cardsHeading),
+      children,
+    });
+  };
+
+  return {
+    utility: list(data.utility).map(item),
+    audiences: list(data.audiences).map(item),
+    main: list(data.main).map(item),
+  };
+}
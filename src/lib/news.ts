@@ -0,0 +1,421 @@
+// D1 helpers for news articles (/api/news and /cpadmin/news).
+//
+// Mirrors the page helpers in d1.ts: every write snapshots the previous row
+// into news_versions and refreshes the article's search_index row in the
+// same D1 batch, so history and search never drift from the live table.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+
+import { indexStatements, newsSearchDoc, removeFromIndexStatement } from './search';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface NewsRow {
+  slug: string;
+  title: string;
+  date: string | null;
+  author: string | null;
+  category: string | null;
+  featuredImage: string | null;
+  body: string;
+  excerpt: string | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+export interface NewsSummary {
+  slug: string;
+  title: string;
+  date: string | null;
+  author: string | null;
+  category: string | null;
+  updatedAt: number;
+}
+
+export interface NewsVersionRow {
+  id: number;
+  slug: string;
+  title: string | null;
+  date: string | null;
+  articleAuthor: string | null;
+  category: string | null;
+  featuredImage: string | null;
+  body: string | null;
+  excerpt: string | null;
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+export interface NewsUpdate {
+  title?: string;
+  date?: string | null;
+  author?: string | null;
+  category?: string | null;
+  featuredImage?: string | null;
+  body?: string;
+  excerpt?: string | null;
+}
+
+/** Categories used by the imported WordPress articles. Chips are coloured per category in components.css. */
+export const NEWS_CATEGORIES = [
+  'Community Foundation News',
+  "President's Blog",
+  'Smart Giving',
+  'Creating a Legacy',
+  'Scholarship Program',
+  'Grants Program',
+  'Annual Gala',
+  'Youth Advisory Council',
+  'Feature',
+];
+
+// ---------------------------------------------------------------------------
+// Field helpers
+// ---------------------------------------------------------------------------
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Store dates in the same "February 04, 2026" shape the scraper produced, so
+ * dump-d1.mjs and NewsCard keep sorting / formatting them the same way.
+ * Accepts ISO `YYYY-MM-DD` (what <input type="date"> sends) or an already
+ * formatted string, which is passed through.
+ */
+export function normalizeNewsDate(raw: string | null | undefined): string | null {
+  if (raw === null || raw === undefined) return null;
+  const trimmed = raw.trim();
+  if (!trimmed) return null;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+  if (!iso) return trimmed;
+  const [, y, m, d] = iso;
+  const month = MONTHS[Number(m) - 1];
+  if (!month) throw new Error(`invalid date: ${raw}`);
+  return `${month} ${d}, ${y}`;
+}
+
+export function isValidNewsSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+/**
+ * Pick the editable fields out of an API request body, dropping anything
+ * with the wrong type. A blank or `null` optional field clears it; a
+ * missing key leaves it unchanged.
+ */
+export function readNewsUpdate(body: Record<string, unknown>): NewsUpdate {
+  const update: NewsUpdate = {};
+  if (typeof body.title === 'string') update.title = body.title.trim();
+  if (typeof body.body === 'string') update.body = body.body;
+  for (const key of ['date', 'author', 'category', 'featuredImage', 'excerpt'] as const) {
+    const v = body[key];
+    if (v === null || typeof v === 'string') update[key] = v === null || v.trim() === '' ? null : v.trim();
+  }
+  return update;
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+interface NewsDbRow {
+  slug: string;
+  title: string;
+  date: string | null;
+  author: string | null;
+  category: string | null;
+  featured_image: string | null;
+  body: string;
+  excerpt: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+function toNewsRow(r: NewsDbRow): NewsRow {
+  return {
+    slug: r.slug,
+    title: r.title,
+    date: r.date,
+    author: r.author,
+    category: r.category,
+    featuredImage: r.featured_image,
+    body: r.body,
+    excerpt: r.excerpt,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+function dateValue(date: string | null): number {
+  const t = date ? new Date(date).getTime() : NaN;
+  return Number.isNaN(t) ? 0 : t;
+}
+
+export async function listNews(db: D1Database, search?: string): Promise<NewsSummary[]> {
+  const hasSearch = typeof search === 'string' && search.trim().length > 0;
+  const stmt = hasSearch
+    ? db
+        .prepare(
+          'SELECT slug, title, date, author, category, updated_at FROM news WHERE deleted_at IS NULL AND (title LIKE ?1 OR slug LIKE ?1)'
+        )
+        .bind(`%${search!.trim()}%`)
+    : db.prepare('SELECT slug, title, date, author, category, updated_at FROM news WHERE deleted_at IS NULL');
+  const { results } = await stmt.all<{
+    slug: string;
+    title: string;
+    date: string | null;
+    author: string | null;
+    category: string | null;
+    updated_at: number;
+  }>();
+  // `date` is a human-readable string, so sort newest-first in JS (same as dump-d1.mjs).
+  return (results ?? [])
+    .map((r) => ({
+      slug: r.slug,
+      title: r.title,
+      date: r.date,
+      author: r.author,
+      category: r.category,
+      updatedAt: r.updated_at,
+    }))
+    .sort((a, b) => dateValue(b.date) - dateValue(a.date));
+}
+
+export async function getNews(db: D1Database, slug: string): Promise<NewsRow | null> {
+  const row = await db
+    .prepare(
+      'SELECT slug, title, date, author, category, featured_image, body, excerpt, updated_at, created_at FROM news WHERE slug = ?1 AND deleted_at IS NULL'
+    )
+    .bind(slug)
+    .first<NewsDbRow>();
+  return row ? toNewsRow(row) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+function snapshotStatement(
+  db: D1Database,
+  current: NewsRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO news_versions (slug, title, date, article_author, category, featured_image, body, excerpt, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11)'
+    )
+    .bind(
+      current.slug,
+      current.title,
+      current.date,
+      current.author,
+      current.category,
+      current.featuredImage,
+      current.body,
+      current.excerpt,
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new article. Throws if the slug is taken — including by a
+ * soft-deleted article, since the slug is the primary key.
+ */
+export async function createNews(
+  db: D1Database,
+  slug: string,
+  input: NewsUpdate & { title: string; body: string }
+): Promise<number> {
+  if (!isValidNewsSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  const existing = await db.prepare('SELECT slug FROM news WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`news article already exists: ${slug}`);
+
+  const ts = Date.now();
+  const row = {
+    slug,
+    title: input.title,
+    date: normalizeNewsDate(input.date),
+    author: input.author ?? null,
+    category: input.category ?? null,
+    featuredImage: input.featuredImage ?? null,
+    body: input.body,
+    excerpt: input.excerpt ?? null,
+  };
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO news (slug, title, date, author, category, featured_image, body, excerpt, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?9)'
+      )
+      .bind(row.slug, row.title, row.date, row.author, row.category, row.featuredImage, row.body, row.excerpt, ts),
+    ...indexStatements(db, newsSearchDoc(row)),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply an update to an article and append a version snapshot in the same
+ * batch. Returns the new updated_at timestamp.
+ */
+export async function updateNews(
+  db: D1Database,
+  slug: string,
+  update: NewsUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getNews(db, slug);
+  if (!current) throw new Error(`news article not found: ${slug}`);
+
+  const next = {
+    slug,
+    title: update.title ?? current.title,
+    date: update.date !== undefined ? normalizeNewsDate(update.date) : current.date,
+    author: update.author !== undefined ? update.author : current.author,
+    category: update.category !== undefined ? update.category : current.category,
+    featuredImage: update.featuredImage !== undefined ? update.featuredImage : current.featuredImage,
+    body: update.body ?? current.body,
+    excerpt: update.excerpt !== undefined ? update.excerpt : current.excerpt,
+  };
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE news SET title = ?1, date = ?2, author = ?3, category = ?4, featured_image = ?5, body = ?6, excerpt = ?7, updated_at = ?8 WHERE slug = ?9'
+      )
+      .bind(next.title, next.date, next.author, next.category, next.featuredImage, next.body, next.excerpt, ts, slug),
+    ...indexStatements(db, newsSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the article, and drop it from search.
+ * The row stays in D1 so it can be restored.
+ */
+export async function deleteNews(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getNews(db, slug);
+  if (!current) throw new Error(`news article not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE news SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'news', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deleteNews(): clear deleted_at and put the article back in search. */
+export async function restoreNews(db: D1Database, slug: string): Promise<NewsRow> {
+  const row = await db
+    .prepare(
+      'SELECT slug, title, date, author, category, featured_image, body, excerpt, updated_at, created_at FROM news WHERE slug = ?1 AND deleted_at IS NOT NULL'
+    )
+    .bind(slug)
+    .first<NewsDbRow>();
+  if (!row) throw new Error(`deleted news article not found: ${slug}`);
+  const article = toNewsRow(row);
+  await db.batch([
+    db.prepare('UPDATE news SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, newsSearchDoc(article)),
+  ]);
+  return article;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+export async function listNewsVersions(db: D1Database, slug: string, limit = 50): Promise<NewsVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.title, v.date, v.article_author, v.category, v.featured_image, v.body, v.excerpt, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM news_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<{
+      id: number;
+      slug: string;
+      title: string | null;
+      date: string | null;
+      article_author: string | null;
+      category: string | null;
+      featured_image: string | null;
+      body: string | null;
+      excerpt: string | null;
+      author: string | null;
+      user_id: number | null;
+      user_name: string | null;
+      created_at: number;
+    }>();
+  return (results ?? []).map((r) => ({
+    id: r.id,
+    slug: r.slug,
+    title: r.title,
+    date: r.date,
+    articleAuthor: r.article_author,
+    category: r.category,
+    featuredImage: r.featured_image,
+    body: r.body,
+    excerpt: r.excerpt,
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  }));
+}
+
+export async function revertNewsToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const v = await db
+    .prepare(
+      'SELECT title, date, article_author, category, featured_image, body, excerpt FROM news_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<{
+      title: string | null;
+      date: string | null;
+      article_author: string | null;
+      category: string | null;
+      featured_image: string | null;
+      body: string | null;
+      excerpt: string | null;
+    }>();
+  if (!v) throw new Error(`version ${versionId} not found for news article ${slug}`);
+
+  return updateNews(
+    db,
+    slug,
+    {
+      title: v.title ?? undefined,
+      date: v.date,
+      author: v.article_author,
+      category: v.category,
+      featuredImage: v.featured_image,
+      body: v.body ?? undefined,
+      excerpt: v.excerpt,
+    },
+    'admin',
+    userId
+  );
+}
@@ -0,0 +1,347 @@
+// Structural diff between two snapshots of a page (a page_versions row or the
+// current draft). Used by GET /api/pages/:slug/versions/:a/diff/:b and the
+// editor's side-by-side compare view.
+//
+// Sections carry no persisted id (the chatbot's ids are assigned per request
+// and stripped before saving), so sections are paired in three passes:
+//   1. by `id`, when both sides have one
+//   2. identical content, in order
+//   3. same `kind`, in order (longest common subsequence over the kinds)
+// Paired sections are `changed` or `unchanged` (and `moved` if their relative
+// order changed); the rest are `added` or `removed`. Changed sections list
+// their changed leaf fields by path (e.g. `buttons[0].label`); HTML fields
+// (`bodyHtml`, `html`, ...) also get a word-level diff.
+
+import type { Section } from './d1';
+
+export interface PageSnapshot {
+  template: string | null;
+  title: string | null;
+  subtitle: string | null;
+  meta: unknown;
+  sections: Section[];
+  legacyBody: string | null;
+}
+
+export interface TextOp {
+  op: 'equal' | 'insert' | 'delete';
+  text: string;
+}
+
+export interface FieldChange {
+  /** Dotted path, e.g. `title`, `meta.description`, `items[2].body`. */
+  path: string;
+  from: unknown;
+  to: unknown;
+  /** Word-level diff, for HTML fields that are strings on both sides. */
+  text?: TextOp[];
+}
+
+export interface SectionDiff {
+  status: 'added' | 'removed' | 'changed' | 'unchanged';
+  /** True when a paired section's position relative to the others changed. */
+  moved: boolean;
+  kind: string;
+  /** Index in the `from` snapshot; null when added. */
+  fromIndex: number | null;
+  /** Index in the `to` snapshot; null when removed. */
+  toIndex: number | null;
+  before: Section | null;
+  after: Section | null;
+  changes: FieldChange[];
+}
+
+export interface PageDiff {
+  /** Page-level fields: template, title, subtitle, meta.*, legacyBody. */
+  fields: FieldChange[];
+  /** In `to` order, with removed sections placed after their old neighbour. */
+  sections: SectionDiff[];
+  summary: { added: number; removed: number; moved: number; changed: number; unchanged: number };
+}
+
+// Above this many token pairs the word diff gives up and reports a
+// whole-field replacement (the LCS table is tokensA × tokensB).
+const TEXT_DIFF_MAX_CELLS = 4_000_000;
+
+// ---------------------------------------------------------------------------
+// Page + sections
+// ---------------------------------------------------------------------------
+
+export function diffPages(from: PageSnapshot, to: PageSnapshot): PageDiff {
+  const fields = [
+    ...diffValues('template', from.template, to.template),
+    ...diffValues('title', from.title, to.title),
+    ...diffValues('subtitle', from.subtitle, to.subtitle),
+    ...diffValues('meta', from.meta ?? null, to.meta ?? null),
+    ...diffValues('legacyBody', from.legacyBody ?? '', to.legacyBody ?? '', true),
+  ];
+  const sections = diffSections(from.sections, to.sections);
+  const summary = { added: 0, removed: 0, moved: 0, changed: 0, unchanged: 0 };
+  for (const s of sections) {
+    summary[s.status]++;
+    if (s.moved) summary.moved++;
+  }
+  return { fields, sections, summary };
+}
+
+export function diffSections(before: Section[], after: Section[]): SectionDiff[] {
+  const pairA = new Map<number, number>(); // before index → after index
+  const pairB = new Map<number, number>(); // after index → before index
+  const pair = (i: number, j: number) => {
+    pairA.set(i, j);
+    pairB.set(j, i);
+  };
+
+  // 1. Explicit ids.
+  const afterById = new Map<string, number>();
+  after.forEach((s, j) => {
+    if (typeof s.id === 'string' && !afterById.has(s.id)) afterById.set(s.id, j);
+  });
+  before.forEach((s, i) => {
+    const j = typeof s.id === 'string' ? afterById.get(s.id) : undefined;
+    if (j !== undefined && !pairB.has(j)) pair(i, j);
+  });
+
+  // 2. Identical content.
+  const afterByJson = new Map<string, number[]>();
+  after.forEach((s, j) => {
+    if (pairB.has(j)) return;
+    const key = canonicalJson(withoutId(s));
+    afterByJson.set(key, [...(afterByJson.get(key) ?? []), j]);
+  });
+  before.forEach((s, i) => {
+    if (pairA.has(i)) return;
+    const queue = afterByJson.get(canonicalJson(withoutId(s)));
+    const j = queue?.shift();
+    if (j !== undefined) pair(i, j);
+  });
+
+  // 3. Same kind, in order.
+  const restA = before.map((_, i) => i).filter((i) => !pairA.has(i));
+  const restB = after.map((_, j) => j).filter((j) => !pairB.has(j));
+  for (const [x, y] of lcsPairs(restA.length, restB.length, (x, y) => before[restA[x]].kind === after[restB[y]].kind)) {
+    pair(restA[x], restB[y]);
+  }
+
+  // Moved: paired sections outside the longest run that kept its order.
+  const pairedInAfterOrder = [...pairB.entries()].sort((p, q) => p[0] - q[0]).map(([, i]) => i);
+  const inOrder = longestIncreasing(pairedInAfterOrder);
+
+  const removedByAnchor = new Map<number, number[]>(); // after index (or -1) → removed before indexes
+  let anchor = -1;
+  before.forEach((_, i) => {
+    const j = pairA.get(i);
+    if (j !== undefined) {
+      anchor = j;
+      return;
+    }
+    removedByAnchor.set(anchor, [...(removedByAnchor.get(anchor) ?? []), i]);
+  });
+
+  const removed = (i: number): SectionDiff => ({
+    status: 'removed',
+    moved: false,
+    kind: before[i].kind,
+    fromIndex: i,
+    toIndex: null,
+    before: before[i],
+    after: null,
+    changes: [],
+  });
+
+  const out: SectionDiff[] = (removedByAnchor.get(-1) ?? []).map(removed);
+  after.forEach((s, j) => {
+    const i = pairB.get(j);
+    if (i === undefined) {
+      out.push({ status: 'added', moved: false, kind: s.kind, fromIndex: null, toIndex: j, before: null, after: s, changes: [] });
+    } else {
+      const changes = diffValues('', withoutId(before[i]), withoutId(s));
+      out.push({
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        moved: !inOrder.has(i),
+        kind: s.kind,
+        fromIndex: i,
+        toIndex: j,
+        before: before[i],
+        after: s,
+        changes,
+      });
+    }
+    for (const r of removedByAnchor.get(j) ?? []) out.push(removed(r));
+  });
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Field-level diff
+// ---------------------------------------------------------------------------
+
+function diffValues(path: string, from: unknown, to: unknown, forceText = false): FieldChange[] {
+  const a = flatten(from, path);
+  const b = flatten(to, path);
+  const changes: FieldChange[] = [];
+  for (const key of new Set([...a.keys(), ...b.keys()])) {
+    // A list or object that only exists, empty, on one side is already
+    // covered by the changes to its former / new elements.
+    if (!a.has(key) && isEmptyContainer(b.get(key))) continue;
+    if (!b.has(key) && isEmptyContainer(a.get(key))) continue;
+    const x = a.has(key) ? a.get(key) : null;
+    const y = b.has(key) ? b.get(key) : null;
+    if (canonicalJson(x) === canonicalJson(y)) continue;
+    const change: FieldChange = { path: key, from: x, to: y };
+    if ((forceText || isHtmlField(key)) && typeof x === 'string' && typeof y === 'string') {
+      change.text = diffText(x, y);
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+// Leaf values by path. Empty arrays / objects are kept as leaves.
+function flatten(value: unknown, path: string, out = new Map<string, unknown>()): Map<string, unknown> {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((v, i) => flatten(v, `${path}[${i}]`, out));
+  } else if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [k, v] of Object.entries(value)) {
+      if (v !== undefined) flatten(v, path ? `${path}.${k}` : k, out);
+    }
+  } else {
+    out.set(path, value === undefined ? null : value);
+  }
+  return out;
+}
+
+function isHtmlField(path: string): boolean {
+  const key = path.slice(path.lastIndexOf('.') + 1);
+  return key === 'html' || key.endsWith('Html');
+}
+
+// ---------------------------------------------------------------------------
+// Word-level text diff
+// ---------------------------------------------------------------------------
+
+/** Diff two strings by tags, words and whitespace runs. */
+export function diffText(a: string, b: string): TextOp[] {
+  const ta = tokenize(a);
+  const tb = tokenize(b);
+
+  let start = 0;
+  while (start < ta.length && start < tb.length && ta[start] === tb[start]) start++;
+  let endA = ta.length;
+  let endB = tb.length;
+  while (endA > start && endB > start && ta[endA - 1] === tb[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops: TextOp[] = [];
+  const push = (op: TextOp['op'], text: string) => {
+    if (!text) return;
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += text;
+    else ops.push({ op, text });
+  };
+
+  push('equal', ta.slice(0, start).join(''));
+  const midA = ta.slice(start, endA);
+  const midB = tb.slice(start, endB);
+  if (midA.length * midB.length > TEXT_DIFF_MAX_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    let x = 0;
+    let y = 0;
+    for (const [px, py] of lcsPairs(midA.length, midB.length, (i, j) => midA[i] === midB[j])) {
+      push('delete', midA.slice(x, px).join(''));
+      push('insert', midB.slice(y, py).join(''));
+      push('equal', midA[px]);
+      x = px + 1;
+      y = py + 1;
+    }
+    push('delete', midA.slice(x).join(''));
+    push('insert', midB.slice(y).join(''));
+  }
+  push('equal', ta.slice(endA).join(''));
+  return ops;
+}
+
+function tokenize(s: string): string[] {
+  return s.match(/<[^>]*>|\s+|[^\s<]+|</g) ?? [];
+}
+
+// ---------------------------------------------------------------------------
+// Sequence helpers
+// ---------------------------------------------------------------------------
+
+// Index pairs of a longest common subsequence, in order.
+function lcsPairs(n: number, m: number, eq: (i: number, j: number) => boolean): [number, number][] {
+  // table[i][j] = LCS length of the suffixes starting at i and j.
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = eq(i, j)
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const pairs: [number, number][] = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (eq(i, j)) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// The values of one longest strictly increasing subsequence.
+function longestIncreasing(values: number[]): Set<number> {
+  const tails: number[] = []; // index into values of the smallest tail for each length
+  const prev = new Array<number>(values.length).fill(-1);
+  values.forEach((v, k) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < v) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[k] = tails[lo - 1];
+    tails[lo] = k;
+  });
+  const keep = new Set<number>();
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) keep.add(values[k]);
+  return keep;
+}
+
+// ---------------------------------------------------------------------------
+// Small utilities
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isEmptyContainer(value: unknown): boolean {
+  return Array.isArray(value) ? value.length === 0 : isPlainObject(value) && Object.keys(value).length === 0;
+}
+
+function withoutId(section: Section): Record<string, unknown> {
+  const { id: _id, ...rest } = section;
+  return rest;
+}
+
+// JSON with object keys sorted, so key order never counts as a change.
+function canonicalJson(value: unknown): string {
+  return JSON.stringify(value, (_key, v) =>
+    isPlainObject(v) ? Object.fromEntries(Object.entries(v).sort(([p], [q]) => (p < q ? -1 : p > q ? 1 : 0))) : v
+  );
+}
@@ -0,0 +1,185 @@
+// Payment providers for gala checkout (src/lib/gala-orders.ts).
+//
+// Checkout sends the buyer to a payment page the provider hosts and learns
+// the outcome from the provider afterwards, so a provider does two things:
+// start a checkout for an order, and turn its callback to
+// /api/payments/webhook into "this order was paid" or "this one was
+// abandoned". PAYMENT_PROVIDER picks one:
+//   stripe   Stripe Checkout. Needs STRIPE_SECRET_KEY, plus
+//            STRIPE_WEBHOOK_SECRET to verify the checkout.session.* events
+//            Stripe sends to the webhook.
+//   fake     No money moves. The "payment page" is /api/payments/fake, which
+//            settles the order at once; the webhook takes an unsigned
+//            { reference, status } body. For local development and tests only.
+// Unset (or unknown), getPaymentProvider() returns null and checkout is off.
+
+import { env } from 'cloudflare:workers';
+import { timingSafeEqual } from './auth';
+
+export interface CheckoutRequest {
+  reference: string;
+  /** Line item on the payment page, e.g. "Leadership Sponsor — Heartland Gala". */
+  description: string;
+  /** Cents. */
+  unitAmount: number;
+  quantity: number;
+  email: string;
+  successUrl: string;
+  cancelUrl: string;
+}
+
+export interface CheckoutSession {
+  /** Where to send the buyer. */
+  url: string;
+  /** The provider's id for this checkout; stored as gala_orders.provider_ref. */
+  providerRef: string;
+}
+
+export interface PaymentOutcome {
+  reference: string;
+  providerRef: string | null;
+  status: 'paid' | 'cancelled';
+}
+
+export interface PaymentProvider {
+  readonly name: string;
+  createCheckout(req: CheckoutRequest): Promise<CheckoutSession>;
+  /**
+   * Verify and read a webhook request. Returns null for events that don't
+   * settle an order; throws when the request can't be verified.
+   */
+  parseWebhook(request: Request): Promise<PaymentOutcome | null>;
+}
+
+function config(): { provider?: string; stripeKey?: string; stripeWebhookSecret?: string } {
+  const cfg = env as { PAYMENT_PROVIDER?: string; STRIPE_SECRET_KEY?: string; STRIPE_WEBHOOK_SECRET?: string };
+  return { provider: cfg.PAYMENT_PROVIDER, stripeKey: cfg.STRIPE_SECRET_KEY, stripeWebhookSecret: cfg.STRIPE_WEBHOOK_SECRET };
+}
+
+/** The configured provider, or null when online payment isn't set up. */
+export function getPaymentProvider(): PaymentProvider | null {
+  const cfg = config();
+  switch (cfg.provider) {
+    case 'stripe':
+      return cfg.stripeKey ? stripeProvider(cfg.stripeKey, cfg.stripeWebhookSecret) : null;
+    case 'fake':
+      return fakeProvider;
+    default:
+      return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Fake
+// ---------------------------------------------------------------------------
+
+export const fakeProvider: PaymentProvider = {
+  name: 'fake',
+
+  async createCheckout(req) {
+    const url = new URL('/api/payments/fake', req.successUrl);
+    url.searchParams.set('reference', req.reference);
+    return { url: url.href, providerRef: `fake_${req.reference}` };
+  },
+
+  async parseWebhook(request) {
+    const body = (await request.json().catch(() => null)) as { reference?: unknown; status?: unknown } | null;
+    if (!body || typeof body.reference !== 'string') throw new Error('reference required');
+    if (body.status !== 'paid' && body.status !== 'cancelled') throw new Error("status must be 'paid' or 'cancelled'");
+    return { reference: body.reference, providerRef: `fake_${body.reference}`, status: body.status };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Stripe Checkout (REST API over fetch; the Node SDK doesn't run on Workers
+// without extra setup)
+// ---------------------------------------------------------------------------
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+/** How old a webhook's signed timestamp may be, as in Stripe's own libraries. */
+const STRIPE_TOLERANCE_S = 300;
+
+function stripeProvider(secretKey: string, webhookSecret: string | undefined): PaymentProvider {
+  return {
+    name: 'stripe',
+
+    async createCheckout(req) {
+      const form = new URLSearchParams({
+        mode: 'payment',
+        success_url: req.successUrl,
+        cancel_url: req.cancelUrl,
+        client_reference_id: req.reference,
+        customer_email: req.email,
+        'metadata[reference]': req.reference,
+        'line_items[0][quantity]': String(req.quantity),
+        'line_items[0][price_data][currency]': 'usd',
+        'line_items[0][price_data][unit_amount]': String(req.unitAmount),
+        'line_items[0][price_data][product_data][name]': req.description,
+      });
+      const res = await fetch(`${STRIPE_API}/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+          authorization: `Bearer ${secretKey}`,
+          'content-type': 'application/x-www-form-urlencoded',
+        },
+        body: form,
+      });
+      const body = (await res.json().catch(() => ({}))) as { id?: string; url?: string; error?: { message?: string } };
+      if (!res.ok || !body.id || !body.url) {
+        throw new Error(`stripe: ${body.error?.message ?? `checkout failed (${res.status})`}`);
+      }
+      return { url: body.url, providerRef: body.id };
+    },
+
+    async parseWebhook(request) {
+      if (!webhookSecret) throw new Error('stripe webhook secret not configured');
+      const payload = await request.text();
+      await verifyStripeSignature(payload, request.headers.get('stripe-signature') ?? '', webhookSecret);
+
+      const event = JSON.parse(payload) as {
+        type?: string;
+        data?: { object?: { id?: string; client_reference_id?: string | null; payment_status?: string } };
+      };
+      const session = event.data?.object;
+      if (!session?.client_reference_id) return null;
+      const outcome = (status: PaymentOutcome['status']): PaymentOutcome => ({
+        reference: session.client_reference_id!,
+        providerRef: session.id ?? null,
+        status,
+      });
+      switch (event.type) {
+        // Card payments are paid on completion; bank debits complete first
+        // and succeed (or fail) later.
+        case 'checkout.session.completed':
+          return session.payment_status === 'paid' ? outcome('paid') : null;
+        case 'checkout.session.async_payment_succeeded':
+          return outcome('paid');
+        case 'checkout.session.expired':
+        case 'checkout.session.async_payment_failed':
+          return outcome('cancelled');
+        default:
+          return null;
+      }
+    },
+  };
+}
+
+// Stripe-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload">[,v1=...]
+async function verifyStripeSignature(payload: string, header: string, secret: string): Promise<void> {
+  const parts = header.split(',').map((p) => p.split('='));
+  const t = parts.find(([k]) => k === 't')?.[1];
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v ?? '');
+  if (!t || signatures.length === 0) throw new Error('invalid signature');
+  if (Math.abs(Date.now() / 1000 - Number(t)) > STRIPE_TOLERANCE_S) throw new Error('invalid signature: too old');
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${t}.${payload}`));
+  const expected = [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, '0')).join('');
+  if (!signatures.some((s) => timingSafeEqual(s, expected))) throw new Error('invalid signature');
+}
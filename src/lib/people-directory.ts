@@ -0,0 +1,52 @@
+// Build-time reads of the people export (src/data/people.json) for the
+// `people-grid` section and the /people pages.
+//
+// dump-d1 writes the file already sorted by group then position, so these
+// helpers only filter. A term is checked against the build date: someone
+// whose board term ends drops off the grids on the first rebuild after.
+
+import allPeople from '../data/people.json';
+
+export interface DirectoryPerson {
+  slug: string;
+  name: string;
+  title: string | null;
+  group: string;
+  bio: string | null;
+  photo: string | null;
+  email: string | null;
+  phone: string | null;
+  position: number;
+  termStart: string | null;
+  termEnd: string | null;
+}
+
+const people = allPeople as DirectoryPerson[];
+
+/** Everyone exported, current or not (bio pages are built for all of them). */
+export function allDirectoryPeople(): DirectoryPerson[] {
+  return people;
+}
+
+/** Whether `today` (YYYY-MM-DD) falls within the person's term; open ends always match. */
+export function isInTerm(p: DirectoryPerson, today = new Date().toISOString().slice(0, 10)): boolean {
+  if (p.termStart && p.termStart > today) return false;
+  if (p.termEnd && p.termEnd < today) return false;
+  return true;
+}
+
+/** Current members of one group, in the order set in /cpadmin/people. */
+export function currentGroupMembers(group: string): DirectoryPerson[] {
+  return people.filter((p) => p.group === group && isInTerm(p));
+}
+
+/** Current members of every group, keeping the groups in export order. */
+export function currentGroups(): { group: string; members: DirectoryPerson[] }[] {
+  const groups = new Map<string, DirectoryPerson[]>();
+  for (const p of people) {
+    if (!isInTerm(p)) continue;
+    if (!groups.has(p.group)) groups.set(p.group, []);
+    groups.get(p.group)!.push(p);
+  }
+  return [...groups].map(([group, members]) => ({ group, members }));
+}
@@ -0,0 +1,506 @@
+// D1 helpers for staff and board members (/api/people and /cpadmin/people).
+//
+// Each person belongs to one group — the heading they're listed under on
+// the site ('Staff', 'Board of Directors', ...) — and `position` orders
+// them within it. The `people-grid` section renders a group; every person
+// also gets a bio page at /people/<slug>. Like grants.ts, every write
+// snapshots the previous row into person_versions and refreshes the
+// search_index row in the same batch. Reordering only touches `position`
+// and isn't versioned.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { indexStatements, personSearchDoc, removeFromIndexStatement } from './search';
+import { isValidEmail } from './users';
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Optional short text. Blank or null clears it. */
+const labelSchema = (max: number) =>
+  z
+    .string()
+    .max(max)
+    .nullable()
+    .transform((v) => (v && v.trim() ? v.trim() : null));
+
+/** Optional HTML column. Blank or null clears it. */
+const textSchema = z
+  .string()
+  .max(20000)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+const emailSchema = labelSchema(200).refine((v) => v === null || isValidEmail(v), 'not an email address');
+
+/** Term dates are ISO `YYYY-MM-DD` (what <input type="date"> sends). */
+const dateSchema = labelSchema(10).refine(
+  (v) => v === null || (/^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v))),
+  'use YYYY-MM-DD'
+);
+
+export const personInputSchema = z.object({
+  name: z.string().trim().min(1, 'name is required').max(200),
+  title: labelSchema(300).default(null),
+  group: z.string().trim().min(1, 'group is required').max(100),
+  bio: textSchema.default(null),
+  photo: labelSchema(2000).default(null),
+  email: emailSchema.default(null),
+  phone: labelSchema(50).default(null),
+  termStart: dateSchema.default(null),
+  termEnd: dateSchema.default(null),
+});
+
+// Without the defaults, so a missing key in a PUT body leaves the field alone.
+export const personUpdateSchema = z
+  .object({
+    name: z.string().trim().min(1, 'name is required').max(200),
+    title: labelSchema(300),
+    group: z.string().trim().min(1, 'group is required').max(100),
+    bio: textSchema,
+    photo: labelSchema(2000),
+    email: emailSchema,
+    phone: labelSchema(50),
+    termStart: dateSchema,
+    termEnd: dateSchema,
+  })
+  .partial();
+
+export type PersonInput = z.infer<typeof personInputSchema>;
+export type PersonUpdate = z.infer<typeof personUpdateSchema>;
+
+/**
+ * Validate a request body. Throws with a one-line message naming each bad
+ * field (e.g. `invalid person: email: not an email address`).
+ */
+export function parsePersonInput(body: unknown): PersonInput {
+  const result = personInputSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+export function parsePersonUpdate(body: unknown): PersonUpdate {
+  const result = personUpdateSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+function formatIssues(error: z.ZodError): string {
+  const issues = error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+  return `invalid person: ${issues.join('; ')}`;
+}
+
+/** Checked on the merged row, since a PUT may send only one of the dates. */
+function checkTerm(termStart: string | null, termEnd: string | null): void {
+  if (termStart && termEnd && termEnd < termStart) throw new Error('invalid person: termEnd: term ends before it starts');
+}
+
+export function isValidPersonSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface PersonRow {
+  slug: string;
+  name: string;
+  title: string | null;
+  group: string;
+  bio: string | null;
+  photo: string | null;
+  email: string | null;
+  phone: string | null;
+  position: number;
+  termStart: string | null;
+  termEnd: string | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+export type PersonSummary = Omit<PersonRow, 'bio' | 'createdAt'>;
+
+export interface PersonVersionRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  title: string | null;
+  group: string | null;
+  bio: string | null;
+  photo: string | null;
+  email: string | null;
+  phone: string | null;
+  termStart: string | null;
+  termEnd: string | null;
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+interface PersonDbRow {
+  slug: string;
+  name: string;
+  title: string | null;
+  group_name: string;
+  bio: string | null;
+  photo: string | null;
+  email: string | null;
+  phone: string | null;
+  position: number;
+  term_start: string | null;
+  term_end: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const PERSON_COLUMNS =
+  'slug, name, title, group_name, bio, photo, email, phone, position, term_start, term_end, updated_at, created_at';
+
+function toPersonRow(r: PersonDbRow): PersonRow {
+  return {
+    slug: r.slug,
+    name: r.name,
+    title: r.title,
+    group: r.group_name,
+    bio: r.bio,
+    photo: r.photo,
+    email: r.email,
+    phone: r.phone,
+    position: r.position,
+    termStart: r.term_start,
+    termEnd: r.term_end,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+/** By group, then in each group's order. `group` narrows to one group. */
+export async function listPeople(
+  db: D1Database,
+  opts: { search?: string; group?: string } = {}
+): Promise<PersonSummary[]> {
+  const where = ['deleted_at IS NULL'];
+  const binds: unknown[] = [];
+  const search = opts.search?.trim();
+  if (search) {
+    binds.push(`%${search}%`);
+    where.push(`(name LIKE ?${binds.length} OR title LIKE ?${binds.length} OR slug LIKE ?${binds.length})`);
+  }
+  if (opts.group) {
+    binds.push(opts.group);
+    where.push(`group_name = ?${binds.length}`);
+  }
+  const { results } = await db
+    .prepare(
+      `SELECT slug, name, title, group_name, photo, email, phone, position, term_start, term_end, updated_at FROM people WHERE ${where.join(' AND ')} ORDER BY group_name, position, name`
+    )
+    .bind(...binds)
+    .all<Omit<PersonDbRow, 'bio' | 'created_at'>>();
+  return (results ?? []).map((r) => ({
+    slug: r.slug,
+    name: r.name,
+    title: r.title,
+    group: r.group_name,
+    photo: r.photo,
+    email: r.email,
+    phone: r.phone,
+    position: r.position,
+    termStart: r.term_start,
+    termEnd: r.term_end,
+    updatedAt: r.updated_at,
+  }));
+}
+
+export async function getPerson(db: D1Database, slug: string): Promise<PersonRow | null> {
+  const row = await db
+    .prepare(`SELECT ${PERSON_COLUMNS} FROM people WHERE slug = ?1 AND deleted_at IS NULL`)
+    .bind(slug)
+    .first<PersonDbRow>();
+  return row ? toPersonRow(row) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+/** Position after the last person in `group`, deleted ones included so a restore doesn't collide. */
+async function nextPosition(db: D1Database, group: string): Promise<number> {
+  const row = await db
+    .prepare('SELECT MAX(position) AS max FROM people WHERE group_name = ?1')
+    .bind(group)
+    .first<{ max: number | null }>();
+  return (row?.max ?? -1) + 1;
+}
+
+function snapshotStatement(
+  db: D1Database,
+  current: PersonRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO person_versions (slug, name, title, group_name, bio, photo, email, phone, term_start, term_end, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?13)'
+    )
+    .bind(
+      current.slug,
+      current.name,
+      current.title,
+      current.group,
+      current.bio,
+      current.photo,
+      current.email,
+      current.phone,
+      current.termStart,
+      current.termEnd,
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new person at the end of their group. Throws if the slug is
+ * taken — including by a soft-deleted person, since the slug is the
+ * primary key.
+ */
+export async function createPerson(db: D1Database, slug: string, input: PersonInput): Promise<number> {
+  if (!isValidPersonSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  checkTerm(input.termStart, input.termEnd);
+  const existing = await db.prepare('SELECT slug FROM people WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`person already exists: ${slug}`);
+
+  const ts = Date.now();
+  const position = await nextPosition(db, input.group);
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO people (slug, name, title, group_name, bio, photo, email, phone, position, term_start, term_end, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11, ?12, ?12)'
+      )
+      .bind(
+        slug,
+        input.name,
+        input.title,
+        input.group,
+        input.bio,
+        input.photo,
+        input.email,
+        input.phone,
+        position,
+        input.termStart,
+        input.termEnd,
+        ts
+      ),
+    ...indexStatements(db, personSearchDoc({ slug, ...input })),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply a validated update and append a version snapshot in the same batch.
+ * Moving someone to another group puts them at the end of it. Returns the
+ * new updated_at timestamp.
+ */
+export async function updatePerson(
+  db: D1Database,
+  slug: string,
+  update: PersonUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getPerson(db, slug);
+  if (!current) throw new Error(`person not found: ${slug}`);
+
+  const next = {
+    slug,
+    name: update.name ?? current.name,
+    title: update.title !== undefined ? update.title : current.title,
+    group: update.group ?? current.group,
+    bio: update.bio !== undefined ? update.bio : current.bio,
+    photo: update.photo !== undefined ? update.photo : current.photo,
+    email: update.email !== undefined ? update.email : current.email,
+    phone: update.phone !== undefined ? update.phone : current.phone,
+    termStart: update.termStart !== undefined ? update.termStart : current.termStart,
+    termEnd: update.termEnd !== undefined ? update.termEnd : current.termEnd,
+  };
+  checkTerm(next.termStart, next.termEnd);
+  const position = next.group === current.group ? current.position : await nextPosition(db, next.group);
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE people SET name = ?1, title = ?2, group_name = ?3, bio = ?4, photo = ?5, email = ?6, phone = ?7, position = ?8, term_start = ?9, term_end = ?10, updated_at = ?11 WHERE slug = ?12'
+      )
+      .bind(
+        next.name,
+        next.title,
+        next.group,
+        next.bio,
+        next.photo,
+        next.email,
+        next.phone,
+        position,
+        next.termStart,
+        next.termEnd,
+        ts,
+        slug
+      ),
+    ...indexStatements(db, personSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Set the order of a group. `slugs` must list every (non-deleted) person in
+ * the group exactly once.
+ */
+export async function reorderPeople(db: D1Database, group: string, slugs: string[]): Promise<number> {
+  const members = await listPeople(db, { group });
+  if (members.length === 0) throw new Error(`group not found: ${group}`);
+  const expected = new Set(members.map((p) => p.slug));
+  const given = new Set(slugs);
+  if (given.size !== slugs.length || given.size !== expected.size || slugs.some((s) => !expected.has(s))) {
+    throw new Error(`invalid order; list each person in ${group} once`);
+  }
+  const ts = Date.now();
+  await db.batch(
+    slugs.map((slug, i) =>
+      db.prepare('UPDATE people SET position = ?1, updated_at = ?2 WHERE slug = ?3').bind(i, ts, slug)
+    )
+  );
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the person, and drop them from
+ * search. The row stays in D1 so it can be restored from the trash.
+ */
+export async function deletePerson(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getPerson(db, slug);
+  if (!current) throw new Error(`person not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE people SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'person', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deletePerson(): clear deleted_at and put them back in search. */
+export async function restorePerson(db: D1Database, slug: string): Promise<PersonRow> {
+  const row = await db
+    .prepare(`SELECT ${PERSON_COLUMNS} FROM people WHERE slug = ?1 AND deleted_at IS NOT NULL`)
+    .bind(slug)
+    .first<PersonDbRow>();
+  if (!row) throw new Error(`deleted person not found: ${slug}`);
+  const person = toPersonRow(row);
+  await db.batch([
+    db.prepare('UPDATE people SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, personSearchDoc(person)),
+  ]);
+  return person;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface PersonVersionDbRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  title: string | null;
+  group_name: string | null;
+  bio: string | null;
+  photo: string | null;
+  email: string | null;
+  phone: string | null;
+  term_start: string | null;
+  term_end: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  created_at: number;
+}
+
+function toVersionRow(r: PersonVersionDbRow): PersonVersionRow {
+  return {
+    id: r.id,
+    slug: r.slug,
+    name: r.name,
+    title: r.title,
+    group: r.group_name,
+    bio: r.bio,
+    photo: r.photo,
+    email: r.email,
+    phone: r.phone,
+    termStart: r.term_start,
+    termEnd: r.term_end,
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  };
+}
+
+export async function listPersonVersions(db: D1Database, slug: string, limit = 50): Promise<PersonVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.name, v.title, v.group_name, v.bio, v.photo, v.email, v.phone, v.term_start, v.term_end, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM person_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<PersonVersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+export async function revertPersonToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const row = await db
+    .prepare(
+      'SELECT id, slug, name, title, group_name, bio, photo, email, phone, term_start, term_end, author, user_id, NULL AS user_name, created_at FROM person_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<PersonVersionDbRow>();
+  if (!row) throw new Error(`version ${versionId} not found for person ${slug}`);
+
+  const v = toVersionRow(row);
+  return updatePerson(
+    db,
+    slug,
+    {
+      name: v.name ?? undefined,
+      title: v.title,
+      group: v.group ?? undefined,
+      bio: v.bio,
+      photo: v.photo,
+      email: v.email,
+      phone: v.phone,
+      termStart: v.termStart,
+      termEnd: v.termEnd,
+    },
+    'admin',
+    userId
+  );
+}
@@ -0,0 +1,236 @@
+// Rebuild-and-deploy trigger for the public site.
+//
+// The public site is prerendered from D1 (`npm run build:d1`), so any write
+// that changes public content needs a rebuild: publishing a page (now, or by
+// the cron) and every news / scholarship write. Page saves, reverts and
+// proposal applies only touch the draft, so they don't. Those writes call
+// queueRebuild(), which logs a `requested` row and, once REBUILD_DEBOUNCE_MS
+// passes without another request, POSTs the deploy hook (DEPLOY_HOOK_URL)
+// once for the whole batch. The build it starts reports back through
+// POST /api/rebuild-callback.
+//
+// rebuild_log statuses:
+//   requested            a public change is waiting for a rebuild
+//   triggered            the deploy hook was called for everything requested so far
+//   succeeded / failed   outcome of a triggered build (trigger_id points at it);
+//                        also `failed` straight away if the hook call errors
+//
+// The debounce runs in waitUntil, which Workers cut off ~30s after the
+// response, so the cron in src/worker.ts also sweeps up anything left pending.
+
+import type { D1Database } from '@cloudflare/workers-types';
+import { env, waitUntil } from 'cloudflare:workers';
+
+export const REBUILD_DEBOUNCE_MS = 20_000;
+
+export type RebuildStatus = 'requested' | 'triggered' | 'succeeded' | 'failed';
+
+export interface RebuildLogRow {
+  id: number;
+  slug: string | null;
+  status: RebuildStatus;
+  detail: string | null;
+  /** For succeeded / failed: the `triggered` row this closes. */
+  triggerId: number | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+export interface RebuildState {
+  /** False until DEPLOY_HOOK_URL is set; requests still get logged. */
+  configured: boolean;
+  /** Requests since the last trigger. */
+  pending: number;
+  last: {
+    id: number;
+    createdAt: number;
+    detail: string | null;
+    outcome: 'running' | 'succeeded' | 'failed';
+    finishedAt: number | null;
+    outcomeDetail: string | null;
+  } | null;
+}
+
+export interface RebuildRequest {
+  /** Public path that changed, e.g. "/about/board" or "/news/gala-2026". */
+  slug: string | null;
+  detail: string;
+  userId?: number | null;
+}
+
+function config(): { hookUrl?: string; hookToken?: string } {
+  const cfg = env as { DEPLOY_HOOK_URL?: string; DEPLOY_HOOK_TOKEN?: string };
+  return { hookUrl: cfg.DEPLOY_HOOK_URL, hookToken: cfg.DEPLOY_HOOK_TOKEN };
+}
+
+// ---------------------------------------------------------------------------
+// Requesting + triggering
+// ---------------------------------------------------------------------------
+
+export async function requestRebuild(db: D1Database, req: RebuildRequest): Promise<void> {
+  await db
+    .prepare('INSERT INTO rebuild_log (slug, status, detail, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5)')
+    .bind(req.slug, 'requested', req.detail, req.userId ?? null, Date.now())
+    .run();
+}
+
+/**
+ * Log a rebuild request and trigger the deploy hook after the debounce
+ * window, unless another request arrives in the meantime. Call after the
+ * content write has succeeded.
+ */
+export async function queueRebuild(db: D1Database, req: RebuildRequest): Promise<void> {
+  await requestRebuild(db, req);
+  waitUntil(
+    new Promise((resolve) => setTimeout(resolve, REBUILD_DEBOUNCE_MS))
+      .then(() => triggerDueRebuild(db))
+      .catch((err) => console.error('rebuild trigger failed', err))
+  );
+}
+
+/**
+ * Call the deploy hook if requests are pending and the newest is older than
+ * the debounce window (or `immediate`). Returns the `triggered` row id, or
+ * null if nothing was due, the hook isn't configured, or another caller got
+ * there first.
+ */
+export async function triggerDueRebuild(
+  db: D1Database,
+  opts: { immediate?: boolean; userId?: number | null; now?: number } = {}
+): Promise<number | null> {
+  const { hookUrl, hookToken } = config();
+  if (!hookUrl) return null;
+  const now = opts.now ?? Date.now();
+
+  const pending = await db
+    .prepare(
+      `SELECT COUNT(*) AS n, MAX(id) AS last_id, MAX(created_at) AS last_at, GROUP_CONCAT(DISTINCT slug) AS slugs
+       FROM rebuild_log
+       WHERE status = 'requested' AND id > COALESCE((SELECT MAX(id) FROM rebuild_log WHERE status = 'triggered'), 0)`
+    )
+    .first<{ n: number; last_id: number | null; last_at: number | null; slugs: string | null }>();
+  if (!pending || pending.n === 0 || pending.last_id === null) return null;
+  if (!opts.immediate && now - (pending.last_at ?? 0) < REBUILD_DEBOUNCE_MS) return null;
+
+  // Claim the batch: only insert if nobody has triggered since its last request.
+  const paths = pending.slugs ? `: ${pending.slugs.replace(/,/g, ', ')}` : '';
+  const detail = `${pending.n} change${pending.n === 1 ? '' : 's'}${paths}`.slice(0, 500);
+  const claim = await db
+    .prepare(
+      `INSERT INTO rebuild_log (slug, status, detail, user_id, created_at)
+       SELECT NULL, 'triggered', ?1, ?2, ?3
+       WHERE NOT EXISTS (SELECT 1 FROM rebuild_log WHERE status = 'triggered' AND id > ?4)`
+    )
+    .bind(detail, opts.userId ?? null, now, pending.last_id)
+    .run();
+  if (!claim.meta.changes) return null;
+  const triggerId = Number(claim.meta.last_row_id);
+
+  let error: string | null = null;
+  try {
+    const res = await fetch(hookUrl, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        // GitHub's API rejects requests without a User-Agent.
+        'user-agent': 'thcf-cpadmin',
+        ...(hookToken ? { authorization: `Bearer ${hookToken}` } : {}),
+      },
+      // The repository_dispatch shape; other hooks ignore the body.
+      body: JSON.stringify({ event_type: 'thcf-rebuild', client_payload: { rebuildId: triggerId } }),
+    });
+    if (!res.ok) error = `deploy hook returned ${res.status}: ${(await res.text()).slice(0, 200)}`;
+  } catch (err) {
+    error = `deploy hook unreachable: ${err instanceof Error ? err.message : String(err)}`;
+  }
+  if (error) await recordRebuildResult(db, triggerId, 'failed', error);
+  return triggerId;
+}
+
+/** Record the outcome of a triggered build. Throws if triggerId isn't one. */
+export async function recordRebuildResult(
+  db: D1Database,
+  triggerId: number,
+  status: 'succeeded' | 'failed',
+  detail: string | null
+): Promise<void> {
+  const trigger = await db
+    .prepare("SELECT id FROM rebuild_log WHERE id = ?1 AND status = 'triggered'")
+    .bind(triggerId)
+    .first<{ id: number }>();
+  if (!trigger) throw new Error(`rebuild ${triggerId} not found`);
+  await db
+    .prepare('INSERT INTO rebuild_log (slug, status, detail, trigger_id, created_at) VALUES (NULL, ?1, ?2, ?3, ?4)')
+    .bind(status, detail, triggerId, Date.now())
+    .run();
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+export async function getRebuildState(db: D1Database): Promise<RebuildState> {
+  const row = await db
+    .prepare(
+      `SELECT
+         (SELECT COUNT(*) FROM rebuild_log WHERE status = 'requested' AND id > COALESCE(t.id, 0)) AS pending,
+         t.id, t.created_at, t.detail,
+         r.status AS outcome, r.created_at AS finished_at, r.detail AS outcome_detail
+       FROM (SELECT 1) AS one
+       LEFT JOIN (SELECT id, created_at, detail FROM rebuild_log WHERE status = 'triggered' ORDER BY id DESC LIMIT 1) t ON 1
+       LEFT JOIN rebuild_log r ON r.id = (SELECT MAX(id) FROM rebuild_log WHERE trigger_id = t.id)`
+    )
+    .first<{
+      pending: number;
+      id: number | null;
+      created_at: number | null;
+      detail: string | null;
+      outcome: 'succeeded' | 'failed' | null;
+      finished_at: number | null;
+      outcome_detail: string | null;
+    }>();
+  return {
+    configured: Boolean(config().hookUrl),
+    pending: row?.pending ?? 0,
+    last:
+      row && row.id !== null
+        ? {
+            id: row.id,
+            createdAt: row.created_at ?? 0,
+            detail: row.detail,
+            outcome: row.outcome ?? 'running',
+            finishedAt: row.finished_at,
+            outcomeDetail: row.outcome_detail,
+          }
+        : null,
+  };
+}
+
+export async function listRebuildLog(db: D1Database, limit = 100): Promise<RebuildLogRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT r.id, r.slug, r.status, r.detail, r.trigger_id, r.user_id, COALESCE(u.name, u.email) AS user_name, r.created_at FROM rebuild_log r LEFT JOIN users u ON u.id = r.user_id ORDER BY r.id DESC LIMIT ?1'
+    )
+    .bind(limit)
+    .all<{
+      id: number;
+      slug: string | null;
+      status: RebuildStatus;
+      detail: string | null;
+      trigger_id: number | null;
+      user_id: number | null;
+      user_name: string | null;
+      created_at: number;
+    }>();
+  return (results ?? []).map((r) => ({
+    id: r.id,
+    slug: r.slug,
+    status: r.status,
+    detail: r.detail,
+    triggerId: r.trigger_id,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  }));
+}
@@ -0,0 +1,333 @@
+// URL redirects, stored in the D1 `redirects` table (/api/redirects and
+// /cpadmin/redirects).
+//
+// A rule's source is an exact path (`/old/page`) or a prefix ending in `/*`,
+// which matches the prefix itself and everything under it; the part after
+// the prefix replaces `:splat` in the target. Exact rules win over prefixes,
+// and longer prefixes over shorter ones. This is the syntax of Cloudflare's
+// `_redirects` file, which dump-d1 writes from the same rules with
+// toRedirectsFile().
+//
+// src/worker.ts answers matching requests before Astro or the static assets
+// see them (redirectResponse()), from a copy of the rules each isolate keeps
+// for up to a minute. Publishing a page under a new path adds a rule from
+// the old one through pathChangeStatements().
+//
+// Nothing here touches the Workers runtime, so dump-d1 can share it.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+export const REDIRECT_STATUSES = [301, 302] as const;
+export type RedirectStatus = (typeof REDIRECT_STATUSES)[number];
+
+/**
+ * Paths the Worker never redirects: the admin, the API, build assets and
+ * uploads. wrangler.jsonc's `assets.run_worker_first` skips some of them too.
+ */
+const RESERVED_PREFIXES = ['/_astro', '/api', '/cpadmin', '/media', '/img', '/preview'];
+
+export interface RedirectRule {
+  source: string;
+  target: string;
+  status: RedirectStatus;
+}
+
+export interface RedirectRow extends RedirectRule {
+  id: number;
+  note: string | null;
+  /** Added when a page's path changed, rather than by hand. */
+  auto: boolean;
+  hits: number;
+  lastHitAt: number | null;
+  createdAt: number;
+  updatedAt: number;
+  userId: number | null;
+  userName: string | null;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+/** Drop a trailing slash, as `pages.path` has none (the homepage aside). */
+export function normalizePath(path: string): string {
+  return path.length > 1 ? path.replace(/\/+$/, '') || '/' : path;
+}
+
+function isWildcard(source: string): boolean {
+  return source.endsWith('/*');
+}
+
+function isReserved(path: string): boolean {
+  return RESERVED_PREFIXES.some((p) => path === p || path.startsWith(`${p}/`));
+}
+
+export const redirectInputSchema = z
+  .object({
+    source: z
+      .string()
+      .trim()
+      .transform((s) => (isWildcard(s) ? s : normalizePath(s)))
+      .refine((s) => /^\/[^\s?#*]*(\/\*)?$/.test(s), 'must be a path like /old/page or /old/*, without ? or #')
+      .refine((s) => s !== '/' && s !== '/*', "can't redirect the homepage")
+      .refine((s) => !isReserved(s.replace(/\/\*$/, '')), 'admin, API and upload paths are never redirected'),
+    target: z
+      .string()
+      .trim()
+      .refine((t) => /^(\/(?!\/)|https?:\/\/)\S*$/.test(t), 'must start with / or https://'),
+    status: z.union([z.literal(301), z.literal(302)], { errorMap: () => ({ message: 'must be 301 or 302' }) }).default(301),
+    note: z
+      .string()
+      .trim()
+      .max(500)
+      .nullish()
+      .transform((n) => n || null),
+  })
+  .superRefine((r, ctx) => {
+    if (r.target.includes(':splat') && !isWildcard(r.source)) {
+      ctx.addIssue({ code: 'custom', path: ['target'], message: ':splat needs a source ending in /*' });
+    }
+    if (normalizePath(r.target) === r.source) {
+      ctx.addIssue({ code: 'custom', path: ['target'], message: 'redirects to itself' });
+    }
+  });
+
+export type RedirectInput = z.output<typeof redirectInputSchema>;
+
+export function parseRedirectInput(body: unknown): RedirectInput {
+  const result = redirectInputSchema.safeParse(body);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+    throw new Error(`invalid redirect: ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+/** The rule a path matches and where it sends it, without the query string. */
+export function matchRedirect(
+  rules: readonly RedirectRule[],
+  pathname: string
+): { rule: RedirectRule; location: string } | null {
+  const path = normalizePath(pathname);
+  const exact = rules.find((r) => r.source === path);
+  if (exact) return { rule: exact, location: exact.target };
+
+  let best: RedirectRule | null = null;
+  for (const r of rules) {
+    if (!isWildcard(r.source)) continue;
+    const prefix = r.source.slice(0, -2);
+    if (path !== prefix && !path.startsWith(`${prefix}/`)) continue;
+    if (!best || r.source.length > best.source.length) best = r;
+  }
+  if (!best) return null;
+  const splat = path.slice(best.source.length - 1);
+  const location = splat ? best.target.replace(':splat', splat) : best.target.replace(/\/?:splat/, '') || '/';
+  return { rule: best, location };
+}
+
+/**
+ * The rules in Cloudflare `_redirects` format. Exact rules come first and
+ * prefixes longest first, since the file applies the first match. A prefix
+ * rule also gets a line for the bare prefix, which `/*` doesn't match there.
+ */
+export function toRedirectsFile(rules: readonly RedirectRule[]): string {
+  const exact = rules.filter((r) => !isWildcard(r.source)).sort((a, b) => a.source.localeCompare(b.source));
+  const prefixes = rules
+    .filter((r) => isWildcard(r.source))
+    .sort((a, b) => b.source.length - a.source.length || a.source.localeCompare(b.source));
+  const exactSources = new Set(exact.map((r) => r.source));
+
+  const lines = [
+    '# Generated by scripts/dump-d1.mjs from the D1 redirects table; edit them at /cpadmin/redirects.',
+    ...exact.map((r) => `${r.source} ${r.target} ${r.status}`),
+  ];
+  for (const r of prefixes) {
+    const prefix = r.source.slice(0, -2);
+    if (!exactSources.has(prefix)) lines.push(`${prefix} ${r.target.replace(/\/?:splat/, '') || '/'} ${r.status}`);
+    lines.push(`${r.source} ${r.target} ${r.status}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Serving
+// ---------------------------------------------------------------------------
+
+const RULES_TTL_MS = 60_000;
+let cachedRules: { rules: RedirectRule[]; loadedAt: number } | null = null;
+
+/** Forget this isolate's copy of the rules, e.g. after an admin edit. */
+export function clearRedirectCache(): void {
+  cachedRules = null;
+}
+
+export async function loadRedirectRules(db: D1Database): Promise<RedirectRule[]> {
+  const { results } = await db.prepare('SELECT source, target, status FROM redirects').all<RedirectRule>();
+  return results ?? [];
+}
+
+/**
+ * A redirect for the request if a rule matches its path, else null. The
+ * request's query string is kept unless the target has its own. Counts the
+ * hit in the background through `waitUntil`.
+ */
+export async function redirectResponse(
+  db: D1Database,
+  request: Request,
+  waitUntil: (promise: Promise<unknown>) => void
+): Promise<Response | null> {
+  if (request.method !== 'GET' && request.method !== 'HEAD') return null;
+  const url = new URL(request.url);
+  if (isReserved(url.pathname)) return null;
+
+  if (!cachedRules || Date.now() - cachedRules.loadedAt > RULES_TTL_MS) {
+    cachedRules = { rules: await loadRedirectRules(db), loadedAt: Date.now() };
+  }
+  const match = matchRedirect(cachedRules.rules, url.pathname);
+  if (!match) return null;
+
+  const location = new URL(match.location, url);
+  if (!location.search && location.origin === url.origin) location.search = url.search;
+  waitUntil(
+    db
+      .prepare('UPDATE redirects SET hits = hits + 1, last_hit_at = ?1 WHERE source = ?2')
+      .bind(Date.now(), match.rule.source)
+      .run()
+      .catch((err) => console.error('redirect hit count failed', err))
+  );
+  return new Response(null, {
+    status: match.rule.status,
+    headers: {
+      location: location.toString(),
+      // Browsers keep a 301 forever unless told otherwise; an hour lets a bad rule be fixed.
+      'cache-control': match.rule.status === 301 ? 'public, max-age=3600' : 'no-store',
+    },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Rows
+// ---------------------------------------------------------------------------
+
+interface RedirectDbRow {
+  id: number;
+  source: string;
+  target: string;
+  status: RedirectStatus;
+  note: string | null;
+  auto: number;
+  hits: number;
+  last_hit_at: number | null;
+  created_at: number;
+  updated_at: number;
+  user_id: number | null;
+  user_name: string | null;
+}
+
+const REDIRECT_COLUMNS =
+  'r.id, r.source, r.target, r.status, r.note, r.auto, r.hits, r.last_hit_at, r.created_at, r.updated_at, r.user_id, COALESCE(u.name, u.email) AS user_name';
+
+function toRedirectRow(r: RedirectDbRow): RedirectRow {
+  return {
+    id: r.id,
+    source: r.source,
+    target: r.target,
+    status: r.status,
+    note: r.note,
+    auto: r.auto === 1,
+    hits: r.hits,
+    lastHitAt: r.last_hit_at,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+    userId: r.user_id,
+    userName: r.user_name,
+  };
+}
+
+export async function listRedirects(db: D1Database): Promise<RedirectRow[]> {
+  const { results } = await db
+    .prepare(`SELECT ${REDIRECT_COLUMNS} FROM redirects r LEFT JOIN users u ON u.id = r.user_id ORDER BY r.source`)
+    .all<RedirectDbRow>();
+  return (results ?? []).map(toRedirectRow);
+}
+
+export async function getRedirect(db: D1Database, id: number): Promise<RedirectRow | null> {
+  const row = await db
+    .prepare(`SELECT ${REDIRECT_COLUMNS} FROM redirects r LEFT JOIN users u ON u.id = r.user_id WHERE r.id = ?1`)
+    .bind(id)
+    .first<RedirectDbRow>();
+  return row ? toRedirectRow(row) : null;
+}
+
+async function assertSourceFree(db: D1Database, source: string, exceptId: number | null): Promise<void> {
+  const row = await db.prepare('SELECT id FROM redirects WHERE source = ?1').bind(source).first<{ id: number }>();
+  if (row && row.id !== exceptId) throw new Error(`a redirect already exists for ${source}`);
+}
+
+export async function createRedirect(
+  db: D1Database,
+  input: RedirectInput,
+  userId: number | null = null
+): Promise<RedirectRow> {
+  await assertSourceFree(db, input.source, null);
+  const now = Date.now();
+  const row = await db
+    .prepare(
+      'INSERT INTO redirects (source, target, status, note, created_at, updated_at, user_id) VALUES (?1, ?2, ?3, ?4, ?5, ?5, ?6) RETURNING id'
+    )
+    .bind(input.source, input.target, input.status, input.note, now, userId)
+    .first<{ id: number }>();
+  if (!row) throw new Error('failed to create redirect');
+  return (await getRedirect(db, row.id))!;
+}
+
+/** Replace a rule. Editing an automatic rule makes it a manual one. */
+export async function updateRedirect(
+  db: D1Database,
+  id: number,
+  input: RedirectInput,
+  userId: number | null = null
+): Promise<RedirectRow> {
+  if (!(await getRedirect(db, id))) throw new Error(`redirect not found: ${id}`);
+  await assertSourceFree(db, input.source, id);
+  await db
+    .prepare(
+      'UPDATE redirects SET source = ?1, target = ?2, status = ?3, note = ?4, auto = 0, updated_at = ?5, user_id = ?6 WHERE id = ?7'
+    )
+    .bind(input.source, input.target, input.status, input.note, Date.now(), userId, id)
+    .run();
+  return (await getRedirect(db, id))!;
+}
+
+export async function deleteRedirect(db: D1Database, id: number): Promise<void> {
+  const { meta } = await db.prepare('DELETE FROM redirects WHERE id = ?1').bind(id).run();
+  if (!meta.changes) throw new Error(`redirect not found: ${id}`);
+}
+
+/**
+ * Statements that point `from` at `to` after a page moves, for the batch
+ * that moves it. Rules into `from` are repointed so nobody hops twice, and
+ * a rule away from `to` is dropped, since a page lives there now.
+ */
+export function pathChangeStatements(
+  db: D1Database,
+  from: string,
+  to: string,
+  userId: number | null = null
+): D1PreparedStatement[] {
+  const now = Date.now();
+  return [
+    db.prepare('UPDATE redirects SET target = ?1, updated_at = ?2 WHERE target = ?3').bind(to, now, from),
+    db.prepare('DELETE FROM redirects WHERE source = ?1').bind(to),
+    db
+      .prepare(
+        `INSERT INTO redirects (source, target, status, note, auto, created_at, updated_at, user_id)
+         VALUES (?1, ?2, 301, ?3, 1, ?4, ?4, ?5)
+         ON CONFLICT(source) DO UPDATE SET
+           target = excluded.target, status = 301, note = excluded.note, auto = 1,
+           updated_at = excluded.updated_at, user_id = excluded.user_id`
+      )
+      .bind(from, to, `page moved to ${to}`, now, userId),
+  ];
+}
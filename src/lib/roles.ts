@@ -0,0 +1,56 @@
+// Admin roles and the route → role table enforced by src/middleware.ts.
+//
+// Roles are ordered: each one can do everything the roles before it can.
+// Route rules are checked top to bottom; the first match wins. Anything not
+// listed falls back to the default: reads need `viewer`, writes `editor`.
+
+export const ROLES = ['viewer', 'editor', 'publisher', 'owner'] as const;
+export type Role = (typeof ROLES)[number];
+
+export function isRole(value: unknown): value is Role {
+  return typeof value === 'string' && (ROLES as readonly string[]).includes(value);
+}
+
+export function hasRole(role: Role, required: Role): boolean {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+interface RouteRule {
+  pattern: RegExp;
+  /** Omit to match every method. */
+  methods?: string[];
+  role: Role;
+}
+
+const ROUTE_RULES: RouteRule[] = [
+  // Signing out and "who am I" work for everyone who is signed in.
+  { pattern: /^\/api\/(logout|me)$/, role: 'viewer' },
+  { pattern: /^\/api\/users(\/|$)/, role: 'owner' },
+  // Emptying the trash can't be undone.
+  { pattern: /^\/api\/trash$/, methods: ['DELETE'], role: 'owner' },
+  // Publishing and scheduling (and cancelling a schedule) change the live site,
+  // as does moving a page to a new URL.
+  { pattern: /^\/api\/pages\/.+\/(publish|move)$/, role: 'publisher' },
+  // Restoring deleted content undoes a publisher's decision.
+  { pattern: /^\/api\/(pages|news|scholarships|grants|people|events|funds)\/.+\/restore$/, role: 'publisher' },
+  // Gala orders hold buyers' contact details and what they paid.
+  { pattern: /^\/api\/gala-orders(\/|$)/, role: 'publisher' },
+  // Kicking off a site rebuild by hand.
+  { pattern: /^\/api\/rebuilds$/, methods: ['POST'], role: 'publisher' },
+  // Redirects change the live site as soon as they're saved.
+  { pattern: /^\/api\/redirects(\/|$)/, methods: ['POST', 'PUT', 'DELETE'], role: 'publisher' },
+  // Deleting content is a publishing decision, not an edit.
+  { pattern: /^\/api\/(pages|news|scholarships|grants|people|events|funds|assets)\//, methods: ['DELETE'], role: 'publisher' },
+];
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+export function requiredRole(method: string, pathname: string): Role {
+  const m = method.toUpperCase();
+  for (const rule of ROUTE_RULES) {
+    if (!rule.pattern.test(pathname)) continue;
+    if (rule.methods && !rule.methods.includes(m)) continue;
+    return rule.role;
+  }
+  return READ_METHODS.has(m) ? 'viewer' : 'editor';
+}
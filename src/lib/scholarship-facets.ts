@@ -0,0 +1,189 @@
+// Filter facets for the scholarship directory, parsed from the free-text
+// scholarship fields.
+//
+// Scholarships don't carry structured school / county / field columns; the
+// information lives in the `eligibility` sentences, the `amount` string and
+// the `deadline` string. These helpers pull out what the directory filters
+// need. They run at build time (scholarships/index.astro) and in the
+// directory's client script, so they must stay dependency-free.
+//
+// Everything here is a heuristic over scraped copy: a scholarship the parser
+// can't read simply doesn't match that filter, it's never hidden by default.
+
+export interface DeadlineDate {
+  /** 1–12 */
+  month: number;
+  day: number;
+  /** null for recurring deadlines like "Applications must be submitted by June 1." */
+  year: number | null;
+}
+
+export type DeadlineStatus = 'open' | 'closing-soon' | 'closed' | 'unknown';
+
+export interface ScholarshipFacets {
+  schools: string[];
+  counties: string[];
+  fields: string[];
+  isRenewable: boolean;
+  /** Largest single award in dollars, or null when the amount isn't stated. */
+  amountMax: number | null;
+  deadline: DeadlineDate | null;
+}
+
+/** A deadline this close (in days) shows the "Closing soon" badge. */
+export const CLOSING_SOON_DAYS = 14;
+
+export const AMOUNT_RANGES = [
+  { id: 'under-1000', label: 'Under $1,000', min: 0, max: 999 },
+  { id: '1000-2499', label: '$1,000 – $2,499', min: 1000, max: 2499 },
+  { id: '2500-4999', label: '$2,500 – $4,999', min: 2500, max: 4999 },
+  { id: '5000-plus', label: '$5,000 or more', min: 5000, max: Infinity },
+] as const;
+
+// Checked only against eligibility lines that talk about a course of study,
+// so "any accredited college" boilerplate doesn't tag every scholarship.
+const FIELDS: [string, RegExp][] = [
+  ['Healthcare & nursing', /\b(nurs|health ?care|medical|pharmac|dental|dentist|radiolog|respiratory|public health|speech therapy)/i],
+  ['Education', /\b(?<!continuing )(education|teaching)\b/i],
+  ['Engineering', /\bengineering\b/i],
+  ['Business & economics', /\b(business|economics|accounting)\b/i],
+  ['Music & arts', /\b(music|visual art|art education|fine arts|theat(?:er|re))\b/i],
+  ['Social sciences', /\b(social work|psychology|history|political science|family and consumer sciences)\b/i],
+  ['Trades & aviation', /\b(automotive|mechanic|aviation|flight training|vocational, technical, or trade field|applied sciences)\b/i],
+  ['Agriculture', /\bagricultur/i],
+];
+const STUDY_LINE = /\b(pursu|major|field|degree|career)/i;
+
+// "Missouri High School" etc. are phrasing, not schools.
+const NOT_A_SCHOOL = new Set(['Missouri', 'Kansas', 'Any', 'A', 'The', 'Public', 'Private', 'Area', 'Local', 'Accredited']);
+const SCHOOL_RE = /((?:[A-Z][\w.'’-]*\s)+?)High School\b/g;
+const COUNTY_RE = /\b([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s+County\b/g;
+// "Lafayette, Ray and Carroll Counties"
+const COUNTIES_RE = /\b((?:[A-Z][a-z]+(?:,\s*|,?\s+(?:and|or)\s+))+[A-Z][a-z]+)\s+Counties\b/g;
+const DIRECTIONAL = /^(?:Eastern|Western|Northern|Southern|Central)\s+/;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const DATE_RE =
+  /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s*(\d{4}))?/gi;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function parseSchools(eligibility: string[]): string[] {
+  const found = new Set<string>();
+  for (const line of eligibility) {
+    for (const m of line.matchAll(SCHOOL_RE)) {
+      // The lazy capture can still start with sentence words ("Must Attend ...");
+      // keep the trailing run of capitalised words only.
+      const words = m[1].trim().split(/\s+/);
+      while (words.length > 1 && /^(Must|Be|Attend|Graduate|Graduating|Of|From|At)$/.test(words[0])) words.shift();
+      const name = words.join(' ').replace(/’/g, "'");
+      if (NOT_A_SCHOOL.has(name)) continue;
+      found.add(`${name} High School`);
+    }
+  }
+  return [...found].sort();
+}
+
+export function parseCounties(eligibility: string[]): string[] {
+  const found = new Set<string>();
+  for (const line of eligibility) {
+    const names = [
+      ...[...line.matchAll(COUNTY_RE)].map((m) => m[1]),
+      ...[...line.matchAll(COUNTIES_RE)].flatMap((m) => m[1].split(/,|\band\b|\bor\b/)),
+    ];
+    for (const raw of names) {
+      const name = raw.trim().replace(DIRECTIONAL, '');
+      if (name) found.add(`${name} County`);
+    }
+  }
+  return [...found].sort();
+}
+
+export function parseFields(eligibility: string[]): string[] {
+  const lines = eligibility.filter((l) => STUDY_LINE.test(l));
+  return FIELDS.filter(([, re]) => lines.some((l) => re.test(l))).map(([label]) => label);
+}
+
+/**
+ * Largest dollar figure in the award line ("May be $500 – $1,000" → 1000).
+ * Stops at "Renewable:" / "with a lifetime…" so scraped run-on text and
+ * lifetime caps don't inflate the number.
+ */
+export function parseAmountMax(amount: string | null | undefined): number | null {
+  if (!amount) return null;
+  const head = amount.split(/Renewable:|Deadlines?:|\bwith\b|\blifetime\b/i)[0];
+  const values = [...head.matchAll(/\$\s?([\d,]+)/g)].map((m) => Number(m[1].replace(/,/g, '')));
+  const valid = values.filter((n) => Number.isFinite(n) && n > 0);
+  return valid.length ? Math.max(...valid) : null;
+}
+
+/**
+ * Pull the due date out of a deadline sentence. When the sentence names
+ * several dates ("available December 1, 2025 and due February 16, 2026"),
+ * the one after "due" / "by" wins, otherwise the last one.
+ */
+export function parseDeadline(deadline: string | null | undefined): DeadlineDate | null {
+  if (!deadline) return null;
+  const matches = [...deadline.matchAll(DATE_RE)];
+  if (matches.length === 0) return null;
+  const due =
+    matches.find((m) => /\b(due|by|before|deadline)\W*$/i.test(deadline.slice(Math.max(0, m.index! - 20), m.index))) ??
+    matches[matches.length - 1];
+  const month = MONTHS.indexOf(due[1].toLowerCase()) + 1;
+  const day = Number(due[2]);
+  if (day < 1 || day > 31) return null;
+  return { month, day, year: due[3] ? Number(due[3]) : null };
+}
+
+/**
+ * The next time this deadline falls due, as the end of that day in local
+ * time. Recurring deadlines roll over to next year once passed; dated ones
+ * stay where they are (and may be in the past).
+ */
+export function nextDeadline(d: DeadlineDate, now: Date = new Date()): Date {
+  const at = (year: number) => new Date(year, d.month - 1, d.day, 23, 59, 59);
+  if (d.year !== null) return at(d.year);
+  const thisYear = at(now.getFullYear());
+  return thisYear.getTime() >= now.getTime() ? thisYear : at(now.getFullYear() + 1);
+}
+
+export function deadlineStatus(d: DeadlineDate | null, now: Date = new Date()): DeadlineStatus {
+  if (!d) return 'unknown';
+  const remaining = nextDeadline(d, now).getTime() - now.getTime();
+  if (remaining < 0) return 'closed';
+  if (remaining <= CLOSING_SOON_DAYS * DAY_MS) return 'closing-soon';
+  return 'open';
+}
+
+/** Serialise for a `data-deadline` attribute: "2026-02-16" or "--06-01" for recurring. */
+export function formatDeadlineAttr(d: DeadlineDate | null): string {
+  if (!d) return '';
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${d.year ?? '-'}-${pad(d.month)}-${pad(d.day)}`;
+}
+
+export function parseDeadlineAttr(attr: string | undefined): DeadlineDate | null {
+  const m = /^(\d{4}|-)-(\d{2})-(\d{2})$/.exec(attr ?? '');
+  if (!m) return null;
+  return { year: m[1] === '-' ? null : Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+}
+
+export function scholarshipFacets(s: {
+  eligibility?: string[] | null;
+  amount?: string | null;
+  renewable?: { isRenewable: boolean } | null;
+  deadline?: string | null;
+}): ScholarshipFacets {
+  const eligibility = s.eligibility ?? [];
+  return {
+    schools: parseSchools(eligibility),
+    counties: parseCounties(eligibility),
+    fields: parseFields(eligibility),
+    isRenewable: Boolean(s.renewable?.isRenewable),
+    amountMax: parseAmountMax(s.amount),
+    deadline: parseDeadline(s.deadline),
+  };
+}
@@ -0,0 +1,442 @@
+// D1 helpers for scholarships (/api/scholarships and /cpadmin/scholarships).
+//
+// `eligibility`, `renewable` and `requirements` are JSON columns. Writes go
+// through the Zod schemas below so the admin can't store a shape that
+// dump-d1.mjs or the scholarship pages don't expect. Like news.ts, every
+// write snapshots the previous row into scholarship_versions and refreshes
+// the search_index row in the same batch.
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+import { z } from 'zod';
+
+import { indexStatements, removeFromIndexStatement, scholarshipSearchDoc } from './search';
+
+// ---------------------------------------------------------------------------
+// Schemas
+// ---------------------------------------------------------------------------
+
+/** Repeatable list field. Blank rows from the admin form are dropped. */
+const listSchema = z
+  .array(z.string().max(2000))
+  .max(50)
+  .transform((items) => items.map((s) => s.trim()).filter(Boolean));
+
+/** Optional text column. Blank or null clears it. */
+const textSchema = z
+  .string()
+  .max(20000)
+  .nullable()
+  .transform((v) => (v && v.trim() ? v.trim() : null));
+
+export const renewableSchema = z.object({
+  isRenewable: z.boolean(),
+  details: z.string().max(2000).default('').transform((s) => s.trim()),
+});
+
+export const scholarshipInputSchema = z.object({
+  name: z.string().trim().min(1, 'name is required').max(300),
+  description: textSchema.default(null),
+  eligibility: listSchema.default([]),
+  amount: textSchema.default(null),
+  renewable: renewableSchema.default({ isRenewable: false, details: '' }),
+  deadline: textSchema.default(null),
+  requirements: listSchema.default([]),
+});
+
+// Without the defaults, so a missing key in a PUT body leaves the field alone.
+export const scholarshipUpdateSchema = z
+  .object({
+    name: z.string().trim().min(1, 'name is required').max(300),
+    description: textSchema,
+    eligibility: listSchema,
+    amount: textSchema,
+    renewable: renewableSchema,
+    deadline: textSchema,
+    requirements: listSchema,
+  })
+  .partial();
+
+export type Renewable = z.infer<typeof renewableSchema>;
+export type ScholarshipInput = z.infer<typeof scholarshipInputSchema>;
+export type ScholarshipUpdate = z.infer<typeof scholarshipUpdateSchema>;
+
+/**
+ * Validate a request body. Throws with a one-line message naming each bad
+ * field (e.g. `invalid scholarship: eligibility.2: Expected string`).
+ */
+export function parseScholarshipInput(body: unknown): ScholarshipInput {
+  const result = scholarshipInputSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+export function parseScholarshipUpdate(body: unknown): ScholarshipUpdate {
+  const result = scholarshipUpdateSchema.safeParse(body);
+  if (!result.success) throw new Error(formatIssues(result.error));
+  return result.data;
+}
+
+function formatIssues(error: z.ZodError): string {
+  const issues = error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+  return `invalid scholarship: ${issues.join('; ')}`;
+}
+
+export function isValidScholarshipSlug(slug: string): boolean {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug);
+}
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export interface ScholarshipRow {
+  slug: string;
+  name: string;
+  description: string | null;
+  eligibility: string[];
+  amount: string | null;
+  renewable: Renewable;
+  deadline: string | null;
+  requirements: string[];
+  updatedAt: number;
+  createdAt: number;
+}
+
+export interface ScholarshipSummary {
+  slug: string;
+  name: string;
+  amount: string | null;
+  deadline: string | null;
+  isRenewable: boolean;
+  updatedAt: number;
+}
+
+export interface ScholarshipVersionRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  description: string | null;
+  eligibility: string[];
+  amount: string | null;
+  renewable: Renewable;
+  deadline: string | null;
+  requirements: string[];
+  author: string | null;
+  userId: number | null;
+  userName: string | null;
+  createdAt: number;
+}
+
+interface ScholarshipDbRow {
+  slug: string;
+  name: string;
+  description: string | null;
+  eligibility: string | null;
+  amount: string | null;
+  renewable: string | null;
+  deadline: string | null;
+  requirements: string | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const NOT_RENEWABLE: Renewable = { isRenewable: false, details: '' };
+
+function parseJson<T>(raw: string | null | undefined, fallback: T): T {
+  if (raw === null || raw === undefined || raw === '') return fallback;
+  try {
+    return JSON.parse(raw) as T;
+  } catch {
+    return fallback;
+  }
+}
+
+function toScholarshipRow(r: ScholarshipDbRow): ScholarshipRow {
+  return {
+    slug: r.slug,
+    name: r.name,
+    description: r.description,
+    eligibility: parseJson<string[]>(r.eligibility, []),
+    amount: r.amount,
+    renewable: parseJson<Renewable>(r.renewable, NOT_RENEWABLE),
+    deadline: r.deadline,
+    requirements: parseJson<string[]>(r.requirements, []),
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+export async function listScholarships(db: D1Database, search?: string): Promise<ScholarshipSummary[]> {
+  const hasSearch = typeof search === 'string' && search.trim().length > 0;
+  const stmt = hasSearch
+    ? db
+        .prepare(
+          'SELECT slug, name, amount, deadline, renewable, updated_at FROM scholarships WHERE deleted_at IS NULL AND (name LIKE ?1 OR slug LIKE ?1) ORDER BY name'
+        )
+        .bind(`%${search!.trim()}%`)
+    : db.prepare(
+        'SELECT slug, name, amount, deadline, renewable, updated_at FROM scholarships WHERE deleted_at IS NULL ORDER BY name'
+      );
+  const { results } = await stmt.all<{
+    slug: string;
+    name: string;
+    amount: string | null;
+    deadline: string | null;
+    renewable: string | null;
+    updated_at: number;
+  }>();
+  return (results ?? []).map((r) => ({
+    slug: r.slug,
+    name: r.name,
+    amount: r.amount,
+    deadline: r.deadline,
+    isRenewable: parseJson<Renewable>(r.renewable, NOT_RENEWABLE).isRenewable,
+    updatedAt: r.updated_at,
+  }));
+}
+
+export async function getScholarship(db: D1Database, slug: string): Promise<ScholarshipRow | null> {
+  const row = await db
+    .prepare(
+      'SELECT slug, name, description, eligibility, amount, renewable, deadline, requirements, updated_at, created_at FROM scholarships WHERE slug = ?1 AND deleted_at IS NULL'
+    )
+    .bind(slug)
+    .first<ScholarshipDbRow>();
+  return row ? toScholarshipRow(row) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Writes
+// ---------------------------------------------------------------------------
+
+function snapshotStatement(
+  db: D1Database,
+  current: ScholarshipRow,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null,
+  ts: number
+): D1PreparedStatement {
+  return db
+    .prepare(
+      'INSERT INTO scholarship_versions (slug, name, description, eligibility, amount, renewable, deadline, requirements, author, user_id, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?10, ?11)'
+    )
+    .bind(
+      current.slug,
+      current.name,
+      current.description,
+      JSON.stringify(current.eligibility),
+      current.amount,
+      JSON.stringify(current.renewable),
+      current.deadline,
+      JSON.stringify(current.requirements),
+      author,
+      userId,
+      ts
+    );
+}
+
+/**
+ * Insert a new scholarship. Throws if the slug is taken — including by a
+ * soft-deleted one, since the slug is the primary key.
+ */
+export async function createScholarship(db: D1Database, slug: string, input: ScholarshipInput): Promise<number> {
+  if (!isValidScholarshipSlug(slug)) throw new Error('invalid slug; use lowercase letters, numbers and dashes');
+  const existing = await db.prepare('SELECT slug FROM scholarships WHERE slug = ?1').bind(slug).first();
+  if (existing) throw new Error(`scholarship already exists: ${slug}`);
+
+  const ts = Date.now();
+  await db.batch([
+    db
+      .prepare(
+        'INSERT INTO scholarships (slug, name, description, eligibility, amount, renewable, deadline, requirements, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?7, ?8, ?9, ?9)'
+      )
+      .bind(
+        slug,
+        input.name,
+        input.description,
+        JSON.stringify(input.eligibility),
+        input.amount,
+        JSON.stringify(input.renewable),
+        input.deadline,
+        JSON.stringify(input.requirements),
+        ts
+      ),
+    ...indexStatements(db, scholarshipSearchDoc({ slug, ...input })),
+  ]);
+  return ts;
+}
+
+/**
+ * Apply a validated update and append a version snapshot in the same batch.
+ * Returns the new updated_at timestamp.
+ */
+export async function updateScholarship(
+  db: D1Database,
+  slug: string,
+  update: ScholarshipUpdate,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getScholarship(db, slug);
+  if (!current) throw new Error(`scholarship not found: ${slug}`);
+
+  const next = {
+    slug,
+    name: update.name ?? current.name,
+    description: update.description !== undefined ? update.description : current.description,
+    eligibility: update.eligibility ?? current.eligibility,
+    amount: update.amount !== undefined ? update.amount : current.amount,
+    renewable: update.renewable ?? current.renewable,
+    deadline: update.deadline !== undefined ? update.deadline : current.deadline,
+    requirements: update.requirements ?? current.requirements,
+  };
+  const ts = Date.now();
+
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db
+      .prepare(
+        'UPDATE scholarships SET name = ?1, description = ?2, eligibility = ?3, amount = ?4, renewable = ?5, deadline = ?6, requirements = ?7, updated_at = ?8 WHERE slug = ?9'
+      )
+      .bind(
+        next.name,
+        next.description,
+        JSON.stringify(next.eligibility),
+        next.amount,
+        JSON.stringify(next.renewable),
+        next.deadline,
+        JSON.stringify(next.requirements),
+        ts,
+        slug
+      ),
+    ...indexStatements(db, scholarshipSearchDoc(next)),
+  ]);
+
+  return ts;
+}
+
+/**
+ * Soft-delete: set deleted_at, snapshot the scholarship, and drop it from
+ * search. The row stays in D1 so it can be restored.
+ */
+export async function deleteScholarship(
+  db: D1Database,
+  slug: string,
+  author: 'admin' | 'bot' | 'migration',
+  userId: number | null = null
+): Promise<number> {
+  const current = await getScholarship(db, slug);
+  if (!current) throw new Error(`scholarship not found: ${slug}`);
+  const ts = Date.now();
+  await db.batch([
+    snapshotStatement(db, current, author, userId, ts),
+    db.prepare('UPDATE scholarships SET deleted_at = ?1, updated_at = ?1 WHERE slug = ?2').bind(ts, slug),
+    removeFromIndexStatement(db, 'scholarship', slug),
+  ]);
+  return ts;
+}
+
+/** Undo deleteScholarship(): clear deleted_at and put it back in search. */
+export async function restoreScholarship(db: D1Database, slug: string): Promise<ScholarshipRow> {
+  const row = await db
+    .prepare(
+      'SELECT slug, name, description, eligibility, amount, renewable, deadline, requirements, updated_at, created_at FROM scholarships WHERE slug = ?1 AND deleted_at IS NOT NULL'
+    )
+    .bind(slug)
+    .first<ScholarshipDbRow>();
+  if (!row) throw new Error(`deleted scholarship not found: ${slug}`);
+  const scholarship = toScholarshipRow(row);
+  await db.batch([
+    db.prepare('UPDATE scholarships SET deleted_at = NULL WHERE slug = ?1').bind(slug),
+    ...indexStatements(db, scholarshipSearchDoc(scholarship)),
+  ]);
+  return scholarship;
+}
+
+// ---------------------------------------------------------------------------
+// Versions
+// ---------------------------------------------------------------------------
+
+interface ScholarshipVersionDbRow {
+  id: number;
+  slug: string;
+  name: string | null;
+  description: string | null;
+  eligibility: string | null;
+  amount: string | null;
+  renewable: string | null;
+  deadline: string | null;
+  requirements: string | null;
+  author: string | null;
+  user_id: number | null;
+  user_name: string | null;
+  created_at: number;
+}
+
+function toVersionRow(r: ScholarshipVersionDbRow): ScholarshipVersionRow {
+  return {
+    id: r.id,
+    slug: r.slug,
+    name: r.name,
+    description: r.description,
+    eligibility: parseJson<string[]>(r.eligibility, []),
+    amount: r.amount,
+    renewable: parseJson<Renewable>(r.renewable, NOT_RENEWABLE),
+    deadline: r.deadline,
+    requirements: parseJson<string[]>(r.requirements, []),
+    author: r.author,
+    userId: r.user_id,
+    userName: r.user_name,
+    createdAt: r.created_at,
+  };
+}
+
+export async function listScholarshipVersions(
+  db: D1Database,
+  slug: string,
+  limit = 50
+): Promise<ScholarshipVersionRow[]> {
+  const { results } = await db
+    .prepare(
+      'SELECT v.id, v.slug, v.name, v.description, v.eligibility, v.amount, v.renewable, v.deadline, v.requirements, v.author, v.user_id, COALESCE(u.name, u.email) AS user_name, v.created_at FROM scholarship_versions v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ?1 ORDER BY v.created_at DESC LIMIT ?2'
+    )
+    .bind(slug, limit)
+    .all<ScholarshipVersionDbRow>();
+  return (results ?? []).map(toVersionRow);
+}
+
+export async function revertScholarshipToVersion(
+  db: D1Database,
+  slug: string,
+  versionId: number,
+  userId: number | null = null
+): Promise<number> {
+  const row = await db
+    .prepare(
+      'SELECT id, slug, name, description, eligibility, amount, renewable, deadline, requirements, author, user_id, NULL AS user_name, created_at FROM scholarship_versions WHERE id = ?1 AND slug = ?2'
+    )
+    .bind(versionId, slug)
+    .first<ScholarshipVersionDbRow>();
+  if (!row) throw new Error(`version ${versionId} not found for scholarship ${slug}`);
+
+  const v = toVersionRow(row);
+  return updateScholarship(
+    db,
+    slug,
+    {
+      name: v.name ?? undefined,
+      description: v.description,
+      eligibility: v.eligibility,
+      amount: v.amount,
+      renewable: v.renewable,
+      deadline: v.deadline,
+      requirements: v.requirements,
+    },
+    'admin',
+    userId
+  );
+}
@@ -0,0 +1,350 @@
+// Full-text search over pages, news, scholarships, grants, people, events
+// and funds (D1 FTS5).
+//
+// The `search_index` virtual table (migrations/0002_search_index.sql) holds
+// one plain-text document per content row. Writers build a SearchDoc with
+// the `*SearchDoc` helpers below and append `indexStatements()` to the same
+// D1 batch as the row write, so the index can't drift from the content.
+//
+// Nothing here imports `cloudflare:workers` — scripts/migrate-to-d1.mjs
+// reuses the text extraction under plain Node (via tsx).
+
+import type { D1Database, D1PreparedStatement } from '@cloudflare/workers-types';
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type SearchKind = 'page' | 'news' | 'scholarship' | 'grant' | 'person' | 'event' | 'fund';
+
+export const SEARCH_KINDS: SearchKind[] = ['page', 'news', 'scholarship', 'grant', 'person', 'event', 'fund'];
+
+export interface SearchDoc {
+  kind: SearchKind;
+  ref: string;
+  url: string;
+  title: string;
+  body: string;
+}
+
+export interface SearchHit {
+  kind: SearchKind;
+  ref: string;
+  url: string;
+  /** Title with matched terms wrapped in <mark>. HTML-escaped otherwise. */
+  titleHtml: string;
+  /** Body excerpt around the best match, same escaping as titleHtml. */
+  snippetHtml: string;
+}
+
+export interface SearchResults {
+  query: string;
+  kind: SearchKind | null;
+  total: number;
+  facets: Record<SearchKind, number>;
+  results: SearchHit[];
+}
+
+// ---------------------------------------------------------------------------
+// Text extraction
+// ---------------------------------------------------------------------------
+
+// Section keys whose values are never reader-facing copy (URLs, enum
+// options, inline SVG markup).
+const NON_TEXT_KEYS = new Set([
+  'kind',
+  'id',
+  'src',
+  'href',
+  'imageSrc',
+  'icon',
+  'variant',
+  'bg',
+  'overlayColor',
+  'minHeight',
+  'alignment',
+  'fadeColor',
+  'tone',
+  'sidebarPosition',
+  'cardKind',
+  'group',
+]);
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+};
+
+/** Strip tags and decode common entities. Collapses whitespace. */
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style|svg)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&([a-z]+);/gi, (m, name) => NAMED_ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Flatten every reader-facing string in a sections array (including nested
+ * sidebar-layout `main` sections and legacy parser output) into one blob.
+ */
+export function sectionsToText(sections: unknown): string {
+  const out: string[] = [];
+  const walk = (value: unknown, key?: string): void => {
+    if (key !== undefined && NON_TEXT_KEYS.has(key)) return;
+    if (typeof value === 'string') {
+      const text = htmlToText(value);
+      if (text) out.push(text);
+    } else if (Array.isArray(value)) {
+      for (const v of value) walk(v);
+    } else if (value && typeof value === 'object') {
+      for (const [k, v] of Object.entries(value)) walk(v, k);
+    }
+  };
+  walk(sections);
+  return out.join(' ');
+}
+
+// ---------------------------------------------------------------------------
+// Document builders — one per content type
+// ---------------------------------------------------------------------------
+
+export function pageSearchDoc(page: {
+  slug: string;
+  path: string;
+  title: string;
+  subtitle?: string | null;
+  sections: unknown;
+}): SearchDoc {
+  return {
+    kind: 'page',
+    ref: page.slug,
+    url: page.path,
+    title: page.title,
+    body: [page.subtitle ?? '', sectionsToText(page.sections)].filter(Boolean).join(' '),
+  };
+}
+
+export function newsSearchDoc(article: {
+  slug: string;
+  title: string;
+  body: string;
+  excerpt?: string | null;
+}): SearchDoc {
+  return {
+    kind: 'news',
+    ref: article.slug,
+    url: `/news/${article.slug}`,
+    title: article.title,
+    body: [htmlToText(article.excerpt ?? ''), htmlToText(article.body)].filter(Boolean).join(' '),
+  };
+}
+
+export function scholarshipSearchDoc(s: {
+  slug: string;
+  name: string;
+  description?: string | null;
+  eligibility?: string[] | null;
+}): SearchDoc {
+  return {
+    kind: 'scholarship',
+    ref: s.slug,
+    url: `/scholarships/${s.slug}`,
+    title: s.name,
+    body: [htmlToText(s.description ?? ''), ...(s.eligibility ?? []).map(htmlToText)].filter(Boolean).join(' '),
+  };
+}
+
+export function grantSearchDoc(g: {
+  slug: string;
+  recipient: string;
+  program: string;
+  year: number;
+  focusArea?: string | null;
+  county?: string | null;
+  description?: string | null;
+}): SearchDoc {
+  return {
+    kind: 'grant',
+    ref: g.slug,
+    url: `/grants/${g.slug}`,
+    title: g.recipient,
+    body: [`${g.year} ${g.program}`, g.focusArea ?? '', g.county ?? '', htmlToText(g.description ?? '')]
+      .filter(Boolean)
+      .join(' '),
+  };
+}
+
+export function personSearchDoc(p: {
+  slug: string;
+  name: string;
+  title?: string | null;
+  group: string;
+  bio?: string | null;
+}): SearchDoc {
+  return {
+    kind: 'person',
+    ref: p.slug,
+    url: `/people/${p.slug}`,
+    title: p.name,
+    body: [p.title ?? '', p.group, htmlToText(p.bio ?? '')].filter(Boolean).join(' '),
+  };
+}
+
+export function eventSearchDoc(e: {
+  slug: string;
+  title: string;
+  venue?: string | null;
+  category?: string | null;
+  summary?: string | null;
+  description?: string | null;
+}): SearchDoc {
+  return {
+    kind: 'event',
+    ref: e.slug,
+    url: `/events/${e.slug}`,
+    title: e.title,
+    body: [e.summary ?? '', e.venue ?? '', e.category ?? '', htmlToText(e.description ?? '')].filter(Boolean).join(' '),
+  };
+}
+
+export function fundSearchDoc(f: {
+  slug: string;
+  name: string;
+  type: string;
+  focusArea?: string | null;
+  description?: string | null;
+}): SearchDoc {
+  return {
+    kind: 'fund',
+    ref: f.slug,
+    url: `/funds/${f.slug}`,
+    title: f.name,
+    body: [f.type, f.focusArea ?? '', htmlToText(f.description ?? '')].filter(Boolean).join(' '),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Index writes. Return prepared statements so callers can batch them with
+// the content write they belong to.
+// ---------------------------------------------------------------------------
+
+export function removeFromIndexStatement(db: D1Database, kind: SearchKind, ref: string): D1PreparedStatement {
+  return db.prepare('DELETE FROM search_index WHERE kind = ?1 AND ref = ?2').bind(kind, ref);
+}
+
+export function indexStatements(db: D1Database, doc: SearchDoc): D1PreparedStatement[] {
+  return [
+    removeFromIndexStatement(db, doc.kind, doc.ref),
+    db
+      .prepare('INSERT INTO search_index (kind, ref, url, title, body) VALUES (?1, ?2, ?3, ?4, ?5)')
+      .bind(doc.kind, doc.ref, doc.url, doc.title, doc.body),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * Turn free text into a safe FTS5 MATCH expression. Every word becomes a
+ * quoted prefix term ("schol"* matches "scholarship") and terms are ANDed.
+ * FTS5 operators typed by the visitor are treated as plain words. Returns
+ * null when the input has nothing searchable.
+ */
+export function toMatchQuery(input: string): string | null {
+  const terms = input.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+  if (terms.length === 0) return null;
+  return terms
+    .slice(0, 12)
+    .map((t) => `"${t}"*`)
+    .join(' ');
+}
+
+// Control characters used as highlight markers inside SQLite, swapped for
+// <mark> after HTML-escaping so indexed text can never inject markup.
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+function escapeHtml(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function markup(s: string | null): string {
+  return escapeHtml(s ?? '')
+    .split(MARK_OPEN).join('<mark>')
+    .split(MARK_CLOSE).join('</mark>');
+}
+
+function emptyFacets(): Record<SearchKind, number> {
+  return { page: 0, news: 0, scholarship: 0, grant: 0, person: 0, event: 0, fund: 0 };
+}
+
+export async function searchContent(
+  db: D1Database,
+  query: string,
+  opts: { kind?: SearchKind; limit?: number; offset?: number } = {}
+): Promise<SearchResults> {
+  const match = toMatchQuery(query);
+  const kind = opts.kind ?? null;
+  if (!match) return { query, kind, total: 0, facets: emptyFacets(), results: [] };
+
+  const limit = opts.limit ?? 20;
+  const offset = opts.offset ?? 0;
+
+  // bm25 takes one weight per column (kind, ref, url, title, body); title
+  // matches outrank body matches.
+  const resultsSql =
+    'SELECT kind, ref, url, ' +
+    'highlight(search_index, 3, char(2), char(3)) AS title_hl, ' +
+    "snippet(search_index, 4, char(2), char(3), '…', 24) AS snippet " +
+    'FROM search_index WHERE search_index MATCH ?1' +
+    (kind ? ' AND kind = ?4' : '') +
+    ' ORDER BY bm25(search_index, 0, 0, 0, 10.0, 1.0) LIMIT ?2 OFFSET ?3';
+  const resultsStmt = kind
+    ? db.prepare(resultsSql).bind(match, limit, offset, kind)
+    : db.prepare(resultsSql).bind(match, limit, offset);
+
+  const [facetRes, hitRes] = await db.batch<Record<string, unknown>>([
+    db
+      .prepare('SELECT kind, count(*) AS n FROM search_index WHERE search_index MATCH ?1 GROUP BY kind')
+      .bind(match),
+    resultsStmt,
+  ]);
+
+  const facets = emptyFacets();
+  for (const r of (facetRes.results ?? []) as Array<{ kind: SearchKind; n: number }>) {
+    if (r.kind in facets) facets[r.kind] = r.n;
+  }
+  const total = kind ? facets[kind] : SEARCH_KINDS.reduce((sum, k) => sum + facets[k], 0);
+
+  const results = ((hitRes.results ?? []) as Array<{
+    kind: SearchKind;
+    ref: string;
+    url: string;
+    title_hl: string | null;
+    snippet: string | null;
+  }>).map((r) => ({
+    kind: r.kind,
+    ref: r.ref,
+    url: r.url,
+    titleHtml: markup(r.title_hl),
+    snippetHtml: markup(r.snippet),
+  }));
+
+  return { query, kind, total, facets, results };
+}
@@ -240,6 +240,14 @@ const testimonialsSchema = z.object({
 });
 
 // `pricing-tiers`: comparison / sponsorship ladder cards.
+// A tier with `order` is sold on the site: its CTA opens the order form
+// instead of following `cta.href`, and checkout charges `order.amount`
+// (whole dollars, per ticket or sponsorship) — see src/lib/gala-orders.ts.
+const pricingOrderSchema = z.object({
+  amount: z.number().int().positive(),
+  maxQuantity: z.number().int().min(1).max(20).default(1),
+});
+
 const pricingTiersSchema = z.object({
   kind: z.literal('pricing-tiers'),
   eyebrow: z.string().optional(),
@@ -256,6 +264,7 @@ const pricingTiersSchema = z.object({
         featured: z.boolean().default(false),
         featuredLabel: z.string().optional(), // e.g. "Most Popular"
         cta: ctaSchema.optional(),
+        order: pricingOrderSchema.optional(),
       })
     )
     .min(1),
@@ -385,6 +394,52 @@ const imageFadeSchema = z.object({
   cta: ctaSchema.optional(),
 });
 
+// `people-grid`: staff / board cards for one group of the people table
+// (src/lib/people.ts). Holds no people itself; the cards come from
+// src/data/people.json at build time, so edits in /cpadmin/people show up
+// on every page with a grid for that group.
+const peopleGridSchema = z.object({
+  kind: z.literal('people-grid'),
+  eyebrow: z.string().optional(),
+  title: z.string().optional(),
+  group: z.string().min(1),
+  columns: z.union([z.literal(2), z.literal(3), z.literal(4)]).default(4),
+  bg: bgTone.default('white'),
+  showContact: z.boolean().default(true),
+});
+
+// `upcoming-events`: cards for the next few events in the events table
+// (src/lib/events.ts), optionally one category ('Fundraiser', 'Deadline').
+// Like people-grid it holds no events itself; they come from
+// src/data/events.json at build time, and past ones drop off on their own.
+const upcomingEventsSchema = z.object({
+  kind: z.literal('upcoming-events'),
+  eyebrow: z.string().optional(),
+  title: z.string().optional(),
+  category: z.string().optional(),
+  limit: z.number().int().min(1).max(12).default(3),
+  bg: bgTone.default('white'),
+  showCalendarLink: z.boolean().default(true),
+});
+
+// `fund-spotlight`: cards for named funds (src/lib/funds.ts), each with a
+// Give button to the fund's /funds/<slug>/give link. `funds` picks them by
+// slug, in order; without it the section shows up to `limit` funds of one
+// `type` and/or `focusArea`. Holds no fund details itself; they come from
+// src/data/funds.json at build time.
+const fundSpotlightSchema = z.object({
+  kind: z.literal('fund-spotlight'),
+  eyebrow: z.string().optional(),
+  title: z.string().optional(),
+  body: z.string().optional(),
+  funds: z.array(z.string().min(1)).max(12).optional(),
+  type: z.string().optional(),
+  focusArea: z.string().optional(),
+  limit: z.number().int().min(1).max(12).default(3),
+  bg: bgTone.default('light'),
+  showDirectoryLink: z.boolean().default(true),
+});
+
 // `sidebar-layout`: container that hosts a sticky sidebar + main content flow.
 // Sidebar is itself an array of "sidebar cards" (nav, contact, quick facts).
 // Main content is an array of nested sections (limited subset to avoid nested
@@ -456,6 +511,9 @@ const sectionSchemaBeforeSidebar = z.discriminatedUnion('kind', [
   imageQuoteSchema,
   floatingCardsSchema,
   imageFadeSchema,
+  peopleGridSchema,
+  upcomingEventsSchema,
+  fundSpotlightSchema,
 ]);
 
 export const sectionSchema = z.discriminatedUnion('kind', [
@@ -495,6 +553,9 @@ export const SECTION_KINDS: SectionKind[] = [
   'image-quote',
   'floating-cards',
   'image-fade',
+  'people-grid',
+  'upcoming-events',
+  'fund-spotlight',
   'sidebar-layout',
 ];
 
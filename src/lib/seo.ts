@@ -0,0 +1,80 @@
+// Per-page SEO and social metadata: the JSON in `pages.meta`.
+//
+// updatePage() runs every write through parsePageMeta(), so the column holds
+// this shape or null. Layout.astro renders it as the meta description,
+// canonical link, robots noindex, and Open Graph / Twitter card tags. The
+// editor's SEO panel warns at the lengths search results and social cards
+// actually show; the maximums here are hard limits well past those.
+
+import { z } from 'zod';
+
+export const TWITTER_CARDS = ['summary', 'summary_large_image'] as const;
+export type TwitterCard = (typeof TWITTER_CARDS)[number];
+
+/** Optional text: blank or null means "not set". */
+const optionalText = (max: number) =>
+  z
+    .string()
+    .trim()
+    .max(max)
+    .nullish()
+    .transform((v) => v || undefined);
+
+export const pageMetaSchema = z
+  .object({
+    /** Search-result snippet and social-card text. Falls back to the site description. */
+    description: optionalText(320),
+    /** Another URL that holds the preferred copy of this page. Falls back to the page's own URL. */
+    canonical: optionalText(2000).refine(
+      (v) => v === undefined || /^(\/(?!\/)|https?:\/\/)\S*$/.test(v),
+      'must start with / or https://'
+    ),
+    /** Ask search engines not to index the page. */
+    noindex: z
+      .boolean()
+      .nullish()
+      .transform((v) => v || undefined),
+    /** Social-card image, picked from the media library. */
+    ogImage: z
+      .object({
+        src: z
+          .string()
+          .trim()
+          .refine((s) => /^\/(media|img)\//.test(s), 'must be an image from the media library'),
+        alt: z.string().trim().max(420).default(''),
+      })
+      .nullish()
+      .transform((v) => v ?? undefined),
+    /** Defaults to a large-image card when there is an image. */
+    twitterCard: z
+      .enum(TWITTER_CARDS)
+      .nullish()
+      .transform((v) => v ?? undefined),
+  })
+  .strict();
+
+export type PageMeta = z.output<typeof pageMetaSchema>;
+
+/**
+ * Validate meta from the editor or chatbot, dropping unset fields. Returns
+ * null when nothing is set. Throws `invalid meta: <field>: <problem>; …`.
+ */
+export function parsePageMeta(raw: unknown): PageMeta | null {
+  if (raw === null || raw === undefined) return null;
+  const result = pageMetaSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => (i.path.length ? `${i.path.join('.')}: ${i.message}` : i.message));
+    throw new Error(`invalid meta: ${issues.join('; ')}`);
+  }
+  const meta = Object.fromEntries(Object.entries(result.data).filter(([, v]) => v !== undefined)) as PageMeta;
+  return Object.keys(meta).length > 0 ? meta : null;
+}
+
+/** parsePageMeta() for build data: meta that no longer validates is ignored rather than failing the build. */
+export function readPageMeta(raw: unknown): PageMeta | null {
+  try {
+    return parsePageMeta(raw);
+  } catch {
+    return null;
+  }
+}
@@ -66,6 +66,8 @@ const pillarTemplate: TemplateDef = {
     'icon-cards',
     'story-spotlight',
     'bordered-cards',
+    'people-grid',
+    'fund-spotlight',
     'cta-band',
   ],
   defaultSections: [
@@ -156,6 +158,7 @@ const landingTemplate: TemplateDef = {
     'story-spotlight',
     'details-grid',
     'faq-accordion',
+    'upcoming-events',
     'cta-band',
   ],
   defaultSections: [
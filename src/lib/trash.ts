@@ -0,0 +1,117 @@
+// Trash: soft-deleted pages, news articles, scholarships, grants, people,
+// events and funds (/api/trash and /cpadmin/trash).
+//
+// Deleting any of them only sets `deleted_at` (deletePage, deleteNews,
+// deleteScholarship, deleteGrant, deletePerson, deleteEvent, deleteFund), and
+// each of those snapshots the row into its versions table at the same
+// timestamp, so "deleted by" is the user on that version.
+// Restoring goes through each module's restore function. purgeTrash() is the
+// only hard delete in the admin: rows that have sat in the trash longer than
+// TRASH_RETENTION_DAYS go, with their version history and, for pages, the
+// published copy.
+
+import type { D1Database } from '@cloudflare/workers-types';
+
+export type TrashType = 'page' | 'news' | 'scholarship' | 'grant' | 'person' | 'event' | 'fund';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface TrashItem {
+  type: TrashType;
+  slug: string;
+  title: string;
+  /** Where it lived on the public site. */
+  path: string;
+  deletedAt: number;
+  deletedBy: string | null;
+  /** From when purgeTrash() will remove it. */
+  purgeableAt: number;
+}
+
+export interface PurgeResult {
+  pages: number;
+  news: number;
+  scholarships: number;
+  grants: number;
+  people: number;
+  events: number;
+  funds: number;
+}
+
+// Name of whoever wrote the version snapshot taken at deletion.
+function deletedBy(versions: string, alias: string): string {
+  return `(SELECT COALESCE(u.name, u.email) FROM ${versions} v LEFT JOIN users u ON u.id = v.user_id WHERE v.slug = ${alias}.slug AND v.created_at = ${alias}.deleted_at ORDER BY v.id DESC LIMIT 1)`;
+}
+
+// One SELECT per kind: D1 allows at most five terms in a compound SELECT,
+// so they run as a batch and are merged here rather than UNIONed.
+const TRASH_QUERIES = [
+  `SELECT 'page' AS type, p.slug, p.title, p.path, p.deleted_at, ${deletedBy('page_versions', 'p')} AS deleted_by
+     FROM pages p WHERE p.deleted_at IS NOT NULL`,
+  `SELECT 'news' AS type, n.slug, n.title, '/news/' || n.slug AS path, n.deleted_at, ${deletedBy('news_versions', 'n')} AS deleted_by
+     FROM news n WHERE n.deleted_at IS NOT NULL`,
+  `SELECT 'scholarship' AS type, s.slug, s.name AS title, '/scholarships/' || s.slug AS path, s.deleted_at, ${deletedBy('scholarship_versions', 's')} AS deleted_by
+     FROM scholarships s WHERE s.deleted_at IS NOT NULL`,
+  `SELECT 'grant' AS type, g.slug, g.recipient || ' (' || g.year || ')' AS title, '/grants/' || g.slug AS path, g.deleted_at, ${deletedBy('grant_versions', 'g')} AS deleted_by
+     FROM grants g WHERE g.deleted_at IS NOT NULL`,
+  `SELECT 'person' AS type, pe.slug, pe.name AS title, '/people/' || pe.slug AS path, pe.deleted_at, ${deletedBy('person_versions', 'pe')} AS deleted_by
+     FROM people pe WHERE pe.deleted_at IS NOT NULL`,
+  `SELECT 'event' AS type, e.slug, e.title, '/events/' || e.slug AS path, e.deleted_at, ${deletedBy('event_versions', 'e')} AS deleted_by
+     FROM events e WHERE e.deleted_at IS NOT NULL`,
+  `SELECT 'fund' AS type, f.slug, f.name AS title, '/funds/' || f.slug AS path, f.deleted_at, ${deletedBy('fund_versions', 'f')} AS deleted_by
+     FROM funds f WHERE f.deleted_at IS NOT NULL`,
+];
+
+type TrashRow = { type: TrashType; slug: string; title: string; path: string; deleted_at: number; deleted_by: string | null };
+
+export async function listTrash(db: D1Database): Promise<TrashItem[]> {
+  const batches = await db.batch<TrashRow>(TRASH_QUERIES.map((sql) => db.prepare(sql)));
+  const results = batches.flatMap((b) => b.results ?? []).sort((a, b) => b.deleted_at - a.deleted_at);
+  return results.map((r) => ({
+    type: r.type,
+    slug: r.slug ?? '',
+    title: r.title,
+    path: r.path,
+    deletedAt: r.deleted_at,
+    deletedBy: r.deleted_by,
+    purgeableAt: r.deleted_at + TRASH_RETENTION_DAYS * DAY_MS,
+  }));
+}
+
+/**
+ * Permanently delete everything that has been in the trash for longer than
+ * TRASH_RETENTION_DAYS, in one batch. Search rows went when each item was
+ * deleted; redirects to a purged page are left for whoever manages them.
+ */
+export async function purgeTrash(db: D1Database, now = Date.now()): Promise<PurgeResult> {
+  const cutoff = now - TRASH_RETENTION_DAYS * DAY_MS;
+  const expired = (table: string) => `SELECT slug FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?1`;
+  const results = await db.batch([
+    db.prepare(`DELETE FROM page_versions WHERE slug IN (${expired('pages')})`).bind(cutoff),
+    db.prepare(`DELETE FROM page_published WHERE slug IN (${expired('pages')})`).bind(cutoff),
+    db.prepare('DELETE FROM pages WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM news_versions WHERE slug IN (${expired('news')})`).bind(cutoff),
+    db.prepare('DELETE FROM news WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM scholarship_versions WHERE slug IN (${expired('scholarships')})`).bind(cutoff),
+    db.prepare('DELETE FROM scholarships WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM grant_versions WHERE slug IN (${expired('grants')})`).bind(cutoff),
+    db.prepare('DELETE FROM grants WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM person_versions WHERE slug IN (${expired('people')})`).bind(cutoff),
+    db.prepare('DELETE FROM people WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM event_versions WHERE slug IN (${expired('events')})`).bind(cutoff),
+    db.prepare('DELETE FROM events WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+    db.prepare(`DELETE FROM fund_versions WHERE slug IN (${expired('funds')})`).bind(cutoff),
+    db.prepare('DELETE FROM funds WHERE deleted_at IS NOT NULL AND deleted_at < ?1').bind(cutoff),
+  ]);
+  return {
+    pages: results[2].meta.changes ?? 0,
+    news: results[4].meta.changes ?? 0,
+    scholarships: results[6].meta.changes ?? 0,
+    grants: results[8].meta.changes ?? 0,
+    people: results[10].meta.changes ?? 0,
+    events: results[12].meta.changes ?? 0,
+    funds: results[14].meta.changes ?? 0,
+  };
+}
@@ -0,0 +1,300 @@
+// D1 helpers for admin user accounts (/api/users, /api/login, middleware).
+//
+// Owners invite users by email; the invite is a one-time link that lets the
+// invitee set their own password. Resetting a password reuses that flow.
+// Disabling a user or resetting their password bumps session_version, which
+// invalidates every session token they hold.
+
+import type { D1Database } from '@cloudflare/workers-types';
+
+import { createInviteToken, hashInviteToken, hashPassword, verifyPassword } from './auth';
+import { isRole, type Role } from './roles';
+
+export const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const MIN_PASSWORD_LENGTH = 10;
+
+// ---------------------------------------------------------------------------
+// Types
+// ---------------------------------------------------------------------------
+
+export type UserStatus = 'active' | 'invited' | 'disabled';
+
+export interface UserRow {
+  id: number;
+  email: string;
+  name: string | null;
+  role: Role;
+  status: UserStatus;
+  inviteExpiresAt: number | null;
+  lastLoginAt: number | null;
+  updatedAt: number;
+  createdAt: number;
+}
+
+/** What the middleware puts on `locals.session.user`. */
+export interface SessionUser {
+  id: number;
+  email: string;
+  name: string | null;
+  role: Role;
+}
+
+export interface UserUpdate {
+  name?: string | null;
+  role?: Role;
+  disabled?: boolean;
+}
+
+interface UserDbRow {
+  id: number;
+  email: string;
+  name: string | null;
+  role: string;
+  password_hash: string | null;
+  password_salt: string | null;
+  invite_expires_at: number | null;
+  session_version: number;
+  disabled_at: number | null;
+  last_login_at: number | null;
+  updated_at: number;
+  created_at: number;
+}
+
+const USER_COLUMNS =
+  'id, email, name, role, password_hash, password_salt, invite_expires_at, session_version, disabled_at, last_login_at, updated_at, created_at';
+
+function statusOf(r: UserDbRow): UserStatus {
+  if (r.disabled_at !== null) return 'disabled';
+  return r.password_hash ? 'active' : 'invited';
+}
+
+function toUserRow(r: UserDbRow): UserRow {
+  return {
+    id: r.id,
+    email: r.email,
+    name: r.name,
+    // An unknown role in the table (hand-edited row) gets the least access.
+    role: isRole(r.role) ? r.role : 'viewer',
+    status: statusOf(r),
+    inviteExpiresAt: r.password_hash ? null : r.invite_expires_at,
+    lastLoginAt: r.last_login_at,
+    updatedAt: r.updated_at,
+    createdAt: r.created_at,
+  };
+}
+
+function toSessionUser(r: UserDbRow): SessionUser {
+  return { id: r.id, email: r.email, name: r.name, role: isRole(r.role) ? r.role : 'viewer' };
+}
+
+export function normalizeEmail(raw: string): string {
+  return raw.trim().toLowerCase();
+}
+
+export function isValidEmail(email: string): boolean {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/** The link an invited (or reset) user opens to choose their password. */
+export function inviteUrl(origin: string, token: string): string {
+  return `${origin}/cpadmin/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+function checkPassword(password: string): void {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reads
+// ---------------------------------------------------------------------------
+
+export async function listUsers(db: D1Database): Promise<UserRow[]> {
+  const { results } = await db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY email`).all<UserDbRow>();
+  return (results ?? []).map(toUserRow);
+}
+
+export async function getUser(db: D1Database, id: number): Promise<UserRow | null> {
+  const row = await db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?1`).bind(id).first<UserDbRow>();
+  return row ? toUserRow(row) : null;
+}
+
+/**
+ * Resolve a session token's user. Returns null if the user no longer exists,
+ * is disabled, or has had their sessions revoked since the token was issued.
+ */
+export async function getSessionUser(
+  db: D1Database,
+  id: number,
+  sessionVersion: number
+): Promise<SessionUser | null> {
+  const row = await db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?1`).bind(id).first<UserDbRow>();
+  if (!row || row.disabled_at !== null || !row.password_hash) return null;
+  if (row.session_version !== sessionVersion) return null;
+  return toSessionUser(row);
+}
+
+// ---------------------------------------------------------------------------
+// Sign-in
+// ---------------------------------------------------------------------------
+
+// Verified against when the email is unknown, so a miss costs the same
+// PBKDF2 work as a wrong password and doesn't reveal which emails exist.
+const DUMMY_SALT = 'AAAAAAAAAAAAAAAAAAAAAA==';
+
+/**
+ * Check an email + password. On success records the sign-in and returns
+ * what createSessionToken() needs.
+ */
+export async function authenticate(
+  db: D1Database,
+  email: string,
+  password: string
+): Promise<(SessionUser & { sessionVersion: number }) | null> {
+  const row = await db
+    .prepare(`SELECT ${USER_COLUMNS} FROM users WHERE email = ?1`)
+    .bind(normalizeEmail(email))
+    .first<UserDbRow>();
+  if (!row || !row.password_hash || !row.password_salt || row.disabled_at !== null) {
+    await hashPassword(password, DUMMY_SALT);
+    return null;
+  }
+  if (!(await verifyPassword(password, row.password_hash, row.password_salt))) return null;
+
+  await db.prepare('UPDATE users SET last_login_at = ?1 WHERE id = ?2').bind(Date.now(), row.id).run();
+  return { ...toSessionUser(row), sessionVersion: row.session_version };
+}
+
+/**
+ * Set a password from an invite or reset link. The token is single-use.
+ * Returns what createSessionToken() needs so the caller can sign the user in.
+ */
+export async function acceptInvite(
+  db: D1Database,
+  token: string,
+  password: string
+): Promise<SessionUser & { sessionVersion: number }> {
+  checkPassword(password);
+  const tokenHash = await hashInviteToken(token);
+  const row = await db
+    .prepare(`SELECT ${USER_COLUMNS} FROM users WHERE invite_token_hash = ?1`)
+    .bind(tokenHash)
+    .first<UserDbRow>();
+  if (!row || row.disabled_at !== null || !row.invite_expires_at || row.invite_expires_at < Date.now()) {
+    throw new Error('invite link is invalid or has expired; ask an owner for a new one');
+  }
+
+  const { hash, salt } = await hashPassword(password);
+  const ts = Date.now();
+  // Matching the token again makes the link single-use even when two
+  // requests race past the lookup: only the first one clears it.
+  const { meta } = await db
+    .prepare(
+      'UPDATE users SET password_hash = ?1, password_salt = ?2, invite_token_hash = NULL, invite_expires_at = NULL, last_login_at = ?3, updated_at = ?3 WHERE id = ?4 AND invite_token_hash = ?5'
+    )
+    .bind(hash, salt, ts, row.id, tokenHash)
+    .run();
+  if (meta.changes === 0) {
+    throw new Error('invite link has already been used or is invalid; ask an owner for a new one');
+  }
+  return { ...toSessionUser(row), sessionVersion: row.session_version };
+}
+
+// ---------------------------------------------------------------------------
+// Owner actions
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an invited user. Returns the new user and the raw invite token;
+ * only its hash is stored, so this is the one chance to build the link.
+ */
+export async function inviteUser(
+  db: D1Database,
+  input: { email: string; name?: string | null; role: Role }
+): Promise<{ user: UserRow; token: string }> {
+  const email = normalizeEmail(input.email);
+  if (!isValidEmail(email)) throw new Error('invalid email address');
+  if (!isRole(input.role)) throw new Error(`invalid role: ${String(input.role)}`);
+  const existing = await db.prepare('SELECT id FROM users WHERE email = ?1').bind(email).first();
+  if (existing) throw new Error(`user already exists: ${email}`);
+
+  const token = createInviteToken();
+  const ts = Date.now();
+  const row = await db
+    .prepare(
+      `INSERT INTO users (email, name, role, invite_token_hash, invite_expires_at, updated_at, created_at) VALUES (?1, ?2, ?3, ?4, ?5, ?6, ?6) RETURNING ${USER_COLUMNS}`
+    )
+    .bind(email, input.name?.trim() || null, input.role, await hashInviteToken(token), ts + INVITE_TTL_MS, ts)
+    .first<UserDbRow>();
+  if (!row) throw new Error('failed to create user');
+  return { user: toUserRow(row), token };
+}
+
+/**
+ * Clear a user's password, sign them out everywhere and issue a fresh
+ * invite token. Also used to re-send an expired invite.
+ */
+export async function resetUser(db: D1Database, id: number): Promise<{ user: UserRow; token: string }> {
+  const current = await getUser(db, id);
+  if (!current) throw new Error(`user not found: ${id}`);
+  if (current.status === 'disabled') throw new Error('enable the user before resetting their password');
+
+  const token = createInviteToken();
+  const ts = Date.now();
+  const row = await db
+    .prepare(
+      `UPDATE users SET password_hash = NULL, password_salt = NULL, invite_token_hash = ?1, invite_expires_at = ?2, session_version = session_version + 1, updated_at = ?3 WHERE id = ?4 RETURNING ${USER_COLUMNS}`
+    )
+    .bind(await hashInviteToken(token), ts + INVITE_TTL_MS, ts, id)
+    .first<UserDbRow>();
+  if (!row) throw new Error(`user not found: ${id}`);
+  return { user: toUserRow(row), token };
+}
+
+/**
+ * Change a user's name, role or disabled flag. Owners can't lock themselves
+ * out, and the last active owner can't be demoted or disabled.
+ */
+export async function updateUser(
+  db: D1Database,
+  id: number,
+  update: UserUpdate,
+  actingUserId: number
+): Promise<UserRow> {
+  const current = await getUser(db, id);
+  if (!current) throw new Error(`user not found: ${id}`);
+  if (update.role !== undefined && !isRole(update.role)) throw new Error(`invalid role: ${String(update.role)}`);
+
+  const nextRole = update.role ?? current.role;
+  const nextDisabled = update.disabled ?? current.status === 'disabled';
+  if (id === actingUserId && (nextRole !== current.role || nextDisabled)) {
+    throw new Error('you cannot change your own role or disable yourself');
+  }
+  if (current.role === 'owner' && current.status !== 'disabled' && (nextRole !== 'owner' || nextDisabled)) {
+    const others = await db
+      .prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'owner' AND disabled_at IS NULL AND id != ?1")
+      .bind(id)
+      .first<{ n: number }>();
+    if (!others || others.n === 0) throw new Error('cannot remove the last owner');
+  }
+
+  // Disabling keeps the original disabled_at and bumps session_version once,
+  // signing the user out; re-enabling just clears the flag.
+  const disabling = nextDisabled && current.status !== 'disabled';
+  const row = await db
+    .prepare(
+      `UPDATE users SET name = ?1, role = ?2, disabled_at = CASE WHEN ?3 THEN COALESCE(disabled_at, ?5) ELSE NULL END, session_version = session_version + ?4, updated_at = ?5 WHERE id = ?6 RETURNING ${USER_COLUMNS}`
+    )
+    .bind(
+      update.name !== undefined ? update.name?.trim() || null : current.name,
+      nextRole,
+      nextDisabled ? 1 : 0,
+      disabling ? 1 : 0,
+      Date.now(),
+      id
+    )
+    .first<UserDbRow>();
+  if (!row) throw new Error(`user not found: ${id}`);
+  return toUserRow(row);
+}
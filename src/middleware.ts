@@ -1,6 +1,9 @@
 import { defineMiddleware } from 'astro:middleware';
 import { env } from 'cloudflare:workers';
 import { readSessionCookie, verifySessionToken } from './lib/auth';
+import { getDB } from './lib/d1';
+import { hasRole, requiredRole } from './lib/roles';
+import { getSessionUser } from './lib/users';
 
 // /cpadmin/** is served as static HTML assets (see public/cpadmin/). They bypass
 // middleware entirely because Cloudflare's ASSETS binding serves them before
@@ -8,8 +11,20 @@ import { readSessionCookie, verifySessionToken } from './lib/auth';
 // middleware and gets 401 if unauthenticated — the JS then redirects to the
 // static login page.
 //
-// So middleware's job is narrow now: gate /api/* (except /api/login).
-const ALLOWLIST = new Set(['/api/login']);
+// So middleware's job is narrow now: gate /api/* (except sign-in, accepting
+// an invite, the public site search, gala checkout and the payment
+// provider's callbacks, and the build callback, which checks its own bearer
+// secret), then check the user's role against the route table in
+// src/lib/roles.ts.
+const ALLOWLIST = new Set([
+  '/api/login',
+  '/api/accept-invite',
+  '/api/search',
+  '/api/checkout',
+  '/api/payments/webhook',
+  '/api/payments/fake',
+  '/api/rebuild-callback',
+]);
 
 function isProtectedApi(pathname: string): boolean {
   if (ALLOWLIST.has(pathname)) return false;
@@ -31,13 +46,25 @@ export const onRequest = defineMiddleware(async (context, next) => {
   const token = readSessionCookie(context.request.headers.get('cookie'));
   const session = token ? await verifySessionToken(token, secret) : null;
 
-  if (!session) {
+  // Re-read the user every request: disabling them, resetting their password
+  // or changing their role takes effect without waiting for the cookie to expire.
+  const user = session ? await getSessionUser(getDB(context.locals), Number(session.sub), session.ver) : null;
+
+  if (!session || !user) {
     return new Response(JSON.stringify({ error: 'unauthorized' }), {
       status: 401,
       headers: { 'content-type': 'application/json' },
     });
   }
 
-  context.locals.session = { authed: true, issuedAt: session.iat };
+  const role = requiredRole(context.request.method, pathname);
+  if (!hasRole(user.role, role)) {
+    return new Response(JSON.stringify({ error: `forbidden: requires ${role} role` }), {
+      status: 403,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+
+  context.locals.session = { authed: true, issuedAt: session.iat, user };
   return next();
 });
@@ -0,0 +1,37 @@
+import type { APIRoute } from 'astro';
+import { env } from 'cloudflare:workers';
+import { buildSessionCookie, createSessionToken } from '../../lib/auth';
+import { getDB } from '../../lib/d1';
+import { acceptInvite } from '../../lib/users';
+
+export const prerender = false;
+
+// Public (allowlisted in middleware): the one-time token is the credential.
+// Sets the password from an invite or reset link and signs the user in.
+export const POST: APIRoute = async ({ locals, request }) => {
+  const cfg = env as { ADMIN_SESSION_SECRET?: string };
+  if (!cfg.ADMIN_SESSION_SECRET) return json({ error: 'admin not configured' }, 503);
+
+  const body = (await request.json().catch(() => null)) as { token?: unknown; password?: unknown } | null;
+  if (!body || typeof body.token !== 'string' || typeof body.password !== 'string') {
+    return json({ error: 'token and password required' }, 400);
+  }
+
+  try {
+    const user = await acceptInvite(getDB(locals), body.token, body.password);
+    const token = await createSessionToken(cfg.ADMIN_SESSION_SECRET, user);
+    return new Response(JSON.stringify({ ok: true }), {
+      status: 200,
+      headers: { 'content-type': 'application/json', 'set-cookie': buildSessionCookie(token) },
+    });
+  } catch (err) {
+    return json({ error: err instanceof Error ? err.message : 'could not set password' }, 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,49 @@
+import type { APIRoute } from 'astro';
+import { deleteAsset, findAssetUsage, getAsset, getBucket, updateAssetAlt } from '../../../lib/assets';
+import { getDB } from '../../../lib/d1';
+
+export const prerender = false;
+
+// GET → { asset, usedOn }: usedOn lists the pages / articles that show it.
+export const GET: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const asset = await getAsset(db, (params.id as string) ?? '');
+  if (!asset) return json({ error: 'not found' }, 404);
+  return json({ asset, usedOn: await findAssetUsage(db, asset) });
+};
+
+// PUT { alt } → { asset }
+export const PUT: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const body = (await request.json().catch(() => null)) as { alt?: unknown } | null;
+  if (!body || (body.alt !== null && typeof body.alt !== 'string')) {
+    return json({ error: 'alt must be a string or null' }, 400);
+  }
+  try {
+    const asset = await updateAssetAlt(db, (params.id as string) ?? '', body.alt);
+    return json({ asset });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'update failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+// DELETE → 409 while any page or article still uses the image.
+export const DELETE: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  try {
+    await deleteAsset(db, getBucket(), (params.id as string) ?? '');
+    return json({ ok: true });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'delete failed';
+    const status = message.includes('not found') ? 404 : message.includes('in use') ? 409 : 400;
+    return json({ error: message }, status);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
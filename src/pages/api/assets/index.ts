@@ -0,0 +1,45 @@
+import type { APIRoute } from 'astro';
+import { createAsset, getBucket, listAssets } from '../../../lib/assets';
+import { getDB } from '../../../lib/d1';
+
+export const prerender = false;
+
+// GET ?search=&limit=&offset= → { assets, total }, newest first.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const result = await listAssets(db, {
+    search: url.searchParams.get('search') ?? undefined,
+    limit: Number(url.searchParams.get('limit')) || undefined,
+    offset: Number(url.searchParams.get('offset')) || undefined,
+  });
+  return json(result);
+};
+
+// POST multipart/form-data { file, alt? } → 201 { asset }, or 200 if the
+// same image was already in the library.
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const form = await request.formData().catch(() => null);
+  const file = form?.get('file');
+  if (!file || typeof file === 'string') return json({ error: 'file required (multipart/form-data)' }, 400);
+  const alt = form?.get('alt');
+
+  try {
+    const { asset, created } = await createAsset(db, getBucket(), {
+      bytes: new Uint8Array(await file.arrayBuffer()),
+      filename: file.name,
+      alt: typeof alt === 'string' ? alt : null,
+    });
+    return json({ asset }, created ? 201 : 200);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'upload failed';
+    return json({ error: message }, message.includes('larger than') ? 413 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,52 @@
+import type { APIRoute } from 'astro';
+import { getDB, getPage } from '../../../lib/d1';
+import { auditAllPages, auditPage } from '../../../lib/a11y-audit';
+
+export const prerender = false;
+
+// GET             → { pages: [{ slug, path, title, issues }], totals }: every page's working copy, worst first
+// GET ?slug=<s>   → { issues } for one page (`__home__` for the homepage)
+// POST { path, template, sections, legacyBody } → { issues } for unsaved editor content
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const rawSlug = url.searchParams.get('slug');
+  if (rawSlug !== null) {
+    const page = await getPage(db, rawSlug === '__home__' ? '' : rawSlug);
+    if (!page) return json({ error: 'not found' }, 404);
+    return json({ issues: auditPage(page) });
+  }
+
+  const pages = await auditAllPages(db);
+  const issues = pages.flatMap((p) => p.issues);
+  return json({
+    pages,
+    totals: {
+      pages: pages.length,
+      errors: issues.filter((i) => i.severity === 'error').length,
+      warnings: issues.filter((i) => i.severity === 'warning').length,
+    },
+  });
+};
+
+export const POST: APIRoute = async ({ request }) => {
+  const body = (await request.json().catch(() => null)) as
+    | { path?: unknown; template?: unknown; sections?: unknown; legacyBody?: unknown }
+    | null;
+  if (!body || typeof body.template !== 'string' || !Array.isArray(body.sections)) {
+    return json({ error: 'template and sections are required' }, 400);
+  }
+  const issues = auditPage({
+    path: typeof body.path === 'string' ? body.path : '',
+    template: body.template,
+    sections: body.sections,
+    legacyBody: typeof body.legacyBody === 'string' ? body.legacyBody : '',
+  });
+  return json({ issues });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
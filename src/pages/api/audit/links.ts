@@ -0,0 +1,18 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { auditSiteLinks } from '../../../lib/link-audit';
+
+export const prerender = false;
+
+// GET → { broken: [{ type, slug, path, title, links: [{ href, field }] }], orphans, external, totals }
+// Internal links only; `npm run check-links -- --external` also requests the external ones.
+export const GET: APIRoute = async ({ locals }) => {
+  return json(await auditSiteLinks(getDB(locals)));
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -14,6 +14,18 @@
 //     usage: { input_tokens, output_tokens }
 //   }
 //
+// With `Accept: text/event-stream` the same turn streams as server-sent
+// events instead, as it happens (`data` is JSON):
+//   text        { delta }                 assistant text as it's generated
+//   tool_start  { name, toolUseId }       the model has started a tool call
+//   activity    { activity }              a tool finished (ActivityEvent)
+//   proposal    { proposal }              a tool queued a proposal to confirm
+//   messages    { messages }              history entries to append, in order
+//   done        { usage }                 the turn finished
+//   error       { error }                 the turn failed; nothing follows
+// Closing the connection cancels the turn: the in-flight model call is
+// aborted and remaining tools are skipped. Writes already made stay made.
+//
 // The server holds no state between requests. The client keeps the message
 // history and sends it back with each turn.
 
@@ -57,6 +69,20 @@ interface ActivityEvent {
   toolUseId: string;
 }
 
+interface Usage {
+  input_tokens: number;
+  output_tokens: number;
+}
+
+type ChatEvent =
+  | { type: 'text'; delta: string }
+  | { type: 'tool_start'; name: string; toolUseId: string }
+  | { type: 'activity'; activity: ActivityEvent }
+  | { type: 'proposal'; proposal: Proposal }
+  | { type: 'messages'; messages: ClientMessage[] }
+  | { type: 'done'; usage: Usage }
+  | { type: 'error'; error: string };
+
 // ---------------------------------------------------------------------------
 // Handler
 // ---------------------------------------------------------------------------
@@ -96,88 +122,164 @@ export const POST: APIRoute = async ({ locals, request }) => {
   const lastUser = [...messages].reverse().find((m) => m.role === 'user');
   const userMessage = extractUserText(lastUser?.content);
 
+  const anthropic = new Anthropic({ apiKey });
+
   const ctx: ToolCtx = {
     db,
     activeSlug: slug,
     chatTurn: { userMessage, toolCalls: [] },
+    userId: locals.session?.user.id ?? null,
     pendingProposals: [],
+    anthropic,
+    model: MODEL,
   };
 
-  const anthropic = new Anthropic({ apiKey });
-
   // Convert client messages to Anthropic input_messages.
-  let conv: Anthropic.MessageParam[] = messages.map((m) => ({
+  const conv: Anthropic.MessageParam[] = messages.map((m) => ({
     role: m.role,
     content: m.content as Anthropic.MessageParam['content'],
   }));
+  const turn = { anthropic, system, conv, ctx };
 
-  const activity: ActivityEvent[] = [];
-  const newAssistantMessages: ClientMessage[] = [];
-  const toolResultMessages: ClientMessage[] = [];
-  let usage = { input_tokens: 0, output_tokens: 0 };
+  if ((request.headers.get('accept') ?? '').includes('text/event-stream')) {
+    return streamTurn(turn);
+  }
 
+  const newMessages: ClientMessage[] = [];
+  const activity: ActivityEvent[] = [];
   try {
-    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
-      const resp = await anthropic.messages.create({
-        model: MODEL,
-        max_tokens: 2048,
-        system,
-        tools: TOOL_DEFINITIONS,
-        messages: conv,
-      });
-
-      usage.input_tokens += resp.usage?.input_tokens ?? 0;
-      usage.output_tokens += resp.usage?.output_tokens ?? 0;
-
-      // Record the assistant turn so the client can echo it next time.
-      const assistantContent = resp.content as ClientMessage['content'];
-      newAssistantMessages.push({ role: 'assistant', content: assistantContent });
-      conv.push({ role: 'assistant', content: resp.content });
-
-      // If the model didn't request any tools, we're done.
-      const toolUses = resp.content.filter((b): b is Extract<typeof resp.content[number], { type: 'tool_use' }> => b.type === 'tool_use');
-      if (toolUses.length === 0) break;
-
-      // Run each requested tool; assemble a tool_result message for the next round.
-      const toolResultBlocks: Array<{ type: 'tool_result'; tool_use_id: string; content: string; is_error?: boolean }> = [];
-      for (const use of toolUses) {
-        const tool = TOOLS[use.name];
-        if (!tool) {
-          toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content: JSON.stringify({ error: `unknown tool: ${use.name}` }), is_error: true });
-          activity.push({ label: use.name, detail: 'unknown tool', status: 'error', toolUseId: use.id });
-          continue;
-        }
-        ctx.chatTurn.toolCalls.push({ name: use.name, input: use.input });
-        try {
-          const { result, activity: act } = await tool.run(use.input, ctx);
-          const content = JSON.stringify(result);
-          toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content });
-          if (act) activity.push({ ...act, toolUseId: use.id });
-        } catch (err) {
-          const msg = err instanceof Error ? err.message : String(err);
-          toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content: JSON.stringify({ error: msg }), is_error: true });
-          activity.push({ label: use.name, detail: msg, status: 'error', toolUseId: use.id });
-        }
-      }
-
-      // Push the tool results back into the conversation for the next round.
-      const toolMsg: ClientMessage = { role: 'user', content: toolResultBlocks };
-      toolResultMessages.push(toolMsg);
-      conv.push({ role: 'user', content: toolResultBlocks });
-    }
+    const usage = await runTurn(turn, (event) => {
+      if (event.type === 'messages') newMessages.push(...event.messages);
+      if (event.type === 'activity') activity.push(event.activity);
+    });
+    return json({
+      // Assistant + tool-result messages to append to the client's history, in order.
+      messages: newMessages,
+      activity,
+      proposals: ctx.pendingProposals,
+      usage,
+    });
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     return json({ error: `chat failed: ${msg}` }, 500);
   }
+};
+
+// ---------------------------------------------------------------------------
+// Turn loop
+// ---------------------------------------------------------------------------
 
-  return json({
-    // Assistant + tool-result messages to append to the client's history, in order.
-    messages: interleave(newAssistantMessages, toolResultMessages),
-    activity,
-    proposals: ctx.pendingProposals,
-    usage,
+interface Turn {
+  anthropic: Anthropic;
+  system: string;
+  conv: Anthropic.MessageParam[];
+  ctx: ToolCtx;
+}
+
+/**
+ * Run model calls and tools until the model stops asking for tools (or
+ * MAX_TOOL_ROUNDS), reporting progress through `emit`. Returns token usage.
+ * Aborting `signal` stops the in-flight model call and skips remaining tools.
+ */
+async function runTurn(turn: Turn, emit: (event: ChatEvent) => void, signal?: AbortSignal): Promise<Usage> {
+  const { anthropic, system, conv, ctx } = turn;
+  const usage: Usage = { input_tokens: 0, output_tokens: 0 };
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const stream = anthropic.messages.stream(
+      { model: MODEL, max_tokens: 2048, system, tools: TOOL_DEFINITIONS, messages: conv },
+      { signal }
+    );
+    stream.on('text', (delta) => emit({ type: 'text', delta }));
+    stream.on('streamEvent', (event) => {
+      if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+        emit({ type: 'tool_start', name: event.content_block.name, toolUseId: event.content_block.id });
+      }
+    });
+    const resp = await stream.finalMessage();
+
+    usage.input_tokens += resp.usage?.input_tokens ?? 0;
+    usage.output_tokens += resp.usage?.output_tokens ?? 0;
+
+    // Record the assistant turn so the client can echo it next time.
+    const assistantMsg: ClientMessage = { role: 'assistant', content: resp.content as ClientMessage['content'] };
+    conv.push({ role: 'assistant', content: resp.content });
+
+    // If the model didn't request any tools, we're done.
+    const toolUses = resp.content.filter((b): b is Extract<typeof resp.content[number], { type: 'tool_use' }> => b.type === 'tool_use');
+    if (toolUses.length === 0) {
+      emit({ type: 'messages', messages: [assistantMsg] });
+      break;
+    }
+
+    // Run each requested tool; assemble a tool_result message for the next round.
+    const toolResultBlocks: Array<{ type: 'tool_result'; tool_use_id: string; content: string; is_error?: boolean }> = [];
+    for (const use of toolUses) {
+      if (signal?.aborted) return usage;
+      const tool = TOOLS[use.name];
+      if (!tool) {
+        toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content: JSON.stringify({ error: `unknown tool: ${use.name}` }), is_error: true });
+        emit({ type: 'activity', activity: { label: use.name, detail: 'unknown tool', status: 'error', toolUseId: use.id } });
+        continue;
+      }
+      ctx.chatTurn.toolCalls.push({ name: use.name, input: use.input });
+      const proposalCount = ctx.pendingProposals.length;
+      try {
+        const { result, activity: act } = await tool.run(use.input, ctx);
+        const content = JSON.stringify(result);
+        toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content });
+        if (act) emit({ type: 'activity', activity: { ...act, toolUseId: use.id } });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        toolResultBlocks.push({ type: 'tool_result', tool_use_id: use.id, content: JSON.stringify({ error: msg }), is_error: true });
+        emit({ type: 'activity', activity: { label: use.name, detail: msg, status: 'error', toolUseId: use.id } });
+      }
+      for (const proposal of ctx.pendingProposals.slice(proposalCount)) emit({ type: 'proposal', proposal });
+    }
+
+    // An assistant turn and its tool results go out together, so a client
+    // that stops reading mid-turn never holds a tool_use without its result.
+    const toolMsg: ClientMessage = { role: 'user', content: toolResultBlocks };
+    emit({ type: 'messages', messages: [assistantMsg, toolMsg] });
+    conv.push({ role: 'user', content: toolResultBlocks });
+  }
+  return usage;
+}
+
+/** Run the turn as a text/event-stream, one SSE event per ChatEvent. */
+function streamTurn(turn: Turn): Response {
+  const abort = new AbortController();
+  const encoder = new TextEncoder();
+
+  const body = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      const emit = (event: ChatEvent) => {
+        if (abort.signal.aborted) return;
+        const { type, ...data } = event;
+        controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+      try {
+        const usage = await runTurn(turn, emit, abort.signal);
+        emit({ type: 'done', usage });
+      } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        emit({ type: 'error', error: `chat failed: ${msg}` });
+      }
+      if (!abort.signal.aborted) controller.close();
+    },
+    // The client hung up (editor pressed Stop, or closed the tab).
+    cancel() {
+      abort.abort();
+    },
   });
-};
+
+  return new Response(body, {
+    headers: {
+      'content-type': 'text/event-stream',
+      'cache-control': 'no-store',
+    },
+  });
+}
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -198,18 +300,3 @@ function extractUserText(content: ClientMessage['content'] | undefined): string
     .map((b) => b.text)
     .join(' ');
 }
-
-/**
- * Interleave assistant turns with the tool_result messages that followed
- * each one, so the client can append both in order to its history.
- * Pattern: [A0, T0, A1, T1, ..., An] where the last An is the final reply
- * (no tool calls).
- */
-function interleave(assistants: ClientMessage[], tools: ClientMessage[]): ClientMessage[] {
-  const out: ClientMessage[] = [];
-  for (let i = 0; i < assistants.length; i++) {
-    out.push(assistants[i]);
-    if (tools[i]) out.push(tools[i]);
-  }
-  return out;
-}
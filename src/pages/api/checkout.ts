@@ -0,0 +1,39 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../lib/d1';
+import { parseOrderRequest, startCheckout } from '../../lib/gala-orders';
+import { getPaymentProvider } from '../../lib/payments';
+
+export const prerender = false;
+
+// POST (order form in PricingTiers.astro) → 201 { reference, url }: records
+// a pending order and returns the payment page to send the buyer to.
+// Public, like /api/search (see src/middleware.ts): the price comes from the
+// published page, never from the request.
+export const POST: APIRoute = async ({ locals, request, url }) => {
+  const provider = getPaymentProvider();
+  if (!provider) return json({ error: 'online payment is not set up' }, 503);
+
+  const raw = await request.json().catch(() => null);
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  try {
+    const input = parseOrderRequest(raw);
+    const checkout = await startCheckout(getDB(locals), provider, input, url.origin);
+    return json(checkout, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'checkout failed';
+    if (message.includes('not found')) return json({ error: message }, 404);
+    if (message.startsWith('invalid order')) return json({ error: message }, 400);
+    // The provider refused or was unreachable. Its message is for us, not the
+    // buyer; the pending order stays for staff to see.
+    console.error('checkout failed', err);
+    return json({ error: 'payment is unavailable right now; please try again shortly' }, 502);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../../lib/d1';
+import { restoreEvent } from '../../../../lib/events';
+import { queueRebuild } from '../../../../lib/rebuild';
+
+export const prerender = false;
+
+// POST → { ok }   undo DELETE /api/events/:slug (see /cpadmin/trash)
+export const POST: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const slug = (params.slug as string) ?? '';
+  try {
+    await restoreEvent(db, slug);
+    await queueRebuild(db, { slug: `/events/${slug}`, detail: 'event restored', userId: locals.session?.user.id ?? null });
+    return json({ ok: true });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'restore failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
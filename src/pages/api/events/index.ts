@@ -0,0 +1,46 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { createEvent, listEvents, parseEventInput } from '../../../lib/events';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+// GET ?search=&when=upcoming|past → { events }. Upcoming soonest first,
+// otherwise most recent first.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const param = url.searchParams.get('when');
+  const when = param === 'upcoming' || param === 'past' ? param : undefined;
+  const events = await listEvents(db, { search, when });
+  return json({ events });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+  if (!slug) return json({ error: 'slug required' }, 400);
+
+  try {
+    const updatedAt = await createEvent(db, slug, parseEventInput(raw));
+    await queueRebuild(db, {
+      slug: `/events/${slug}`,
+      detail: 'event created',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, slug, updatedAt }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,46 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { createFund, listFundFacets, listFunds, parseFundInput } from '../../../lib/funds';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+// GET ?search=&type=&focusArea= → { funds, types, focusAreas }: the matching
+// funds by name, plus every type and focus area in use for the filters.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const type = url.searchParams.get('type') || undefined;
+  const focusArea = url.searchParams.get('focusArea') || undefined;
+  const [funds, facets] = await Promise.all([listFunds(db, { search, type, focusArea }), listFundFacets(db)]);
+  return json({ funds, ...facets });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+  if (!slug) return json({ error: 'slug required' }, 400);
+
+  try {
+    const updatedAt = await createFund(db, slug, parseFundInput(raw));
+    await queueRebuild(db, {
+      slug: `/funds/${slug}`,
+      detail: 'fund created',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, slug, updatedAt }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,32 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { getOrder, setOrderStatus, type OrderStatus } from '../../../lib/gala-orders';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ locals, params }) => {
+  const order = await getOrder(getDB(locals), params.reference ?? '');
+  if (!order) return json({ error: 'not found' }, 404);
+  return json({ order });
+};
+
+// PUT { status: 'paid' | 'cancelled' | 'pending' } → { ok, order }.
+export const PUT: APIRoute = async ({ locals, params, request }) => {
+  const body = (await request.json().catch(() => null)) as { status?: unknown } | null;
+  if (!body || typeof body.status !== 'string') return json({ error: 'status required' }, 400);
+
+  try {
+    const order = await setOrderStatus(getDB(locals), params.reference ?? '', body.status as OrderStatus);
+    return json({ ok: true, order });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'update failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
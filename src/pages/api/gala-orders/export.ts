@@ -0,0 +1,21 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { listOrders, ordersToCsv } from '../../../lib/gala-orders';
+
+export const prerender = false;
+
+// GET ?search=&status=&tier= → the same orders as GET /api/gala-orders, as a
+// CSV download.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const search = url.searchParams.get('search') ?? undefined;
+  const status = url.searchParams.get('status') ?? undefined;
+  const tier = url.searchParams.get('tier') ?? undefined;
+  const orders = await listOrders(getDB(locals), { search, status, tier });
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(ordersToCsv(orders), {
+    headers: {
+      'content-type': 'text/csv; charset=utf-8',
+      'content-disposition': `attachment; filename="gala-orders-${date}.csv"`,
+    },
+  });
+};
@@ -0,0 +1,24 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { listOrderTiers, listOrders, totalsByTier } from '../../../lib/gala-orders';
+
+export const prerender = false;
+
+// GET ?search=&status=&tier= → { orders, totals, tiers }. Newest first.
+// `totals` sums the paid orders in the list per tier; `tiers` is every tier
+// ever ordered, for the filter.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const status = url.searchParams.get('status') ?? undefined;
+  const tier = url.searchParams.get('tier') ?? undefined;
+  const [orders, tiers] = await Promise.all([listOrders(db, { search, status, tier }), listOrderTiers(db)]);
+  return json({ orders, totals: totalsByTier(orders), tiers });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,44 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { createGrant, listGrants, parseGrantInput } from '../../../lib/grants';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+// GET ?search=&year= → { grants }, newest year first.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const year = Number(url.searchParams.get('year')) || undefined;
+  const grants = await listGrants(db, { search, year });
+  return json({ grants });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+  if (!slug) return json({ error: 'slug required' }, 400);
+
+  try {
+    const updatedAt = await createGrant(db, slug, parseGrantInput(raw));
+    await queueRebuild(db, {
+      slug: `/grants/${slug}`,
+      detail: 'grant created',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, slug, updatedAt }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
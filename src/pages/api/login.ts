@@ -1,48 +1,50 @@
 import type { APIRoute } from 'astro';
 import { env } from 'cloudflare:workers';
-import { buildSessionCookie, createSessionToken, verifyPassword } from '../../lib/auth';
+import { buildSessionCookie, createSessionToken } from '../../lib/auth';
+import { getDB } from '../../lib/d1';
+import { authenticate } from '../../lib/users';
 
 export const prerender = false;
 
-export const POST: APIRoute = async ({ request }) => {
-  const cfg = env as {
-    ADMIN_PASSWORD_HASH?: string;
-    ADMIN_PASSWORD_SALT?: string;
-    ADMIN_SESSION_SECRET?: string;
-  };
-  if (!cfg.ADMIN_PASSWORD_HASH || !cfg.ADMIN_PASSWORD_SALT || !cfg.ADMIN_SESSION_SECRET) {
+export const POST: APIRoute = async ({ locals, request }) => {
+  const cfg = env as { ADMIN_SESSION_SECRET?: string };
+  if (!cfg.ADMIN_SESSION_SECRET) {
     return new Response(JSON.stringify({ error: 'admin not configured' }), {
       status: 503,
       headers: { 'content-type': 'application/json' },
     });
   }
 
+  let email: string | undefined;
   let password: string | undefined;
   const ct = request.headers.get('content-type') ?? '';
   if (ct.includes('application/json')) {
-    const body = (await request.json().catch(() => ({}))) as { password?: string };
+    const body = (await request.json().catch(() => ({}))) as { email?: string; password?: string };
+    email = body.email;
     password = body.password;
   } else {
     const form = await request.formData();
+    const e = form.get('email');
     const v = form.get('password');
+    email = typeof e === 'string' ? e : undefined;
     password = typeof v === 'string' ? v : undefined;
   }
-  if (!password) {
-    return new Response(JSON.stringify({ error: 'password required' }), {
+  if (!email || !password) {
+    return new Response(JSON.stringify({ error: 'email and password required' }), {
       status: 400,
       headers: { 'content-type': 'application/json' },
     });
   }
 
-  const ok = await verifyPassword(password, cfg.ADMIN_PASSWORD_HASH, cfg.ADMIN_PASSWORD_SALT);
-  if (!ok) {
-    return new Response(JSON.stringify({ error: 'invalid password' }), {
+  const user = await authenticate(getDB(locals), email, password);
+  if (!user) {
+    return new Response(JSON.stringify({ error: 'invalid email or password' }), {
       status: 401,
       headers: { 'content-type': 'application/json' },
     });
   }
 
-  const token = await createSessionToken(cfg.ADMIN_SESSION_SECRET);
+  const token = await createSessionToken(cfg.ADMIN_SESSION_SECRET, user);
   const cookie = buildSessionCookie(token);
 
   if (ct.includes('application/json')) {
@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+
+export const prerender = false;
+
+/** The signed-in user, so admin screens can hide what their role can't do. */
+export const GET: APIRoute = async ({ locals }) => {
+  return new Response(JSON.stringify({ user: locals.session?.user ?? null }), {
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+  });
+};
@@ -0,0 +1,61 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../lib/d1';
+import {
+  NAV_CHILDREN,
+  NAV_LAYOUTS,
+  findBrokenNavLinks,
+  getNavTree,
+  loadSitePaths,
+  parseNavTree,
+  saveNavTree,
+} from '../../lib/nav';
+import { queueRebuild } from '../../lib/rebuild';
+
+export const prerender = false;
+
+// GET → { menus, updatedAt, brokenLinks, rules }: the header menus as a tree,
+// internal links that no longer resolve (a page deleted since the last save),
+// and which node kinds may nest inside which, for /cpadmin/nav.
+export const GET: APIRoute = async ({ locals }) => {
+  const db = getDB(locals);
+  const [{ menus, updatedAt }, paths] = await Promise.all([getNavTree(db), loadSitePaths(db)]);
+  return json({
+    menus,
+    updatedAt,
+    brokenLinks: findBrokenNavLinks(menus, paths),
+    rules: { children: NAV_CHILDREN, layouts: NAV_LAYOUTS },
+  });
+};
+
+// PUT { menus } → replace every menu. Order and nesting are taken from the
+// tree. Refused (400, with `brokenLinks`) if an internal link doesn't point
+// at a page, news article or scholarship.
+export const PUT: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as { menus?: unknown } | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  let menus;
+  try {
+    menus = parseNavTree(raw.menus);
+  } catch (err) {
+    return json({ error: err instanceof Error ? err.message : 'invalid nav' }, 400);
+  }
+  const brokenLinks = findBrokenNavLinks(menus, await loadSitePaths(db));
+  if (brokenLinks.length > 0) {
+    const list = brokenLinks.map((b) => `${b.trail} (${b.href})`).join(', ');
+    return json({ error: `links to pages that don't exist: ${list}`, brokenLinks }, 400);
+  }
+
+  const userId = locals.session?.user.id ?? null;
+  const updatedAt = await saveNavTree(db, menus, userId);
+  await queueRebuild(db, { slug: null, detail: 'navigation saved', userId });
+  return json({ ok: true, updatedAt });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,36 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../../lib/d1';
+import { revertNewsToVersion } from '../../../../lib/news';
+import { queueRebuild } from '../../../../lib/rebuild';
+
+export const prerender = false;
+
+export const POST: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const slug = (params.slug as string) ?? '';
+  const body = (await request.json().catch(() => null)) as { versionId?: number } | null;
+  if (!body || typeof body.versionId !== 'number') {
+    return new Response(JSON.stringify({ error: 'versionId required' }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+  try {
+    const updatedAt = await revertNewsToVersion(db, slug, body.versionId, locals.session?.user.id ?? null);
+    await queueRebuild(db, {
+      slug: `/news/${slug}`,
+      detail: `news reverted to version ${body.versionId}`,
+      userId: locals.session?.user.id ?? null,
+    });
+    return new Response(JSON.stringify({ ok: true, updatedAt }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'revert failed';
+    return new Response(JSON.stringify({ error: message }), {
+      status: 400,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+};
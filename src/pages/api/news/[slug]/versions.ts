@@ -0,0 +1,14 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../../lib/d1';
+import { listNewsVersions } from '../../../../lib/news';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const versions = await listNewsVersions(db, (params.slug as string) ?? '', 50);
+  return new Response(JSON.stringify({ versions }), {
+    status: 200,
+    headers: { 'content-type': 'application/json' },
+  });
+};
@@ -0,0 +1,40 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { createNews, listNews, readNewsUpdate, NEWS_CATEGORIES } from '../../../lib/news';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const news = await listNews(db, search);
+  return json({ news, categories: NEWS_CATEGORIES });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+  const input = readNewsUpdate(raw);
+  if (!slug) return json({ error: 'slug required' }, 400);
+  if (!input.title) return json({ error: 'title required' }, 400);
+
+  try {
+    const updatedAt = await createNews(db, slug, { ...input, title: input.title, body: input.body ?? '' });
+    await queueRebuild(db, { slug: `/news/${slug}`, detail: 'news created', userId: locals.session?.user.id ?? null });
+    return json({ ok: true, slug, updatedAt }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -1,5 +1,6 @@
 import type { APIRoute } from 'astro';
-import { getDB, getPage, updatePage, type PageUpdate, type Section } from '../../../lib/d1';
+import { deletePage, getDB, getPage, updatePage, type PageUpdate, type Section } from '../../../lib/d1';
+import { queueRebuild } from '../../../lib/rebuild';
 
 export const prerender = false;
 
@@ -55,7 +56,7 @@ export const PUT: APIRoute = async ({ locals, params, request }) => {
   if (typeof body.legacyBody === 'string') update.legacyBody = body.legacyBody;
 
   try {
-    const updatedAt = await updatePage(db, slug, update, 'admin');
+    const updatedAt = await updatePage(db, slug, update, 'admin', undefined, locals.session?.user.id ?? null);
     return new Response(JSON.stringify({ ok: true, updatedAt }), {
       status: 200,
       headers: { 'content-type': 'application/json' },
@@ -69,3 +70,25 @@ export const PUT: APIRoute = async ({ locals, params, request }) => {
     });
   }
 };
+
+// Soft delete; POST /api/pages/:slug/restore brings the page back.
+export const DELETE: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const slug = normalizeSlug((params.slug as string) ?? '');
+  const userId = locals.session?.user.id ?? null;
+  try {
+    const deletedAt = await deletePage(db, slug, userId);
+    await queueRebuild(db, { slug: `/${slug}`, detail: 'page deleted', userId });
+    return new Response(JSON.stringify({ ok: true, deletedAt }), {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'delete failed';
+    const status = message.includes('not found') ? 404 : 400;
+    return new Response(JSON.stringify({ error: message }), {
+      status,
+      headers: { 'content-type': 'application/json' },
+    });
+  }
+};
@@ -1,7 +1,8 @@
 import type { APIRoute } from 'astro';
 
-import { getDB, updatePage } from '../../../../lib/d1';
+import { getDB, getPage, updatePage } from '../../../../lib/d1';
 import type { Proposal } from '../../../../lib/ai/tools';
+import { applyImageDescriptions } from '../../../../lib/ai/describe-images';
 import { getTemplate } from '../../../../lib/templates';
 import { sectionSchema } from '../../../../lib/sections';
 
@@ -26,10 +27,24 @@ export const POST: APIRoute = async ({ locals, params, request }) => {
   if (!p || typeof p !== 'object') return json({ error: 'proposal required' }, 400);
   if (p.slug !== slug) return json({ error: 'proposal slug mismatch' }, 400);
 
+  // Image descriptions are written onto the current sections, which may have
+  // changed since the proposal was made.
+  let proposed: unknown;
+  if (p.kind === 'describe-images') {
+    if (!Array.isArray(p.images)) return json({ error: 'proposal images required' }, 400);
+    const page = await getPage(db, slug);
+    if (!page) return json({ error: `page not found: ${slug}` }, 404);
+    const { sections, applied } = applyImageDescriptions(page.sections, p.images);
+    if (applied === 0) return json({ error: 'the images on the page have changed since this was proposed' }, 409);
+    proposed = sections;
+  } else {
+    proposed = p.sections;
+  }
+
   // Re-validate every section.
   let sections;
   try {
-    sections = (p.sections as unknown[]).map((s) => sectionSchema.parse(s));
+    sections = (proposed as unknown[]).map((s) => sectionSchema.parse(s));
   } catch (err) {
     return json({ error: `invalid proposal sections: ${(err as Error).message}` }, 400);
   }
@@ -41,7 +56,14 @@ export const POST: APIRoute = async ({ locals, params, request }) => {
   }
 
   try {
-    const updatedAt = await updatePage(db, slug, { template, sections }, 'bot', body.chatTurn);
+    const updatedAt = await updatePage(
+      db,
+      slug,
+      { template, sections },
+      'bot',
+      body.chatTurn,
+      locals.session?.user.id ?? null
+    );
     return json({ ok: true, updatedAt });
   } catch (err) {
     const msg = err instanceof Error ? err.message : 'apply failed';
@@ -0,0 +1,33 @@
+import type { APIRoute } from 'astro';
+import { getDB, movePage } from '../../../../lib/d1';
+import { queueRebuild } from '../../../../lib/rebuild';
+
+export const prerender = false;
+
+// POST { slug: 'new/slug' } → { ok, slug, path, rewrittenPages, rewrittenNavItems, redirected }
+// Moves the draft and published copy, repoints links in pages and menus, and
+// adds a redirect from the old path if the page was published.
+export const POST: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const raw = (params.slug as string) ?? '';
+  const slug = raw === '__home__' ? '' : raw;
+  const body = (await request.json().catch(() => null)) as { slug?: unknown } | null;
+  if (typeof body?.slug !== 'string') return json({ error: 'slug is required' }, 400);
+  const userId = locals.session?.user.id ?? null;
+
+  try {
+    const moved = await movePage(db, slug, body.slug, userId);
+    await queueRebuild(db, { slug: moved.path, detail: `page moved from /${slug}`, userId });
+    return json({ ok: true, ...moved });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'move failed';
+    return json({ error: message }, message.includes('not found') ? 404 : message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,49 @@
+import type { APIRoute } from 'astro';
+import { env } from 'cloudflare:workers';
+import { createPreviewToken, PREVIEW_TTL_MAX_MS } from '../../../../lib/auth';
+import { getDB, getPage, getVersion } from '../../../../lib/d1';
+
+export const prerender = false;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// POST { versionId?, expiresInDays? } → { url, expiresAt }
+// A signed /preview/:token link anyone can open without signing in. Without
+// versionId it shows the page's draft as it is when the link is opened.
+export const POST: APIRoute = async ({ locals, params, request, url }) => {
+  const secret = (env as { ADMIN_SESSION_SECRET?: string }).ADMIN_SESSION_SECRET;
+  if (!secret) return json({ error: 'admin not configured' }, 503);
+
+  const db = getDB(locals);
+  const raw = (params.slug as string) ?? '';
+  const slug = raw === '__home__' ? '' : raw;
+  const body = ((await request.json().catch(() => ({}))) ?? {}) as {
+    versionId?: unknown;
+    expiresInDays?: unknown;
+  };
+
+  const versionId = body.versionId ?? null;
+  if (versionId !== null && !Number.isInteger(versionId)) {
+    return json({ error: 'versionId must be an integer' }, 400);
+  }
+  const days = body.expiresInDays ?? 7;
+  if (typeof days !== 'number' || days < 1 || days * DAY_MS > PREVIEW_TTL_MAX_MS) {
+    return json({ error: `expiresInDays must be between 1 and ${PREVIEW_TTL_MAX_MS / DAY_MS}` }, 400);
+  }
+
+  if (!(await getPage(db, slug))) return json({ error: `page not found: ${slug}` }, 404);
+  if (versionId !== null && !(await getVersion(db, slug, versionId as number))) {
+    return json({ error: `version ${versionId} not found for slug ${slug}` }, 404);
+  }
+
+  const expiresAt = Date.now() + days * DAY_MS;
+  const token = await createPreviewToken(secret, { slug, versionId: versionId as number | null, expiresAt });
+  return json({ url: `${url.origin}/preview/${token}`, expiresAt });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,56 @@
+import type { APIRoute } from 'astro';
+import { cancelScheduledPublish, getDB, publishPage, schedulePublish } from '../../../../lib/d1';
+import { queueRebuild } from '../../../../lib/rebuild';
+
+export const prerender = false;
+
+// POST {}                     publish the current draft now
+// POST { publishAt: <ISO> }   schedule it (picked up by the cron trigger)
+// DELETE                      cancel a scheduled publish
+export const POST: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const raw = (params.slug as string) ?? '';
+  const slug = raw === '__home__' ? '' : raw;
+  const body = ((await request.json().catch(() => ({}))) ?? {}) as { publishAt?: unknown };
+  const userId = locals.session?.user.id ?? null;
+
+  try {
+    if (body.publishAt === undefined || body.publishAt === null) {
+      const publishedAt = await publishPage(db, slug, userId);
+      await queueRebuild(db, { slug: `/${slug}`, detail: 'page published', userId });
+      return json({ ok: true, status: 'published', publishedAt });
+    }
+    const at =
+      typeof body.publishAt === 'number'
+        ? body.publishAt
+        : typeof body.publishAt === 'string'
+          ? Date.parse(body.publishAt)
+          : NaN;
+    if (Number.isNaN(at)) return json({ error: 'publishAt must be an ISO date-time' }, 400);
+    await schedulePublish(db, slug, at, userId);
+    return json({ ok: true, status: 'scheduled', publishAt: at });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'publish failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+export const DELETE: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const raw = (params.slug as string) ?? '';
+  const slug = raw === '__home__' ? '' : raw;
+  try {
+    await cancelScheduledPublish(db, slug);
+    return json({ ok: true });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'cancel failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
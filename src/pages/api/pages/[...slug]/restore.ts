@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import { getDB, restorePage } from '../../../../lib/d1';
+import { queueRebuild } from '../../../../lib/rebuild';
+
+export const prerender = false;
+
+// POST → { ok, page }   undo DELETE /api/pages/:slug (see /cpadmin/trash)
+export const POST: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const slug = (params.slug as string) ?? '';
+  const userId = locals.session?.user.id ?? null;
+  try {
+    const page = await restorePage(db, slug);
+    await queueRebuild(db, { slug: page.path, detail: 'page restored', userId });
+    return json({ ok: true, page });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'restore failed';
+    return json({ error: message }, message.includes('not found') ? 404 : message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
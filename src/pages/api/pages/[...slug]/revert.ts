@@ -15,7 +15,7 @@ export const POST: APIRoute = async ({ locals, params, request }) => {
     });
   }
   try {
-    const updatedAt = await revertToVersion(db, slug, body.versionId);
+    const updatedAt = await revertToVersion(db, slug, body.versionId, locals.session?.user.id ?? null);
     return new Response(JSON.stringify({ ok: true, updatedAt }), {
       status: 200,
       headers: { 'content-type': 'application/json' },
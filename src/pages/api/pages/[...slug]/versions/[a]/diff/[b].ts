@@ -0,0 +1,43 @@
+import type { APIRoute } from 'astro';
+import { getDB, getPage, getVersion } from '../../../../../../../lib/d1';
+import { diffPages, type PageSnapshot } from '../../../../../../../lib/page-diff';
+
+export const prerender = false;
+
+// GET /api/pages/:slug/versions/:a/diff/:b
+// :a and :b are page_versions ids, or `current` for the page's draft.
+// Returns { from, to, diff } where diff describes how to get from :a to :b.
+export const GET: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const raw = (params.slug as string) ?? '';
+  const slug = raw === '__home__' ? '' : raw;
+
+  const refs = [params.a ?? '', params.b ?? ''];
+  if (refs.some((r) => r !== 'current' && !/^\d+$/.test(r))) {
+    return json({ error: 'versions must be numeric ids or "current"' }, 400);
+  }
+
+  const page = await getPage(db, slug);
+  if (!page) return json({ error: `page not found: ${slug}` }, 404);
+
+  const sides: { ref: string; createdAt: number; author: string | null; userName: string | null; snapshot: PageSnapshot }[] = [];
+  for (const ref of refs) {
+    if (ref === 'current') {
+      sides.push({ ref, createdAt: page.updatedAt, author: null, userName: null, snapshot: page });
+      continue;
+    }
+    const v = await getVersion(db, slug, Number(ref));
+    if (!v) return json({ error: `version ${ref} not found for slug ${slug}` }, 404);
+    sides.push({ ref, createdAt: v.createdAt, author: v.author, userName: v.userName, snapshot: v });
+  }
+
+  const [from, to] = sides.map(({ snapshot: _snapshot, ...side }) => side);
+  return json({ from, to, diff: diffPages(sides[0].snapshot, sides[1].snapshot) });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,33 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { checkoutUrls, settleOrder } from '../../../lib/gala-orders';
+import { getPaymentProvider } from '../../../lib/payments';
+
+export const prerender = false;
+
+// The fake provider's "payment page" (PAYMENT_PROVIDER=fake only):
+// GET ?reference=G-…[&outcome=cancel] settles the order the way a real
+// provider's webhook would, then redirects where the provider would.
+export const GET: APIRoute = async ({ locals, url }) => {
+  if (getPaymentProvider()?.name !== 'fake') return json({ error: 'not found' }, 404);
+
+  const reference = url.searchParams.get('reference') ?? '';
+  if (!reference) return json({ error: 'reference required' }, 400);
+  const status = url.searchParams.get('outcome') === 'cancel' ? 'cancelled' : 'paid';
+
+  try {
+    const order = await settleOrder(getDB(locals), { reference, providerRef: null, status });
+    const { successUrl, cancelUrl } = checkoutUrls(url.origin, order);
+    return Response.redirect(status === 'paid' ? successUrl : cancelUrl, 303);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'payment failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
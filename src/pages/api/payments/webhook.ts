@@ -0,0 +1,38 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { settleOrder } from '../../../lib/gala-orders';
+import { getPaymentProvider } from '../../../lib/payments';
+
+export const prerender = false;
+
+// The payment provider's callback (src/lib/payments.ts). Not behind the
+// session check (see src/middleware.ts); the provider verifies the request.
+// Events that don't settle an order are acknowledged and ignored, so the
+// provider stops retrying them.
+export const POST: APIRoute = async ({ locals, request }) => {
+  const provider = getPaymentProvider();
+  if (!provider) return json({ error: 'online payment is not set up' }, 503);
+
+  let outcome;
+  try {
+    outcome = await provider.parseWebhook(request);
+  } catch (err) {
+    return json({ error: err instanceof Error ? err.message : 'invalid webhook' }, 400);
+  }
+  if (!outcome) return json({ ok: true, ignored: true });
+
+  try {
+    const order = await settleOrder(getDB(locals), outcome);
+    return json({ ok: true, reference: order.reference, status: order.status });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'webhook failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,67 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { createPerson, listPeople, parsePersonInput, reorderPeople } from '../../../lib/people';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+// GET ?search=&group= → { people }, by group and in each group's order.
+export const GET: APIRoute = async ({ locals, url }) => {
+  const db = getDB(locals);
+  const search = url.searchParams.get('search') ?? undefined;
+  const group = url.searchParams.get('group') ?? undefined;
+  const people = await listPeople(db, { search, group });
+  return json({ people });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const slug = typeof raw.slug === 'string' ? raw.slug.trim() : '';
+  if (!slug) return json({ error: 'slug required' }, 400);
+
+  try {
+    const updatedAt = await createPerson(db, slug, parsePersonInput(raw));
+    await queueRebuild(db, {
+      slug: `/people/${slug}`,
+      detail: 'person created',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, slug, updatedAt }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+// PUT { group, slugs } → { ok, updatedAt }: sets the order of one group.
+// `slugs` must list everyone in the group.
+export const PUT: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const body = (await request.json().catch(() => null)) as { group?: unknown; slugs?: unknown } | null;
+  if (!body || typeof body.group !== 'string' || !Array.isArray(body.slugs) || !body.slugs.every((s) => typeof s === 'string')) {
+    return json({ error: 'group and slugs required' }, 400);
+  }
+
+  try {
+    const updatedAt = await reorderPeople(db, body.group, body.slugs as string[]);
+    await queueRebuild(db, {
+      slug: '/people',
+      detail: `${body.group} reordered`,
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, updatedAt });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'reorder failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,45 @@
+import type { APIRoute } from 'astro';
+import { env } from 'cloudflare:workers';
+import { timingSafeEqual } from '../../lib/auth';
+import { getDB } from '../../lib/d1';
+import { recordRebuildResult } from '../../lib/rebuild';
+
+export const prerender = false;
+
+// Called by the build the deploy hook started, when it finishes:
+//   POST { rebuildId, status: 'succeeded' | 'failed', detail? }
+//   Authorization: Bearer <REBUILD_CALLBACK_SECRET>
+// Not behind the session check (see src/middleware.ts); the secret is the auth.
+export const POST: APIRoute = async ({ locals, request }) => {
+  const secret = (env as { REBUILD_CALLBACK_SECRET?: string }).REBUILD_CALLBACK_SECRET;
+  if (!secret) return json({ error: 'callback not configured' }, 503);
+
+  const auth = request.headers.get('authorization') ?? '';
+  if (!timingSafeEqual(auth, `Bearer ${secret}`)) return json({ error: 'unauthorized' }, 401);
+
+  const body = (await request.json().catch(() => null)) as {
+    rebuildId?: unknown;
+    status?: unknown;
+    detail?: unknown;
+  } | null;
+  if (!body || !Number.isInteger(body.rebuildId)) return json({ error: 'rebuildId required' }, 400);
+  if (body.status !== 'succeeded' && body.status !== 'failed') {
+    return json({ error: "status must be 'succeeded' or 'failed'" }, 400);
+  }
+  const detail = typeof body.detail === 'string' ? body.detail.slice(0, 500) : null;
+
+  try {
+    await recordRebuildResult(getDB(locals), body.rebuildId as number, body.status, detail);
+    return json({ ok: true });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'callback failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
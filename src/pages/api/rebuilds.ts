@@ -0,0 +1,32 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../lib/d1';
+import { getRebuildState, listRebuildLog, requestRebuild, triggerDueRebuild } from '../../lib/rebuild';
+
+export const prerender = false;
+
+// GET → { state, log }: current build status for /cpadmin plus recent history.
+export const GET: APIRoute = async ({ locals }) => {
+  const db = getDB(locals);
+  const [state, log] = await Promise.all([getRebuildState(db), listRebuildLog(db, 100)]);
+  return json({ state, log });
+};
+
+// POST → rebuild now, skipping the debounce. Publishers only (src/lib/roles.ts).
+export const POST: APIRoute = async ({ locals }) => {
+  const db = getDB(locals);
+  const userId = locals.session?.user.id ?? null;
+  const state = await getRebuildState(db);
+  if (!state.configured) return json({ error: 'deploy hook not configured (DEPLOY_HOOK_URL)' }, 503);
+
+  if (state.pending === 0) await requestRebuild(db, { slug: null, detail: 'manual rebuild', userId });
+  const triggerId = await triggerDueRebuild(db, { immediate: true, userId });
+  if (triggerId === null) return json({ error: 'a rebuild was just triggered; try again shortly' }, 409);
+  return json({ ok: true, state: await getRebuildState(db) });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
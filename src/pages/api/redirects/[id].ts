@@ -0,0 +1,47 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { queueRebuild } from '../../../lib/rebuild';
+import { clearRedirectCache, deleteRedirect, getRedirect, parseRedirectInput, updateRedirect } from '../../../lib/redirects';
+
+export const prerender = false;
+
+// PUT { source, target, status?, note? } → { ok, redirect }: replace the rule
+// DELETE                                  → { ok }
+export const PUT: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const id = Number(params.id);
+  if (!Number.isInteger(id)) return json({ error: 'not found' }, 404);
+  const raw = await request.json().catch(() => null);
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const userId = locals.session?.user.id ?? null;
+  try {
+    const redirect = await updateRedirect(db, id, parseRedirectInput(raw), userId);
+    clearRedirectCache();
+    await queueRebuild(db, { slug: redirect.source, detail: 'redirect changed', userId });
+    return json({ ok: true, redirect });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'update failed';
+    const status = message.includes('not found') ? 404 : message.includes('already exists') ? 409 : 400;
+    return json({ error: message }, status);
+  }
+};
+
+export const DELETE: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const id = Number(params.id);
+  const redirect = Number.isInteger(id) ? await getRedirect(db, id) : null;
+  if (!redirect) return json({ error: 'not found' }, 404);
+
+  await deleteRedirect(db, id);
+  clearRedirectCache();
+  await queueRebuild(db, { slug: redirect.source, detail: 'redirect removed', userId: locals.session?.user.id ?? null });
+  return json({ ok: true });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,52 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { queueRebuild } from '../../../lib/rebuild';
+import {
+  clearRedirectCache,
+  createRedirect,
+  listRedirects,
+  matchRedirect,
+  parseRedirectInput,
+} from '../../../lib/redirects';
+
+export const prerender = false;
+
+// GET                → { redirects }
+// GET ?path=/old/url → { match: { source, target, status, location } | null }: which rule a URL hits
+// POST { source, target, status?, note? } → { ok, redirect }
+export const GET: APIRoute = async ({ locals, url }) => {
+  const redirects = await listRedirects(getDB(locals));
+  const path = url.searchParams.get('path');
+  if (path !== null) {
+    const match = matchRedirect(redirects, path.replace(/[?#].*$/, '') || '/');
+    if (!match) return json({ match: null });
+    const { source, target, status } = match.rule;
+    return json({ match: { source, target, status, location: match.location } });
+  }
+  return json({ redirects });
+};
+
+export const POST: APIRoute = async ({ locals, request }) => {
+  const db = getDB(locals);
+  const raw = await request.json().catch(() => null);
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const userId = locals.session?.user.id ?? null;
+  try {
+    const redirect = await createRedirect(db, parseRedirectInput(raw), userId);
+    clearRedirectCache();
+    // The Worker serves the rule right away; the rebuild refreshes the _redirects export.
+    await queueRebuild(db, { slug: redirect.source, detail: 'redirect added', userId });
+    return json({ ok: true, redirect }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'create failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
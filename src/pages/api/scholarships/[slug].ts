@@ -0,0 +1,69 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import {
+  deleteScholarship,
+  getScholarship,
+  parseScholarshipUpdate,
+  updateScholarship,
+} from '../../../lib/scholarships';
+import { queueRebuild } from '../../../lib/rebuild';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const scholarship = await getScholarship(db, (params.slug as string) ?? '');
+  if (!scholarship) return json({ error: 'not found' }, 404);
+  return json({ scholarship });
+};
+
+export const PUT: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const slug = (params.slug as string) ?? '';
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  try {
+    const updatedAt = await updateScholarship(
+      db,
+      slug,
+      parseScholarshipUpdate(raw),
+      'admin',
+      locals.session?.user.id ?? null
+    );
+    await queueRebuild(db, {
+      slug: `/scholarships/${slug}`,
+      detail: 'scholarship updated',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, updatedAt });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'update failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+/** Soft delete — the row keeps its data and version history. */
+export const DELETE: APIRoute = async ({ locals, params }) => {
+  const db = getDB(locals);
+  const slug = (params.slug as string) ?? '';
+  try {
+    const deletedAt = await deleteScholarship(db, slug, 'admin', locals.session?.user.id ?? null);
+    await queueRebuild(db, {
+      slug: `/scholarships/${slug}`,
+      detail: 'scholarship deleted',
+      userId: locals.session?.user.id ?? null,
+    });
+    return json({ ok: true, deletedAt });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'delete failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,47 @@
+// Public site search. Not gated — see the ALLOWLIST in src/middleware.ts.
+//
+// Request:  GET /api/search?q=<text>&type=<page|news|scholarship|grant|person|event|fund>&page=<n>
+// Response: { query, kind, total, facets: { page, news, scholarship, grant, person, event, fund }, results, page, pageSize }
+//
+// `facets` always counts every type for the query so the UI can show
+// "News (12)" even while filtered to pages.
+
+import type { APIRoute } from 'astro';
+import { getDB } from '../../lib/d1';
+import { SEARCH_KINDS, searchContent, type SearchKind } from '../../lib/search';
+
+export const prerender = false;
+
+const PAGE_SIZE = 20;
+const MAX_QUERY_LENGTH = 200;
+
+export const GET: APIRoute = async ({ locals, url }) => {
+  const q = (url.searchParams.get('q') ?? '').trim().slice(0, MAX_QUERY_LENGTH);
+  const rawType = url.searchParams.get('type');
+  const kind = SEARCH_KINDS.includes(rawType as SearchKind) ? (rawType as SearchKind) : undefined;
+  const page = Math.max(1, Number.parseInt(url.searchParams.get('page') ?? '1', 10) || 1);
+
+  try {
+    const results = await searchContent(getDB(locals), q, {
+      kind,
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE,
+    });
+    return json({ ...results, page, pageSize: PAGE_SIZE });
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    return json({ error: `search failed: ${msg}` }, 500);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'content-type': 'application/json',
+      // Results only change on admin writes; a short edge cache absorbs
+      // search-as-you-type bursts.
+      ...(status === 200 ? { 'cache-control': 'public, max-age=60' } : {}),
+    },
+  });
+}
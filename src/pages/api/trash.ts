@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../lib/d1';
+import { TRASH_RETENTION_DAYS, listTrash, purgeTrash } from '../../lib/trash';
+
+export const prerender = false;
+
+// GET → { items, retentionDays }: deleted pages, news, scholarships, grants, people, events and funds, newest first.
+// Each is restored through its own POST /api/<pages|news|scholarships|grants|people|events|funds>/:slug/restore.
+export const GET: APIRoute = async ({ locals }) => {
+  const items = await listTrash(getDB(locals));
+  return json({ items, retentionDays: TRASH_RETENTION_DAYS });
+};
+
+// DELETE → { ok, purged: { pages, news, scholarships, grants, people, events, funds } }: permanently removes
+// items deleted more than retentionDays ago. Owners only (src/lib/roles.ts).
+// Nothing public changes, since deleted items are already off the site.
+export const DELETE: APIRoute = async ({ locals }) => {
+  const purged = await purgeTrash(getDB(locals));
+  return json({ ok: true, purged });
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,38 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { isRole } from '../../../lib/roles';
+import { updateUser, type UserUpdate } from '../../../lib/users';
+
+export const prerender = false;
+
+/** Change a user's name or role, or disable / re-enable them. */
+export const PUT: APIRoute = async ({ locals, params, request }) => {
+  const db = getDB(locals);
+  const id = Number(params.id);
+  if (!Number.isInteger(id)) return json({ error: 'not found' }, 404);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const update: UserUpdate = {};
+  if (typeof raw.name === 'string' || raw.name === null) update.name = raw.name;
+  if (raw.role !== undefined) {
+    if (!isRole(raw.role)) return json({ error: `invalid role: ${String(raw.role)}` }, 400);
+    update.role = raw.role;
+  }
+  if (typeof raw.disabled === 'boolean') update.disabled = raw.disabled;
+
+  try {
+    const user = await updateUser(db, id, update, locals.session!.user.id);
+    return json({ ok: true, user });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'update failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -0,0 +1,30 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../../lib/d1';
+import { inviteUrl, resetUser } from '../../../../lib/users';
+
+export const prerender = false;
+
+/**
+ * Clear the user's password and sign them out everywhere. Returns a fresh
+ * one-time link for them to choose a new password (also re-sends invites).
+ */
+export const POST: APIRoute = async ({ locals, params, url }) => {
+  const db = getDB(locals);
+  const id = Number(params.id);
+  if (!Number.isInteger(id)) return json({ error: 'not found' }, 404);
+
+  try {
+    const { user, token } = await resetUser(db, id);
+    return json({ ok: true, user, inviteUrl: inviteUrl(url.origin, token) });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'reset failed';
+    return json({ error: message }, message.includes('not found') ? 404 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
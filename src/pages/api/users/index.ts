@@ -0,0 +1,38 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { ROLES, isRole } from '../../../lib/roles';
+import { inviteUrl, inviteUser, listUsers } from '../../../lib/users';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ locals }) => {
+  const users = await listUsers(getDB(locals));
+  return json({ users, roles: ROLES });
+};
+
+/** Invite a user. The response carries the one-time link to send them. */
+export const POST: APIRoute = async ({ locals, request, url }) => {
+  const db = getDB(locals);
+  const raw = (await request.json().catch(() => null)) as Record<string, unknown> | null;
+  if (!raw) return json({ error: 'invalid json' }, 400);
+
+  const email = typeof raw.email === 'string' ? raw.email : '';
+  const name = typeof raw.name === 'string' ? raw.name : null;
+  if (!email.trim()) return json({ error: 'email required' }, 400);
+  if (!isRole(raw.role)) return json({ error: `role must be one of: ${ROLES.join(', ')}` }, 400);
+
+  try {
+    const { user, token } = await inviteUser(db, { email, name, role: raw.role });
+    return json({ ok: true, user, inviteUrl: inviteUrl(url.origin, token) }, 201);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : 'invite failed';
+    return json({ error: message }, message.includes('already exists') ? 409 : 400);
+  }
+};
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
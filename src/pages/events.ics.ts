@@ -0,0 +1,16 @@
+import type { APIRoute } from 'astro';
+import { toICalendar } from '../lib/event-calendar';
+import { allDirectoryEvents } from '../lib/event-directory';
+
+export const prerender = true;
+
+// The public iCalendar feed: every exported event, past ones included so
+// subscribers keep them. Built with the rest of the site, so it changes on
+// the same rebuilds as /events.
+export const GET: APIRoute = ({ site }) => {
+  const origin = site ?? new URL('https://www.thcf.org');
+  const body = toICalendar(allDirectoryEvents(), { site: origin.href, host: origin.hostname, now: Date.now() });
+  return new Response(body, {
+    headers: { 'content-type': 'text/calendar; charset=utf-8' },
+  });
+};
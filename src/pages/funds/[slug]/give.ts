@@ -0,0 +1,17 @@
+import type { APIRoute } from 'astro';
+import { getDB } from '../../../lib/d1';
+import { fundDonateUrl } from '../../../lib/funds';
+
+export const prerender = false;
+
+// The address to print or link for giving to one fund: /funds/<slug>/give.
+//
+// Redirects to the fund's page on the giving form, where it's already
+// selected, reading donate_url from D1 on every request so a changed link
+// takes effect without a rebuild. Funds with no link of their own go to the
+// general form. A deleted or unknown fund lands on the directory rather than
+// a 404, since these links live on in brochures and old emails.
+export const GET: APIRoute = async ({ locals, params, redirect }) => {
+  const url = await fundDonateUrl(getDB(locals), (params.slug as string) ?? '');
+  return redirect(url ?? '/funds', 302);
+};
@@ -0,0 +1,86 @@
+import type { APIRoute } from 'astro';
+import { env, waitUntil } from 'cloudflare:workers';
+import type { CacheStorage, ImagesBinding, ReadableStream as CfReadableStream } from '@cloudflare/workers-types';
+import { getDB } from '../../lib/d1';
+import { getAsset, getBucket } from '../../lib/assets';
+import {
+  IMG_FORMATS,
+  PASSTHROUGH_TYPES,
+  negotiateFormat,
+  snapWidth,
+  type ImgFormat,
+} from '../../lib/images';
+
+export const prerender = false;
+
+// Resized media library uploads: /img/<assetId>?w=<width>&format=<format>.
+//
+// `w` snaps to an IMG_WIDTHS step and never exceeds the original. `format`
+// is avif, webp, jpeg, png or auto (the default), which picks AVIF or WebP
+// from the Accept header. SVG and GIF uploads, and every request when the
+// IMAGES binding is missing (e.g. `astro dev`), get the original bytes.
+//
+// Ids are content hashes, so a variant never changes: responses are cached
+// for a year, and transformed ones are kept in the edge cache so the Images
+// binding runs once per variant per location.
+export const GET: APIRoute = async ({ params, request, url, locals }) => {
+  const id = params.id ?? '';
+  const wParam = url.searchParams.get('w');
+  const formatParam = url.searchParams.get('format') ?? 'auto';
+
+  const requested = wParam === null ? null : Number(wParam);
+  if (requested !== null && !(Number.isInteger(requested) && requested > 0)) {
+    return new Response('w must be a positive integer', { status: 400 });
+  }
+  if (formatParam !== 'auto' && !(formatParam in IMG_FORMATS)) {
+    return new Response(`format must be auto or one of: ${Object.keys(IMG_FORMATS).join(', ')}`, { status: 400 });
+  }
+
+  const asset = await getAsset(getDB(locals), id);
+  if (!asset) return new Response('Not found', { status: 404 });
+
+  const images = (env as unknown as { IMAGES?: ImagesBinding }).IMAGES;
+  const transformable = Boolean(images) && !PASSTHROUGH_TYPES.has(asset.mimeType ?? '');
+  const width = transformable && requested !== null ? snapWidth(requested, asset.width) : null;
+  const format: ImgFormat | null = !transformable
+    ? null
+    : formatParam === 'auto'
+      ? negotiateFormat(request.headers.get('accept'))
+      : (formatParam as ImgFormat);
+  const contentType = format ? IMG_FORMATS[format] : (asset.mimeType ?? 'application/octet-stream');
+  const original = width === null && contentType === asset.mimeType;
+
+  const headers = new Headers({
+    'content-type': contentType,
+    'cache-control': 'public, max-age=31536000, immutable',
+    etag: `"${asset.id}-${width ?? 'full'}-${original ? 'original' : format}"`,
+    'content-security-policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+    'x-content-type-options': 'nosniff',
+  });
+  if (transformable && formatParam === 'auto') headers.set('vary', 'Accept');
+
+  if (request.headers.get('if-none-match') === headers.get('etag')) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // The edge cache is keyed by URL alone, so key it by the resolved variant
+  // rather than the request (whose Accept header chose the format).
+  const cache = (globalThis.caches as unknown as CacheStorage).default;
+  const cacheKey = `${url.origin}/img/${asset.id}?w=${width ?? 'full'}&format=${format ?? 'original'}`;
+  if (!original) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return new Response(cached.body as unknown as BodyInit, { headers });
+  }
+
+  const object = await getBucket().get(asset.r2Key);
+  if (!object) return new Response('Not found', { status: 404 });
+  if (original) return new Response(object.body as unknown as BodyInit, { headers });
+
+  let transformer = images!.input(object.body as unknown as CfReadableStream<Uint8Array>);
+  if (width !== null) transformer = transformer.transform({ width, fit: 'scale-down' });
+  const result = await transformer.output({ format: contentType as (typeof IMG_FORMATS)[ImgFormat] });
+  const bytes = await new Response(result.image() as unknown as BodyInit).arrayBuffer();
+
+  waitUntil(cache.put(cacheKey, new Response(bytes, { headers }) as never));
+  return new Response(bytes, { headers });
+};
@@ -0,0 +1,27 @@
+import type { APIRoute } from 'astro';
+import type { Headers as CfHeaders } from '@cloudflare/workers-types';
+import { getBucket } from '../../lib/assets';
+
+export const prerender = false;
+
+// Public, read-only view of the ASSETS_BUCKET R2 bucket: /media/<key>.
+// Media library uploads have content-hashed keys, so they're cached forever.
+export const GET: APIRoute = async ({ params, request }) => {
+  const key = params.key ?? '';
+  if (!key) return new Response('Not found', { status: 404 });
+
+  const object = await getBucket().get(key, { onlyIf: request.headers as unknown as CfHeaders });
+  if (!object) return new Response('Not found', { status: 404 });
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers as unknown as CfHeaders);
+  headers.set('etag', object.httpEtag);
+  if (!headers.has('cache-control')) headers.set('cache-control', 'public, max-age=86400');
+  // Uploads can be SVG; never let one run script on the site's origin.
+  headers.set('content-security-policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  headers.set('x-content-type-options', 'nosniff');
+
+  // Without a body, the If-None-Match / If-Modified-Since precondition held.
+  if (!('body' in object)) return new Response(null, { status: 304, headers });
+  return new Response(object.body as unknown as BodyInit, { headers });
+};
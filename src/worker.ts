@@ -0,0 +1,44 @@
+// Worker entry point (wrangler.jsonc `main`). Astro's Cloudflare handler
+// serves every request, after the redirects in D1 get a chance to answer it
+// (redirectResponse() in src/lib/redirects.ts). wrangler.jsonc runs the
+// Worker ahead of the static assets so that old URLs of prerendered pages
+// redirect too.
+//
+// Cron (wrangler.jsonc `triggers.crons`): publish pages whose scheduled
+// publish time has passed (publishDuePages() in src/lib/d1.ts), then call the
+// deploy hook for those plus any rebuild request whose debounce outlived its
+// request (triggerDueRebuild() in src/lib/rebuild.ts).
+
+import type { ExecutionContext, ScheduledController } from '@cloudflare/workers-types';
+import { handle } from '@astrojs/cloudflare/handler';
+
+import { getDB, publishDuePages } from './lib/d1';
+import { requestRebuild, triggerDueRebuild } from './lib/rebuild';
+import { redirectResponse } from './lib/redirects';
+
+async function runCron(): Promise<void> {
+  const db = getDB();
+  const slugs = await publishDuePages(db);
+  if (slugs.length > 0) {
+    console.log(`scheduled publish: ${slugs.map((s) => s || '(home)').join(', ')}`);
+    for (const slug of slugs) await requestRebuild(db, { slug: `/${slug}`, detail: 'scheduled publish' });
+  }
+  await triggerDueRebuild(db, { immediate: slugs.length > 0 });
+}
+
+export default {
+  async fetch(request: Request, env: Cloudflare.Env, ctx: ExecutionContext) {
+    try {
+      const redirect = await redirectResponse(getDB(), request, (p) => ctx.waitUntil(p));
+      if (redirect) return redirect;
+    } catch (err) {
+      // A missing table or a D1 hiccup shouldn't take the site down with it.
+      console.error('redirect lookup failed', err);
+    }
+    return handle(request, env, ctx);
+  },
+
+  async scheduled(_controller: ScheduledController, _env: Cloudflare.Env, ctx: ExecutionContext) {
+    ctx.waitUntil(runCron());
+  },
+};